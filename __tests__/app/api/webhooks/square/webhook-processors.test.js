@@ -0,0 +1,119 @@
+jest.mock('@prisma/client', () => require('../../../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../../../lib/prisma-client', () => require('../../../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../../../lib/location-resolver', () => ({ resolveLocationUuidForSquareLocationId: jest.fn() }))
+jest.mock('../../../../../lib/utils/acquisition-source.js', () => ({
+  fetchAcquisitionSourceFromSquare: jest.fn(),
+  saveAcquisitionSourceIfMissing: jest.fn()
+}))
+jest.mock('../../../../../lib/wallet/push-service.js', () => ({ queueWalletPassUpdate: jest.fn() }))
+jest.mock('../../../../../lib/workers/customer-package-service.js', () => ({ handlePackageRefund: jest.fn() }))
+jest.mock('../../../../../lib/referrals/referral-clawback.js', () => ({ clawbackReferralRewardForPayment: jest.fn() }))
+jest.mock('../../../../../app/api/webhooks/square/route.js', () => ({ savePaymentToDatabase: jest.fn() }))
+
+const prisma = require('../../../../../lib/prisma-client')
+const { rawText } = require('../../../../support/prisma-mock')
+const {
+  processGiftCardActivityCreated,
+  processGiftCardUpdated,
+  processRefundCreated
+} = require('../../../../../app/api/webhooks/square/webhook-processors.js')
+
+const GIFT_CARD = {
+  id: 'gc-row-1',
+  organization_id: 'org-1',
+  square_gift_card_id: 'gftc:1',
+  gift_card_gan: '7783000000000001',
+  last_balance_check_at: null
+}
+
+function activityPayload(overrides = {}) {
+  return {
+    object: {
+      gift_card_activity: {
+        id: 'gcact-1',
+        type: 'REDEEM',
+        location_id: 'LOC_B',
+        gift_card_id: 'gftc:1',
+        gift_card_gan: '7783000000000001',
+        gift_card_balance_money: { amount: 500, currency: 'USD' },
+        redeem_activity_details: { amount_money: { amount: 1500, currency: 'USD' }, payment_id: 'pay-1' },
+        created_at: '2026-10-19T12:00:00Z',
+        ...overrides
+      }
+    }
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  prisma.giftCard.findFirst.mockResolvedValue(GIFT_CARD)
+  prisma.giftCard.update.mockResolvedValue({})
+  prisma.giftCardTransaction.upsert.mockResolvedValue({})
+  prisma.devicePassRegistration.updateMany.mockResolvedValue({ count: 0 })
+})
+
+describe('gift card activity webhooks', () => {
+  test('look the card up within the job organization and upsert on the activity id', async () => {
+    await processGiftCardActivityCreated(activityPayload(), 'evt-1', new Date(), 'org-1')
+
+    expect(prisma.giftCard.findFirst).toHaveBeenCalledWith({
+      where: {
+        organization_id: 'org-1',
+        OR: [{ square_gift_card_id: 'gftc:1' }, { gift_card_gan: '7783000000000001' }]
+      }
+    })
+    const [{ where, update, create }] = prisma.giftCardTransaction.upsert.mock.calls[0]
+    expect(where).toEqual({ square_activity_id: 'gcact-1' })
+    expect(update).toMatchObject({ transaction_type: 'REDEEM', amount_cents: -1500, balance_after_cents: 500 })
+    expect(update).not.toHaveProperty('gift_card_id')
+    expect(create).toMatchObject({ gift_card_id: 'gc-row-1', organization_id: 'org-1', square_activity_id: 'gcact-1' })
+  })
+
+  test('resolve the organization from the activity location when the job has none', async () => {
+    prisma.organization.findFirst.mockResolvedValue({ id: 'org-2' })
+
+    await processGiftCardActivityCreated(activityPayload(), 'evt-1', new Date())
+
+    expect(prisma.organization.findFirst).toHaveBeenCalledWith({
+      where: { OR: [{ locations: { some: { square_location_id: 'LOC_B' } } }] },
+      select: { id: true }
+    })
+    expect(prisma.giftCard.findFirst.mock.calls[0][0].where.organization_id).toBe('org-2')
+  })
+
+  test('skip the event when no organization can be resolved', async () => {
+    prisma.organization.findFirst.mockResolvedValue(null)
+
+    await processGiftCardUpdated({ object: { gift_card: { id: 'gftc:1', gan: '7783000000000001' } } }, 'evt-2', new Date())
+
+    expect(prisma.giftCard.findFirst).not.toHaveBeenCalled()
+    expect(prisma.giftCard.update).not.toHaveBeenCalled()
+  })
+})
+
+describe('refund.created', () => {
+  const refundPayload = { object: { refund: { id: 'refund-1', payment_id: 'pay-1', status: 'COMPLETED', amount_money: { amount: 2500 } } } }
+
+  test('reverses retail commission on the refunded order in proportion to the refund', async () => {
+    prisma.payment.findFirst.mockResolvedValue({ payment_id: 'pay-1', booking_id: null, order_id: 'order-row-1', total_money_amount: 5000 })
+    prisma.$queryRaw.mockImplementation((strings) => Promise.resolve(
+      rawText([strings]).includes("entry_type = 'PRODUCT_COMMISSION'")
+        ? [{ id: 'mel-1', organization_id: 'org-1', team_member_id: 'tm-1', booking_id: null, entry_type: 'PRODUCT_COMMISSION', amount_amount: 800 }]
+        : []
+    ))
+    prisma.masterEarningsLedger.createMany.mockResolvedValue({ count: 1 })
+
+    await processRefundCreated(refundPayload, 'evt-3', new Date())
+
+    expect(prisma.masterEarningsLedger.findMany).not.toHaveBeenCalled()
+    const [{ data }] = prisma.masterEarningsLedger.createMany.mock.calls[0]
+    expect(data).toEqual([expect.objectContaining({
+      team_member_id: 'tm-1',
+      booking_id: null,
+      entry_type: 'REVERSAL',
+      amount_amount: -400,
+      meta_json: expect.objectContaining({ refund_id: 'refund-1', reversed_entry_id: 'mel-1', reversed_entry_type: 'PRODUCT_COMMISSION' })
+    })])
+  })
+})
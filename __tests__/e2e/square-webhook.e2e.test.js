@@ -0,0 +1,282 @@
+/**
+ * End-to-end: signed Square webhooks -> POST /api/webhooks/square (and the
+ * referrals subscription) -> webhook/giftcard job queues -> processors ->
+ * master earnings and referral rewards, against the fake Square server and a
+ * real Postgres.
+ *
+ * Needs a throwaway database with the schema pushed (see docs/TESTING.md):
+ *   E2E_DATABASE_URL=postgresql://localhost:5432/referral_e2e npm run test:e2e
+ * Skipped when E2E_DATABASE_URL is not set.
+ */
+const { startFakeSquareServer, DEFAULT_MERCHANT_ID, DEFAULT_LOCATION_ID } = require('../../lib/testing/fake-square-server')
+const { buildSquareWebhookRequest, deliverSquareWebhooks } = require('../../lib/testing/square-webhook-signer')
+
+const describeE2E = process.env.E2E_DATABASE_URL ? describe : describe.skip
+
+const SIGNATURE_KEY = 'e2e-signature-key'
+const REFERRALS_URL = 'http://localhost:3000/api/webhooks/square/referrals'
+const TEAM_MEMBER_ID = 'TM_E2E_MASTER'
+const SERVICE_VARIATION_ID = 'SV_E2E_MANICURE'
+const SERVICE_PRICE_CENTS = 8000
+const REFERRER_ID = 'CUST_E2E_REFERRER'
+const REFERRER_CODE = 'ANA1234'
+const FRIEND_ID = 'CUST_E2E_FRIEND'
+const FRIEND_REWARD_CENTS = 1000
+const REFERRER_REWARD_CENTS = 1500
+
+jest.setTimeout(120000)
+
+describeE2E('Square webhooks end to end', () => {
+  let fake
+  let prisma
+  let webhookPOST
+  let referralsPOST
+  let runWebhookJobOnce
+  let runGiftCardJobOnce
+  let processMasterEarnings
+  let organizationId
+  let bookingId
+
+  async function squareApi(method, path, body) {
+    const response = await fetch(`${fake.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${process.env.SQUARE_ACCESS_TOKEN}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const json = await response.json()
+    if (!response.ok) throw new Error(`${method} ${path} -> ${response.status}: ${JSON.stringify(json)}`)
+    return json
+  }
+
+  // Square delivers every event to both subscriptions
+  async function deliverToBothRoutes(events) {
+    const main = await deliverSquareWebhooks(webhookPOST, events)
+    const referrals = await deliverSquareWebhooks(referralsPOST, events, { signUrl: true, url: REFERRALS_URL })
+    return { main, referrals }
+  }
+
+  // Runs both queues until neither has a job left; a failing job fails the test
+  async function drainQueues() {
+    for (let round = 0; round < 100; round++) {
+      const webhookRun = await runWebhookJobOnce({ workerId: 'e2e-webhook-worker' })
+      const giftCardRun = await runGiftCardJobOnce({ workerId: 'e2e-giftcard-worker' })
+      if (!webhookRun.processed && !giftCardRun.processed) return round
+    }
+    throw new Error('Job queues did not drain after 100 rounds')
+  }
+
+  beforeAll(async () => {
+    fake = await startFakeSquareServer()
+    fake.useAsSquareApi()
+    process.env.DATABASE_URL = process.env.E2E_DATABASE_URL
+    process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = SIGNATURE_KEY
+    process.env.SQUARE_WEBHOOK_NOTIFICATION_URL = REFERRALS_URL
+    process.env.SQUARE_LOCATION_ID = DEFAULT_LOCATION_ID
+    process.env.APP_BASE_URL = 'http://localhost:3000'
+    process.env.DISABLE_EMAIL_SENDING = 'true'
+
+    // App modules only now: giftcard-processors.js builds its Square client at load
+    const { NextRequest } = await import('next/server')
+    prisma = require('../../lib/prisma-client')
+    webhookPOST = (await import('../../app/api/webhooks/square/route.js')).POST
+    const referrals = await import('../../app/api/webhooks/square/referrals/route.js')
+    referralsPOST = (request) => referrals.POST(new NextRequest(request))
+    ;({ runWebhookJobOnce } = require('../../lib/workers/webhook-job-runner'))
+    ;({ runGiftCardJobOnce } = require('../../lib/workers/giftcard-job-runner'))
+    ;({ processMasterEarnings } = await import('../../lib/workers/master-earnings-worker.js'))
+
+    await prisma.organization.deleteMany({ where: { square_merchant_id: DEFAULT_MERCHANT_ID } })
+    const organization = await prisma.organization.create({
+      data: { square_merchant_id: DEFAULT_MERCHANT_ID, name: 'E2E Studio', settings: { timezone: 'America/Los_Angeles' } }
+    })
+    organizationId = organization.id
+
+    const location = await prisma.location.create({
+      data: {
+        square_location_id: DEFAULT_LOCATION_ID,
+        name: 'Fake Location',
+        organization_id: organizationId,
+        square_merchant_id: DEFAULT_MERCHANT_ID
+      }
+    })
+    await prisma.teamMember.create({
+      data: {
+        square_team_member_id: TEAM_MEMBER_ID,
+        given_name: 'Mila',
+        status: 'ACTIVE',
+        role: 'MASTER',
+        organization_id: organizationId,
+        location_id: location.id
+      }
+    })
+    await prisma.serviceVariation.create({
+      data: {
+        uuid: require('crypto').randomUUID(),
+        square_variation_id: SERVICE_VARIATION_ID,
+        name: 'Manicure',
+        service_name: 'Manicure',
+        duration_minutes: 60,
+        price_amount: SERVICE_PRICE_CENTS,
+        organization_id: organizationId
+      }
+    })
+    await prisma.referralProgram.create({
+      data: {
+        organization_id: organizationId,
+        friend_reward_cents: FRIEND_REWARD_CENTS,
+        referrer_reward_cents: REFERRER_REWARD_CENTS,
+        fraud_hold_score: 0
+      }
+    })
+
+    // An existing client who already shares a code
+    fake.seed.customer({ id: REFERRER_ID, given_name: 'Ana', family_name: 'Lee', email_address: 'ana@example.com' })
+    await prisma.squareExistingClient.create({
+      data: {
+        square_customer_id: REFERRER_ID,
+        given_name: 'Ana',
+        family_name: 'Lee',
+        email_address: 'ana@example.com',
+        personal_code: REFERRER_CODE,
+        referral_code: REFERRER_CODE,
+        activated_as_referrer: true,
+        organization_id: organizationId
+      }
+    })
+    await prisma.referralProfile.create({
+      data: {
+        square_customer_id: REFERRER_ID,
+        personal_code: REFERRER_CODE,
+        referral_code: REFERRER_CODE,
+        activated_as_referrer: true,
+        organization_id: organizationId
+      }
+    })
+  })
+
+  afterAll(async () => {
+    await prisma?.$disconnect()
+    await fake?.stop()
+  })
+
+  test('rejects a delivery signed with the wrong key', async () => {
+    const event = { merchant_id: DEFAULT_MERCHANT_ID, type: 'customer.created', event_id: 'evt-bad-signature', data: {} }
+    const response = await webhookPOST(buildSquareWebhookRequest(event, { signatureKey: 'not-the-key' }))
+
+    expect(response.status).toBe(401)
+  })
+
+  test("a referred friend's booking is persisted and issues the signup bonus", async () => {
+    fake.seed.customer({ id: FRIEND_ID, given_name: 'Bea', family_name: 'Kim', email_address: 'bea@example.com', phone_number: '+14155550100' })
+    fake.seed.customerAttribute(FRIEND_ID, 'referral_code', REFERRER_CODE)
+
+    const startAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    const { booking } = await squareApi('POST', '/v2/bookings', {
+      booking: {
+        customer_id: FRIEND_ID,
+        location_id: DEFAULT_LOCATION_ID,
+        start_at: startAt,
+        appointment_segments: [{ team_member_id: TEAM_MEMBER_ID, service_variation_id: SERVICE_VARIATION_ID, service_variation_version: 1, duration_minutes: 60 }]
+      }
+    })
+    bookingId = booking.id
+
+    const { main, referrals } = await deliverToBothRoutes(fake.takeEvents())
+    expect(main.every((delivery) => delivery.status === 200)).toBe(true)
+    expect(referrals.every((delivery) => delivery.status === 200)).toBe(true)
+
+    await drainQueues()
+    // The bonus card's activation emits gift_card.* events of its own
+    await deliverToBothRoutes(fake.takeEvents())
+    await drainQueues()
+
+    const saved = await prisma.booking.findFirst({ where: { organization_id: organizationId, booking_id: bookingId } })
+    expect(saved).toMatchObject({ customer_id: FRIEND_ID, status: 'ACCEPTED' })
+    expect(saved.technician_id).not.toBeNull()
+
+    const snapshot = await prisma.bookingSnapshot.findUnique({ where: { booking_id: saved.id } })
+    expect(snapshot).toMatchObject({ price_snapshot_amount: SERVICE_PRICE_CENTS, base_processed: false })
+
+    const friendCards = await prisma.giftCard.findMany({
+      where: { organization_id: organizationId, square_customer_id: FRIEND_ID, reward_type: 'FRIEND_SIGNUP_BONUS' }
+    })
+    expect(friendCards).toHaveLength(1)
+
+    const squareCard = fake.state.giftCards.get(friendCards[0].square_gift_card_id)
+    expect(squareCard.balance_money.amount).toBe(FRIEND_REWARD_CENTS)
+
+    // gift_card.activity.created mirrors each Square activity exactly once
+    const transactions = await prisma.giftCardTransaction.findMany({ where: { gift_card_id: friendCards[0].id } })
+    const activityIds = transactions.map((t) => t.square_activity_id).filter(Boolean)
+    expect(new Set(activityIds).size).toBe(activityIds.length)
+
+    const friend = await prisma.squareExistingClient.findFirst({ where: { organization_id: organizationId, square_customer_id: FRIEND_ID } })
+    expect(friend).toMatchObject({ used_referral_code: REFERRER_CODE, got_signup_bonus: true })
+  })
+
+  test("the friend's payment completes the order, books earnings and rewards the referrer", async () => {
+    const { order } = await squareApi('POST', '/v2/orders', {
+      order: {
+        customer_id: FRIEND_ID,
+        location_id: DEFAULT_LOCATION_ID,
+        line_items: [{
+          name: 'Manicure',
+          quantity: '1',
+          catalog_object_id: SERVICE_VARIATION_ID,
+          base_price_money: { amount: SERVICE_PRICE_CENTS, currency: 'USD' }
+        }]
+      }
+    })
+    const { payment } = await squareApi('POST', '/v2/payments', {
+      source_id: 'cnon:card-nonce-ok',
+      idempotency_key: 'e2e-friend-first-payment',
+      amount_money: { amount: SERVICE_PRICE_CENTS, currency: 'USD' },
+      tip_money: { amount: 1200, currency: 'USD' },
+      order_id: order.id,
+      customer_id: FRIEND_ID
+    })
+
+    await deliverToBothRoutes(fake.takeEvents())
+    await drainQueues()
+    await deliverToBothRoutes(fake.takeEvents())
+    await drainQueues()
+
+    const savedPayment = await prisma.payment.findFirst({ where: { organization_id: organizationId, payment_id: payment.id } })
+    expect(savedPayment.status).toBe('COMPLETED')
+
+    const savedOrder = await prisma.order.findFirst({ where: { organization_id: organizationId, order_id: order.id } })
+    expect(savedOrder.state).toBe('COMPLETED')
+    const booking = await prisma.booking.findFirst({ where: { organization_id: organizationId, booking_id: bookingId } })
+    expect(savedOrder.booking_id).toBe(booking.id)
+
+    await processMasterEarnings(organizationId)
+    const ledger = await prisma.masterEarningsLedger.findMany({ where: { organization_id: organizationId, booking_id: booking.id } })
+    expect(ledger.length).toBeGreaterThan(0)
+    expect(ledger.every((entry) => entry.team_member_id === booking.technician_id)).toBe(true)
+    const snapshot = await prisma.bookingSnapshot.findUnique({ where: { booking_id: booking.id } })
+    expect(snapshot.base_processed).toBe(true)
+
+    const rewards = await prisma.referralReward.findMany({
+      where: { organization_id: organizationId, referrer_customer_id: REFERRER_ID, referred_customer_id: FRIEND_ID }
+    })
+    expect(rewards).toHaveLength(1)
+    expect(rewards[0].reward_amount_cents).toBe(REFERRER_REWARD_CENTS)
+  })
+
+  test('redelivered events do not reward or book earnings twice', async () => {
+    const booking = await prisma.booking.findFirst({ where: { organization_id: organizationId, booking_id: bookingId } })
+    const ledgerBefore = await prisma.masterEarningsLedger.count({ where: { booking_id: booking.id } })
+    const cardsBefore = await prisma.giftCard.count({ where: { organization_id: organizationId } })
+    const transactionsBefore = await prisma.giftCardTransaction.count({ where: { organization_id: organizationId } })
+
+    // Square retries deliveries; replay everything it has sent so far
+    await deliverToBothRoutes(fake.events)
+    await drainQueues()
+    await processMasterEarnings(organizationId)
+
+    expect(await prisma.masterEarningsLedger.count({ where: { booking_id: booking.id } })).toBe(ledgerBefore)
+    expect(await prisma.giftCard.count({ where: { organization_id: organizationId } })).toBe(cardsBefore)
+    expect(await prisma.giftCardTransaction.count({ where: { organization_id: organizationId } })).toBe(transactionsBefore)
+    expect(await prisma.referralReward.count({ where: { organization_id: organizationId, referred_customer_id: FRIEND_ID } })).toBe(1)
+  })
+})
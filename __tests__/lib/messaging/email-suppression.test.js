@@ -0,0 +1,93 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+
+const prisma = require('../../../lib/prisma-client')
+const {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildListUnsubscribeHeaders,
+  suppressEmail,
+  resubscribeEmail
+} = require('../../../lib/messaging/email-suppression')
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env.EMAIL_UNSUBSCRIBE_SECRET = 'unsubscribe-secret'
+  process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = 'square-key'
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.clearAllMocks()
+})
+
+afterEach(() => {
+  process.env = { ...ENV }
+})
+
+describe('unsubscribe tokens', () => {
+  test('round-trip the normalized email and organization', () => {
+    const token = createUnsubscribeToken({ email: ' Ana@Example.com ', organizationId: 'org-1' })
+
+    expect(verifyUnsubscribeToken(token)).toEqual({ email: 'ana@example.com', organizationId: 'org-1' })
+  })
+
+  test('reject a tampered payload or signature', () => {
+    const token = createUnsubscribeToken({ email: 'ana@example.com', organizationId: 'org-1' })
+    const [payload, signature] = token.split('.')
+    const otherPayload = Buffer.from(JSON.stringify({ e: 'bob@example.com', o: 'org-1' })).toString('base64url')
+
+    expect(verifyUnsubscribeToken(`${otherPayload}.${signature}`)).toBeNull()
+    expect(verifyUnsubscribeToken(`${payload}.${signature.slice(0, -2)}AA`)).toBeNull()
+    expect(verifyUnsubscribeToken(payload)).toBeNull()
+  })
+
+  test('reject a token signed with another secret', () => {
+    const token = createUnsubscribeToken({ email: 'ana@example.com' })
+    process.env.EMAIL_UNSUBSCRIBE_SECRET = 'rotated-secret'
+
+    expect(verifyUnsubscribeToken(token)).toBeNull()
+  })
+
+  test('never fall back to the Square signature key', () => {
+    const token = createUnsubscribeToken({ email: 'ana@example.com' })
+    delete process.env.EMAIL_UNSUBSCRIBE_SECRET
+
+    expect(createUnsubscribeToken({ email: 'ana@example.com' })).toBeNull()
+    expect(verifyUnsubscribeToken(token)).toBeNull()
+    expect(buildListUnsubscribeHeaders({ email: 'ana@example.com' })).toEqual({})
+  })
+})
+
+describe('suppression reasons', () => {
+  test('an unsubscribe inserts a row but only refreshes existing unsubscribe rows', async () => {
+    await suppressEmail({ email: 'Ana@Example.com', organizationId: 'org-1', reason: 'unsubscribe', source: 'sendgrid_event' })
+
+    expect(prisma.emailSuppression.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ organization_id: 'org-1', email: 'ana@example.com', reason: 'unsubscribe' })],
+      skipDuplicates: true
+    })
+    expect(prisma.emailSuppression.updateMany).toHaveBeenCalledWith({
+      where: { organization_id: 'org-1', email: 'ana@example.com', reason: 'unsubscribe' },
+      data: expect.objectContaining({ reason: 'unsubscribe' })
+    })
+    expect(prisma.emailSuppression.upsert).not.toHaveBeenCalled()
+  })
+
+  test('a bounce replaces whatever reason the row had', async () => {
+    await suppressEmail({ email: 'ana@example.com', organizationId: 'org-1', reason: 'bounce', source: 'sendgrid_event' })
+
+    expect(prisma.emailSuppression.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ reason: 'bounce' })
+    }))
+  })
+
+  test('a resubscribe deletes only unsubscribe rows', async () => {
+    prisma.emailSuppression.deleteMany.mockResolvedValue({ count: 0 })
+
+    await resubscribeEmail({ email: 'ana@example.com', organizationId: 'org-1' })
+
+    expect(prisma.emailSuppression.deleteMany).toHaveBeenCalledWith({
+      where: { email: 'ana@example.com', reason: 'unsubscribe', organization_id: 'org-1' }
+    })
+  })
+})
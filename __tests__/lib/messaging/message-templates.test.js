@@ -0,0 +1,101 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+
+const prisma = require('../../../lib/prisma-client')
+const { getActiveTemplate, startAbTest, createTemplateVersion } = require('../../../lib/messaging/message-templates')
+
+const CONTROL = { id: 'tpl-1', version: 1, ab_weight: 70, body: 'Hi [Name]' }
+const VARIANT = { id: 'tpl-2', version: 2, ab_weight: 30, body: 'Hey [Name]' }
+const LOOKUP = { organizationId: 'org-1', templateType: 'REFERRAL_INVITE', channel: 'SMS' }
+
+async function pick(recipientKey) {
+  return (await getActiveTemplate({ ...LOOKUP, recipientKey })).id
+}
+
+describe('getActiveTemplate A/B bucketing', () => {
+  test('a recipient always lands on the same version', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValue([CONTROL, VARIANT])
+
+    for (const key of ['C1', 'C2', '+15555550123']) {
+      const first = await pick(key)
+      expect(await pick(key)).toBe(first)
+      expect(await pick(key)).toBe(first)
+    }
+  })
+
+  test('recipients split by ab_weight', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValue([CONTROL, VARIANT])
+
+    let variant = 0
+    for (let i = 0; i < 1000; i++) {
+      if ((await pick(`customer-${i}`)) === 'tpl-2') variant += 1
+    }
+    expect(variant).toBeGreaterThan(250)
+    expect(variant).toBeLessThan(350)
+  })
+
+  test('a zero-weight version is never picked', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValue([CONTROL, { ...VARIANT, ab_weight: 0 }])
+
+    for (let i = 0; i < 200; i++) {
+      expect(await pick(`customer-${i}`)).toBe('tpl-1')
+    }
+  })
+
+  test('a single active version needs no bucketing, none means built-in copy', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValueOnce([CONTROL]).mockResolvedValueOnce([])
+
+    expect(await pick('C1')).toBe('tpl-1')
+    expect(await getActiveTemplate({ ...LOOKUP, recipientKey: 'C1' })).toBeNull()
+  })
+})
+
+describe('startAbTest', () => {
+  const CHALLENGER = { id: 'tpl-3', organization_id: 'org-1', template_type: 'REFERRAL_INVITE', channel: 'SMS', status: 'draft' }
+
+  beforeEach(() => jest.clearAllMocks())
+
+  test('checks the active versions and activates inside one serializable transaction', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValue([CONTROL])
+    prisma.messageTemplate.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }))
+
+    const { templates } = await startAbTest(CHALLENGER, 30)
+
+    expect(templates).toEqual([
+      { id: 'tpl-1', ab_weight: 70 },
+      expect.objectContaining({ id: 'tpl-3', status: 'active', ab_weight: 30 })
+    ])
+    expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' })
+  })
+
+  test('a test that lost a concurrent race is a conflict', async () => {
+    prisma.$transaction.mockRejectedValueOnce(Object.assign(new Error('could not serialize access'), { code: 'P2034' }))
+
+    expect(await startAbTest(CHALLENGER, 30)).toMatchObject({ conflict: true })
+  })
+})
+
+describe('createTemplateVersion', () => {
+  const VERSION = { organizationId: 'org-1', templateType: 'OTHER', channel: 'SMS', body: 'Hi [Name]' }
+
+  beforeEach(() => jest.clearAllMocks())
+
+  test('takes the next version number when a concurrent save took this one', async () => {
+    prisma.messageTemplate.findFirst.mockResolvedValueOnce({ version: 1 }).mockResolvedValueOnce({ version: 2 })
+    prisma.messageTemplate.create
+      .mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }))
+      .mockImplementationOnce(({ data }) => Promise.resolve(data))
+
+    const { template } = await createTemplateVersion(VERSION)
+
+    expect(template.version).toBe(3)
+  })
+
+  test('gives up with a conflict after repeated collisions', async () => {
+    prisma.messageTemplate.findFirst.mockResolvedValue({ version: 1 })
+    prisma.messageTemplate.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }))
+
+    expect(await createTemplateVersion(VERSION)).toMatchObject({ conflict: true })
+    expect(prisma.messageTemplate.create).toHaveBeenCalledTimes(3)
+  })
+})
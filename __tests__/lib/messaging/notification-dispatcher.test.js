@@ -0,0 +1,104 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/email-service-simple', () => ({
+  sendReferralCodeEmail: jest.fn(),
+  sendWinbackEmail: jest.fn(),
+  trackNotification: jest.fn().mockResolvedValue()
+}))
+jest.mock('../../../lib/twilio-service', () => ({
+  sendReferralCodeSms: jest.fn(),
+  sendGiftCardSmsNotification: jest.fn(),
+  sendPostVisitReminderSms: jest.fn(),
+  sendWinbackSms: jest.fn()
+}))
+jest.mock('../../../lib/messaging/email-suppression', () => ({ isEmailSuppressed: jest.fn().mockResolvedValue(false) }))
+jest.mock('../../../lib/messaging/sms-consent', () => ({ isSmsOptedOut: jest.fn().mockResolvedValue(false) }))
+
+const prisma = require('../../../lib/prisma-client')
+const { sendReferralCodeEmail, trackNotification } = require('../../../lib/email-service-simple')
+const { sendReferralCodeSms } = require('../../../lib/twilio-service')
+const { dispatchNotification, handleDeliveryFailure } = require('../../../lib/messaging/notification-dispatcher')
+
+const CUSTOMER = {
+  square_customer_id: 'C1',
+  given_name: 'Ana',
+  family_name: 'Diaz',
+  email_address: 'ana@example.com',
+  phone_number: '+15555550100',
+  preferred_notification_channel: null
+}
+const PAYLOAD = { referralCode: 'ANA10', referralUrl: 'https://example.com/r/ANA10' }
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+  prisma.squareExistingClient.findFirst.mockResolvedValue(CUSTOMER)
+  prisma.notificationEvent.findMany.mockResolvedValue([])
+  sendReferralCodeSms.mockResolvedValue({ success: true, sid: 'SM1' })
+})
+
+test('falls back to SMS when the email send fails, on the same chain', async () => {
+  sendReferralCodeEmail.mockResolvedValue({ success: false, error: 'SendGrid 500' })
+
+  const result = await dispatchNotification({
+    organizationId: 'org-1',
+    templateType: 'REFERRAL_INVITE',
+    customerId: 'C1',
+    payload: PAYLOAD,
+    chainId: 'chain-1'
+  })
+
+  expect(result).toMatchObject({
+    success: true,
+    channel: 'SMS',
+    chainId: 'chain-1',
+    attempts: [
+      { channel: 'EMAIL', success: false, error: 'SendGrid 500' },
+      { channel: 'SMS', success: true }
+    ]
+  })
+  expect(sendReferralCodeEmail.mock.calls[0][4].metadata.dispatch).toMatchObject({
+    chainId: 'chain-1',
+    attempt: 1,
+    triedChannels: ['EMAIL'],
+    previousAttempt: null
+  })
+  expect(trackNotification).toHaveBeenCalledWith(expect.objectContaining({
+    channel: 'SMS',
+    status: 'sent',
+    externalId: 'SM1',
+    metadata: expect.objectContaining({
+      dispatch: expect.objectContaining({ chainId: 'chain-1', attempt: 2, triedChannels: ['EMAIL', 'SMS'], previousAttempt: 1 })
+    })
+  }))
+})
+
+test('a thrown send counts as a failure and still falls back', async () => {
+  sendReferralCodeEmail.mockRejectedValue(new Error('socket hang up'))
+
+  const result = await dispatchNotification({ organizationId: 'org-1', templateType: 'REFERRAL_INVITE', customerId: 'C1', payload: PAYLOAD })
+
+  expect(result).toMatchObject({ success: true, channel: 'SMS' })
+  expect(result.attempts[0]).toMatchObject({ channel: 'EMAIL', success: false, error: 'socket hang up' })
+})
+
+test('a later bounce retries once on a channel not yet tried', async () => {
+  const bounced = {
+    id: 'ne-1',
+    channel: 'EMAIL',
+    customerId: 'C1',
+    organization_id: 'org-1',
+    metadata: { dispatch: { chainId: 'chain-1', attempt: 1, templateType: 'REFERRAL_INVITE', triedChannels: ['EMAIL'], payload: PAYLOAD } }
+  }
+  prisma.$queryRaw.mockResolvedValueOnce([{ id: 'ne-1' }]).mockResolvedValueOnce([])
+
+  const result = await handleDeliveryFailure(bounced, { reason: 'bounce' })
+  const replay = await handleDeliveryFailure(bounced, { reason: 'bounce' })
+
+  expect(result).toMatchObject({ success: true, channel: 'SMS', chainId: 'chain-1' })
+  expect(replay).toBeNull()
+  expect(sendReferralCodeEmail).not.toHaveBeenCalled()
+  expect(sendReferralCodeSms).toHaveBeenCalledTimes(1)
+})
@@ -0,0 +1,161 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/messaging/notification-dispatcher', () => ({
+  dispatchNotification: jest.fn(),
+  chooseChannels: jest.fn()
+}))
+jest.mock('../../../lib/webhooks/giftcard-processors', () => ({
+  createGiftCard: jest.fn(),
+  deductGiftCardBalance: jest.fn()
+}))
+
+const prisma = require('../../../lib/prisma-client')
+const { dispatchNotification, chooseChannels } = require('../../../lib/messaging/notification-dispatcher')
+const { createGiftCard } = require('../../../lib/webhooks/giftcard-processors')
+const { runWinbackCampaigns } = require('../../../lib/messaging/winback-campaigns')
+const { rawText } = require('../../support/prisma-mock')
+
+const NOW = new Date('2026-10-19T16:00:00Z')
+const CHANGED_AT = new Date('2026-10-01T08:00:00Z')
+
+const CAMPAIGN = {
+  id: 'camp-1',
+  organization_id: 'org-1',
+  trigger_segment: 'AT_RISK',
+  is_active: true,
+  send_delay_days: 0,
+  gift_card_amount_cents: 2000,
+  gift_card_valid_days: 30,
+  frequency_cap_days: 90,
+  conversion_window_days: 30,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  activated_at: new Date('2026-09-15T00:00:00Z')
+}
+
+const ENROLLMENT = {
+  id: 'enr-1',
+  campaign_id: 'camp-1',
+  organization_id: 'org-1',
+  square_customer_id: 'C1',
+  segment_changed_at: CHANGED_AT,
+  status: 'scheduled',
+  campaign: CAMPAIGN
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+
+  prisma.winbackCampaign.findMany.mockResolvedValue([CAMPAIGN])
+  prisma.winbackEnrollment.findMany.mockImplementation(({ where }) =>
+    Promise.resolve(where.status === 'scheduled' ? [ENROLLMENT] : []))
+  prisma.winbackEnrollment.updateMany.mockImplementation(({ where }) =>
+    Promise.resolve({ count: where.status === 'scheduled' ? 1 : 0 }))
+  prisma.winbackEnrollment.update.mockResolvedValue({})
+  prisma.winbackEnrollment.findFirst.mockResolvedValue(null)
+  prisma.customerAnalytics.findUnique.mockResolvedValue({ customer_segment: 'AT_RISK', segment_changed_at: CHANGED_AT })
+  prisma.booking.findFirst.mockResolvedValue(null)
+  prisma.squareExistingClient.findFirst.mockResolvedValue({ square_customer_id: 'C1', given_name: 'Ana', email_address: 'ana@example.com' })
+  prisma.organization.findUnique.mockResolvedValue({ settings: {} })
+
+  chooseChannels.mockResolvedValue(['EMAIL'])
+  createGiftCard.mockResolvedValue({ giftCardId: 'gftc:1', giftCardGan: '7783000000000001', amountCents: 2000 })
+  dispatchNotification.mockResolvedValue({ success: true, channel: 'EMAIL', chainId: 'chain-1' })
+})
+
+function enrollmentUpdates() {
+  return prisma.winbackEnrollment.update.mock.calls.map(([args]) => args.data)
+}
+
+test('enrolls only transitions since the campaign was last activated', async () => {
+  await runWinbackCampaigns({ now: NOW })
+
+  const insert = prisma.$executeRaw.mock.calls.find((call) => rawText(call).includes('INSERT INTO winback_enrollments'))
+  expect(rawText(insert)).toContain('ca.segment_changed_at >= ?')
+  expect(insert).toContain(CAMPAIGN.activated_at)
+  expect(insert).not.toContain(CAMPAIGN.created_at)
+})
+
+test('sends the offer and attributes it', async () => {
+  const result = await runWinbackCampaigns({ now: NOW })
+
+  expect(result).toMatchObject({ sent: 1, failed: 0 })
+  expect(createGiftCard.mock.calls[0][4]).toMatchObject({ idempotencyKeySeed: 'winback:enr-1', rewardType: 'WINBACK_OFFER' })
+  expect(dispatchNotification).toHaveBeenCalledWith(expect.objectContaining({
+    templateType: 'WINBACK_OFFER',
+    payload: expect.objectContaining({ giftCardGan: '7783000000000001', amountCents: 2000, expiresOn: 'Nov 18' }),
+    metadata: { winbackCampaignId: 'camp-1', winbackEnrollmentId: 'enr-1' }
+  }))
+  expect(enrollmentUpdates()).toContainEqual(expect.objectContaining({ status: 'sent', sent_at: NOW, channel: 'EMAIL' }))
+
+  const attribution = prisma.$executeRaw.mock.calls.find((call) => rawText(call).includes('converted_booking_id'))
+  expect(rawText(attribution)).toContain('b.created_at <= we.sent_at + make_interval(days => c.conversion_window_days)')
+})
+
+test('records the gift card before dispatching, and takes it back when dispatch throws', async () => {
+  dispatchNotification.mockRejectedValue(new Error('SendGrid down'))
+
+  const result = await runWinbackCampaigns({ now: NOW })
+
+  expect(result.failed).toBe(1)
+  expect(enrollmentUpdates()).toContainEqual({
+    gift_card_id: 'gftc:1',
+    gift_card_gan: '7783000000000001',
+    gift_card_amount_cents: 2000,
+    gift_card_expires_at: new Date('2026-11-18T16:00:00Z')
+  })
+  expect(prisma.winbackEnrollment.updateMany).toHaveBeenCalledWith({
+    where: { id: 'enr-1', gift_card_id: { not: null }, gift_card_expired_at: null },
+    data: { gift_card_expires_at: NOW }
+  })
+})
+
+test('a send that was never delivered takes its card back on the next run', async () => {
+  dispatchNotification.mockResolvedValue({ success: false, reason: 'all-channels-failed', chainId: 'chain-1' })
+
+  await runWinbackCampaigns({ now: NOW })
+
+  expect(enrollmentUpdates()).toContainEqual(expect.objectContaining({
+    status: 'failed',
+    gift_card_expires_at: NOW,
+    error: 'all-channels-failed'
+  }))
+})
+
+test('marks sends left in sending past the timeout as failed and takes their cards back', async () => {
+  prisma.winbackEnrollment.updateMany.mockImplementation(({ where }) =>
+    Promise.resolve({ count: where.status === 'sending' ? 2 : 1 }))
+
+  const result = await runWinbackCampaigns({ now: NOW })
+
+  expect(result.interrupted).toBe(2)
+  expect(prisma.winbackEnrollment.updateMany).toHaveBeenCalledWith({
+    where: {
+      status: 'sending',
+      updated_at: { lt: new Date('2026-10-19T15:30:00Z') },
+      gift_card_id: { not: null },
+      gift_card_expired_at: null
+    },
+    data: { gift_card_expires_at: NOW }
+  })
+  expect(prisma.winbackEnrollment.updateMany).toHaveBeenCalledWith({
+    where: { status: 'sending', updated_at: { lt: new Date('2026-10-19T15:30:00Z') } },
+    data: { status: 'failed', error: 'interrupted-while-sending' }
+  })
+})
+
+test('skips a customer messaged by any campaign within the frequency cap', async () => {
+  prisma.winbackEnrollment.findFirst.mockResolvedValue({ id: 'enr-0' })
+
+  const result = await runWinbackCampaigns({ now: NOW })
+
+  expect(result.skipped).toBe(1)
+  expect(prisma.winbackEnrollment.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+    where: expect.objectContaining({ status: 'sent', sent_at: { gte: new Date('2026-07-21T16:00:00Z') } })
+  }))
+  expect(enrollmentUpdates()).toContainEqual({ status: 'skipped', skip_reason: 'frequency-cap' })
+  expect(createGiftCard).not.toHaveBeenCalled()
+  expect(dispatchNotification).not.toHaveBeenCalled()
+})
@@ -0,0 +1,27 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+
+const { formatPrometheusMetrics } = require('../../../lib/observability/queue-metrics')
+
+const WINDOW_ROW = {
+  kind: 'payment.updated',
+  completed: 3,
+  deadLettered: 0,
+  retries: 1,
+  errorRate: 0,
+  processingP50Ms: 120,
+  processingP95Ms: 900,
+  lagP50Ms: null,
+  lagP95Ms: null
+}
+
+test('reports latency percentiles as summaries in seconds', () => {
+  const text = formatPrometheusMetrics({ queues: { webhook: { depth: [], windows: { '1h': [WINDOW_ROW] } } }, cronRuns: {} })
+
+  expect(text).toContain('# TYPE job_queue_processing_seconds summary')
+  expect(text).toContain('job_queue_processing_seconds{queue="webhook",kind="payment.updated",window="1h",quantile="0.5"} 0.12')
+  expect(text).toContain('job_queue_processing_seconds{queue="webhook",kind="payment.updated",window="1h",quantile="0.95"} 0.9')
+  expect(text).toContain('job_queue_processing_seconds_count{queue="webhook",kind="payment.updated",window="1h"} 3')
+  expect(text).toContain('# TYPE job_queue_completed gauge')
+  expect(text).not.toContain('_ms')
+  expect(text).not.toContain('job_queue_lag_seconds')
+})
@@ -0,0 +1,80 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/workflows/application-log-queue', () => ({ saveApplicationLog: jest.fn() }))
+jest.mock('../../../lib/email-service-simple', () => ({ trackNotification: jest.fn() }))
+jest.mock('../../../lib/twilio-service', () => ({ sendReferralRewardClawbackSms: jest.fn().mockResolvedValue({ skipped: true }) }))
+jest.mock('../../../lib/webhooks/giftcard-processors', () => ({
+  deductGiftCardBalance: jest.fn(),
+  loadGiftCard: jest.fn()
+}))
+jest.mock('../../../lib/referrals/referral-program', () => ({
+  getReferralProgram: jest.fn().mockResolvedValue({ min_first_payment_cents: 5000 }),
+  formatRewardAmount: (cents) => `$${cents / 100}`
+}))
+
+const prisma = require('../../../lib/prisma-client')
+const { clawbackReferralRewardForPayment } = require('../../../lib/referrals/referral-clawback')
+
+const REWARD = {
+  id: 'rw-1',
+  organization_id: 'org-1',
+  referrer_customer_id: 'C1',
+  reward_type: 'referrer_reward',
+  reward_amount_cents: 1000,
+  status: 'PENDING',
+  metadata: {}
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  prisma.payment.findFirst.mockResolvedValue({ payment_id: 'pay-1', total_money_amount: 8000, raw_json: {} })
+  prisma.referralReward.update.mockResolvedValue({})
+  prisma.referralReward.updateMany.mockResolvedValue({ count: 1 })
+})
+
+function refund(refundId, cents) {
+  return clawbackReferralRewardForPayment({ paymentId: 'pay-1', sourceType: 'REFUND', sourceId: refundId, refundAmountCents: cents })
+}
+
+test('looks up rewards that are still being issued', async () => {
+  prisma.referralReward.findFirst.mockResolvedValue(null)
+
+  await refund('refund-1', 2000)
+
+  expect(prisma.referralReward.findFirst.mock.calls[0][0].where.status).toEqual({ in: ['PAID', 'PENDING', 'PROCESSING'] })
+})
+
+test('a partial refund that leaves the minimum keeps the reward and is remembered', async () => {
+  prisma.referralReward.findFirst.mockResolvedValue(REWARD)
+
+  const result = await refund('refund-1', 2000)
+
+  expect(result).toMatchObject({ skipped: true, reason: 'partial_refund' })
+  expect(prisma.referralReward.update).toHaveBeenCalledWith({
+    where: { id: 'rw-1' },
+    data: { metadata: { partial_refunds: { 'refund-1': 2000 } } }
+  })
+  expect(prisma.referralReward.updateMany).not.toHaveBeenCalled()
+})
+
+test('partial refunds that add up below the minimum claw the reward back', async () => {
+  prisma.referralReward.findFirst.mockResolvedValue({ ...REWARD, metadata: { partial_refunds: { 'refund-1': 2000 } } })
+
+  const result = await refund('refund-2', 2000)
+
+  expect(result).toMatchObject({ success: true, rewardId: 'rw-1' })
+  expect(prisma.referralReward.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { id: 'rw-1', status: 'PENDING' },
+    data: expect.objectContaining({ status: 'CANCELLED' })
+  }))
+})
+
+test("Square's refunded total counts when it is higher than the refunds seen", async () => {
+  prisma.referralReward.findFirst.mockResolvedValue(REWARD)
+  prisma.payment.findFirst.mockResolvedValue({ payment_id: 'pay-1', total_money_amount: 8000, raw_json: { refunded_money: { amount: 4000 } } })
+
+  const result = await refund('refund-2', 500)
+
+  expect(result).toMatchObject({ success: true, rewardId: 'rw-1' })
+})
@@ -0,0 +1,55 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/webhooks/giftcard-processors', () => ({ issueHeldReferralReward: jest.fn() }))
+
+const prisma = require('../../../lib/prisma-client')
+const { issueHeldReferralReward } = require('../../../lib/webhooks/giftcard-processors')
+const { reviewHeldReferralReward } = require('../../../lib/referrals/referral-review')
+
+const HELD = { id: 'rw-1', organization_id: 'org-1', status: 'PENDING', metadata: { stage: 'fraud_review' } }
+
+function review(decision) {
+  return reviewHeldReferralReward({ rewardId: 'rw-1', organizationId: 'org-1', userId: 'user-1', decision })
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  prisma.referralReward.findFirst.mockResolvedValue(HELD)
+})
+
+test('reject cancels the reward only while it is still PENDING', async () => {
+  prisma.referralReward.updateMany.mockResolvedValue({ count: 1 })
+  prisma.referralReward.findUnique.mockResolvedValue({ ...HELD, status: 'CANCELLED' })
+
+  const result = await review('reject')
+
+  expect(result).toMatchObject({ success: true, reward: { status: 'CANCELLED' } })
+  expect(prisma.referralReward.updateMany).toHaveBeenCalledWith({
+    where: { id: 'rw-1', status: 'PENDING' },
+    data: expect.objectContaining({ status: 'CANCELLED' })
+  })
+})
+
+test('reject loses to an approval that already claimed the reward', async () => {
+  prisma.referralReward.updateMany.mockResolvedValue({ count: 0 })
+
+  expect(await review('reject')).toEqual({ success: false, error: 'Reward was decided by another review', conflict: true })
+  expect(prisma.referralReward.update).not.toHaveBeenCalled()
+})
+
+test('approve issues the reward after recording the review', async () => {
+  prisma.referralReward.updateMany.mockResolvedValue({ count: 1 })
+  issueHeldReferralReward.mockResolvedValue({ success: true })
+
+  await review('approve')
+
+  expect(issueHeldReferralReward).toHaveBeenCalledWith('rw-1')
+})
+
+test('approve loses to a rejection that already cancelled the reward', async () => {
+  prisma.referralReward.updateMany.mockResolvedValue({ count: 0 })
+
+  expect(await review('approve')).toMatchObject({ success: false, conflict: true })
+  expect(issueHeldReferralReward).not.toHaveBeenCalled()
+})
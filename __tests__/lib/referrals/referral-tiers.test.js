@@ -0,0 +1,48 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+
+const prisma = require('../../../lib/prisma-client')
+const { getDueMilestones } = require('../../../lib/referrals/referral-tiers')
+
+const PROGRAM = {
+  is_active: true,
+  milestones_json: [{ referrals: 3, bonus_cents: 2000 }, { referrals: 10, bonus_cents: 5000 }, { referrals: 20, bonus_cents: 10000 }]
+}
+const REFERRER = { organizationId: 'org-1', referrerCustomerId: 'C1' }
+
+describe('getDueMilestones', () => {
+  beforeEach(() => {
+    prisma.$queryRaw.mockResolvedValue([{ count: 12 }])
+  })
+
+  test('returns reached milestones with no reward row yet', async () => {
+    prisma.referralReward.findMany.mockResolvedValue([])
+
+    const due = await getDueMilestones(PROGRAM, REFERRER)
+
+    expect(due).toEqual([
+      { referrals: 3, bonus_cents: 2000, reward_type: 'milestone_3', referral_count: 12, retryRewardId: null },
+      { referrals: 10, bonus_cents: 5000, reward_type: 'milestone_10', referral_count: 12, retryRewardId: null }
+    ])
+  })
+
+  test('returns a FAILED milestone again with the row to retry', async () => {
+    prisma.referralReward.findMany.mockResolvedValue([
+      { id: 'rw-3', reward_type: 'milestone_3', status: 'PAID' },
+      { id: 'rw-10', reward_type: 'milestone_10', status: 'FAILED' }
+    ])
+
+    const due = await getDueMilestones(PROGRAM, REFERRER)
+
+    expect(due).toEqual([expect.objectContaining({ reward_type: 'milestone_10', retryRewardId: 'rw-10' })])
+  })
+
+  test('leaves a milestone that is being issued alone', async () => {
+    prisma.referralReward.findMany.mockResolvedValue([
+      { id: 'rw-3', reward_type: 'milestone_3', status: 'PAID' },
+      { id: 'rw-10', reward_type: 'milestone_10', status: 'PENDING' }
+    ])
+
+    expect(await getDueMilestones(PROGRAM, REFERRER)).toEqual([])
+  })
+})
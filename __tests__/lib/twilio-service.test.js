@@ -0,0 +1,71 @@
+process.env.TWILIO_ACCOUNT_SID = 'AC_test'
+process.env.TWILIO_AUTH_TOKEN = 'token'
+process.env.TWILIO_PHONE_NUMBER = '+15550000000'
+delete process.env.DISABLE_SMS_SENDING
+delete process.env.SMS_ENABLED
+
+const mockCreate = jest.fn()
+jest.mock('twilio', () => jest.fn(() => ({ messages: { create: mockCreate } })))
+jest.mock('@prisma/client', () => require('../support/prisma-mock').prismaClientModule())
+jest.mock('../../lib/prisma-client', () => require('../support/prisma-mock').createPrismaMock())
+jest.mock('../../lib/observability/tracing', () => ({ withSpan: (_name, _attrs, fn) => fn({ setAttributes() {} }) }))
+jest.mock('../../lib/messaging/sms-consent', () => ({
+  TWILIO_UNSUBSCRIBED_ERROR_CODE: 21610,
+  isSmsOptedOut: jest.fn().mockResolvedValue(false),
+  recordTwilioUnsubscribed: jest.fn()
+}))
+jest.mock('../../lib/email-service-simple', () => ({ trackNotification: jest.fn() }))
+
+const prisma = require('../../lib/prisma-client')
+const { trackNotification } = require('../../lib/email-service-simple')
+const { sendReferralCodeSms } = require('../../lib/twilio-service')
+
+const STORED = { id: 'tpl-7', version: 7, ab_weight: 100, body: 'Stored invite for [Name]: [referral_url]' }
+const INVITE = { to: '+1 (555) 555-0123', name: 'Ana', referralUrl: 'https://example.com/r/ANA1', customerId: 'C1', organizationId: 'org-1' }
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  mockCreate.mockResolvedValue({ sid: 'SM1' })
+  prisma.messageTemplate.findMany.mockResolvedValue([STORED])
+})
+
+describe('sendReferralCodeSms', () => {
+  test('an explicit body wins over the stored template', async () => {
+    const result = await sendReferralCodeSms({ ...INVITE, body: 'Custom for [Name]: [referral_url]' })
+
+    expect(mockCreate.mock.calls[0][0].body).toMatch(/^Custom for Ana: https:\/\/example.com\/r\/ANA1/)
+    expect(prisma.messageTemplate.findMany).not.toHaveBeenCalled()
+    expect(result).not.toHaveProperty('messageTemplateId')
+  })
+
+  test('the stored template replaces the default copy and the send records its version', async () => {
+    const result = await sendReferralCodeSms({ ...INVITE, defaultBody: 'Program copy [referral_url]' })
+
+    expect(mockCreate.mock.calls[0][0].body).toMatch(/^Stored invite for Ana: https:\/\/example.com\/r\/ANA1/)
+    expect(result).toMatchObject({ success: true, sid: 'SM1', messageTemplateId: 'tpl-7', messageTemplateVersion: 7 })
+    expect(trackNotification).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'SMS',
+      templateType: 'REFERRAL_INVITE',
+      status: 'sent',
+      externalId: 'SM1',
+      organizationId: 'org-1',
+      metadata: expect.objectContaining({ messageTemplateId: 'tpl-7', messageTemplateVersion: 7 })
+    }))
+  })
+
+  test('without a stored template the default copy is sent', async () => {
+    prisma.messageTemplate.findMany.mockResolvedValue([])
+
+    await sendReferralCodeSms({ ...INVITE, defaultBody: 'Program copy [referral_url]' })
+
+    expect(mockCreate.mock.calls[0][0].body).toMatch(/^Program copy https:\/\/example.com\/r\/ANA1/)
+  })
+
+  test('dispatcher sends are not tracked twice', async () => {
+    await sendReferralCodeSms({ ...INVITE, track: false })
+
+    expect(mockCreate).toHaveBeenCalled()
+    expect(trackNotification).not.toHaveBeenCalled()
+  })
+})
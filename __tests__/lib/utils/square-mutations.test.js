@@ -0,0 +1,111 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+
+const { startFakeSquareServer } = require('../../../lib/testing/fake-square-server')
+const { createSquareMutations, isRetryable } = require('../../../lib/utils/square-mutations')
+const { createPrismaMock } = require('../../support/prisma-mock')
+
+function squareError(statusCode) {
+  return Object.assign(new Error(`Square ${statusCode}`), { statusCode, errors: [{ code: 'X' }] })
+}
+
+describe('isRetryable', () => {
+  test('retries rate limits and server errors only', () => {
+    expect(isRetryable(squareError(429))).toBe(true)
+    expect(isRetryable(squareError(500))).toBe(true)
+    expect(isRetryable(squareError(503))).toBe(true)
+    expect(isRetryable(squareError(400))).toBe(false)
+    expect(isRetryable(squareError(404))).toBe(false)
+  })
+
+  test('retries network failures', () => {
+    expect(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true)
+    expect(isRetryable(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true)
+    expect(isRetryable(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } }))).toBe(true)
+  })
+
+  test('does not retry errors that never reached Square', () => {
+    expect(isRetryable(new Error('boom'))).toBe(false)
+    expect(isRetryable(new TypeError("Cannot read properties of undefined (reading 'id')"))).toBe(false)
+    expect(isRetryable(undefined)).toBe(false)
+  })
+})
+
+describe('createSquareMutations', () => {
+  function clientWith(createGiftCard) {
+    return { giftCardsApi: { createGiftCard } }
+  }
+
+  test('a programming error fails on the first attempt', async () => {
+    const createGiftCard = jest.fn().mockRejectedValue(new TypeError('x is not a function'))
+    const mutations = createSquareMutations({ client: clientWith(createGiftCard), db: null, baseDelayMs: 0 })
+
+    await expect(mutations.createGiftCard({ locationId: 'L1' }, { idempotencySeed: 'run-1' })).rejects.toThrow('x is not a function')
+    expect(createGiftCard).toHaveBeenCalledTimes(1)
+  })
+
+  test('a 503 is retried under the same idempotency key', async () => {
+    const createGiftCard = jest.fn()
+      .mockRejectedValueOnce(squareError(503))
+      .mockResolvedValueOnce({ statusCode: 200, result: { giftCard: { id: 'gftc:1' } } })
+    const mutations = createSquareMutations({ client: clientWith(createGiftCard), db: null, baseDelayMs: 0 })
+
+    const response = await mutations.createGiftCard({ locationId: 'L1' }, { idempotencySeed: 'run-1' })
+
+    expect(response.result.giftCard.id).toBe('gftc:1')
+    expect(createGiftCard).toHaveBeenCalledTimes(2)
+    const [first, second] = createGiftCard.mock.calls.map(([body]) => body.idempotencyKey)
+    expect(first).toBe(second)
+  })
+
+  test('a 400 is not retried', async () => {
+    const createGiftCard = jest.fn().mockRejectedValue(squareError(400))
+    const mutations = createSquareMutations({ client: clientWith(createGiftCard), db: null, baseDelayMs: 0 })
+
+    await expect(mutations.createGiftCard({}, { idempotencySeed: 'run-1' })).rejects.toMatchObject({ statusCode: 400 })
+    expect(createGiftCard).toHaveBeenCalledTimes(1)
+  })
+
+  test('changing a custom attribute back to an earlier value sends a new key', async () => {
+    const upsert = jest.fn().mockResolvedValue({ statusCode: 200, result: {} })
+    const client = { customerCustomAttributesApi: { upsertCustomerCustomAttribute: upsert } }
+    const mutations = createSquareMutations({ client, db: null, baseDelayMs: 0 })
+
+    await mutations.upsertCustomerCustomAttribute('C1', 'referral_code', { value: 'A' })
+    await mutations.upsertCustomerCustomAttribute('C1', 'referral_code', { value: 'A' })
+    await mutations.upsertCustomerCustomAttribute('C1', 'referral_code', { value: 'B', version: 1 })
+    await mutations.upsertCustomerCustomAttribute('C1', 'referral_code', { value: 'A', version: 2 })
+
+    const keys = upsert.mock.calls.map(([, , body]) => body.idempotencyKey)
+    expect(keys[0]).toBe(keys[1])
+    expect(new Set([keys[0], keys[2], keys[3]]).size).toBe(3)
+  })
+})
+
+describe('against the fake Square server', () => {
+  let fake
+
+  beforeAll(async () => {
+    fake = await startFakeSquareServer()
+    fake.useAsSquareApi()
+  })
+
+  afterAll(() => fake.stop())
+
+  test('rate limits are retried and recorded, and a replay returns the same card', async () => {
+    const db = createPrismaMock()
+    const mutations = createSquareMutations({ db, baseDelayMs: 1 })
+    fake.failNext({ method: 'POST', path: '/v2/gift-cards', status: 429, times: 2 })
+
+    const request = { locationId: 'FAKE_LOCATION', giftCard: { type: 'DIGITAL' } }
+    const first = await mutations.createGiftCard(request, { idempotencySeed: 'reward-1', organizationId: 'org-1' })
+    const replay = await mutations.createGiftCard(request, { idempotencySeed: 'reward-1', organizationId: 'org-1' })
+
+    expect(replay.result.giftCard.id).toBe(first.result.giftCard.id)
+    expect(fake.state.giftCards.size).toBe(1)
+    expect(fake.requests.filter((r) => r.path === '/v2/gift-cards')).toHaveLength(4)
+    expect(db.squareMutation.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'succeeded', attempts: 3 })
+    }))
+  })
+})
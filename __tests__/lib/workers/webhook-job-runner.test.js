@@ -0,0 +1,63 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/workflows/webhook-job-queue', () => ({
+  lockNextWebhookJob: jest.fn(),
+  completeWebhookJob: jest.fn(),
+  failWebhookJob: jest.fn(),
+  isStaleWebhookJob: jest.fn().mockResolvedValue(false),
+  skipWebhookJob: jest.fn(),
+  renewWebhookJobLock: jest.fn().mockResolvedValue(true)
+}))
+jest.mock('../../../app/api/webhooks/square/webhook-processors.js', () => ({
+  processCustomerUpdated: jest.fn().mockResolvedValue()
+}))
+
+const queue = require('../../../lib/workflows/webhook-job-queue')
+const processors = require('../../../app/api/webhooks/square/webhook-processors.js')
+const { runWebhookJobOnce } = require('../../../lib/workers/webhook-job-runner')
+
+const JOB = {
+  id: 'job-1',
+  organizationId: 'org-1',
+  eventType: 'customer.updated',
+  eventId: 'evt-1',
+  payload: { object: { customer: { id: 'C1' } } },
+  attempts: 0
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+  queue.lockNextWebhookJob.mockResolvedValue(JOB)
+})
+
+test('completes the job under the worker that locked it', async () => {
+  queue.completeWebhookJob.mockResolvedValue(true)
+
+  const result = await runWebhookJobOnce({ workerId: 'worker-a' })
+
+  expect(queue.lockNextWebhookJob).toHaveBeenCalledWith(expect.anything(), 'worker-a')
+  expect(processors.processCustomerUpdated).toHaveBeenCalledWith(JOB.payload, 'evt-1', undefined, 'org-1')
+  expect(queue.completeWebhookJob).toHaveBeenCalledWith(expect.anything(), 'job-1', 'worker-a')
+  expect(result).toMatchObject({ processed: true, lockLost: false, jobId: 'job-1' })
+})
+
+test('reports a lock lost while the job ran', async () => {
+  queue.completeWebhookJob.mockResolvedValue(false)
+
+  const result = await runWebhookJobOnce({ workerId: 'worker-a' })
+
+  expect(result).toMatchObject({ processed: true, lockLost: true })
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Lost the lock on job-1'))
+})
+
+test('fails the job under the worker that locked it and rethrows', async () => {
+  const error = new Error('processor blew up')
+  processors.processCustomerUpdated.mockRejectedValueOnce(error)
+  queue.failWebhookJob.mockResolvedValue(true)
+
+  await expect(runWebhookJobOnce({ workerId: 'worker-a' })).rejects.toThrow('processor blew up')
+  expect(queue.failWebhookJob).toHaveBeenCalledWith(expect.anything(), 'job-1', error, { workerId: 'worker-a' })
+  expect(queue.completeWebhookJob).not.toHaveBeenCalled()
+})
@@ -0,0 +1,54 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+jest.mock('../../../lib/workflows/application-log-queue', () => ({ saveApplicationLog: jest.fn() }))
+
+const { replayDeadLetterJob, replayDeadLetterJobs } = require('../../../lib/workflows/dead-letter-queue')
+const { createPrismaMock, rawText } = require('../../support/prisma-mock')
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+test('bulk replay wakes a worker for every replayed job', async () => {
+  const db = createPrismaMock()
+  db.$queryRaw.mockResolvedValueOnce([{ id: 'job-1' }, { id: 'job-2' }, { id: 'job-3' }])
+
+  const result = await replayDeadLetterJobs(db, { queue: 'giftcard', organizationId: 'org-1', filter: { kind: 'send_notification' }, userId: 'user-1' })
+
+  expect(result).toMatchObject({ success: true, replayed: 3 })
+  const notified = db.$queryRaw.mock.calls.slice(1).map((call) => call.slice(1))
+  expect(notified).toEqual([
+    ['giftcard_jobs', 'job-1'],
+    ['giftcard_jobs', 'job-2'],
+    ['giftcard_jobs', 'job-3']
+  ])
+})
+
+describe('gift card job without an organization in its context', () => {
+  // organizationId as the dead-letter query resolves it from the payload's location
+  const DEAD_JOB = { id: 'job-9', organizationId: 'org-1', kind: 'send_notification', status: 'error', payload: { locationId: 'LOC_B' } }
+
+  function deadLetterDb() {
+    const db = createPrismaMock()
+    db.$queryRaw.mockImplementation((strings) => Promise.resolve(rawText([strings]).includes('"payload",') ? [DEAD_JOB] : []))
+    db.$executeRaw.mockResolvedValue(1)
+    return db
+  }
+
+  test('can be replayed by the organization it resolves to', async () => {
+    const db = deadLetterDb()
+
+    const result = await replayDeadLetterJob(db, { queue: 'giftcard', organizationId: 'org-1', id: 'job-9', userId: 'user-1' })
+
+    expect(result).toMatchObject({ success: true, job: { id: 'job-9', queue: 'giftcard', organizationId: 'org-1' } })
+    expect(db.$executeRaw).toHaveBeenCalledTimes(1)
+  })
+
+  test('stays hidden from other organizations', async () => {
+    const db = deadLetterDb()
+
+    expect(await replayDeadLetterJob(db, { queue: 'giftcard', organizationId: 'org-2', id: 'job-9', userId: 'user-2' }))
+      .toEqual({ success: false, error: 'Job not found' })
+    expect(db.$executeRaw).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,154 @@
+jest.mock('@prisma/client', () => require('../../support/prisma-mock').prismaClientModule())
+jest.mock('../../../lib/prisma-client', () => require('../../support/prisma-mock').createPrismaMock())
+
+const {
+  lockNextWebhookJob,
+  completeWebhookJob,
+  failWebhookJob,
+  skipWebhookJob
+} = require('../../../lib/workflows/webhook-job-queue')
+const { createPrismaMock, rawText } = require('../../support/prisma-mock')
+
+const CANDIDATE = {
+  id: 'job-1',
+  organization_id: 'org-1',
+  event_type: 'customer.updated',
+  event_id: 'evt-1',
+  event_created_at: new Date('2026-10-01T10:00:00Z'),
+  payload: { object: { customer: { id: 'C1' } } },
+  attempts: 0,
+  max_attempts: 5,
+  entity_key: 'customer:C1',
+  entity_version: 3
+}
+
+// Routes $queryRaw by the SQL it runs
+function queueDb({ candidates = [CANDIDATE], advisoryLocked = true, inFlight = [], attemptsRow = [{ attempts: 0, max_attempts: 5 }] } = {}) {
+  const db = createPrismaMock()
+  db.$queryRaw.mockImplementation((strings) => {
+    const text = rawText([strings])
+    if (text.includes('WHERE 1 = 0')) return Promise.resolve([])
+    if (text.includes('pg_try_advisory_xact_lock')) return Promise.resolve([{ locked: advisoryLocked }])
+    if (text.includes('FOR UPDATE OF j SKIP LOCKED')) return Promise.resolve(candidates)
+    if (text.includes('SELECT 1 FROM "webhook_jobs"')) return Promise.resolve(inFlight)
+    if (text.includes('SELECT "attempts", "max_attempts"')) return Promise.resolve(attemptsRow)
+    return Promise.resolve([])
+  })
+  db.$executeRaw.mockResolvedValue(1)
+  return db
+}
+
+describe('lockNextWebhookJob', () => {
+  test('claims the candidate for the worker', async () => {
+    const db = queueDb()
+
+    const job = await lockNextWebhookJob(db, 'worker-a')
+
+    expect(job).toMatchObject({ id: 'job-1', eventType: 'customer.updated', entityKey: 'customer:C1', entityVersion: 3 })
+    const [claim] = db.$executeRaw.mock.calls
+    expect(rawText(claim)).toContain('"status" = \'processing\'')
+    expect(rawText(claim)).toContain('"lock_owner" =')
+    expect(claim.slice(1)).toContain('worker-a')
+  })
+
+  test('leaves a candidate whose entity another worker holds', async () => {
+    expect(await lockNextWebhookJob(queueDb({ advisoryLocked: false }), 'worker-a')).toBeNull()
+    expect(await lockNextWebhookJob(queueDb({ inFlight: [{ '?column?': 1 }] }), 'worker-a')).toBeNull()
+  })
+
+  test('counts the attempt when it locks a job', async () => {
+    const db = queueDb()
+
+    const job = await lockNextWebhookJob(db, 'worker-a')
+
+    expect(job.attempts).toBe(1)
+    expect(rawText(db.$executeRaw.mock.calls[0])).toContain('"attempts" = "attempts" + 1')
+  })
+
+  test('reclaims an abandoned job as another attempt', async () => {
+    const db = queueDb({ candidates: [{ ...CANDIDATE, status: 'processing', attempts: 2 }] })
+
+    const job = await lockNextWebhookJob(db, 'worker-b')
+
+    expect(job).toMatchObject({ id: 'job-1', attempts: 3 })
+    const [claim] = db.$executeRaw.mock.calls
+    expect(rawText(claim)).toContain('"attempts" = "attempts" + 1')
+    expect(claim.slice(1)).toContain('worker-b')
+  })
+
+  test('dead-letters a job abandoned on every attempt instead of running it again', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const poison = { ...CANDIDATE, id: 'job-poison', status: 'processing', attempts: 5 }
+    const db = queueDb({ candidates: [poison, { ...CANDIDATE, id: 'job-2', entity_key: 'customer:C2' }] })
+
+    const job = await lockNextWebhookJob(db, 'worker-b')
+
+    expect(job.id).toBe('job-2')
+    const [deadLetter, claim] = db.$executeRaw.mock.calls
+    expect(rawText(deadLetter)).toContain('"status" = \'error\'')
+    expect(rawText(deadLetter)).toContain('"dead_lettered_at" =')
+    expect(deadLetter).toContain('job-poison')
+    expect(claim).toContain('job-2')
+  })
+
+  test('returns null when nothing is due', async () => {
+    const db = queueDb({ candidates: [] })
+
+    expect(await lockNextWebhookJob(db, 'worker-a')).toBeNull()
+    expect(db.$executeRaw).not.toHaveBeenCalled()
+  })
+})
+
+describe('releasing a job', () => {
+  test('completeWebhookJob only completes a job the worker still holds', async () => {
+    const db = queueDb()
+
+    expect(await completeWebhookJob(db, 'job-1', 'worker-a')).toBe(true)
+    const [update] = db.$executeRaw.mock.calls
+    expect(rawText(update)).toMatch(/"status" = 'processing'\s+AND "lock_owner" = \?/)
+    expect(update.slice(1)).toEqual(['job-1', 'worker-a'])
+  })
+
+  test('completeWebhookJob reports a lock reclaimed by another worker', async () => {
+    const db = queueDb()
+    db.$executeRaw.mockResolvedValue(0)
+
+    expect(await completeWebhookJob(db, 'job-1', 'worker-a')).toBe(false)
+  })
+
+  test('failWebhookJob dead-letters once the locked attempts reach max_attempts', async () => {
+    const db = queueDb({ attemptsRow: [{ attempts: 5, max_attempts: 5 }] })
+
+    expect(await failWebhookJob(db, 'job-1', new Error('Square 503'), { workerId: 'worker-a' })).toBe(true)
+    expect(rawText(db.$executeRaw.mock.calls[0])).toContain('"status" = \'error\'')
+  })
+
+  test('failWebhookJob reschedules a held job with backoff', async () => {
+    const db = queueDb()
+
+    expect(await failWebhookJob(db, 'job-1', new Error('Square 503'), { workerId: 'worker-a' })).toBe(true)
+    const [update] = db.$executeRaw.mock.calls
+    expect(rawText(update)).toContain('"status" = \'queued\'')
+    expect(update).toContain('worker-a')
+  })
+
+  test('failWebhookJob leaves a reclaimed job alone', async () => {
+    const db = queueDb({ attemptsRow: [] })
+
+    expect(await failWebhookJob(db, 'job-1', new Error('late'), { workerId: 'worker-a' })).toBe(false)
+    expect(db.$executeRaw).not.toHaveBeenCalled()
+  })
+
+  test('skipWebhookJob checks the lock too', async () => {
+    const db = queueDb()
+    db.$executeRaw.mockResolvedValue(0)
+
+    expect(await skipWebhookJob(db, 'job-1', 'stale version 2', 'worker-a')).toBe(false)
+    expect(rawText(db.$executeRaw.mock.calls[0])).toContain('"lock_owner" =')
+  })
+
+  test('a worker id is required', async () => {
+    await expect(completeWebhookJob(queueDb(), 'job-1')).rejects.toThrow('workerId is required')
+    await expect(failWebhookJob(queueDb(), 'job-1', new Error('x'))).rejects.toThrow('workerId is required')
+  })
+})
@@ -0,0 +1,51 @@
+/**
+ * Babel plugin for Jest only (Next builds with SWC and never loads it).
+ *
+ * App routes are ESM that pull CommonJS libs in with
+ * `const require = createRequire(import.meta.url)`. Jest runs every module as
+ * CommonJS, where `import.meta` is a syntax error and `require` is already a
+ * parameter of the module wrapper, so:
+ *   - `import.meta.url` becomes the file URL of __filename
+ *   - top-level `const require = createRequire(...)` is dropped (the wrapper's
+ *     require resolves relative to the same file)
+ */
+module.exports = function babelImportMeta({ types: t }) {
+  return {
+    name: 'jest-import-meta',
+    visitor: {
+      MetaProperty(path) {
+        const { meta, property } = path.node
+        if (meta.name !== 'import' || property.name !== 'meta') return
+
+        const parent = path.parentPath
+        if (parent.isMemberExpression() && !parent.node.computed && parent.node.property.name === 'url') {
+          parent.replaceWith(t.memberExpression(
+            t.callExpression(
+              t.memberExpression(
+                t.callExpression(t.identifier('require'), [t.stringLiteral('url')]),
+                t.identifier('pathToFileURL')
+              ),
+              [t.identifier('__filename')]
+            ),
+            t.identifier('href')
+          ))
+          return
+        }
+
+        path.replaceWith(t.objectExpression([]))
+      },
+
+      VariableDeclaration(path) {
+        if (!path.parentPath.isProgram()) return
+        const declarations = path.node.declarations.filter((declaration) => !(
+          t.isIdentifier(declaration.id, { name: 'require' }) &&
+          t.isCallExpression(declaration.init) &&
+          t.isIdentifier(declaration.init.callee, { name: 'createRequire' })
+        ))
+        if (declarations.length === path.node.declarations.length) return
+        if (declarations.length === 0) path.remove()
+        else path.node.declarations = declarations
+      }
+    }
+  }
+}
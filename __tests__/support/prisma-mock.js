@@ -0,0 +1,62 @@
+/**
+ * Prisma stand-ins for unit tests, so they run without `prisma generate` or a database.
+ *
+ *   jest.mock('@prisma/client', () => require('../support/prisma-mock').prismaClientModule())
+ *   jest.mock('../../lib/prisma-client', () => require('../support/prisma-mock').createPrismaMock())
+ *
+ * Every model method (prisma.giftCard.findFirst, ...) and the raw helpers are
+ * jest.fn()s created on first access; set results with mockResolvedValue.
+ */
+
+// Properties the module system, Jest or await probe for; they must not look like models
+const NOT_A_MODEL = new Set(['then', 'default', 'constructor', 'toJSON', 'asymmetricMatch', 'nodeType', 'tagName'])
+
+function lazyObject(create) {
+  return new Proxy({}, {
+    get(target, prop) {
+      if (typeof prop !== 'string' || !/^[a-z]/.test(prop) || NOT_A_MODEL.has(prop)) return target[prop]
+      if (!(prop in target)) target[prop] = create(prop)
+      return target[prop]
+    }
+  })
+}
+
+function createPrismaMock() {
+  const client = lazyObject(() => lazyObject(() => jest.fn()))
+  client.$queryRaw = jest.fn().mockResolvedValue([])
+  client.$queryRawUnsafe = jest.fn().mockResolvedValue([])
+  client.$executeRaw = jest.fn().mockResolvedValue(0)
+  client.$executeRawUnsafe = jest.fn().mockResolvedValue(0)
+  client.$disconnect = jest.fn().mockResolvedValue()
+  // Interactive transactions run against the same mock
+  client.$transaction = jest.fn((arg) => (typeof arg === 'function' ? arg(client) : Promise.all(arg)))
+  return client
+}
+
+/** Tagged-template stand-in for Prisma.sql that keeps the text and values inspectable */
+function sql(strings, ...values) {
+  return { text: strings.join('?'), strings: [...strings], values }
+}
+
+/** Joins raw SQL text from a $queryRaw/$executeRaw mock call, e.g. rawText(prisma.$executeRaw.mock.calls[0]) */
+function rawText([strings]) {
+  return Array.isArray(strings) ? strings.join('?') : String(strings)
+}
+
+function prismaClientModule() {
+  return {
+    Prisma: {
+      sql,
+      raw: (text) => ({ text, strings: [text], values: [] }),
+      join: (items, separator = ', ') => ({ items, separator }),
+      empty: { text: '', strings: [''], values: [] }
+    },
+    PrismaClient: jest.fn(() => createPrismaMock())
+  }
+}
+
+module.exports = {
+  createPrismaMock,
+  prismaClientModule,
+  rawText
+}
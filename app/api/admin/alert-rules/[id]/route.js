@@ -0,0 +1,72 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { validateAlertRule } from '../../../../../lib/alerts/alert-rules'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * PATCH /api/admin/alert-rules/[id]
+ * Body: { name?, params?, channels?, is_enabled?, repeat_minutes? }
+ * Omitted fields keep their current value; rule_type can't be changed.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const rule = await db.alertRule.findUnique({ where: { id } })
+    if (!rule) return json({ error: 'Alert rule not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, rule.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const pick = (field) => (body[field] !== undefined ? body[field] : rule[field])
+    const next = {
+      name: pick('name'),
+      params: pick('params'),
+      channels: pick('channels'),
+      is_enabled: pick('is_enabled'),
+      repeat_minutes: pick('repeat_minutes')
+    }
+
+    if (!next.name?.trim()) return json({ error: 'name is required' }, 400)
+    const ruleError = validateAlertRule({ rule_type: rule.rule_type, ...next })
+    if (ruleError) return json({ error: ruleError }, 400)
+
+    const updated = await db.alertRule.update({
+      where: { id },
+      data: { ...next, name: next.name.trim(), is_enabled: !!next.is_enabled }
+    })
+    console.log(`[ALERT-RULES] ✅ Rule ${id} updated by ${access.user.id}`)
+    return json({ rule: updated })
+  } catch (error) {
+    console.error('[ALERT-RULES] PATCH error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * DELETE /api/admin/alert-rules/[id]
+ * Removes the rule and its incident history.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params
+    const rule = await db.alertRule.findUnique({ where: { id } })
+    if (!rule) return json({ error: 'Alert rule not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, rule.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    await db.alertRule.delete({ where: { id } })
+    console.log(`[ALERT-RULES] 🗑️ Rule ${id} deleted by ${access.user.id}`)
+    return json({ success: true })
+  } catch (error) {
+    console.error('[ALERT-RULES] DELETE error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,93 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { validateAlertRule } from '../../../../lib/alerts/alert-rules'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/alert-rules?organization_id=xxx
+ * The org's alert rules plus open incidents and the 50 most recent events.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const [rules, events] = await Promise.all([
+      db.alertRule.findMany({
+        where: { organization_id: organizationId },
+        orderBy: { created_at: 'asc' }
+      }),
+      db.alertEvent.findMany({
+        where: { organization_id: organizationId },
+        orderBy: { first_fired_at: 'desc' },
+        take: 50
+      })
+    ])
+    return json({
+      rules,
+      firing: events.filter((event) => event.status === 'FIRING'),
+      events
+    })
+  } catch (error) {
+    console.error('[ALERT-RULES] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/alert-rules
+ * Body: { organization_id, name, rule_type, params?, channels: [{ type, to }], is_enabled?, repeat_minutes? }
+ * rule_type: webhook_queue_lag | giftcard_job_errors | no_bookings | revenue_drop
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  if (!body.name?.trim()) return json({ error: 'name is required' }, 400)
+  const ruleError = validateAlertRule({
+    rule_type: body.rule_type,
+    params: body.params ?? {},
+    channels: body.channels,
+    repeat_minutes: body.repeat_minutes
+  })
+  if (ruleError) return json({ error: ruleError }, 400)
+
+  try {
+    const rule = await db.alertRule.create({
+      data: {
+        organization_id,
+        name: body.name.trim(),
+        rule_type: body.rule_type,
+        params: body.params ?? {},
+        channels: body.channels,
+        is_enabled: body.is_enabled !== false,
+        repeat_minutes: body.repeat_minutes ?? null,
+        created_by: access.user.id
+      }
+    })
+    console.log(`[ALERT-RULES] ✅ Rule ${rule.id} (${rule.rule_type}) created by ${access.user.id}`)
+    return json({ rule }, 201)
+  } catch (error) {
+    console.error('[ALERT-RULES] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
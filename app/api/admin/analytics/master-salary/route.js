@@ -4,7 +4,7 @@
  * GET /api/admin/analytics/master-salary?organizationId=xxx&period=2026-03&locationId=yyy
  *
  * Returns per-master salary breakdown for a given month:
- * - commission, tips, discount adjustments, fix transfers, manual adjustments, reversals
+ * - commission (services + retail), tips, discount adjustments, fix transfers, manual adjustments, reversals
  * - paid hours (from master_weekly_schedule), sales per hour, utilization
  * - booking count, fix count
  */
@@ -87,6 +87,7 @@ export async function GET(request) {
       SELECT
         mel.team_member_id,
         SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'SERVICE_COMMISSION') AS commission_cents,
+        SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'PRODUCT_COMMISSION') AS product_commission_cents,
         SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'DISCOUNT_ADJUSTMENT') AS discount_cents,
         SUM(mel.amount_amount) FILTER (WHERE mel.entry_type IN ('FIX_PENALTY', 'FIX_COMPENSATION')) AS fix_cents,
         SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'MANUAL_ADJUSTMENT') AS manual_cents,
@@ -216,13 +217,14 @@ export async function GET(request) {
 
       // Commission & deductions from LEDGER
       const commissionCents = Number(e.commission_cents || 0)
+      const productCommissionCents = Number(e.product_commission_cents || 0)
       const discountCents = Number(e.discount_cents || 0)
       const fixCents = Number(e.fix_cents || 0)
       const manualCents = Number(e.manual_cents || 0)
       const reversalCents = Number(e.reversal_cents || 0)
       const disputeHoldCents = Number(e.dispute_hold_cents || 0)
       const disputeReleaseCents = Number(e.dispute_release_cents || 0)
-      const netSalaryCents = commissionCents + discountCents + fixCents + manualCents + reversalCents + disputeHoldCents + disputeReleaseCents
+      const netSalaryCents = commissionCents + productCommissionCents + discountCents + fixCents + manualCents + reversalCents + disputeHoldCents + disputeReleaseCents
 
       const paidMinutes = Number(s?.total_scheduled_minutes || 0)
       const paidHours = paidMinutes / 60
@@ -236,6 +238,7 @@ export async function GET(request) {
         commission_rate: ms?.commission_rate || 0,
         gross_sales_cents: grossCents,
         commission_cents: commissionCents,
+        product_commission_cents: productCommissionCents,
         tips_cents: tipsCents,
         discount_adjustment_cents: discountCents,
         fix_transfer_cents: fixCents,
@@ -267,6 +270,7 @@ export async function GET(request) {
     const totals = {
       gross_sales_cents: masters.reduce((s, m) => s + m.gross_sales_cents, 0),
       commission_cents: masters.reduce((s, m) => s + m.commission_cents, 0),
+      product_commission_cents: masters.reduce((s, m) => s + m.product_commission_cents, 0),
       tips_cents: masters.reduce((s, m) => s + m.tips_cents, 0),
       discount_adjustment_cents: masters.reduce((s, m) => s + m.discount_adjustment_cents, 0),
       fix_transfer_cents: masters.reduce((s, m) => s + m.fix_transfer_cents, 0),
@@ -0,0 +1,61 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * PATCH /api/admin/commission-rules/[id]
+ * Body: { effective_to?: 'YYYY-MM-DD' | null, is_active?: boolean, name?: string }
+ * Only end-dating, (de)activation and renaming are allowed; rates are immutable
+ * so frozen booking snapshots always point at the rule that produced them.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const rule = await db.commissionRule.findUnique({ where: { id } })
+    if (!rule) return json({ error: 'Commission rule not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, rule.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const data = {}
+    if (body.effective_to !== undefined) {
+      if (body.effective_to === null) {
+        data.effective_to = null
+      } else {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(body.effective_to)) {
+          return json({ error: 'effective_to must be YYYY-MM-DD or null' }, 400)
+        }
+        const effectiveTo = new Date(`${body.effective_to}T00:00:00Z`)
+        if (effectiveTo <= rule.effective_from) {
+          return json({ error: 'effective_to must be after effective_from' }, 400)
+        }
+        data.effective_to = effectiveTo
+      }
+    }
+    if (body.is_active !== undefined) data.is_active = !!body.is_active
+    if (body.name !== undefined) {
+      if (!body.name?.trim()) return json({ error: 'name cannot be empty' }, 400)
+      data.name = body.name.trim()
+    }
+
+    const ignored = ['rate', 'tiers', 'team_member_id', 'category', 'square_variation_id', 'applies_to', 'effective_from']
+      .filter((field) => body[field] !== undefined)
+    if (ignored.length > 0) {
+      return json({ error: `${ignored.join(', ')} cannot be changed; end this rule and create a new one` }, 400)
+    }
+    if (Object.keys(data).length === 0) return json({ error: 'Nothing to update' }, 400)
+
+    const updated = await db.commissionRule.update({ where: { id }, data })
+    return json({ success: true, rule: updated })
+  } catch (error) {
+    console.error('[COMMISSION-RULES] PATCH error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
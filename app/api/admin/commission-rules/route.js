@@ -0,0 +1,142 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { validateTiers } from '../../../../lib/workers/commission-rules'
+
+export const dynamic = 'force-dynamic'
+
+const VALID_CATEGORIES = ['TOP_MASTER', 'MASTER', 'JUNIOR']
+const VALID_BASES = ['SERVICE', 'PRODUCT']
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/commission-rules?organization_id=xxx[&applies_to=SERVICE][&active_on=YYYY-MM-DD]
+ * Lists commission rules; active_on limits to rules in effect on that date.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const appliesTo = searchParams.get('applies_to')
+  const activeOn = searchParams.get('active_on')
+
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (activeOn && !DATE_RE.test(activeOn)) return json({ error: 'active_on must be YYYY-MM-DD' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const where = { organization_id: organizationId }
+    if (appliesTo) where.applies_to = appliesTo
+    if (activeOn) {
+      const day = new Date(`${activeOn}T00:00:00Z`)
+      where.is_active = true
+      where.effective_from = { lte: day }
+      where.OR = [{ effective_to: null }, { effective_to: { gt: day } }]
+    }
+
+    const rules = await db.commissionRule.findMany({
+      where,
+      orderBy: [{ applies_to: 'asc' }, { effective_from: 'desc' }, { priority: 'desc' }]
+    })
+    return json({ rules })
+  } catch (error) {
+    console.error('[COMMISSION-RULES] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/commission-rules
+ * Body: {
+ *   organization_id, name, applies_to?: SERVICE|PRODUCT,
+ *   team_member_id?, category?, square_variation_id?,
+ *   rate? | tiers?: [{ up_to_cents, rate }, ..., { up_to_cents: null, rate }],
+ *   priority?, effective_from: 'YYYY-MM-DD', effective_to?: 'YYYY-MM-DD'
+ * }
+ * Rules are not edited in place — to change a rate, end the old rule and add a new one.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const {
+    organization_id,
+    name,
+    applies_to = 'SERVICE',
+    team_member_id,
+    category,
+    square_variation_id,
+    rate,
+    tiers,
+    priority = 0,
+    effective_from,
+    effective_to
+  } = body
+
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  if (!name?.trim()) return json({ error: 'name is required' }, 400)
+  if (!VALID_BASES.includes(applies_to)) {
+    return json({ error: `Invalid applies_to. Must be one of: ${VALID_BASES.join(', ')}` }, 400)
+  }
+  if (category && !VALID_CATEGORIES.includes(category)) {
+    return json({ error: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` }, 400)
+  }
+  if ((rate == null) === (tiers == null)) {
+    return json({ error: 'Exactly one of rate or tiers is required' }, 400)
+  }
+  if (rate != null && (typeof rate !== 'number' || rate < 0 || rate > 100)) {
+    return json({ error: 'rate must be a number between 0 and 100' }, 400)
+  }
+  if (tiers != null) {
+    const tierError = validateTiers(tiers)
+    if (tierError) return json({ error: tierError }, 400)
+  }
+  if (!effective_from || !DATE_RE.test(effective_from)) {
+    return json({ error: 'effective_from (YYYY-MM-DD) is required' }, 400)
+  }
+  if (effective_to && (!DATE_RE.test(effective_to) || effective_to <= effective_from)) {
+    return json({ error: 'effective_to must be YYYY-MM-DD and after effective_from' }, 400)
+  }
+
+  try {
+    if (team_member_id) {
+      const exists = await db.teamMember.findFirst({ where: { id: team_member_id, organization_id } })
+      if (!exists) return json({ error: `team_member_id ${team_member_id} not found` }, 404)
+    }
+
+    const rule = await db.commissionRule.create({
+      data: {
+        organization_id,
+        name: name.trim(),
+        applies_to,
+        team_member_id: team_member_id || null,
+        category: category || null,
+        square_variation_id: square_variation_id || null,
+        rate: rate ?? null,
+        tiers_json: tiers ?? undefined,
+        priority,
+        effective_from: new Date(`${effective_from}T00:00:00Z`),
+        effective_to: effective_to ? new Date(`${effective_to}T00:00:00Z`) : null,
+        created_by: access.user.id
+      }
+    })
+
+    console.log(`[COMMISSION-RULES] ✅ Created rule "${rule.name}" (${rule.applies_to}) for org ${organization_id}`)
+    return json({ success: true, rule }, 201)
+  } catch (error) {
+    console.error('[COMMISSION-RULES] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,48 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import { getCustomerPackages } from '../../../../lib/workers/customer-package-service'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/customer-packages?organization_id=xxx&customer_id=SQUARE_CUSTOMER_ID[&status=ACTIVE]
+ * Lists a customer's packages with usage history (booking per usage, reversed usages included).
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const customerId = searchParams.get('customer_id')
+  const status = searchParams.get('status')
+
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (!customerId) return json({ error: 'customer_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const packages = await getCustomerPackages(organizationId, customerId, {
+      status: status || undefined
+    })
+
+    const summary = {
+      total_packages: packages.length,
+      active_packages: packages.filter((p) => p.status === 'ACTIVE').length,
+      units_remaining: packages
+        .filter((p) => p.status === 'ACTIVE')
+        .reduce((sum, p) => sum + p.units_remaining, 0),
+      units_used: packages.reduce(
+        (sum, p) => sum + p.usages.filter((u) => !u.reversed_at).length,
+        0
+      )
+    }
+
+    return json({ customer_id: customerId, summary, packages })
+  } catch (error) {
+    console.error('[CUSTOMER-PACKAGES] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,44 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import { setNotificationChannelPreference } from '../../../../../../lib/messaging/notification-dispatcher'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/customers/[customerId]/notification-channel
+ * Body: { organization_id, channel: 'EMAIL' | 'SMS' | null }
+ * Sets the channel the notification dispatcher tries first for this customer;
+ * null clears it so the default order applies.
+ */
+export async function POST(request, { params }) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { customerId } = await params
+  const { organization_id, channel = null } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+  if (channel !== null && !['EMAIL', 'SMS'].includes(channel)) {
+    return json({ error: 'channel must be EMAIL, SMS or null' }, 400)
+  }
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const updated = await setNotificationChannelPreference({ organizationId: organization_id, customerId, channel })
+    if (!updated) return json({ error: 'Customer not found' }, 404)
+
+    console.log(`[NOTIFICATION-CHANNEL] ✅ ${customerId} prefers ${channel || 'default order'} (by ${access.user.id})`)
+    return json({ success: true, customerId, channel })
+  } catch (error) {
+    console.error('[NOTIFICATION-CHANNEL] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
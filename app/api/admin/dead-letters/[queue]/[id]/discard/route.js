@@ -0,0 +1,44 @@
+import { checkOrganizationAccess } from '../../../../../../../lib/auth/check-access'
+import db from '../../../../../../../lib/prisma-client'
+import { discardDeadLetterJob, getDeadLetterJob } from '../../../../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/dead-letters/[queue]/[id]/discard
+ * Body: { reason }
+ * Permanently discards a dead-lettered job.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { queue, id } = await params
+    const body = await request.json().catch(() => ({}))
+    if (!body.reason || typeof body.reason !== 'string' || !body.reason.trim()) {
+      return json({ error: 'reason is required' }, 400)
+    }
+
+    const job = await getDeadLetterJob(db, { queue, id })
+    if (!job || !job.organizationId) return json({ error: 'Job not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, job.organizationId, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await discardDeadLetterJob(db, {
+      queue,
+      organizationId: job.organizationId,
+      id: job.id,
+      reason: body.reason,
+      userId: access.user.id
+    })
+    if (!result.success) return json({ error: result.error }, 400)
+
+    return json({ success: true, job: result.job })
+  } catch (error) {
+    console.error('[DEAD-LETTERS] discard error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,45 @@
+import { checkOrganizationAccess } from '../../../../../../../lib/auth/check-access'
+import db from '../../../../../../../lib/prisma-client'
+import { getDeadLetterJob, replayDeadLetterJob } from '../../../../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/dead-letters/[queue]/[id]/replay
+ * Body: { payload?, note? }
+ * Requeues a dead-lettered job. A payload replaces the stored one (edit-and-replay).
+ */
+export async function POST(request, { params }) {
+  try {
+    const { queue, id } = await params
+    const body = await request.json().catch(() => ({}))
+    if (body.payload !== undefined && (body.payload === null || typeof body.payload !== 'object')) {
+      return json({ error: 'payload must be an object' }, 400)
+    }
+
+    const job = await getDeadLetterJob(db, { queue, id })
+    if (!job || !job.organizationId) return json({ error: 'Job not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, job.organizationId, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await replayDeadLetterJob(db, {
+      queue,
+      organizationId: job.organizationId,
+      id: job.id,
+      payload: body.payload,
+      userId: access.user.id,
+      note: body.note?.trim() || null
+    })
+    if (!result.success) return json({ error: result.error }, 400)
+
+    return json({ success: true, job: result.job })
+  } catch (error) {
+    console.error('[DEAD-LETTERS] replay error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,29 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import db from '../../../../../../lib/prisma-client'
+import { getDeadLetterJob } from '../../../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/dead-letters/[queue]/[id]
+ * Full job including payload (and context for gift card jobs).
+ */
+export async function GET(request, { params }) {
+  try {
+    const { queue, id } = await params
+    const job = await getDeadLetterJob(db, { queue, id })
+    if (!job || !job.organizationId) return json({ error: 'Job not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, job.organizationId, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    return json({ job })
+  } catch (error) {
+    console.error('[DEAD-LETTERS] GET job error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
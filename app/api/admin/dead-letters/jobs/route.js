@@ -0,0 +1,48 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { DEAD_LETTER_QUEUES, listDeadLetterJobs } from '../../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/dead-letters/jobs?organization_id=xxx&queue=webhook|giftcard
+ *   [&signature=][&kind=][&dead_after=][&dead_before=][&status=error|discarded][&limit=50][&offset=0]
+ * Dead-lettered (or discarded) jobs matching the filter, newest first, without payloads.
+ * kind is the event type for webhook jobs and the stage for gift card jobs.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const queue = searchParams.get('queue')
+  const status = searchParams.get('status') || 'error'
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (!DEAD_LETTER_QUEUES[queue]) return json({ error: 'queue must be webhook or giftcard' }, 400)
+  if (!['error', 'discarded'].includes(status)) return json({ error: 'status must be error or discarded' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const jobs = await listDeadLetterJobs(db, {
+      queue,
+      organizationId,
+      filter: {
+        status,
+        signature: searchParams.get('signature'),
+        kind: searchParams.get('kind'),
+        deadAfter: searchParams.get('dead_after'),
+        deadBefore: searchParams.get('dead_before')
+      },
+      limit: searchParams.get('limit'),
+      offset: searchParams.get('offset')
+    })
+    return json({ jobs })
+  } catch (error) {
+    console.error('[DEAD-LETTERS] jobs GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
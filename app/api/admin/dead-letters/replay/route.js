@@ -0,0 +1,50 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { DEAD_LETTER_QUEUES, replayDeadLetterJobs } from '../../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/dead-letters/replay
+ * Body: { organization_id, queue, signature?, kind?, dead_after?, dead_before?, job_ids?, limit?, note? }
+ * Bulk-replays dead-lettered jobs matching the filter (at least one filter field required).
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}))
+    const organizationId = body.organization_id
+    if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+    if (!DEAD_LETTER_QUEUES[body.queue]) return json({ error: 'queue must be webhook or giftcard' }, 400)
+    if (body.job_ids !== undefined && !Array.isArray(body.job_ids)) {
+      return json({ error: 'job_ids must be an array' }, 400)
+    }
+
+    const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await replayDeadLetterJobs(db, {
+      queue: body.queue,
+      organizationId,
+      filter: {
+        signature: body.signature || null,
+        kind: body.kind || null,
+        deadAfter: body.dead_after || null,
+        deadBefore: body.dead_before || null,
+        jobIds: body.job_ids || null
+      },
+      userId: access.user.id,
+      note: body.note?.trim() || null,
+      limit: body.limit
+    })
+    if (!result.success) return json({ error: result.error }, 400)
+
+    return json(result)
+  } catch (error) {
+    console.error('[DEAD-LETTERS] bulk replay error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,32 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { DEAD_LETTER_QUEUES, listDeadLetterGroups } from '../../../../lib/workflows/dead-letter-queue'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/dead-letters?organization_id=xxx&queue=webhook|giftcard
+ * Dead-lettered jobs grouped by error signature, largest group first.
+ * Omitting queue returns groups from both queues.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const queue = searchParams.get('queue')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (queue && !DEAD_LETTER_QUEUES[queue]) return json({ error: 'queue must be webhook or giftcard' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    return json({ groups: await listDeadLetterGroups(db, { organizationId, queue }) })
+  } catch (error) {
+    console.error('[DEAD-LETTERS] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,55 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import { replaySquareEvents } from '../../../../lib/sync/event-replay'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/event-replay
+ * Body: { organization_id, begin_time, end_time?, source?: 'square' | 'logs',
+ *         event_types?: string[], dry_run?: boolean (default true), max_events? }
+ * Dry run returns a per-event diff against local rows; dry_run: false enqueues
+ * the events into webhook_jobs. Events already queued are skipped.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+  if (!body.begin_time) return json({ error: 'begin_time is required' }, 400)
+  if (body.event_types != null && !Array.isArray(body.event_types)) {
+    return json({ error: 'event_types must be an array' }, 400)
+  }
+  if (body.max_events != null && (!Number.isInteger(body.max_events) || body.max_events < 1 || body.max_events > 5000)) {
+    return json({ error: 'max_events must be an integer between 1 and 5000' }, 400)
+  }
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const result = await replaySquareEvents({
+      organizationId: organization_id,
+      source: body.source || 'square',
+      beginTime: body.begin_time,
+      endTime: body.end_time || new Date(),
+      eventTypes: body.event_types || null,
+      dryRun: body.dry_run !== false,
+      ...(body.max_events ? { maxEvents: body.max_events } : {}),
+      requestedBy: access.user.id
+    })
+    if (!result.success) return json({ error: result.error }, 400)
+    return json(result)
+  } catch (error) {
+    console.error('[EVENT-REPLAY] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
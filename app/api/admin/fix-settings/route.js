@@ -0,0 +1,120 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { getFixSettings } from '../../../../lib/workers/fix-settings'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+/**
+ * GET /api/admin/fix-settings?organization_id=xxx
+ * Returns the org's fix settings (defaults when none saved).
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    return json({ settings: await getFixSettings(organizationId) })
+  } catch (error) {
+    console.error('[FIX-SETTINGS] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/fix-settings
+ * Body: {
+ *   organization_id,
+ *   transfer_type?: FLAT|PERCENT, transfer_amount_cents?, transfer_percent?,
+ *   min_transfer_cents?, max_transfer_cents?,
+ *   keywords?: string[], square_variation_ids?: string[],
+ *   auto_link_enabled?, auto_link_window_days?
+ * }
+ * Omitted fields keep their current value. Applies to snapshots/ledger written from now on.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  let current
+  try {
+    current = await getFixSettings(organization_id)
+  } catch (error) {
+    console.error('[FIX-SETTINGS] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+  const next = {
+    transfer_type: body.transfer_type ?? current.transfer_type,
+    transfer_amount_cents: body.transfer_amount_cents ?? current.transfer_amount_cents,
+    transfer_percent: body.transfer_percent !== undefined ? body.transfer_percent : current.transfer_percent,
+    min_transfer_cents: body.min_transfer_cents !== undefined ? body.min_transfer_cents : current.min_transfer_cents,
+    max_transfer_cents: body.max_transfer_cents !== undefined ? body.max_transfer_cents : current.max_transfer_cents,
+    keywords: body.keywords ?? current.keywords,
+    square_variation_ids: body.square_variation_ids ?? current.square_variation_ids,
+    auto_link_enabled: body.auto_link_enabled ?? current.auto_link_enabled,
+    auto_link_window_days: body.auto_link_window_days ?? current.auto_link_window_days
+  }
+
+  if (!['FLAT', 'PERCENT'].includes(next.transfer_type)) {
+    return json({ error: 'transfer_type must be FLAT or PERCENT' }, 400)
+  }
+  if (!isNonNegativeInt(next.transfer_amount_cents)) {
+    return json({ error: 'transfer_amount_cents must be a non-negative integer' }, 400)
+  }
+  if (next.transfer_type === 'PERCENT' && !(next.transfer_percent > 0 && next.transfer_percent <= 100)) {
+    return json({ error: 'PERCENT requires transfer_percent between 0 and 100' }, 400)
+  }
+  for (const field of ['min_transfer_cents', 'max_transfer_cents']) {
+    if (next[field] != null && !isNonNegativeInt(next[field])) {
+      return json({ error: `${field} must be a non-negative integer or null` }, 400)
+    }
+  }
+  if (next.min_transfer_cents != null && next.max_transfer_cents != null && next.min_transfer_cents > next.max_transfer_cents) {
+    return json({ error: 'min_transfer_cents cannot exceed max_transfer_cents' }, 400)
+  }
+  if (!Array.isArray(next.keywords) || next.keywords.some((k) => typeof k !== 'string')) {
+    return json({ error: 'keywords must be an array of strings' }, 400)
+  }
+  if (!Array.isArray(next.square_variation_ids) || next.square_variation_ids.some((v) => typeof v !== 'string')) {
+    return json({ error: 'square_variation_ids must be an array of strings' }, 400)
+  }
+  if (!Number.isInteger(next.auto_link_window_days) || next.auto_link_window_days < 1 || next.auto_link_window_days > 180) {
+    return json({ error: 'auto_link_window_days must be an integer between 1 and 180' }, 400)
+  }
+
+  next.keywords = [...new Set(next.keywords.map((k) => k.trim().toLowerCase()).filter(Boolean))]
+  next.auto_link_enabled = !!next.auto_link_enabled
+
+  try {
+    const settings = await db.fixSettings.upsert({
+      where: { organization_id },
+      create: { organization_id, ...next },
+      update: next
+    })
+    return json({ success: true, settings })
+  } catch (error) {
+    console.error('[FIX-SETTINGS] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto'
+import prisma from '@/lib/prisma-client'
+import { isSuperAdminFromRequest } from '@/lib/auth/check-access'
+import { METRIC_WINDOWS, collectQueueMetrics, formatPrometheusMetrics } from '@/lib/observability/queue-metrics'
+
+export const dynamic = 'force-dynamic'
+
+// Scrapers send `Authorization: Bearer $METRICS_TOKEN`; people use their super admin session
+async function authorizeMetrics(request) {
+  const token = process.env.METRICS_TOKEN
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`)
+    const actual = Buffer.from(request.headers.get('Authorization') || '')
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      return true
+    }
+  }
+  return isSuperAdminFromRequest(request)
+}
+
+/**
+ * GET /api/admin/jobs/metrics[?window=15m|1h|24h][&format=prometheus]
+ * Queue depth, oldest-queued age, throughput, p50/p95 processing latency and lag,
+ * retries and error rate per event type / stage for webhook_jobs and giftcard_jobs,
+ * plus cron run outcomes from application_logs.
+ */
+export async function GET(request) {
+  try {
+    if (!(await authorizeMetrics(request))) {
+      return Response.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const window = searchParams.get('window')
+    if (window && !METRIC_WINDOWS[window]) {
+      return Response.json({ error: `window must be one of ${Object.keys(METRIC_WINDOWS).join(', ')}` }, { status: 400 })
+    }
+
+    const metrics = await collectQueueMetrics(prisma, window ? { windows: [window] } : {})
+
+    if (searchParams.get('format') === 'prometheus') {
+      return new Response(formatPrometheusMetrics(metrics), {
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+      })
+    }
+    return Response.json({ success: true, ...metrics })
+  } catch (error) {
+    console.error('Error collecting queue metrics:', error)
+    return Response.json({
+      success: false,
+      error: 'Internal server error'
+    }, { status: 500 })
+  }
+}
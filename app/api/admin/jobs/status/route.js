@@ -118,7 +118,8 @@ export async function GET(request) {
         running: counts.running || 0,
         completed: counts.completed || 0,
         error: counts.error || 0,
-        total: (counts.queued || 0) + (counts.running || 0) + (counts.completed || 0) + (counts.error || 0)
+        discarded: counts.discarded || 0,
+        total: (counts.queued || 0) + (counts.running || 0) + (counts.completed || 0) + (counts.error || 0) + (counts.discarded || 0)
       },
       stuckJobs: stuckJobs.map(job => ({
         id: job.id,
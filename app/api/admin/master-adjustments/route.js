@@ -1,10 +1,9 @@
 import { getUserFromRequest } from '../../../../lib/auth/check-access'
 import db from '../../../../lib/prisma-client'
+import { getFixSettings, computeFixTransferAmount } from '../../../../lib/workers/fix-settings'
 
 export const dynamic = 'force-dynamic'
 
-const FIX_TRANSFER_AMOUNT = 1500 // $15 in cents
-
 function json(body, status = 200) {
   return Response.json(body, { status })
 }
@@ -64,7 +63,18 @@ export async function POST(request) {
     }
 
     // Type-specific validation
-    const finalAmount = amount_cents || FIX_TRANSFER_AMOUNT
+    // Default amount comes from the org's fix settings (flat, or % of the fixed booking's price)
+    let finalAmount = amount_cents
+    if (!finalAmount) {
+      const fixSettings = await getFixSettings(organization_id)
+      const originalSnapshot = adjustment_type === 'FIX_CROSS_MASTER' && original_booking_id
+        ? await db.bookingSnapshot.findUnique({
+            where: { booking_id: original_booking_id },
+            select: { price_snapshot_amount: true }
+          })
+        : null
+      finalAmount = computeFixTransferAmount(fixSettings, originalSnapshot?.price_snapshot_amount)
+    }
     if (finalAmount <= 0) return json({ error: 'amount_cents must be positive' }, 400)
 
     if (adjustment_type === 'FIX_CROSS_MASTER') {
@@ -0,0 +1,67 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { activateTemplate, startAbTest } from '../../../../../lib/messaging/message-templates'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * PATCH /api/admin/message-templates/[id]
+ * Body: { action: 'activate' }             – this version gets all sends
+ *       { action: 'ab_test', weight: 1-99 } – this version gets weight% against the active one
+ *       { action: 'archive' }              – stop using it (the other A/B version takes 100%)
+ * Versions are immutable; edit by POSTing a new one.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const template = await db.messageTemplate.findUnique({ where: { id } })
+    if (!template) return json({ error: 'Template not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, template.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    if (body.action === 'activate') {
+      const activated = await activateTemplate(template)
+      console.log(`[MESSAGE-TEMPLATES] ✅ ${template.template_type}/${template.channel} v${template.version} activated by ${access.user.id}`)
+      return json({ template: activated })
+    }
+
+    if (body.action === 'ab_test') {
+      if (template.status === 'active') return json({ error: 'Version is already active' }, 400)
+      const { templates, error, conflict } = await startAbTest(template, body.weight)
+      if (error) return json({ error }, conflict ? 409 : 400)
+      console.log(`[MESSAGE-TEMPLATES] 🧪 ${template.template_type}/${template.channel} v${template.version} A/B at ${body.weight}% by ${access.user.id}`)
+      return json({ templates })
+    }
+
+    if (body.action === 'archive') {
+      const [archived] = await db.$transaction([
+        db.messageTemplate.update({ where: { id }, data: { status: 'archived' } }),
+        // A remaining A/B partner takes all sends again
+        db.messageTemplate.updateMany({
+          where: {
+            organization_id: template.organization_id,
+            template_type: template.template_type,
+            channel: template.channel,
+            status: 'active',
+            id: { not: id }
+          },
+          data: { ab_weight: 100 }
+        })
+      ])
+      console.log(`[MESSAGE-TEMPLATES] 🗄️ ${template.template_type}/${template.channel} v${template.version} archived by ${access.user.id}`)
+      return json({ template: archived })
+    }
+
+    return json({ error: 'action must be activate, ab_test or archive' }, 400)
+  } catch (error) {
+    console.error('[MESSAGE-TEMPLATES] PATCH error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,175 @@
+import QRCode from 'qrcode'
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { buildGiftCardEmailPreview, buildReferralEmailPreview, buildWinbackEmailPreview } from '../../../../../lib/email-service-simple'
+import { buildWinbackSmsBody } from '../../../../../lib/twilio-service'
+import { getReferralProgram, getReferralSmsTemplate } from '../../../../../lib/referrals/referral-program'
+import { generateReferralUrl } from '../../../../../lib/utils/referral-url'
+import { getEnvValue } from '../../../../../lib/config/env-validator'
+import {
+  SAMPLE_CUSTOMER,
+  TEMPLATE_SCHEMAS,
+  validateTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+  getActiveTemplate
+} from '../../../../../lib/messaging/message-templates'
+
+export const dynamic = 'force-dynamic'
+
+const GIFT_CARD_TYPES = ['GIFT_CARD_DELIVERY', 'FRIEND_ACTIVATION', 'REFERRER_ACTIVATION']
+const SAMPLE_GAN = '7783320012345678'
+const SAMPLE_WINBACK_CENTS = 1500
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+async function loadPreviewCustomer(organizationId, customerId) {
+  if (!customerId) return SAMPLE_CUSTOMER
+  return db.squareExistingClient.findFirst({
+    where: { organization_id: organizationId, square_customer_id: customerId },
+    select: {
+      square_customer_id: true,
+      given_name: true,
+      family_name: true,
+      email_address: true,
+      phone_number: true,
+      personal_code: true,
+      referral_url: true,
+      gift_card_gan: true,
+      gift_card_activation_url: true,
+      gift_card_pass_kit_url: true
+    }
+  })
+}
+
+/**
+ * POST /api/admin/message-templates/preview
+ * Body: {
+ *   organization_id, template_type, channel: EMAIL|SMS,
+ *   template_id?,               – a stored version
+ *   draft?: { subject?, html?, body } – unsaved copy (validated, rendered even when invalid)
+ *   customer_id?                – render for a real customer instead of the sample one
+ * }
+ * Without template_id or draft, renders what would be sent today: the active
+ * version, else the built-in copy.
+ * Returns { source: stored|draft|built_in, template, validationError, preview: { subject, html, text } }.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id, template_type, channel = 'EMAIL' } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+  if (!TEMPLATE_SCHEMAS[template_type]) return json({ error: `Unknown template_type: ${template_type}` }, 400)
+  if (!['EMAIL', 'SMS'].includes(channel)) return json({ error: 'channel must be EMAIL or SMS' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const customer = await loadPreviewCustomer(organization_id, body.customer_id)
+    if (!customer) return json({ error: 'Customer not found' }, 404)
+
+    let template = null
+    let source = 'built_in'
+    let validationError = null
+    if (body.template_id) {
+      template = await db.messageTemplate.findFirst({ where: { id: body.template_id, organization_id } })
+      if (!template) return json({ error: 'Template not found' }, 404)
+      source = 'stored'
+    } else if (body.draft) {
+      template = { ...body.draft, template_type, channel }
+      validationError = validateTemplate({ templateType: template_type, channel, ...body.draft })
+      source = 'draft'
+    } else {
+      template = await getActiveTemplate({
+        organizationId: organization_id,
+        templateType: template_type,
+        channel,
+        recipientKey: customer.square_customer_id
+      })
+      if (template) source = 'stored'
+    }
+
+    const program = await getReferralProgram(organization_id)
+    const referralCode = customer.personal_code || SAMPLE_CUSTOMER.personal_code
+    const customerName = [customer.given_name, customer.family_name].filter(Boolean).join(' ') || 'there'
+    const giftCardGan = customer.gift_card_gan || SAMPLE_GAN
+    const giftCard = {
+      customerName,
+      giftCardGan,
+      amountCents: template_type === 'FRIEND_ACTIVATION' ? program.friend_reward_cents : program.referrer_reward_cents,
+      balanceCents: template_type === 'FRIEND_ACTIVATION' ? program.friend_reward_cents : program.referrer_reward_cents,
+      activationUrl: customer.gift_card_activation_url || null,
+      passKitUrl: customer.gift_card_pass_kit_url || null,
+      qrDataUri: channel === 'EMAIL' ? await QRCode.toDataURL(`sqgc://${giftCardGan}`, { margin: 4, scale: 8 }) : null
+    }
+    const referral = {
+      customerName,
+      referralCode,
+      referralUrl: customer.referral_url || generateReferralUrl(referralCode),
+      friendRewardCents: program.friend_reward_cents,
+      referrerRewardCents: program.referrer_reward_cents
+    }
+
+    const winback = {
+      customerName,
+      bookingUrl: getEnvValue('BOOKING_URL'),
+      amountCents: SAMPLE_WINBACK_CENTS,
+      giftCardGan,
+      expiresOn: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      activationUrl: giftCard.activationUrl
+    }
+
+    let preview = null
+    if (template_type === 'WINBACK_OFFER') {
+      if (channel === 'EMAIL') {
+        preview = buildWinbackEmailPreview(winback, { template })
+      } else {
+        preview = template
+          ? renderTemplate(template, buildTemplateVariables({ name: customerName, ...winback }))
+          : { subject: null, html: null, text: buildWinbackSmsBody(winback) }
+      }
+    } else if (channel === 'EMAIL' && GIFT_CARD_TYPES.includes(template_type)) {
+      preview = buildGiftCardEmailPreview(giftCard, { template })
+    } else if (channel === 'EMAIL' && template_type === 'REFERRAL_INVITE') {
+      preview = buildReferralEmailPreview(referral, { template })
+    } else {
+      // SMS built-in copy only exists as a stored string for referral invites
+      const smsTemplate = template || (template_type === 'REFERRAL_INVITE' ? { body: getReferralSmsTemplate(program) } : null)
+      if (smsTemplate) {
+        preview = renderTemplate(smsTemplate, buildTemplateVariables({
+          name: customerName,
+          referralCode,
+          referralUrl: referral.referralUrl,
+          amountCents: giftCard.amountCents,
+          balanceCents: giftCard.balanceCents,
+          giftCardGan,
+          activationUrl: giftCard.activationUrl,
+          passKitUrl: giftCard.passKitUrl
+        }))
+      }
+    }
+
+    if (!preview) {
+      return json({ error: `No stored ${channel} template for ${template_type}; its built-in copy can't be previewed` }, 404)
+    }
+
+    return json({
+      source,
+      template: source === 'stored' ? template : null,
+      validationError,
+      customer: { square_customer_id: customer.square_customer_id, name: customerName },
+      preview
+    })
+  } catch (error) {
+    console.error('[MESSAGE-TEMPLATES] preview error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
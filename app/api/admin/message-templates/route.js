@@ -0,0 +1,94 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import {
+  TEMPLATE_SCHEMAS,
+  createTemplateVersion,
+  getTemplateResults
+} from '../../../../lib/messaging/message-templates'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/message-templates?organization_id=xxx&template_type=REFERRAL_INVITE&channel=EMAIL
+ * All versions for the org (optionally one type / channel). With both
+ * template_type and channel, each version carries its send / open / click results.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const templateType = searchParams.get('template_type')
+  const channel = searchParams.get('channel')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (templateType && !TEMPLATE_SCHEMAS[templateType]) return json({ error: `Unknown template_type: ${templateType}` }, 400)
+  if (channel && !['EMAIL', 'SMS'].includes(channel)) return json({ error: 'channel must be EMAIL or SMS' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const templates = await db.messageTemplate.findMany({
+      where: {
+        organization_id: organizationId,
+        ...(templateType ? { template_type: templateType } : {}),
+        ...(channel ? { channel } : {})
+      },
+      orderBy: [{ template_type: 'asc' }, { channel: 'asc' }, { version: 'desc' }]
+    })
+
+    if (templateType && channel) {
+      const results = await getTemplateResults({ organizationId, templateType, channel })
+      return json({
+        templates: templates.map((template) => ({ ...template, results: results[template.id] || null })),
+        variables: TEMPLATE_SCHEMAS[templateType]
+      })
+    }
+    return json({ templates, variables: TEMPLATE_SCHEMAS })
+  } catch (error) {
+    console.error('[MESSAGE-TEMPLATES] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/message-templates
+ * Body: { organization_id, template_type, channel: EMAIL|SMS, subject?, html?, body, notes? }
+ * Saves a new draft version; activate it with PATCH /api/admin/message-templates/[id].
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const { template, error, conflict } = await createTemplateVersion({
+      organizationId: organization_id,
+      templateType: body.template_type,
+      channel: body.channel,
+      subject: body.subject ?? null,
+      html: body.html ?? null,
+      body: body.body,
+      notes: body.notes ?? null,
+      createdBy: access.user.id
+    })
+    if (error) return json({ error }, conflict ? 409 : 400)
+
+    console.log(`[MESSAGE-TEMPLATES] ✅ ${template.template_type}/${template.channel} v${template.version} created by ${access.user.id}`)
+    return json({ template }, 201)
+  } catch (error) {
+    console.error('[MESSAGE-TEMPLATES] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
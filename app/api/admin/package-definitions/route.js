@@ -0,0 +1,108 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+
+export const dynamic = 'force-dynamic'
+
+const VALID_CATEGORIES = ['TOP_MASTER', 'MASTER', 'JUNIOR']
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/package-definitions?organization_id=xxx
+ * Lists package definitions (active and inactive) for the organization.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const definitions = await db.packageDefinition.findMany({
+      where: { organization_id: organizationId },
+      orderBy: [{ is_active: 'desc' }, { name: 'asc' }]
+    })
+    return json({ definitions })
+  } catch (error) {
+    console.error('[PACKAGE-DEFINITIONS] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/package-definitions
+ * Creates or updates (by organization_id + name) a package definition.
+ * Set is_active=false to stop creating packages from matching line items.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const {
+    organization_id,
+    name,
+    match_pattern,
+    square_variation_id,
+    category = 'MASTER',
+    units_total,
+    validity_days,
+    allocated_unit_price,
+    is_active = true
+  } = body
+
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  if (!name?.trim()) return json({ error: 'name is required' }, 400)
+  if (!match_pattern?.trim() && !square_variation_id) {
+    return json({ error: 'match_pattern or square_variation_id is required' }, 400)
+  }
+  if (!Number.isInteger(units_total) || units_total <= 0) {
+    return json({ error: 'units_total must be a positive integer' }, 400)
+  }
+  if (!VALID_CATEGORIES.includes(category)) {
+    return json({ error: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` }, 400)
+  }
+  if (validity_days != null && (!Number.isInteger(validity_days) || validity_days <= 0)) {
+    return json({ error: 'validity_days must be a positive integer or null' }, 400)
+  }
+  if (allocated_unit_price != null && (!Number.isInteger(allocated_unit_price) || allocated_unit_price < 0)) {
+    return json({ error: 'allocated_unit_price must be a non-negative integer (cents) or null' }, 400)
+  }
+
+  try {
+    const data = {
+      match_pattern: match_pattern?.trim() || null,
+      square_variation_id: square_variation_id || null,
+      category,
+      units_total,
+      validity_days: validity_days ?? null,
+      allocated_unit_price: allocated_unit_price ?? null,
+      is_active: !!is_active
+    }
+
+    const definition = await db.packageDefinition.upsert({
+      where: {
+        organization_id_name: { organization_id, name: name.trim() }
+      },
+      create: { organization_id, name: name.trim(), ...data },
+      update: data
+    })
+
+    console.log(`[PACKAGE-DEFINITIONS] ✅ Saved "${definition.name}" for org ${organization_id} by ${access.user.id}`)
+    return json({ success: true, definition })
+  } catch (error) {
+    console.error('[PACKAGE-DEFINITIONS] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
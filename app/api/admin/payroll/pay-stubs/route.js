@@ -0,0 +1,62 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import { buildPayStub, payStubToCsv, payStubToPdf } from '../../../../../lib/payroll/pay-stub-service'
+import { toPdfSafeText } from '../../../../../lib/payroll/simple-pdf'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+function fileSlug(text) {
+  return toPdfSafeText(text || 'master').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'master'
+}
+
+/**
+ * GET /api/admin/payroll/pay-stubs?organization_id=xxx&team_member_id=yyy&period=2026-03&format=pdf
+ * GET /api/admin/payroll/pay-stubs?organization_id=xxx&team_member_id=yyy&period_id=zzz&format=csv
+ *
+ * Per-master pay stub with one line per ledger entry (booking, service, customer initials).
+ * A closed payroll period renders its frozen statement; otherwise the live ledger.
+ * format: json (default) | csv | pdf
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const teamMemberId = searchParams.get('team_member_id')
+  const periodId = searchParams.get('period_id')
+  const period = searchParams.get('period')
+  const format = (searchParams.get('format') || 'json').toLowerCase()
+
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+  if (!teamMemberId) return json({ error: 'team_member_id is required' }, 400)
+  if (!['json', 'csv', 'pdf'].includes(format)) {
+    return json({ error: 'format must be one of: json, csv, pdf' }, 400)
+  }
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const result = await buildPayStub({ organizationId, teamMemberId, periodId, period })
+    if (!result.success) return json({ error: result.error }, result.status || 400)
+
+    const { stub } = result
+    if (format === 'json') return json(stub)
+
+    const filename = `pay-stub-${fileSlug(stub.master.name)}-${stub.period.start_date}.${format}`
+    const body = format === 'csv' ? payStubToCsv(stub) : payStubToPdf(stub)
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      },
+    })
+  } catch (error) {
+    console.error('[PAY-STUBS] Error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,38 @@
+import { checkOrganizationAccess } from '../../../../../../../lib/auth/check-access'
+import db from '../../../../../../../lib/prisma-client'
+import { closePayrollPeriod } from '../../../../../../../lib/payroll/period-service'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/payroll/periods/[id]/close
+ * Body: { allow_early?: boolean }
+ * Freezes every master's totals into statements and stamps the ledger entries.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const period = await db.payrollPeriod.findUnique({ where: { id } })
+    if (!period) return json({ error: 'Payroll period not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, period.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await closePayrollPeriod(id, {
+      userId: access.user.id,
+      allowEarly: body.allow_early === true
+    })
+    if (!result.success) return json({ error: result.error }, result.status || 400)
+
+    return json(result)
+  } catch (error) {
+    console.error('[PAYROLL] Close period error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
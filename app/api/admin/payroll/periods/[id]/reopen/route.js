@@ -0,0 +1,39 @@
+import { checkOrganizationAccess } from '../../../../../../../lib/auth/check-access'
+import db from '../../../../../../../lib/prisma-client'
+import { reopenPayrollPeriod } from '../../../../../../../lib/payroll/period-service'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/payroll/periods/[id]/reopen
+ * Body: { reason }
+ * Re-opens the latest closed period; its statements are superseded and the
+ * action is written to the period's audit trail. Owner only.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const period = await db.payrollPeriod.findUnique({ where: { id } })
+    if (!period) return json({ error: 'Payroll period not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, period.organization_id, ['owner'])
+    if (!access) return json({ error: 'Owner access required' }, 403)
+
+    const result = await reopenPayrollPeriod(id, {
+      userId: access.user.id,
+      reason: body.reason
+    })
+    if (!result.success) return json({ error: result.error }, result.status || 400)
+
+    return json(result)
+  } catch (error) {
+    console.error('[PAYROLL] Reopen period error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
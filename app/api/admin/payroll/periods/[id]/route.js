@@ -0,0 +1,40 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import { getPayrollPeriod } from '../../../../../../lib/payroll/period-service'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/payroll/periods/[id][?include_superseded=true]
+ * Returns the period with its statements (incl. carry-over lines) and audit trail.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const { searchParams } = new URL(request.url)
+    const includeSuperseded = searchParams.get('include_superseded') === 'true'
+
+    const period = await getPayrollPeriod(id, { includeSuperseded })
+    if (!period) return json({ error: 'Payroll period not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, period.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const current = period.statements.filter((s) => !s.superseded_at)
+    const totals = {
+      net_salary_cents: current.reduce((s, m) => s + m.net_salary_cents, 0),
+      tips_cents: current.reduce((s, m) => s + m.tips_cents, 0),
+      total_with_tips_cents: current.reduce((s, m) => s + m.total_with_tips_cents, 0),
+      carry_over_cents: current.reduce((s, m) => s + m.carry_over_cents, 0),
+      master_count: current.length
+    }
+
+    return json({ period, totals })
+  } catch (error) {
+    console.error('[PAYROLL] GET period error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,62 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import { ensurePayrollPeriod, listPayrollPeriods } from '../../../../../lib/payroll/period-service'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/payroll/periods?organization_id=xxx[&limit=24]
+ * Lists payroll periods, newest first.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  const limit = Math.min(parseInt(searchParams.get('limit') || '24', 10), 100)
+
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const periods = await listPayrollPeriods(organizationId, { limit })
+    return json({ periods })
+  } catch (error) {
+    console.error('[PAYROLL] GET periods error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/payroll/periods
+ * Body: { organization_id, date?: 'YYYY-MM-DD' }
+ * Opens (or returns) the period containing `date` (default: today) per the org's payroll settings.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id, date } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'date must be YYYY-MM-DD' }, 400)
+  }
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const period = await ensurePayrollPeriod(organization_id, date)
+    return json({ period })
+  } catch (error) {
+    console.error('[PAYROLL] POST period error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,85 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { getPayrollSettings } from '../../../../../lib/payroll/period-service'
+
+export const dynamic = 'force-dynamic'
+
+const VALID_PERIOD_TYPES = ['WEEKLY', 'BI_WEEKLY', 'MONTHLY']
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/payroll/settings?organization_id=xxx
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    return json({ settings: await getPayrollSettings(organizationId) })
+  } catch (error) {
+    console.error('[PAYROLL] GET settings error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/payroll/settings
+ * Body: { organization_id, period_type: WEEKLY|BI_WEEKLY|MONTHLY, anchor_date?: 'YYYY-MM-DD', timezone? }
+ * Applies to periods opened from now on; existing periods keep their dates.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id, period_type, anchor_date, timezone } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner'])
+  if (!access) return json({ error: 'Owner access required' }, 403)
+
+  if (!VALID_PERIOD_TYPES.includes(period_type)) {
+    return json({ error: `Invalid period_type. Must be one of: ${VALID_PERIOD_TYPES.join(', ')}` }, 400)
+  }
+  if (period_type !== 'MONTHLY' && !anchor_date) {
+    return json({ error: `${period_type} requires anchor_date (first day of any period)` }, 400)
+  }
+  if (anchor_date && !/^\d{4}-\d{2}-\d{2}$/.test(anchor_date)) {
+    return json({ error: 'anchor_date must be YYYY-MM-DD' }, 400)
+  }
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    } catch {
+      return json({ error: `Unknown timezone: ${timezone}` }, 400)
+    }
+  }
+
+  try {
+    const current = await getPayrollSettings(organization_id)
+    const data = {
+      period_type,
+      anchor_date: new Date(`${anchor_date || current.anchor_date}T00:00:00Z`),
+      timezone: timezone || current.timezone
+    }
+    const settings = await db.payrollSettings.upsert({
+      where: { organization_id },
+      create: { organization_id, ...data },
+      update: data
+    })
+    return json({ success: true, settings })
+  } catch (error) {
+    console.error('[PAYROLL] POST settings error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
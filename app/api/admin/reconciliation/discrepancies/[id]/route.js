@@ -0,0 +1,46 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import db from '../../../../../../lib/prisma-client'
+import { reviewDiscrepancy } from '../../../../../../lib/reconciliation/square-reconciliation'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/reconciliation/discrepancies/[id]
+ * Body: { action: 'repair' | 'resolve' | 'ignore', note? }
+ * repair re-applies the current Square object (bookings, payments, orders,
+ * gift cards); resolve/ignore close the item. Ignored items stay ignored on re-runs.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    if (!['repair', 'resolve', 'ignore'].includes(body.action)) {
+      return json({ error: "action must be 'repair', 'resolve' or 'ignore'" }, 400)
+    }
+    if (body.action !== 'repair' && !body.note?.trim()) {
+      return json({ error: 'note is required' }, 400)
+    }
+
+    const discrepancy = await db.reconciliationDiscrepancy.findUnique({ where: { id } })
+    if (!discrepancy) return json({ error: 'Discrepancy not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, discrepancy.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await reviewDiscrepancy(discrepancy, {
+      action: body.action,
+      note: body.note?.trim() || null,
+      userId: access.user.id
+    })
+    console.log(`[RECONCILIATION] ${body.action} ${discrepancy.entity_type} ${discrepancy.entity_id} by ${access.user.id}: ${result.success ? 'ok' : result.error}`)
+    return json(result, result.success ? 200 : 422)
+  } catch (error) {
+    console.error('[RECONCILIATION] review error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,91 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { reconcileSquareDay } from '../../../../lib/reconciliation/square-reconciliation'
+
+export const dynamic = 'force-dynamic'
+
+const DISCREPANCY_STATUSES = ['open', 'repaired', 'repair_failed', 'resolved', 'ignored']
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/reconciliation?organization_id=xxx[&status=open][&date=YYYY-MM-DD][&entity_type=payment]
+ * Recent reconciliation runs (last 30) and discrepancies. status defaults to
+ * open + repair_failed, i.e. what still needs review.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const status = searchParams.get('status')
+  if (status && !DISCREPANCY_STATUSES.includes(status)) {
+    return json({ error: `status must be one of ${DISCREPANCY_STATUSES.join(', ')}` }, 400)
+  }
+  const date = searchParams.get('date')
+  if (date && !DATE_PATTERN.test(date)) return json({ error: 'date must be YYYY-MM-DD' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const [runs, discrepancies] = await Promise.all([
+      db.reconciliationRun.findMany({
+        where: { organization_id: organizationId },
+        orderBy: { business_date: 'desc' },
+        take: 30
+      }),
+      db.reconciliationDiscrepancy.findMany({
+        where: {
+          organization_id: organizationId,
+          status: status || { in: ['open', 'repair_failed'] },
+          ...(date ? { business_date: new Date(`${date}T00:00:00Z`) } : {}),
+          ...(searchParams.get('entity_type') ? { entity_type: searchParams.get('entity_type') } : {})
+        },
+        orderBy: [{ business_date: 'desc' }, { entity_type: 'asc' }],
+        take: 500
+      })
+    ])
+    return json({ runs, discrepancies })
+  } catch (error) {
+    console.error('[RECONCILIATION] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/reconciliation
+ * Body: { organization_id, date: 'YYYY-MM-DD', auto_repair?: boolean }
+ * Runs (or re-runs) reconciliation for one business day now.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id, date } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+  if (!date || !DATE_PATTERN.test(date)) return json({ error: 'date must be YYYY-MM-DD' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const result = await reconcileSquareDay({
+      organizationId: organization_id,
+      businessDate: date,
+      ...(typeof body.auto_repair === 'boolean' ? { autoRepair: body.auto_repair } : {})
+    })
+    console.log(`[RECONCILIATION] Manual run ${organization_id} ${date} by ${access.user.id}: ${result.success ? 'ok' : result.error}`)
+    return json(result, result.success ? 200 : 502)
+  } catch (error) {
+    console.error('[RECONCILIATION] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,143 @@
+import { Prisma } from '@prisma/client'
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { getReferralProgram } from '../../../../lib/referrals/referral-program'
+import { validateTiers, validateMilestones } from '../../../../lib/referrals/referral-tiers'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+/**
+ * GET /api/admin/referral-program?organization_id=xxx
+ * Returns the org's referral program (defaults when none saved).
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    return json({ program: await getReferralProgram(organizationId) })
+  } catch (error) {
+    console.error('[REFERRAL-PROGRAM] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/referral-program
+ * Body: {
+ *   organization_id,
+ *   is_active?, friend_reward_cents?, referrer_reward_cents?,
+ *   reward_type?: GIFT_CARD|DISCOUNT, discount_name?,
+ *   min_first_payment_cents?, referrer_monthly_reward_cap?, code_expiry_days?,
+ *   sms_template?, fraud_hold_score?,
+ *   tiers?: [{ name, min_referrals, friend_reward_cents?, referrer_reward_cents? }],
+ *   milestones?: [{ referrals, bonus_cents }]
+ * }
+ * Omitted fields keep their current value; null clears the cap, expiry and template
+ * and resets tiers/milestones to the defaults.
+ * Applies to rewards issued from now on.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  let current
+  try {
+    current = await getReferralProgram(organization_id)
+  } catch (error) {
+    console.error('[REFERRAL-PROGRAM] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+  const pick = (field) => (body[field] !== undefined ? body[field] : current[field])
+  const next = {
+    is_active: pick('is_active'),
+    friend_reward_cents: pick('friend_reward_cents'),
+    referrer_reward_cents: pick('referrer_reward_cents'),
+    reward_type: pick('reward_type'),
+    discount_name: pick('discount_name'),
+    min_first_payment_cents: pick('min_first_payment_cents'),
+    referrer_monthly_reward_cap: pick('referrer_monthly_reward_cap'),
+    code_expiry_days: pick('code_expiry_days'),
+    sms_template: pick('sms_template'),
+    fraud_hold_score: pick('fraud_hold_score'),
+    tiers_json: body.tiers !== undefined ? body.tiers : current.tiers_json ?? null,
+    milestones_json: body.milestones !== undefined ? body.milestones : current.milestones_json ?? null
+  }
+
+  if (!['GIFT_CARD', 'DISCOUNT'].includes(next.reward_type)) {
+    return json({ error: 'reward_type must be GIFT_CARD or DISCOUNT' }, 400)
+  }
+  for (const field of ['friend_reward_cents', 'referrer_reward_cents', 'min_first_payment_cents', 'fraud_hold_score']) {
+    if (!isNonNegativeInt(next[field])) {
+      return json({ error: `${field} must be a non-negative integer` }, 400)
+    }
+  }
+  if (next.referrer_monthly_reward_cap != null && !isNonNegativeInt(next.referrer_monthly_reward_cap)) {
+    return json({ error: 'referrer_monthly_reward_cap must be a non-negative integer or null' }, 400)
+  }
+  if (next.code_expiry_days != null && (!Number.isInteger(next.code_expiry_days) || next.code_expiry_days < 1)) {
+    return json({ error: 'code_expiry_days must be a positive integer or null' }, 400)
+  }
+  if (next.reward_type === 'DISCOUNT' && !next.discount_name?.trim()) {
+    return json({ error: 'discount_name is required for DISCOUNT rewards' }, 400)
+  }
+  if (next.sms_template != null) {
+    if (typeof next.sms_template !== 'string') {
+      return json({ error: 'sms_template must be a string or null' }, 400)
+    }
+    if (next.sms_template.trim() && !/[[{]referral[ _]url[\]}]/i.test(next.sms_template)) {
+      return json({ error: 'sms_template must include the [referral_url] placeholder' }, 400)
+    }
+  }
+
+  if (next.tiers_json != null) {
+    const tierError = validateTiers(next.tiers_json)
+    if (tierError) return json({ error: tierError }, 400)
+  }
+  if (next.milestones_json != null) {
+    const milestoneError = validateMilestones(next.milestones_json)
+    if (milestoneError) return json({ error: milestoneError }, 400)
+  }
+
+  next.is_active = !!next.is_active
+  next.discount_name = next.discount_name?.trim() || 'Referral'
+  next.sms_template = next.sms_template?.trim() || null
+  // Prisma needs DbNull to store SQL NULL in a Json column
+  next.tiers_json = next.tiers_json ?? Prisma.DbNull
+  next.milestones_json = next.milestones_json ?? Prisma.DbNull
+
+  try {
+    const program = await db.referralProgram.upsert({
+      where: { organization_id },
+      create: { organization_id, ...next, updated_by: access.user.id },
+      update: { ...next, updated_by: access.user.id }
+    })
+    console.log(`[REFERRAL-PROGRAM] ✅ Updated program for org ${organization_id}`)
+    return json({ success: true, program })
+  } catch (error) {
+    console.error('[REFERRAL-PROGRAM] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
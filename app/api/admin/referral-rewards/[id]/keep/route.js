@@ -0,0 +1,43 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import db from '../../../../../../lib/prisma-client'
+import { keepReferralReward } from '../../../../../../lib/referrals/referral-clawback'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/referral-rewards/[id]/keep
+ * Body: { note? }
+ * Keeps a referrer reward despite a refund or dispute of the friend's payment.
+ * A PAID reward will be skipped by future clawbacks; a clawed-back reward is
+ * set back to PAID and the deducted amount reloaded onto the gift card.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const reward = await db.referralReward.findUnique({ where: { id } })
+    if (!reward) return json({ error: 'Referral reward not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, reward.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await keepReferralReward({
+      rewardId: reward.id,
+      organizationId: reward.organization_id,
+      userId: access.user.id,
+      note: body.note?.trim() || null
+    })
+    if (!result.success) return json({ error: result.error }, 400)
+
+    console.log(`[REFERRAL-REWARDS] ✅ Reward ${reward.id} kept by ${access.user.id}`)
+    return json({ success: true, reward: result.reward })
+  } catch (error) {
+    console.error('[REFERRAL-REWARDS] keep error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
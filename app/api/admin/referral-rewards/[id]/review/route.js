@@ -0,0 +1,45 @@
+import { checkOrganizationAccess } from '../../../../../../lib/auth/check-access'
+import db from '../../../../../../lib/prisma-client'
+import { reviewHeldReferralReward } from '../../../../../../lib/referrals/referral-review'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * POST /api/admin/referral-rewards/[id]/review
+ * Body: { decision: 'approve' | 'reject', note? }
+ * Decides a reward held by fraud scoring. Approve issues it; reject cancels it.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+    if (!['approve', 'reject'].includes(body.decision)) {
+      return json({ error: "decision must be 'approve' or 'reject'" }, 400)
+    }
+
+    const reward = await db.referralReward.findUnique({ where: { id } })
+    if (!reward) return json({ error: 'Referral reward not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, reward.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    const result = await reviewHeldReferralReward({
+      rewardId: reward.id,
+      organizationId: reward.organization_id,
+      userId: access.user.id,
+      decision: body.decision,
+      note: body.note?.trim() || null
+    })
+    if (!result.success) return json({ error: result.error }, result.conflict ? 409 : 400)
+
+    console.log(`[REFERRAL-REWARDS] ✅ Reward ${reward.id} ${body.decision === 'approve' ? 'approved' : 'rejected'} by ${access.user.id}`)
+    return json({ success: true, reward: result.reward })
+  } catch (error) {
+    console.error('[REFERRAL-REWARDS] review error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
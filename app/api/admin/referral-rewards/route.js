@@ -0,0 +1,28 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import { listHeldReferralRewards } from '../../../../lib/referrals/referral-review'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/referral-rewards?organization_id=xxx
+ * Rewards held by fraud scoring and waiting for review, oldest first.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    return json({ rewards: await listHeldReferralRewards(organizationId) })
+  } catch (error) {
+    console.error('[REFERRAL-REWARDS] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
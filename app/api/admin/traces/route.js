@@ -0,0 +1,38 @@
+import prisma from '@/lib/prisma-client'
+import { isSuperAdminFromRequest } from '@/lib/auth/check-access'
+import { findTraceIdsForEvent, getTraceTimeline } from '@/lib/observability/tracing'
+
+export const dynamic = 'force-dynamic'
+
+function serialize(data) {
+  return JSON.parse(JSON.stringify(data, (_key, value) => (typeof value === 'bigint' ? Number(value) : value)))
+}
+
+/**
+ * GET /api/admin/traces?event_id=<square event id> | ?trace_id=<trace id>
+ * Full timeline of a Square event: spans (webhook, jobs, Square/SendGrid/Twilio
+ * calls) and structured logs, in time order. An event id can map to several
+ * traces (redeliveries); all of them are returned.
+ */
+export async function GET(request) {
+  try {
+    if (!(await isSuperAdminFromRequest(request))) {
+      return Response.json({ error: 'Super admin access required' }, { status: 403 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const eventId = searchParams.get('event_id')
+    const traceId = searchParams.get('trace_id')
+    if (!eventId && !traceId) {
+      return Response.json({ error: 'event_id or trace_id is required' }, { status: 400 })
+    }
+
+    const traceIds = traceId ? [traceId] : await findTraceIdsForEvent(prisma, eventId)
+    const timeline = await getTraceTimeline(prisma, traceIds)
+
+    return Response.json(serialize({ traceIds, timeline }))
+  } catch (error) {
+    console.error('[TRACES] GET error:', error)
+    return Response.json({ error: 'Internal server error' }, { status: 500 })
+  }
+}
@@ -0,0 +1,51 @@
+import { checkOrganizationAccess } from '../../../../../lib/auth/check-access'
+import db from '../../../../../lib/prisma-client'
+import { parseCampaignInput } from '../../../../../lib/messaging/winback-campaigns'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * PATCH /api/admin/winback-campaigns/[id]
+ * Body: any of { name, is_active, send_delay_days, gift_card_amount_cents,
+ *   gift_card_valid_days, frequency_cap_days, conversion_window_days }.
+ * trigger_segment can't change; create a new campaign instead so results stay comparable.
+ * Pausing (is_active: false) skips enrollments that come due while paused; resuming
+ * moves activated_at so segment moves made while paused aren't enrolled either.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => ({}))
+
+    const campaign = await db.winbackCampaign.findUnique({ where: { id } })
+    if (!campaign) return json({ error: 'Campaign not found' }, 404)
+
+    const access = await checkOrganizationAccess(request, campaign.organization_id, ['owner', 'admin'])
+    if (!access) return json({ error: 'Admin access required' }, 403)
+
+    if (body.trigger_segment !== undefined && body.trigger_segment !== campaign.trigger_segment) {
+      return json({ error: 'trigger_segment cannot be changed' }, 400)
+    }
+    const { data, error } = parseCampaignInput({ ...body, trigger_segment: undefined }, { partial: true })
+    if (error) return json({ error }, 400)
+
+    const amountCents = data.gift_card_amount_cents !== undefined ? data.gift_card_amount_cents : campaign.gift_card_amount_cents
+    const validDays = data.gift_card_valid_days !== undefined ? data.gift_card_valid_days : campaign.gift_card_valid_days
+    if (amountCents && !validDays) {
+      return json({ error: 'gift_card_valid_days is required with gift_card_amount_cents' }, 400)
+    }
+
+    if (data.is_active && !campaign.is_active) data.activated_at = new Date()
+
+    const updated = await db.winbackCampaign.update({ where: { id }, data })
+    console.log(`[WINBACK-CAMPAIGNS] ✏️ "${updated.name}" updated by ${access.user.id}: ${Object.keys(data).join(', ')}`)
+    return json({ campaign: updated })
+  } catch (error) {
+    console.error('[WINBACK-CAMPAIGNS] PATCH error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
@@ -0,0 +1,80 @@
+import { checkOrganizationAccess } from '../../../../lib/auth/check-access'
+import db from '../../../../lib/prisma-client'
+import { parseCampaignInput, getCampaignResults } from '../../../../lib/messaging/winback-campaigns'
+
+export const dynamic = 'force-dynamic'
+
+function json(body, status = 200) {
+  return Response.json(body, { status })
+}
+
+/**
+ * GET /api/admin/winback-campaigns?organization_id=xxx
+ * Campaigns with their funnel: enrolled / sent / skipped / failed / converted,
+ * conversionRate (% of sent) and gift card spend.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const organizationId = searchParams.get('organization_id')
+  if (!organizationId) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organizationId, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  try {
+    const [campaigns, results] = await Promise.all([
+      db.winbackCampaign.findMany({
+        where: { organization_id: organizationId },
+        orderBy: { created_at: 'desc' }
+      }),
+      getCampaignResults(organizationId)
+    ])
+    return json({
+      campaigns: campaigns.map((campaign) => ({ ...campaign, results: results[campaign.id] || null }))
+    })
+  } catch (error) {
+    console.error('[WINBACK-CAMPAIGNS] GET error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
+
+/**
+ * POST /api/admin/winback-campaigns
+ * Body: {
+ *   organization_id, name, trigger_segment: AT_RISK|LOST,
+ *   send_delay_days?, gift_card_amount_cents?, gift_card_valid_days?,
+ *   frequency_cap_days? (default 90), conversion_window_days? (default 30), is_active?
+ * }
+ * Only customers who enter the segment after the campaign is created are enrolled.
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400)
+  }
+
+  const { organization_id } = body
+  if (!organization_id) return json({ error: 'organization_id is required' }, 400)
+
+  const access = await checkOrganizationAccess(request, organization_id, ['owner', 'admin'])
+  if (!access) return json({ error: 'Admin access required' }, 403)
+
+  const { data, error } = parseCampaignInput(body)
+  if (error) return json({ error }, 400)
+  if (data.gift_card_amount_cents && !data.gift_card_valid_days) {
+    return json({ error: 'gift_card_valid_days is required with gift_card_amount_cents' }, 400)
+  }
+
+  try {
+    const campaign = await db.winbackCampaign.create({
+      data: { ...data, organization_id, created_by: access.user.id, activated_at: new Date() }
+    })
+    console.log(`[WINBACK-CAMPAIGNS] ✅ "${campaign.name}" (${campaign.trigger_segment}) created by ${access.user.id}`)
+    return json({ campaign }, 201)
+  } catch (error) {
+    console.error('[WINBACK-CAMPAIGNS] POST error:', error)
+    return json({ error: 'Internal server error' }, 500)
+  }
+}
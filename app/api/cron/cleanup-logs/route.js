@@ -19,11 +19,17 @@ export async function GET(request) {
       WHERE "created_at" < ${thirtyDaysAgo}
     `
 
-    logInfo('cleanup.logs.success', { deletedCount: deleted })
+    // Trace spans follow the same retention as the logs they correlate with
+    const deletedSpans = await prisma.$executeRaw`
+      DELETE FROM "trace_spans"
+      WHERE "started_at" < ${thirtyDaysAgo}
+    `
+
+    logInfo('cleanup.logs.success', { deletedCount: deleted, deletedSpans })
     
     return Response.json({ 
       success: true, 
-      message: `Deleted ${deleted} old log entries.` 
+      message: `Deleted ${deleted} old log entries and ${deletedSpans} trace spans.` 
     })
   } catch (error) {
     logError('cleanup.logs.error', { error: error.message })
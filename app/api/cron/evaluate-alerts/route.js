@@ -0,0 +1,41 @@
+/**
+ * Cron: evaluate alert rules
+ *
+ * Runs every enabled alert_rules row (see lib/alerts/alert-engine.js),
+ * opening, repeating or resolving incidents in alert_events and delivering
+ * notifications through each rule's channels.
+ *
+ * Schedule: every 15 minutes
+ */
+
+import { authorizeCron } from '@/lib/auth/cron-auth'
+import { evaluateAlertRules } from '@/lib/alerts/alert-engine'
+import { logInfo, logError } from '@/lib/observability/logger'
+
+export const dynamic = 'force-dynamic'
+
+async function handle(request) {
+  const auth = authorizeCron(request)
+  if (!auth.authorized) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const startTime = Date.now()
+  try {
+    const summary = await evaluateAlertRules()
+    const duration = Date.now() - startTime
+    logInfo('alerts.evaluated', { ...summary, duration })
+    return Response.json({ success: true, ...summary, duration })
+  } catch (error) {
+    logError('alerts.evaluate_failed', { error: error.message, stack: error.stack })
+    return Response.json({ success: false, error: 'Alert evaluation failed' }, { status: 500 })
+  }
+}
+
+export async function GET(request) {
+  return handle(request)
+}
+
+export async function POST(request) {
+  return handle(request)
+}
@@ -5,7 +5,9 @@ import { authorizeCron } from '@/lib/auth/cron-auth'
 const require = createRequire(import.meta.url)
 const { processMasterEarnings } = require('@/lib/workers/master-earnings-worker')
 const { processDiscountAdjustments } = require('@/lib/workers/discount-engine-worker')
+const { processRetailCommissions } = require('@/lib/workers/retail-commission-worker')
 const { refreshMasterPerformance } = require('@/scripts/refresh-master-performance')
+const { processPackageSales, expireCustomerPackages } = require('@/lib/workers/customer-package-service')
 
 function json(body, status = 200) {
   return new Response(JSON.stringify(body), {
@@ -33,8 +35,12 @@ async function handle(request) {
     const results = []
     for (const org of organizations) {
       console.log(`[CRON-EARNINGS] Processing org: ${org.id}`)
+      // Packages first so bookings paid by a just-sold package find it
+      await processPackageSales(org.id)
+      await expireCustomerPackages(org.id)
       await processMasterEarnings(org.id)
       await processDiscountAdjustments(org.id)
+      await processRetailCommissions(org.id)
       await refreshMasterPerformance(org.id)
       results.push({ orgId: org.id, status: 'success' })
     }
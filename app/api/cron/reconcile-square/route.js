@@ -0,0 +1,57 @@
+/**
+ * Cron: nightly Square reconciliation
+ *
+ * For every active organization, compares yesterday (organization time zone)
+ * between Square and our tables (see lib/reconciliation/square-reconciliation.js),
+ * auto-repairs safe discrepancies and stores the rest for review in
+ * reconciliation_discrepancies.
+ *
+ * Schedule: 30 10 * * *  (daily at 10:30 UTC = 03:30 PT, after reconcile-stale-payments)
+ */
+
+import prisma from '@/lib/prisma-client'
+import { authorizeCron } from '@/lib/auth/cron-auth'
+import { reconcileSquareDay } from '@/lib/reconciliation/square-reconciliation'
+import { logInfo, logError } from '@/lib/observability/logger'
+
+export const dynamic = 'force-dynamic'
+
+async function handle(request) {
+  const auth = authorizeCron(request)
+  if (!auth.authorized) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const startTime = Date.now()
+  try {
+    const organizations = await prisma.organization.findMany({
+      where: { is_active: true },
+      select: { id: true }
+    })
+
+    const results = []
+    for (const org of organizations) {
+      const result = await reconcileSquareDay({ organizationId: org.id })
+      results.push({ orgId: org.id, ...result })
+    }
+
+    const duration = Date.now() - startTime
+    logInfo('reconciliation.completed', {
+      organizations: results.length,
+      failed: results.filter((r) => !r.success).length,
+      duration
+    })
+    return Response.json({ success: true, results, duration })
+  } catch (error) {
+    logError('reconciliation.failed', { error: error.message, stack: error.stack })
+    return Response.json({ success: false, error: 'Reconciliation failed' }, { status: 500 })
+  }
+}
+
+export async function GET(request) {
+  return handle(request)
+}
+
+export async function POST(request) {
+  return handle(request)
+}
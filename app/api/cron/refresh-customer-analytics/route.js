@@ -273,6 +273,11 @@ ON CONFLICT (organization_id, square_customer_id) DO UPDATE SET
   customer_type = EXCLUDED.customer_type,
   gross_revenue_cents = EXCLUDED.gross_revenue_cents,
   last_payment_at = EXCLUDED.last_payment_at,
+  -- Transitions feed win-back campaigns (lib/messaging/winback-campaigns.js)
+  previous_segment = CASE WHEN customer_analytics.customer_segment IS DISTINCT FROM EXCLUDED.customer_segment
+    THEN customer_analytics.customer_segment ELSE customer_analytics.previous_segment END,
+  segment_changed_at = CASE WHEN customer_analytics.customer_segment IS DISTINCT FROM EXCLUDED.customer_segment
+    THEN NOW() ELSE customer_analytics.segment_changed_at END,
   customer_segment = EXCLUDED.customer_segment,
   updated_at = NOW();
 `;
@@ -0,0 +1,41 @@
+/**
+ * Cron: win-back campaigns
+ *
+ * Enrolls customers who moved into a campaign's segment (AT_RISK / LOST),
+ * sends due win-back messages, expires unspent offer gift cards and
+ * attributes bookings (see lib/messaging/winback-campaigns.js).
+ *
+ * Schedule: hourly, after the customer analytics refresh
+ */
+
+import { authorizeCron } from '@/lib/auth/cron-auth'
+import { runWinbackCampaigns } from '@/lib/messaging/winback-campaigns'
+import { logInfo, logError } from '@/lib/observability/logger'
+
+export const dynamic = 'force-dynamic'
+
+async function handle(request) {
+  const auth = authorizeCron(request)
+  if (!auth.authorized) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const startTime = Date.now()
+  try {
+    const summary = await runWinbackCampaigns()
+    const duration = Date.now() - startTime
+    logInfo('winback.run', { ...summary, duration })
+    return Response.json({ success: true, ...summary, duration })
+  } catch (error) {
+    logError('winback.run_failed', { error: error.message, stack: error.stack })
+    return Response.json({ success: false, error: 'Win-back campaign run failed' }, { status: 500 })
+  }
+}
+
+export async function GET(request) {
+  return handle(request)
+}
+
+export async function POST(request) {
+  return handle(request)
+}
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
 import prisma from '../../../lib/prisma-client'
 import { generateReferralUrl } from '../../../lib/utils/referral-url'
+import { getReferralProgram } from '../../../lib/referrals/referral-program'
+import { getReferrerStatus } from '../../../lib/referrals/referral-tiers'
 
 /**
  * Normalize phone number to match database format
@@ -65,6 +67,7 @@ async function findCustomerByName(givenName, familyName) {
           given_name,
           family_name,
           email_address,
+          organization_id,
           updated_at
         FROM square_existing_clients
         WHERE LOWER(given_name) LIKE ${givenPattern}
@@ -84,6 +87,7 @@ async function findCustomerByName(givenName, familyName) {
           given_name,
           family_name,
           email_address,
+          organization_id,
           updated_at
         FROM square_existing_clients
         WHERE LOWER(given_name) LIKE ${givenPattern}
@@ -102,6 +106,7 @@ async function findCustomerByName(givenName, familyName) {
           given_name,
           family_name,
           email_address,
+          organization_id,
           updated_at
         FROM square_existing_clients
         WHERE LOWER(family_name) LIKE ${familyPattern}
@@ -201,7 +206,8 @@ async function findCustomerByPhone(phoneNumber) {
         referral_url,
         given_name,
         family_name,
-        email_address
+        email_address,
+        organization_id
       FROM square_existing_clients
       WHERE phone_number = ${normalized}
       LIMIT 1
@@ -221,7 +227,8 @@ async function findCustomerByPhone(phoneNumber) {
         referral_url,
         given_name,
         family_name,
-        email_address
+        email_address,
+        organization_id
       FROM square_existing_clients
       WHERE phone_number = ${withoutPlus}
       LIMIT 1
@@ -249,6 +256,7 @@ async function findCustomerByPhone(phoneNumber) {
         given_name,
         family_name,
         email_address,
+        organization_id,
         updated_at
       FROM square_existing_clients
       WHERE (
@@ -453,6 +461,20 @@ export async function POST(request) {
 
     const customerName = `${customer.given_name || ''} ${customer.family_name || ''}`.trim() || 'Unknown'
 
+    // Referrer tier (Silver/Gold) and progress; lookup still works if this fails
+    let referralStatus = null
+    if (customer.organization_id) {
+      try {
+        const program = await getReferralProgram(customer.organization_id)
+        referralStatus = await getReferrerStatus(program, {
+          organizationId: customer.organization_id,
+          referrerCustomerId: customer.square_customer_id
+        })
+      } catch (error) {
+        console.error('Error loading referral status:', error)
+      }
+    }
+
     return NextResponse.json({
       found: true,
       hasReferralLink: true,
@@ -460,7 +482,8 @@ export async function POST(request) {
       referralCode: customer.personal_code || null,
       referralUrl: customer.referral_url,
       phoneNumber: customer.phone_number,
-      squareCustomerId: customer.square_customer_id
+      squareCustomerId: customer.square_customer_id,
+      referralStatus
     })
 
   } catch (error) {
@@ -0,0 +1,76 @@
+/**
+ * Email Unsubscribe
+ * Target of the List-Unsubscribe header on customer emails
+ * (lib/messaging/email-suppression.js).
+ *
+ * GET  /api/unsubscribe?token=... – confirmation page (link scanners prefetch GETs)
+ * POST /api/unsubscribe?token=... – unsubscribes; mail clients send
+ *      "List-Unsubscribe=One-Click" here (RFC 8058)
+ */
+
+export const dynamic = 'force-dynamic'
+
+import { verifyUnsubscribeToken, suppressEmail } from '@/lib/messaging/email-suppression'
+
+function page(title, message, { status = 200, form = null } = {}) {
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+</head>
+<body style="font-family: -apple-system, Helvetica, Arial, sans-serif; background: #F7F5F0; color: #2F2F2F; text-align: center; padding: 48px 16px;">
+  <h1 style="font-size: 22px; font-weight: 600;">${title}</h1>
+  <p style="font-size: 15px;">${message}</p>
+  ${form || ''}
+</body>
+</html>`
+  return new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
+  })
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function invalidLink() {
+  return page('Link expired', 'This unsubscribe link is not valid. Reply to any of our emails and we will remove you.', { status: 400 })
+}
+
+export async function GET(request) {
+  const token = new URL(request.url).searchParams.get('token')
+  const subscriber = verifyUnsubscribeToken(token)
+  if (!subscriber) return invalidLink()
+
+  const form = `<form method="POST" action="/api/unsubscribe?token=${encodeURIComponent(token)}">
+    <button type="submit" style="background: #5C6B50; color: #fff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 15px; cursor: pointer;">Unsubscribe</button>
+  </form>`
+  return page('Unsubscribe', `Stop emails from Zorina Nail Studio to ${escapeHtml(subscriber.email)}?`, { form })
+}
+
+export async function POST(request) {
+  const token = new URL(request.url).searchParams.get('token')
+  const subscriber = verifyUnsubscribeToken(token)
+  if (!subscriber) return invalidLink()
+
+  try {
+    await suppressEmail({
+      email: subscriber.email,
+      organizationId: subscriber.organizationId,
+      reason: 'unsubscribe',
+      source: 'unsubscribe_link'
+    })
+  } catch (error) {
+    console.error('Unsubscribe error:', error.message)
+    return page('Something went wrong', 'Please try again in a moment.', { status: 500 })
+  }
+
+  return page('You are unsubscribed', `${escapeHtml(subscriber.email)} will no longer receive emails from Zorina Nail Studio.`)
+}
@@ -57,7 +57,8 @@ export async function GET(request, { params }) {
       balanceCents,
       customerName,
       serialNumber,
-      webServiceUrl
+      webServiceUrl,
+      referralTier
     } = await resolveGiftCardContext({ gan, prisma, giftCardsApi })
     
     console.log('🔗 Setting webServiceURL in pass:', webServiceUrl)
@@ -70,7 +71,8 @@ export async function GET(request, { params }) {
       balanceCents,
       customerName,
       serialNumber,
-      webServiceUrl
+      webServiceUrl,
+      referralTier
     })
 
     console.log(`✅ Generated Apple Wallet pass for ${gan}`)
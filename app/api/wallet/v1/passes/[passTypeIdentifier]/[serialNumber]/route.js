@@ -8,6 +8,8 @@ import prisma from '../../../../../../../lib/prisma-client'
 
 const require = createRequire(import.meta.url)
 const { generateGiftCardPass, generateAuthToken } = require('../../../../../../../lib/wallet/pass-generator.js')
+const { getReferralProgram } = require('../../../../../../../lib/referrals/referral-program')
+const { getReferrerStatus } = require('../../../../../../../lib/referrals/referral-tiers')
 
 function getGiftCardsApi() {
   const squareClient = new Client({
@@ -53,6 +55,7 @@ export async function GET(request, { params }) {
     // Get current gift card info
     let customerInfo = null
     let balanceCents = 0
+    let referralTier = null
 
     try {
       // Note: gift_card_cache table was removed as it was never populated
@@ -98,6 +101,19 @@ export async function GET(request, { params }) {
             email: cust.email_address
           }
 
+          if (giftCard?.organization_id) {
+            try {
+              const program = await getReferralProgram(giftCard.organization_id)
+              const status = await getReferrerStatus(program, {
+                organizationId: giftCard.organization_id,
+                referrerCustomerId: cust.square_customer_id
+              })
+              referralTier = status.tier
+            } catch (tierError) {
+              console.warn(`⚠️ Could not resolve referral tier: ${tierError.message}`)
+            }
+          }
+
           if (cust.gift_card_id) {
             try {
               const squareGiftCard = await giftCardsApi.retrieveGiftCard(cust.gift_card_id)
@@ -135,7 +151,8 @@ export async function GET(request, { params }) {
       balanceCents: balanceCents,
       customerName: customerName,
       serialNumber: gan,
-      webServiceUrl: webServiceUrl
+      webServiceUrl: webServiceUrl,
+      referralTier
     })
 
     console.log(`✅ Generated updated pass for ${gan}`)
@@ -1,19 +1,25 @@
 /**
  * SendGrid Event Webhook
  * Receives delivery status updates (delivered, bounced, opened, clicked, etc.)
- * and updates notification_events accordingly.
+ * and updates notification_events accordingly. Bounces, spam reports and
+ * unsubscribes also go on the email suppression list (email_suppressions).
+ * A bounced or dropped notification sent by the notification dispatcher is
+ * retried on SMS (lib/messaging/notification-dispatcher.js).
  *
  * POST /api/webhooks/sendgrid
  *
  * Setup in SendGrid:
  *   Settings → Mail Settings → Event Webhook → POST URL
- *   Enable: Delivered, Bounced, Dropped, Opened, Clicked, Spam Report
+ *   Enable: Delivered, Bounced, Dropped, Opened, Clicked, Spam Report,
+ *           Unsubscribe, Group Unsubscribe, Group Resubscribe
  */
 
 export const dynamic = 'force-dynamic'
 
 import prisma from '@/lib/prisma-client'
 import { createHmac } from 'crypto'
+import { applySendGridSuppressionEvent } from '@/lib/messaging/email-suppression'
+import { handleDeliveryFailure } from '@/lib/messaging/notification-dispatcher'
 
 const SENDGRID_WEBHOOK_VERIFICATION_KEY = process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY
 
@@ -28,6 +34,29 @@ const EVENT_TO_STATUS = {
   deferred: 'sent', // still in transit
 }
 
+// Statuses that hand a dispatched notification to the next channel
+const FALLBACK_STATUSES = ['bounced', 'failed']
+
+const NOTIFICATION_SELECT = {
+  id: true,
+  status: true,
+  channel: true,
+  customerId: true,
+  referrerCustomerId: true,
+  referralEventId: true,
+  organization_id: true,
+  metadata: true
+}
+
+async function fallBackIfFailed(notification, newStatus, reason) {
+  if (!FALLBACK_STATUSES.includes(newStatus)) return
+  try {
+    await handleDeliveryFailure(notification, { reason })
+  } catch (err) {
+    console.error(`SendGrid webhook: fallback failed for notification ${notification.id}:`, err.message)
+  }
+}
+
 // Status priority — only upgrade, never downgrade
 const STATUS_PRIORITY = {
   queued: 0,
@@ -66,10 +95,17 @@ export async function POST(request) {
 
     let updated = 0
     let skipped = 0
+    let suppressed = 0
 
     for (const event of events) {
       const { sg_message_id, event: eventType, timestamp, reason, response, email } = event
 
+      try {
+        if (await applySendGridSuppressionEvent(event)) suppressed++
+      } catch (err) {
+        console.error(`SendGrid webhook: failed to apply ${eventType} suppression for ${email}:`, err.message)
+      }
+
       if (!sg_message_id || !eventType) {
         skipped++
         continue
@@ -91,14 +127,14 @@ export async function POST(request) {
             externalId: { startsWith: baseMessageId },
             channel: 'EMAIL'
           },
-          select: { id: true, status: true }
+          select: NOTIFICATION_SELECT
         })
 
         if (!notification) {
           // Try exact match
           const exactMatch = await prisma.notificationEvent.findFirst({
             where: { externalId: sg_message_id, channel: 'EMAIL' },
-            select: { id: true, status: true }
+            select: NOTIFICATION_SELECT
           })
           if (!exactMatch) {
             skipped++
@@ -120,6 +156,7 @@ export async function POST(request) {
               }
             })
             updated++
+            await fallBackIfFailed(exactMatch, newStatus, reason || response || eventType)
           } else {
             skipped++
           }
@@ -143,14 +180,15 @@ export async function POST(request) {
           }
         })
         updated++
+        await fallBackIfFailed(notification, newStatus, reason || response || eventType)
       } catch (err) {
         console.error(`SendGrid webhook: error processing event ${eventType} for ${sg_message_id}:`, err.message)
         skipped++
       }
     }
 
-    console.log(`SendGrid webhook: ${updated} updated, ${skipped} skipped out of ${events.length} events`)
-    return Response.json({ ok: true, updated, skipped })
+    console.log(`SendGrid webhook: ${updated} updated, ${skipped} skipped, ${suppressed} suppression changes out of ${events.length} events`)
+    return Response.json({ ok: true, updated, skipped, suppressed })
 
   } catch (error) {
     console.error('SendGrid webhook error:', error.message)
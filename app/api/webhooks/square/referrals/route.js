@@ -4,7 +4,25 @@ const crypto = require('crypto')
 const QRCode = require('qrcode')
 const { saveApplicationLog } = require('../../../../../lib/workflows/application-log-queue')
 const { sendReferralCodeEmail, sendGiftCardIssuedEmail, sendReferralCodeUsageNotification, trackNotification } = require('../../../../../lib/email-service-simple')
-const { sendReferralCodeSms, sendGiftCardSmsNotification, sendPostVisitReminderSms, REFERRAL_PROGRAM_SMS_TEMPLATE } = require('../../../../../lib/twilio-service')
+const { sendReferralCodeSms, sendGiftCardSmsNotification, sendPostVisitReminderSms } = require('../../../../../lib/twilio-service')
+const {
+  getReferralProgram,
+  formatRewardAmount,
+  getReferralSmsTemplate,
+  isReferralCodeExpired,
+  checkReferrerRewardEligibility,
+  recordSkippedReferrerReward,
+  recordFriendDiscountBonus,
+  buildDiscountRewardMetadata
+} = require('../../../../../lib/referrals/referral-program')
+const { resolveRewardAmounts } = require('../../../../../lib/referrals/referral-tiers')
+const {
+  processReferralMilestones,
+  createPromotionOrder,
+  completePromotionOrderPayment,
+  upsertCustomerCustomAttribute
+} = require('../../../../../lib/webhooks/giftcard-processors')
+const { scoreReferral, hasFraudReview, holdRewardForReview, holdFriendBonusForReview } = require('../../../../../lib/referrals/referral-fraud')
 const { normalizeGiftCardNumber } = require('../../../../../lib/wallet/giftcard-number-utils')
 const { refreshCustomerAnalyticsForSingleCustomer } = require('../../../../../lib/analytics/refresh-single-customer-analytics')
 // Import payment saving function from main webhook handler
@@ -81,11 +99,10 @@ const {
   getGiftCardsApi, 
   getGiftCardActivitiesApi, 
   getCustomerCustomAttributesApi, 
-  getOrdersApi, 
-  getPaymentsApi, 
   getLocationsApi,
   getWebhooksHelper
 } = require('../../../../../lib/utils/square-client')
+const squareMutations = require('../../../../../lib/utils/square-mutations')
 
 const DELIVERY_CHANNELS = {
   SQUARE_EGIFT_ORDER: 'square_egift_order',
@@ -266,10 +283,6 @@ async function resolveOrganizationIdFromLocationId(squareLocationId) {
   }
 }
 
-const REFERRAL_SMS_TEMPLATE =
-  process.env.REFERRAL_SMS_TEMPLATE ||
-  REFERRAL_PROGRAM_SMS_TEMPLATE
-
 /**
  * Generate QR code data URI for gift card
  * Retries with exponential backoff and different configurations to ensure QR code is always generated
@@ -1122,28 +1135,6 @@ async function findReferrerByCode(referralCode, organizationId) {
   }
 }
 
-async function upsertCustomerCustomAttribute(customerId, key, value, visibility = 'VISIBILITY_READ_ONLY') {
-  if (!customerId || !key || value === undefined || value === null) {
-    return
-  }
-
-  try {
-    const customerCustomAttributesApi = getCustomerCustomAttributesApi()
-    await customerCustomAttributesApi.upsertCustomerCustomAttribute(customerId, key, {
-      customAttribute: {
-        value,
-        visibility
-      }
-    })
-    console.log(`✅ Upserted custom attribute "${key}" for customer ${customerId}`)
-  } catch (error) {
-    console.error(`Error upserting custom attribute "${key}" for customer ${customerId}:`, error.message)
-    if (error.errors) {
-      console.error('Square API errors:', safeStringify(error.errors))
-    }
-  }
-}
-
 
 // Get customer custom attributes from Square
 async function getCustomerCustomAttributes(customerId) {
@@ -1271,109 +1262,6 @@ async function appendReferralNote(customerId, referralCode, referralUrl) {
   }
 }
 
-async function createPromotionOrder(customerId, amountMoney, referenceLabel, locationId, options = {}) {
-  if (!locationId || !amountMoney || !Number.isFinite(amountMoney.amount)) {
-    return null
-  }
-
-  try {
-    const ordersApi = getOrdersApi()
-    const { idempotencyKeySeed = null } = options || {}
-    const idempotencySeed =
-      idempotencyKeySeed ||
-      buildIdempotencyKey(['promo-order', customerId || 'anon', amountMoney.amount || 0])
-    const lineUid = `line-${Math.random().toString(36).slice(2, 10)}`
-    const normalizedAmount = {
-      amount: amountMoney.amount,
-      currency: amountMoney.currency || 'USD'
-    }
-    const orderRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
-      order: {
-        locationId,
-        referenceId: referenceLabel?.slice(0, 60) || undefined,
-        customerId: customerId || undefined,
-        lineItems: [
-          {
-            uid: lineUid,
-            name: referenceLabel?.slice(0, 60) || 'Referral promotion',
-            quantity: '1',
-            basePriceMoney: normalizedAmount,
-            itemType: 'GIFT_CARD'
-          }
-        ]
-      }
-    }
-
-    const orderResponse = await ordersApi.createOrder(orderRequest)
-    const createdOrder = orderResponse.result?.order
-
-    if (!createdOrder?.id) {
-      console.warn('⚠️ Failed to create promotion order – proceeding without order reference')
-      return null
-    }
-
-    return {
-      orderId: createdOrder.id,
-      lineItemUid: lineUid,
-      amountMoney: normalizedAmount
-    }
-  } catch (error) {
-    console.error('⚠️ Failed to create promotion order:', error.message)
-    if (error.errors) {
-      console.error('Square API errors:', safeStringify(error.errors))
-    }
-    return null
-  }
-}
-
-async function completePromotionOrderPayment(orderId, amountMoney, locationId, referenceLabel, options = {}) {
-  if (!orderId || !amountMoney || !Number.isFinite(amountMoney.amount) || !locationId) {
-    return { success: false, reason: 'missing-data' }
-  }
-
-  try {
-    const paymentsApi = getPaymentsApi()
-    const { idempotencyKeySeed = null } = options || {}
-    const idempotencySeed =
-      idempotencyKeySeed ||
-      buildIdempotencyKey(['promo-payment', orderId, amountMoney.amount || 0])
-    const paymentRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
-      sourceId: 'CASH',
-      locationId,
-      orderId,
-      amountMoney,
-      cashDetails: {
-        buyerSuppliedMoney: amountMoney,
-        changeBackMoney: { amount: 0, currency: amountMoney.currency || 'USD' }
-      },
-      note: referenceLabel ? referenceLabel.slice(0, 60) : undefined
-    }
-
-    const paymentResponse = await paymentsApi.createPayment(paymentRequest)
-    const payment = paymentResponse.result?.payment
-
-    if (payment?.status === 'COMPLETED') {
-      console.log(`✅ Owner-funded payment recorded for order ${orderId} (payment ${payment.id})`)
-      return { success: true, paymentId: payment.id }
-    }
-
-    console.warn(`⚠️ Payment for order ${orderId} did not complete (status: ${payment?.status ?? 'unknown'})`)
-    return {
-      success: false,
-      paymentId: payment?.id ?? null,
-      status: payment?.status ?? 'unknown'
-    }
-  } catch (error) {
-    console.error(`⚠️ Failed to complete owner-funded payment for order ${orderId}:`, error.message)
-    if (error.errors) {
-      console.error('Square API errors:', safeStringify(error.errors))
-    }
-    return { success: false, error: error.message }
-  }
-}
-
 // Helper function to save gift card to database
 async function saveGiftCardToDatabase(giftCardData) {
   try {
@@ -1795,7 +1683,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       currency: 'USD'
     }
     const giftCardsApi = getGiftCardsApi()
-    const giftCardActivitiesApi = getGiftCardActivitiesApi()
     const { orderInfo = null, idempotencyKeySeed = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
@@ -1807,7 +1694,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
     
     // Step 1: Create the gift card
     const giftCardRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
       locationId: locationId,
       giftCard: {
         type: 'DIGITAL',
@@ -1817,7 +1703,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
 
     let createResponse
     try {
-      createResponse = await giftCardsApi.createGiftCard(giftCardRequest)
+      createResponse = await squareMutations.createGiftCard(giftCardRequest, { idempotencySeed, organizationId })
     } catch (createError) {
       console.error(`❌ Failed to create gift card via Square API:`, createError.message)
       if (createError.errors) {
@@ -1906,7 +1792,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
     // Try order-based activation first (Square eGift flow)
     if (locationId && orderInfo?.orderId && orderInfo?.lineItemUid) {
       const egiftActivateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate-order', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ACTIVATE',
@@ -1920,7 +1805,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(egiftActivateRequest)
+        const activateResponse = await squareMutations.createGiftCardActivity(egiftActivateRequest, { idempotencySeed, action: 'activate-order', organizationId })
         giftCardActivity = activateResponse.result?.giftCardActivity || null
 
         if (giftCardActivity) {
@@ -1959,7 +1844,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
     // Owner-funded activation fallback (ACTIVATE with OWNER_FUNDED)
     if (!giftCardActivity && locationId && amountMoney.amount > 0) {
       const activateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate-owner', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ACTIVATE',
@@ -1973,7 +1857,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(activateRequest)
+        const activateResponse = await squareMutations.createGiftCardActivity(activateRequest, { idempotencySeed, action: 'activate-owner', organizationId })
         const activity = activateResponse.result?.giftCardActivity || null
 
         if (activity) {
@@ -2027,7 +1911,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
     // Final fallback: ADJUST_INCREMENT (ensures balance load even if activate fails)
     if (!giftCardActivity && locationId && amountMoney.amount > 0) {
       const adjustRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'adjust-increment', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ADJUST_INCREMENT',
@@ -2040,7 +1923,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const adjustResponse = await giftCardActivitiesApi.createGiftCardActivity(adjustRequest)
+        const adjustResponse = await squareMutations.createGiftCardActivity(adjustRequest, { idempotencySeed, action: 'adjust-increment', organizationId })
         const activity = adjustResponse.result?.giftCardActivity || null
 
         if (activity) {
@@ -2275,12 +2158,11 @@ async function loadGiftCard(
   try {
     const locationId = process.env.SQUARE_LOCATION_ID?.trim()
     const giftCardsApi = getGiftCardsApi()
-    const giftCardActivitiesApi = getGiftCardActivitiesApi()
     const amountMoney = {
       amount: Number.isFinite(amountCents) ? Math.trunc(amountCents) : 0,
       currency: 'USD'
     }
-    const { idempotencyKeySeed = null } = options || {}
+    const { idempotencyKeySeed = null, organizationId = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
       buildIdempotencyKey(['load-gift-card', giftCardId, amountCents || 0])
@@ -2329,7 +2211,6 @@ async function loadGiftCard(
       }
 
       const activateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate', giftCardId]),
         giftCardActivity: {
           giftCardId,
           type: 'ACTIVATE',
@@ -2343,7 +2224,7 @@ async function loadGiftCard(
       }
 
       try {
-        const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(activateRequest)
+        const activateResponse = await squareMutations.createGiftCardActivity(activateRequest, { idempotencySeed, action: 'activate', organizationId })
         activity = activateResponse.result?.giftCardActivity || null
         deliveryChannel = DELIVERY_CHANNELS.OWNER_FUNDED_ACTIVATE
         transactionType = 'ACTIVATE'
@@ -2370,7 +2251,6 @@ async function loadGiftCard(
       }
     } else {
       const adjustRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'adjust', giftCardId]),
         giftCardActivity: {
           giftCardId,
           type: 'ADJUST_INCREMENT',
@@ -2383,7 +2263,7 @@ async function loadGiftCard(
       }
 
       try {
-        const adjustResponse = await giftCardActivitiesApi.createGiftCardActivity(adjustRequest)
+        const adjustResponse = await squareMutations.createGiftCardActivity(adjustRequest, { idempotencySeed, action: 'adjust', organizationId })
         activity = adjustResponse.result?.giftCardActivity || null
         deliveryChannel = DELIVERY_CHANNELS.OWNER_FUNDED_ADJUST
         transactionType = 'ADJUST_INCREMENT'
@@ -2577,6 +2457,8 @@ async function sendReferralCodeToNewClient(
     if (!organizationId) {
       throw new Error(`Cannot resolve organization_id for customer ${customerId}`)
     }
+
+    const program = await getReferralProgram(organizationId)
     
     // Check if email already sent
     const customerData = await prisma.$queryRaw`
@@ -2630,7 +2512,7 @@ async function sendReferralCodeToNewClient(
           digitalEmail: customer.gift_card_digital_email
         }
         console.log(`✅ Customer already has gift card: ${referrerGiftCardId}`)
-      } else {
+      } else if (program.reward_type !== 'DISCOUNT') {
         // If customer didn't use referral code, create new referrer gift card
         const pendingOrderInfo =
           customer.gift_card_order_id && customer.gift_card_line_item_uid
@@ -2858,7 +2740,9 @@ async function sendReferralCodeToNewClient(
         referralCode,
         referralUrl,
         {
-          metadata: addLocationMetadata({}, locationId)
+          metadata: addLocationMetadata({}, locationId),
+          friendRewardCents: program.friend_reward_cents,
+          referrerRewardCents: program.referrer_reward_cents
         }
       )
       
@@ -2899,8 +2783,10 @@ async function sendReferralCodeToNewClient(
         to: smsDestination,
         name: customerName,
         referralUrl,
-        body: REFERRAL_SMS_TEMPLATE,
-        metadata: addLocationMetadata({}, locationId)
+        defaultBody: getReferralSmsTemplate(program),
+        customerId,
+        metadata: addLocationMetadata({}, locationId),
+        organizationId
       })
 
       if (smsResult.success) {
@@ -3184,6 +3070,7 @@ async function processCustomerCreated(customerData, request, runContext = {}) {
       try {
         console.log(`📧 Sending referral code email immediately to ${emailAddress}...`)
         
+        const program = await getReferralProgram(organizationId)
         const emailResult = await sendReferralCodeEmail(
           customerName,
           emailAddress,
@@ -3191,7 +3078,9 @@ async function processCustomerCreated(customerData, request, runContext = {}) {
           referralUrl,
           {
             customerId,
-            metadata: {}
+            metadata: {},
+            friendRewardCents: program.friend_reward_cents,
+            referrerRewardCents: program.referrer_reward_cents
           }
         )
         
@@ -3414,6 +3303,11 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
 
     console.log(`🎉 First payment completed for customer: ${customer.given_name} ${customer.family_name}`)
     const locationId = process.env.SQUARE_LOCATION_ID?.trim()
+    const program = await getReferralProgram(organizationId)
+    let rewardAmounts = {
+      friendRewardCents: program.friend_reward_cents,
+      referrerRewardCents: program.referrer_reward_cents
+    }
     // 2. Handle referrer reward (if customer used a referral code)
     if (customer.used_referral_code) {
       console.log(`🎯 Customer used referral code: ${customer.used_referral_code}`)
@@ -3438,6 +3332,64 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
           return
         }
 
+        // Amounts use the referrer's tier before this referral counts
+        rewardAmounts = await resolveRewardAmounts(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id
+        })
+
+        let referrerEligibility = await checkReferrerRewardEligibility(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id,
+          customerId,
+          referralCode: customer.used_referral_code,
+          codeAccepted: Boolean(customer.got_signup_bonus),
+          paymentAmountCents: extractPaymentAmountCents(paymentData)
+        })
+        if (referrerEligibility.eligible) {
+          if (await hasFraudReview({ organizationId, customerId, rewardType: 'referrer_reward' })) {
+            console.log(`⚠️ Referrer reward for ${customerId} already went through fraud review, skipping`)
+            referrerEligibility = { eligible: false, reason: 'fraud_review', alreadyRecorded: true }
+          } else {
+            const fraud = await scoreReferral(program, {
+              organizationId,
+              referrerCustomerId: referrer.square_customer_id,
+              customerId,
+              paymentCardFingerprint: paymentData.cardDetails?.card?.fingerprint || paymentData.card_details?.card?.fingerprint || null
+            })
+            if (fraud.hold) {
+              await holdRewardForReview(fraud, {
+                organizationId,
+                referrerCustomerId: referrer.square_customer_id,
+                customerId,
+                rewardType: 'referrer_reward',
+                amountCents: rewardAmounts.referrerRewardCents,
+                paymentId: paymentId || null,
+                extra: { referral_code: customer.used_referral_code, source: 'payment.completed' }
+              })
+              console.log(`🚩 Referrer reward held for review (fraud score ${fraud.score}/${fraud.threshold}: ${fraud.signals.map((s) => s.signal).join(', ')})`)
+              referrerEligibility = { eligible: false, reason: 'fraud_review', alreadyRecorded: true }
+            }
+          }
+        }
+        if (!referrerEligibility.eligible && !referrerEligibility.alreadyRecorded) {
+          console.log(`⚠️ Referrer reward not issued by program rules: ${referrerEligibility.reason}`)
+          await recordSkippedReferrerReward(program, {
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            customerId,
+            paymentId,
+            reason: referrerEligibility.reason
+          })
+          await saveApplicationLog(prisma, {
+            organizationId: organizationId,
+            logType: 'REWARD_PROCESSING',
+            logId: `reward-ineligible-${customerId}-${Date.now()}`,
+            status: 'completed',
+            payload: { customerId, referrerId: referrer.square_customer_id, reason: referrerEligibility.reason }
+          })
+        }
+
         // Check if referrer already has a gift card
         // First get referrer's organization_id
         const referrerOrgCheck = await prisma.$queryRaw`
@@ -3456,12 +3408,59 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
             AND organization_id = ${referrerOrganizationId}::uuid
         `
 
-        if (referrerData && referrerData.length > 0) {
+        if (referrerEligibility.eligible && referrerData && referrerData.length > 0) {
           const referrerInfo = referrerData[0]
           
-          if (!referrerInfo.gift_card_id) {
+          if (program.reward_type === 'DISCOUNT') {
+            const rewardAmountCents = rewardAmounts.referrerRewardCents
+            try {
+              await prisma.$transaction(async (tx) => {
+                await tx.$executeRaw`
+                  UPDATE square_existing_clients
+                  SET
+                    total_referrals = COALESCE(total_referrals, 0) + 1,
+                    total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents}
+                  WHERE square_customer_id = ${referrer.square_customer_id}
+                    AND organization_id = ${referrerOrganizationId}::uuid
+                `
+                await tx.$executeRaw`
+                  UPDATE referral_profiles
+                  SET
+                    total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
+                    total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
+                    updated_at = NOW()
+                  WHERE square_customer_id = ${referrer.square_customer_id}
+                    AND organization_id = ${referrerOrganizationId}::uuid
+                `
+                await tx.referralReward.create({
+                  data: {
+                    organization_id: organizationId,
+                    referrer_customer_id: referrer.square_customer_id,
+                    referred_customer_id: customerId,
+                    reward_amount_cents: rewardAmountCents,
+                    status: 'PAID',
+                    payment_id: paymentId || null,
+                    reward_type: 'referrer_reward',
+                    paid_at: new Date(),
+                    metadata: buildDiscountRewardMetadata(program, {
+                      referral_code: customer.used_referral_code,
+                      source: 'payment.completed'
+                    })
+                  }
+                })
+              }, { timeout: 15000 })
+              console.log(`✅ Referrer earned ${formatRewardAmount(rewardAmountCents)} discount ("${program.discount_name}") for next visit`)
+            } catch (txError) {
+              if (txError.code === 'P2002') {
+                console.log(`⚠️ Duplicate reward prevented for referred customer ${customerId} (race condition caught)`)
+              } else {
+                console.error(`❌ Transaction failed for referrer discount reward: ${txError.message}`)
+                paymentHadError = true
+              }
+            }
+          } else if (!referrerInfo.gift_card_id) {
             // Create NEW gift card for referrer (first time)
-            const rewardAmountCents = 1000
+            const rewardAmountCents = rewardAmounts.referrerRewardCents
             const rewardAmountMoney = { amount: rewardAmountCents, currency: 'USD' }
             let orderInfoForActivation = null
 
@@ -3469,11 +3468,14 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
               const promotionOrder = await createPromotionOrder(
                 referrer.square_customer_id,
                 rewardAmountMoney,
-                'Referrer reward $10',
+                `Referrer reward ${formatRewardAmount(rewardAmountCents)}`,
                 locationId,
-                runContext?.correlationId
-                  ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-order') }
-                  : {}
+                {
+                  idempotencyKeySeed: runContext?.correlationId
+                    ? buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-order')
+                    : null,
+                  organizationId
+                }
               )
 
               if (promotionOrder?.orderId && promotionOrder?.lineItemUid) {
@@ -3482,9 +3484,12 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                   promotionOrder.amountMoney,
                   locationId,
                   'Referrer reward gift card',
-                  runContext?.correlationId
-                    ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-payment') }
-                    : {}
+                  {
+                    idempotencyKeySeed: runContext?.correlationId
+                      ? buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-payment')
+                      : null,
+                    organizationId
+                  }
                 )
 
                 if (paymentResult.success) {
@@ -3539,7 +3544,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE square_existing_clients
                     SET
                       total_referrals = COALESCE(total_referrals, 0) + 1,
-                      total_rewards = COALESCE(total_rewards, 0) + 1000,
+                      total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents},
                       gift_card_id = ${referrerGiftCard.giftCardId},
                       gift_card_gan = ${referrerGiftCard.giftCardGan ?? null},
                       gift_card_order_id = ${referrerGiftCard.orderId ?? null},
@@ -3557,7 +3562,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE referral_profiles
                     SET
                       total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
-                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + 1000,
+                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
                       updated_at = NOW()
                     WHERE square_customer_id = ${referrer.square_customer_id}
                       AND organization_id = ${referrerOrganizationId}::uuid
@@ -3605,7 +3610,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
 
               console.log(`✅ Referrer gets NEW gift card:`)
               console.log(`   - Gift Card ID: ${referrerGiftCard.giftCardId}`)
-              console.log(`   - Amount: $10`)
+              console.log(`   - Amount: ${formatRewardAmount(rewardAmountCents)}`)
               console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
 
               if (runContext?.correlationId) {
@@ -3698,16 +3703,19 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
               }
             }
           } else {
-            // Load $10 onto EXISTING gift card
-            const rewardAmountCents = 1000
+            // Load the reward onto EXISTING gift card
+            const rewardAmountCents = rewardAmounts.referrerRewardCents
             const loadResult = await loadGiftCard(
               referrerInfo.gift_card_id,
               rewardAmountCents,
               referrer.square_customer_id,
               'Referrer reward gift card load',
-              runContext?.correlationId
-                ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'load') }
-                : {}
+              {
+                idempotencyKeySeed: runContext?.correlationId
+                  ? buildStageKey(runContext.correlationId, 'referrer_reward', 'load')
+                  : null,
+                organizationId
+              }
             )
 
             if (loadResult.success) {
@@ -3719,7 +3727,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE square_existing_clients
                     SET
                       total_referrals = COALESCE(total_referrals, 0) + 1,
-                      total_rewards = COALESCE(total_rewards, 0) + 1000,
+                      total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents},
                       gift_card_gan = ${loadResult.giftCardGan ?? referrerInfo.gift_card_gan ?? null},
                       gift_card_delivery_channel = ${loadResult.deliveryChannel ?? referrerInfo.gift_card_delivery_channel ?? null},
                       gift_card_activation_url = ${loadResult.activationUrl ?? referrerInfo.gift_card_activation_url ?? null},
@@ -3734,7 +3742,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE referral_profiles
                     SET
                       total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
-                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + 1000,
+                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
                       updated_at = NOW()
                     WHERE square_customer_id = ${referrer.square_customer_id}
                       AND organization_id = ${referrerOrganizationId}::uuid
@@ -3793,9 +3801,9 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                 })
               }
 
-              console.log(`✅ Referrer gets $10 loaded onto existing gift card:`)
+              console.log(`✅ Referrer gets ${formatRewardAmount(rewardAmountCents)} loaded onto existing gift card:`)
               console.log(`   - Gift Card ID: ${referrerInfo.gift_card_id}`)
-              console.log(`   - Amount loaded: $10`)
+              console.log(`   - Amount loaded: ${formatRewardAmount(rewardAmountCents)}`)
               console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
 
               if (referrerEmail || referrer.phone_number) {
@@ -3875,6 +3883,14 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
               }
             }
           }
+
+          await processReferralMilestones({
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            program,
+            triggeredByCustomerId: customerId,
+            runContext
+          })
         }
       }
     } else {
@@ -3882,10 +3898,60 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
     }
 
     // 4. Handle friend reward (signup bonus)
-    if (customer.used_referral_code && !customer.got_signup_bonus) {
+    const friendBonusDue = Boolean(customer.used_referral_code && !customer.got_signup_bonus)
+    let friendBonusBlockedReason = null
+    if (friendBonusDue) {
+      if (!program.is_active) {
+        friendBonusBlockedReason = 'program_inactive'
+      } else if (referrerCustomerId && await isReferralCodeExpired(program, {
+        organizationId,
+        referrerCustomerId,
+        referralCode: customer.used_referral_code,
+        customerId
+      })) {
+        friendBonusBlockedReason = 'code_expired'
+      } else if (referrerCustomerId) {
+        if (await hasFraudReview({ organizationId, customerId, rewardType: 'friend_signup_bonus' })) {
+          friendBonusBlockedReason = 'fraud_review'
+        } else {
+          const fraud = await scoreReferral(program, { organizationId, referrerCustomerId, customerId })
+          if (fraud.hold) {
+            friendBonusBlockedReason = 'fraud_review'
+            await holdFriendBonusForReview(program, fraud, {
+              organizationId,
+              referrerCustomerId,
+              customerId,
+              bookingId: null,
+              referralCode: customer.used_referral_code,
+              amountCents: rewardAmounts.friendRewardCents
+            })
+          }
+        }
+      }
+      if (friendBonusBlockedReason) {
+        console.log(`⚠️ Friend signup bonus not issued: ${friendBonusBlockedReason}`)
+      }
+    }
+
+    if (friendBonusDue && !friendBonusBlockedReason && program.reward_type === 'DISCOUNT') {
+      await recordFriendDiscountBonus(program, {
+        organizationId,
+        referrerCustomerId: referrerCustomerId || customerId,
+        customerId,
+        bookingId: null,
+        amountCents: rewardAmounts.friendRewardCents
+      })
+      await prisma.$executeRaw`
+        UPDATE square_existing_clients
+        SET got_signup_bonus = TRUE
+        WHERE square_customer_id = ${customerId}
+          AND organization_id = ${organizationId}::uuid
+      `
+      console.log(`✅ Friend gets ${formatRewardAmount(rewardAmounts.friendRewardCents)} discount ("${program.discount_name}") on next visit`)
+    } else if (friendBonusDue && !friendBonusBlockedReason) {
       console.log(`🎁 Issuing friend reward for ${customer.given_name}`)
       
-      const rewardAmountCents = 1000
+      const rewardAmountCents = rewardAmounts.friendRewardCents
       const friendGiftCardOptions = {
         idempotencyKeySeed: runContext?.correlationId
           ? buildStageKey(runContext.correlationId, 'friend_reward', 'issue')
@@ -5496,10 +5562,89 @@ async function processBookingCreated(bookingData, runContext = {}) {
         }
         
         console.log(`   ✅ Validation passed - referral code is valid`)
+
+        const program = await getReferralProgram(organizationId)
+        if (!program.is_active) {
+          console.log(`   ❌ BLOCKED: Referral program is not active for this organization`)
+          console.log(`   📝 Referral code will NOT be saved`)
+          return
+        }
+        if (await isReferralCodeExpired(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id,
+          referralCode,
+          customerId
+        })) {
+          console.log(`   ❌ BLOCKED: Referral code expired (unused for ${program.code_expiry_days} days)`)
+          console.log(`   📝 Referral code will NOT be saved`)
+          return
+        }
+
+        const rewardAmounts = await resolveRewardAmounts(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id
+        })
+
+        if (await hasFraudReview({ organizationId, customerId, rewardType: 'friend_signup_bonus' })) {
+          console.log(`   ⚠️ Friend signup bonus already went through fraud review, skipping`)
+          return
+        }
+        const fraud = await scoreReferral(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id,
+          customerId
+        })
+        if (fraud.hold) {
+          await holdFriendBonusForReview(program, fraud, {
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            customerId,
+            bookingId,
+            referralCode,
+            amountCents: rewardAmounts.friendRewardCents
+          })
+          console.log(`   🚩 Friend signup bonus held for review (fraud score ${fraud.score}/${fraud.threshold}: ${fraud.signals.map((s) => s.signal).join(', ')})`)
+          if (runContext?.correlationId) {
+            await updateGiftCardRunStage(prisma, runContext.correlationId, {
+              stage: 'booking:completed',
+              status: 'completed',
+              clearError: true
+            })
+          }
+          return
+        }
+
+        if (program.reward_type === 'DISCOUNT') {
+          await recordFriendDiscountBonus(program, {
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            customerId,
+            bookingId,
+            amountCents: rewardAmounts.friendRewardCents
+          })
+          await prisma.$executeRaw`
+            UPDATE square_existing_clients
+            SET
+              got_signup_bonus = TRUE,
+              used_referral_code = ${referralCode},
+              updated_at = NOW()
+            WHERE square_customer_id = ${customerId}
+              AND organization_id = ${organizationId}::uuid
+          `
+          console.log(`✅ Friend gets ${formatRewardAmount(rewardAmounts.friendRewardCents)} discount ("${program.discount_name}") on first visit`)
+          if (runContext?.correlationId) {
+            await updateGiftCardRunStage(prisma, runContext.correlationId, {
+              stage: 'booking:completed',
+              status: 'completed',
+              clearError: true
+            })
+          }
+          return
+        }
         
-        // Give friend their $10 gift card IMMEDIATELY
+        // Give friend their gift card IMMEDIATELY
         const locationId = process.env.SQUARE_LOCATION_ID?.trim()
-        const rewardAmountCents = 1000
+        const rewardAmountCents = rewardAmounts.friendRewardCents
         const rewardAmountMoney = { amount: rewardAmountCents, currency: 'USD' }
         let orderInfoForActivation = null
 
@@ -5508,11 +5653,14 @@ async function processBookingCreated(bookingData, runContext = {}) {
           const promotionOrder = await createPromotionOrder(
             customerId,
             rewardAmountMoney,
-            'Friend signup bonus $10',
+            `Friend signup bonus ${formatRewardAmount(rewardAmountCents)}`,
             locationId,
-            runContext?.correlationId
-              ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'friend_reward', 'promo-order') }
-              : {}
+            {
+              idempotencyKeySeed: runContext?.correlationId
+                ? buildStageKey(runContext.correlationId, 'friend_reward', 'promo-order')
+                : null,
+              organizationId
+            }
           )
 
           if (promotionOrder?.orderId && promotionOrder?.lineItemUid) {
@@ -5521,9 +5669,12 @@ async function processBookingCreated(bookingData, runContext = {}) {
               promotionOrder.amountMoney,
               locationId,
               'Friend signup bonus gift card',
-              runContext?.correlationId
-                ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'friend_reward', 'promo-payment') }
-                : {}
+              {
+                idempotencyKeySeed: runContext?.correlationId
+                  ? buildStageKey(runContext.correlationId, 'friend_reward', 'promo-payment')
+                  : null,
+                organizationId
+              }
             )
 
             if (paymentResult.success) {
@@ -5562,7 +5713,7 @@ async function processBookingCreated(bookingData, runContext = {}) {
         const friendGiftCard = await createGiftCard(
           customerId,
           `${customer.given_name || ''} ${customer.family_name || ''}`.trim(),
-          rewardAmountCents, // $10
+          rewardAmountCents,
           false, // Friend gift card
           friendGiftCardOptions,
           organizationId
@@ -5619,10 +5770,10 @@ async function processBookingCreated(bookingData, runContext = {}) {
             // Continue - non-critical error, but log it
           }
 
-          console.log(`✅ Friend received $10 gift card IMMEDIATELY: ${friendGiftCard.giftCardId}`)
+          console.log(`✅ Friend received ${formatRewardAmount(rewardAmountCents)} gift card IMMEDIATELY: ${friendGiftCard.giftCardId}`)
           console.log(`   - Customer: ${customer.given_name} ${customer.family_name}`)
           console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
-          console.log(`   - Next: When customer pays, referrer gets $10`)
+          console.log(`   - Next: When customer pays, referrer gets ${formatRewardAmount(rewardAmounts.referrerRewardCents)}`)
 
           if (runContext?.correlationId) {
             await updateGiftCardRunStage(prisma, runContext.correlationId, {
@@ -5697,7 +5848,7 @@ async function processBookingCreated(bookingData, runContext = {}) {
                 organization_id: organizationId,
                 referrer_customer_id: referrer.square_customer_id,
                 referred_customer_id: customerId,
-                reward_amount_cents: rewardAmountCents, // 1000 cents = $10
+                reward_amount_cents: rewardAmountCents,
                 status: 'PAID',
                 gift_card_id: giftCardRecord?.id || null,
                 payment_id: null,
@@ -6569,7 +6720,8 @@ export async function POST(request) {
                   to: c.phone_number,
                   customerName: c.given_name || 'there',
                   referralCode: c.personal_code,
-                  referralUrl: refUrl
+                  referralUrl: refUrl,
+                  organizationId: smsOrgId
                 })
                 try {
                   if (smsResult.success && !smsResult.skipped) {
@@ -6909,7 +7061,8 @@ export async function POST(request) {
                   to: c.phone_number,
                   customerName: c.given_name || 'there',
                   referralCode: c.personal_code,
-                  referralUrl: refUrl
+                  referralUrl: refUrl,
+                  organizationId: smsOrgId
                 })
                 // Update the queued record with actual send result
                 try {
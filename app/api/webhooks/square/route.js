@@ -7,6 +7,7 @@ import { refreshCustomerAnalyticsForSingleCustomer } from '../../../../lib/analy
 
 const require = createRequire(import.meta.url)
 const { logInfo, logWarn, logError, logDebug } = require('../../../../lib/observability/logger')
+const { startTrace, withSpan } = require('../../../../lib/observability/tracing')
 const { resolveLocationUuidForSquareLocationId } = locationResolver
 const { sendPostVisitReminderSms } = require('../../../../lib/twilio-service')
 const { trackNotification } = require('../../../../lib/email-service-simple')
@@ -73,18 +74,21 @@ const {
 
 // Retry helper for transient Square API errors (502, 503, 504)
 async function retrySquareApi(fn, { maxRetries = 2, label = 'square_api' } = {}) {
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn()
-    } catch (error) {
-      const isTransient = /\b(502|503|504)\b/.test(error.message) ||
-                          [502, 503, 504].includes(error.statusCode)
-      if (!isTransient || attempt === maxRetries) throw error
-      const delayMs = 1000 * (attempt + 1)
-      console.log(`⏳ [${label}] Transient error (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delayMs}ms...`)
-      await new Promise(r => setTimeout(r, delayMs))
+  return withSpan('square.api', { label }, async (span) => {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      span.setAttributes({ attempts: attempt + 1 })
+      try {
+        return await fn()
+      } catch (error) {
+        const isTransient = /\b(502|503|504)\b/.test(error.message) ||
+                            [502, 503, 504].includes(error.statusCode)
+        if (!isTransient || attempt === maxRetries) throw error
+        const delayMs = 1000 * (attempt + 1)
+        console.log(`⏳ [${label}] Transient error (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delayMs}ms...`)
+        await new Promise(r => setTimeout(r, delayMs))
+      }
     }
-  }
+  })
 }
 
 /**
@@ -463,7 +467,17 @@ function verifySquareSignature(payload, signature, webhookSecret) {
 
 export const dynamic = 'force-dynamic'
 
+// Every delivery starts a trace; enqueued jobs and Square/SendGrid/Twilio calls join it
 export async function POST(request) {
+  return startTrace('square.webhook', { route: '/api/webhooks/square' }, async (span) => {
+    const response = await handleSquareWebhook(request, span)
+    span.setAttributes({ httpStatus: response.status })
+    if (response.status >= 500) span.setStatus('error')
+    return response
+  })
+}
+
+async function handleSquareWebhook(request, span) {
   try {
     const rawBody = await request.text()
     const signatureHeader = request.headers.get("x-square-hmacsha256-signature") ||
@@ -501,6 +515,7 @@ export async function POST(request) {
     // Парсим JSON
     const eventData = JSON.parse(rawBody)
     const correlationId = eventData.event_id || `webhook-${crypto.randomUUID()}`
+    span.setAttributes({ eventId: eventData.event_id, eventType: eventData.type })
     
     logInfo("webhook.received", {
       logId: correlationId,
@@ -541,6 +556,7 @@ export async function POST(request) {
           webhookOrganizationId = await resolveOrganizationId(merchantId)
         }
       }
+      span.setAttributes({ organizationId: webhookOrganizationId })
       
       // Save to application_logs (non-blocking, don't fail webhook if this fails)
       if (eventData.event_id) {
@@ -756,7 +772,8 @@ export async function POST(request) {
                     to: cust.phone_number,
                     customerName: cust.given_name || 'there',
                     referralCode: cust.personal_code,
-                    referralUrl
+                    referralUrl,
+                    organizationId: webhookOrganizationId
                   })
                   try {
                     if (smsResult.success && !smsResult.skipped) {
@@ -3337,6 +3354,17 @@ async function processOrderWebhook(webhookData, eventType, webhookMerchantId = n
       }
     }
 
+    // 7. Create customer packages for package line items on completed orders.
+    // Idempotent per line item; the master-earnings cron sweep retries misses.
+    if (orderUuid && organizationId && order.state === 'COMPLETED') {
+      try {
+        const { createPackagesForOrder } = await import('../../../../lib/workers/customer-package-service.js')
+        await createPackagesForOrder(orderUuid, organizationId)
+      } catch (packageError) {
+        console.warn(`⚠️ Failed to create customer packages for order ${orderId}:`, packageError.message)
+      }
+    }
+
   } catch (error) {
     safeLogError(`❌ Error processing order webhook (${eventType}):`, error)
     // Re-throw a clean error without BigInt values so Next.js can serialize it
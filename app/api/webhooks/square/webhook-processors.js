@@ -715,14 +715,330 @@ export async function processTeamMemberCreated(payload, eventId, eventCreatedAt)
   }
 }
 
-// Placeholder functions for other event types
-export async function processGiftCardActivityCreated() {}
-export async function processGiftCardActivityUpdated() {}
-export async function processGiftCardCustomerLinked() {}
-export async function processGiftCardUpdated() {}
+// Square gift card activity type → our GiftCardTransactionType (and balance direction).
+// LOAD / TRANSFER_BALANCE_TO add money; CLEAR_BALANCE, DEACTIVATE, IMPORT_REVERSAL and
+// TRANSFER_BALANCE_FROM take it away, so they are recorded as increments/decrements.
+const GIFT_CARD_ACTIVITY_TYPE_MAP = {
+  ACTIVATE: { type: 'ACTIVATE', sign: 1, detailsKey: 'activate_activity_details', state: 'ACTIVE' },
+  LOAD: { type: 'ADJUST_INCREMENT', sign: 1, detailsKey: 'load_activity_details' },
+  ADJUST_INCREMENT: { type: 'ADJUST_INCREMENT', sign: 1, detailsKey: 'adjust_increment_activity_details' },
+  ADJUST_DECREMENT: { type: 'ADJUST_DECREMENT', sign: -1, detailsKey: 'adjust_decrement_activity_details' },
+  REDEEM: { type: 'REDEEM', sign: -1, detailsKey: 'redeem_activity_details' },
+  REFUND: { type: 'REFUND', sign: 1, detailsKey: 'refund_activity_details' },
+  UNLINKED_ACTIVITY_REFUND: { type: 'REFUND', sign: 1, detailsKey: 'unlinked_activity_refund_activity_details' },
+  CLEAR_BALANCE: { type: 'ADJUST_DECREMENT', sign: -1, detailsKey: 'clear_balance_activity_details' },
+  DEACTIVATE: { type: 'ADJUST_DECREMENT', sign: -1, detailsKey: 'deactivate_activity_details', state: 'DEACTIVATED' },
+  BLOCK: { type: 'BLOCK', sign: 0, detailsKey: 'block_activity_details', state: 'BLOCKED' },
+  UNBLOCK: { type: 'UNBLOCK', sign: 0, detailsKey: 'unblock_activity_details', state: 'ACTIVE' },
+  IMPORT: { type: 'IMPORT', sign: 1, detailsKey: 'import_activity_details', state: 'ACTIVE' },
+  IMPORT_REVERSAL: { type: 'ADJUST_DECREMENT', sign: -1, detailsKey: 'import_reversal_activity_details' },
+  TRANSFER_BALANCE_FROM: { type: 'ADJUST_DECREMENT', sign: -1, detailsKey: 'transfer_balance_from_activity_details' },
+  TRANSFER_BALANCE_TO: { type: 'ADJUST_INCREMENT', sign: 1, detailsKey: 'transfer_balance_to_activity_details' }
+}
+
+function moneyToCents(money) {
+  if (!money || money.amount === null || money.amount === undefined) return null
+  const amount = Number(money.amount)
+  return Number.isFinite(amount) ? amount : null
+}
+
+// Snake_case and camelCase both show up depending on whether the payload came
+// straight from the webhook or was re-fetched through the SDK.
+function readField(obj, snakeKey) {
+  if (!obj) return undefined
+  if (obj[snakeKey] !== undefined) return obj[snakeKey]
+  const camelKey = snakeKey.replace(/_([a-z])/g, (_m, c) => c.toUpperCase())
+  return obj[camelKey]
+}
+
+// Queued jobs carry the organization; otherwise resolve it the way processBookingCreated does
+async function resolveEventOrganizationId(payload, organizationId, locationId) {
+  if (organizationId) return organizationId
+  const merchantId = payload?.merchant_id
+  if (!merchantId && !locationId) return null
+  const organization = await prisma.organization.findFirst({
+    where: {
+      OR: [
+        ...(merchantId ? [{ square_merchant_id: merchantId }] : []),
+        ...(locationId ? [{ locations: { some: { square_location_id: locationId } } }] : [])
+      ]
+    },
+    select: { id: true }
+  })
+  return organization?.id || null
+}
+
+// GANs are only unique per Square account, so the lookup is always scoped to the event's organization
+async function findTrackedGiftCard(organizationId, squareGiftCardId, gan) {
+  if (!organizationId || (!squareGiftCardId && !gan)) return null
+  return prisma.giftCard.findFirst({
+    where: {
+      organization_id: organizationId,
+      OR: [
+        ...(squareGiftCardId ? [{ square_gift_card_id: squareGiftCardId }] : []),
+        ...(gan ? [{ gift_card_gan: gan }] : [])
+      ]
+    }
+  })
+}
+
+// Write the new balance/state onto gift_cards (and the cached wallet registration)
+// and ask Apple Wallet to pull a fresh pass. Older snapshots than the last one
+// we applied are ignored so out-of-order events can't roll the balance back.
+async function applyGiftCardSnapshot(giftCard, { balanceCents, state, gan, observedAt, reason, eventId }) {
+  const observedDate = observedAt ? new Date(observedAt) : new Date()
+  const lastCheck = giftCard.last_balance_check_at ? new Date(giftCard.last_balance_check_at) : null
+  const isStale = lastCheck && !Number.isNaN(observedDate.getTime()) && observedDate < lastCheck
+  if (isStale) {
+    console.log(`[WEBHOOK-PROCESSOR] Gift card ${giftCard.square_gift_card_id} snapshot from ${observedDate.toISOString()} is older than last check, not updating balance`)
+  }
+
+  const data = { updated_at: new Date() }
+  if (!isStale && balanceCents !== null && balanceCents !== undefined) {
+    data.current_balance_cents = balanceCents
+    data.last_balance_check_at = Number.isNaN(observedDate.getTime()) ? new Date() : observedDate
+  }
+  if (state) {
+    data.state = state
+    data.is_active = state !== 'DEACTIVATED'
+  }
+  if (gan && !giftCard.gift_card_gan) {
+    data.gift_card_gan = gan
+  }
+
+  await prisma.giftCard.update({ where: { id: giftCard.id }, data })
+
+  const passGan = giftCard.gift_card_gan || gan
+  if (!passGan) return
+
+  if (data.current_balance_cents !== undefined) {
+    try {
+      await prisma.devicePassRegistration.updateMany({
+        where: { serialNumber: passGan },
+        data: { balanceCents: data.current_balance_cents }
+      })
+    } catch (err) {
+      console.warn(`[WEBHOOK-PROCESSOR] ⚠️ Failed to update cached wallet balance for ${passGan}:`, err.message)
+    }
+  }
+
+  try {
+    const { queueWalletPassUpdate } = await import('../../../../lib/wallet/push-service.js')
+    queueWalletPassUpdate(passGan, {
+      reason,
+      metadata: {
+        eventId,
+        balanceCents: data.current_balance_cents ?? giftCard.current_balance_cents ?? null,
+        state: data.state || giftCard.state || null
+      }
+    })
+  } catch (err) {
+    console.warn(`[WEBHOOK-PROCESSOR] ⚠️ Failed to queue wallet pass update for ${passGan}:`, err.message)
+  }
+}
+
+async function upsertGiftCardActivityTransaction(payload, eventId, eventCreatedAt, organizationId) {
+  const activity = payload?.object?.gift_card_activity || payload?.gift_card_activity || payload?.giftCardActivity
+  if (!activity?.id) {
+    console.warn(`[WEBHOOK-PROCESSOR] No gift card activity found in payload for event ${eventId}`)
+    return
+  }
+
+  const activityId = activity.id
+  const activityType = activity.type
+  const mapping = GIFT_CARD_ACTIVITY_TYPE_MAP[activityType]
+  if (!mapping) {
+    console.log(`[WEBHOOK-PROCESSOR] Gift card activity ${activityId} has unsupported type ${activityType}, skipping`)
+    return
+  }
+
+  const squareGiftCardId = readField(activity, 'gift_card_id')
+  const gan = readField(activity, 'gift_card_gan')
+  const eventOrganizationId = await resolveEventOrganizationId(payload, organizationId, readField(activity, 'location_id'))
+  const giftCard = await findTrackedGiftCard(eventOrganizationId, squareGiftCardId, gan)
+  if (!giftCard) {
+    // Only cards issued by the referral program are mirrored in gift_cards
+    console.log(`[WEBHOOK-PROCESSOR] Gift card ${squareGiftCardId || gan} is not tracked, skipping activity ${activityId}`)
+    return
+  }
+
+  const details = readField(activity, mapping.detailsKey) || {}
+  const rawAmountCents = moneyToCents(readField(details, 'amount_money')) ?? 0
+  const amountCents = mapping.sign === 0 ? 0 : mapping.sign * Math.abs(rawAmountCents)
+  const balanceAfterCents = moneyToCents(readField(activity, 'gift_card_balance_money'))
+  const balanceBeforeCents = balanceAfterCents !== null ? balanceAfterCents - amountCents : null
+  const activityCreatedAt = readField(activity, 'created_at') || eventCreatedAt || new Date()
+
+  const transactionData = {
+    transaction_type: mapping.type,
+    amount_cents: amountCents,
+    balance_before_cents: balanceBeforeCents,
+    balance_after_cents: balanceAfterCents,
+    square_order_id: readField(details, 'order_id') || null,
+    square_payment_id: readField(details, 'payment_id') || null,
+    reason: readField(details, 'reason') || null,
+    context_label: `Square ${activityType} activity`,
+    metadata: JSON.parse(safeStringify({
+      source: 'gift_card_activity_webhook',
+      event_id: eventId,
+      square_activity_type: activityType,
+      square_activity: activity
+    }))
+  }
+
+  // activity.updated re-delivers the same activity with a changed status/amount, and
+  // concurrent deliveries of one activity must not both insert (square_activity_id is unique)
+  await prisma.giftCardTransaction.upsert({
+    where: { square_activity_id: activityId },
+    update: transactionData,
+    create: {
+      ...transactionData,
+      gift_card_id: giftCard.id,
+      organization_id: giftCard.organization_id,
+      square_activity_id: activityId
+    }
+  })
+  console.log(`[WEBHOOK-PROCESSOR] ✅ Saved ${mapping.type} transaction for gift card ${giftCard.square_gift_card_id} (${amountCents} cents)`)
+
+  await applyGiftCardSnapshot(giftCard, {
+    balanceCents: balanceAfterCents,
+    state: mapping.state || null,
+    gan,
+    observedAt: activityCreatedAt,
+    reason: `gift_card_activity_${activityType.toLowerCase()}`,
+    eventId
+  })
+}
+
+/**
+ * Process gift_card.activity.created webhook
+ * Records the activity in gift_card_transactions and syncs the card balance/state.
+ */
+export async function processGiftCardActivityCreated(payload, eventId, eventCreatedAt, organizationId) {
+  console.log(`[WEBHOOK-PROCESSOR] processGiftCardActivityCreated called for event ${eventId}`)
+
+  try {
+    await upsertGiftCardActivityTransaction(payload, eventId, eventCreatedAt, organizationId)
+  } catch (error) {
+    console.error(`[WEBHOOK-PROCESSOR] ❌ Error processing gift card activity for event ${eventId}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Process gift_card.activity.updated webhook
+ * Same activity id as the original create, so the existing transaction row is updated in place.
+ */
+export async function processGiftCardActivityUpdated(payload, eventId, eventCreatedAt, organizationId) {
+  console.log(`[WEBHOOK-PROCESSOR] processGiftCardActivityUpdated called for event ${eventId}`)
+
+  try {
+    await upsertGiftCardActivityTransaction(payload, eventId, eventCreatedAt, organizationId)
+  } catch (error) {
+    console.error(`[WEBHOOK-PROCESSOR] ❌ Error processing gift card activity update for event ${eventId}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Process gift_card.customer_linked webhook
+ * Fills in gift_card_id/gift_card_gan on the linked customer's square_existing_clients row.
+ */
+export async function processGiftCardCustomerLinked(payload, eventId, eventCreatedAt, organizationId) {
+  console.log(`[WEBHOOK-PROCESSOR] processGiftCardCustomerLinked called for event ${eventId}`)
+
+  const giftCardData = payload?.object?.gift_card || payload?.gift_card || payload?.giftCard
+  const linkedCustomerId = payload?.object?.linked_customer_id || payload?.linked_customer_id ||
+    payload?.object?.linkedCustomerId || payload?.linkedCustomerId
+  if (!giftCardData?.id || !linkedCustomerId) {
+    console.warn(`[WEBHOOK-PROCESSOR] No gift card or linked customer found in payload for event ${eventId}`)
+    return
+  }
+
+  const gan = readField(giftCardData, 'gan')
+
+  try {
+    const eventOrganizationId = await resolveEventOrganizationId(payload, organizationId, null)
+    const giftCard = await findTrackedGiftCard(eventOrganizationId, giftCardData.id, gan)
+    if (!giftCard) {
+      console.log(`[WEBHOOK-PROCESSOR] Gift card ${giftCardData.id} is not tracked, skipping customer link`)
+      return
+    }
+
+    const updated = await prisma.$executeRaw`
+      UPDATE square_existing_clients
+      SET gift_card_id = ${giftCardData.id},
+          gift_card_gan = COALESCE(gift_card_gan, ${gan || null}),
+          updated_at = NOW()
+      WHERE organization_id = ${giftCard.organization_id}::uuid
+        AND square_customer_id = ${linkedCustomerId}
+        AND (gift_card_id IS NULL OR gift_card_id = ${giftCardData.id})
+    `
+
+    if (updated > 0) {
+      console.log(`[WEBHOOK-PROCESSOR] ✅ Linked gift card ${giftCardData.id} to customer ${linkedCustomerId}`)
+    } else {
+      console.log(`[WEBHOOK-PROCESSOR] Customer ${linkedCustomerId} already has a different gift card or is not in square_existing_clients`)
+    }
+
+    await applyGiftCardSnapshot(giftCard, {
+      balanceCents: moneyToCents(readField(giftCardData, 'balance_money')),
+      state: giftCardData.state || null,
+      gan,
+      observedAt: eventCreatedAt,
+      reason: 'gift_card_customer_linked',
+      eventId
+    })
+  } catch (error) {
+    console.error(`[WEBHOOK-PROCESSOR] ❌ Error linking gift card ${giftCardData.id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Process gift_card.updated webhook
+ * Square sends the full gift card, so balance and state are taken from it directly.
+ */
+export async function processGiftCardUpdated(payload, eventId, eventCreatedAt, organizationId) {
+  console.log(`[WEBHOOK-PROCESSOR] processGiftCardUpdated called for event ${eventId}`)
+
+  const giftCardData = payload?.object?.gift_card || payload?.gift_card || payload?.giftCard
+  if (!giftCardData?.id) {
+    console.warn(`[WEBHOOK-PROCESSOR] No gift card ID found in payload for event ${eventId}`)
+    return
+  }
+
+  const gan = readField(giftCardData, 'gan')
+
+  try {
+    const eventOrganizationId = await resolveEventOrganizationId(payload, organizationId, null)
+    const giftCard = await findTrackedGiftCard(eventOrganizationId, giftCardData.id, gan)
+    if (!giftCard) {
+      console.log(`[WEBHOOK-PROCESSOR] Gift card ${giftCardData.id} is not tracked, skipping update`)
+      return
+    }
+
+    await applyGiftCardSnapshot(giftCard, {
+      balanceCents: moneyToCents(readField(giftCardData, 'balance_money')),
+      state: giftCardData.state || null,
+      gan,
+      observedAt: eventCreatedAt,
+      reason: 'gift_card_updated',
+      eventId
+    })
+
+    console.log(`[WEBHOOK-PROCESSOR] ✅ Synced gift card ${giftCardData.id} (state: ${giftCardData.state || 'unknown'})`)
+  } catch (error) {
+    console.error(`[WEBHOOK-PROCESSOR] ❌ Error syncing gift card ${giftCardData.id}:`, error.message)
+    throw error
+  }
+}
+
 /**
  * Process refund.created webhook
- * Creates REVERSAL entries in the MasterEarningsLedger to negate commission/tips.
+ * Creates REVERSAL entries in the MasterEarningsLedger to negate commission/tips
+ * (including retail PRODUCT_COMMISSION on the payment's order)
+ * and claws back the referrer reward if this was the friend's qualifying payment.
  */
 export async function processRefundCreated(payload, eventId, eventCreatedAt) {
   console.log(`[WEBHOOK-PROCESSOR] processRefundCreated called for event ${eventId}`)
@@ -753,6 +1069,23 @@ export async function processRefundCreated(payload, eventId, eventCreatedAt) {
     return
   }
 
+  // Packages: void units of a refunded purchase / return the unit of a refunded visit.
+  // Runs before the ledger early-returns (package sales have no booking).
+  try {
+    const { handlePackageRefund } = await import('../../../../lib/workers/customer-package-service.js')
+    await handlePackageRefund({ paymentId, refundId, refundAmountCents })
+  } catch (packageError) {
+    console.warn(`[WEBHOOK-PROCESSOR] ⚠️ Failed to apply refund ${refundId} to customer packages: ${packageError.message}`)
+  }
+
+  // Referral clawback: a refunded qualifying first payment cancels the referrer reward
+  try {
+    const { clawbackReferralRewardForPayment } = await import('../../../../lib/referrals/referral-clawback.js')
+    await clawbackReferralRewardForPayment({ paymentId, sourceType: 'REFUND', sourceId: refundId, refundAmountCents })
+  } catch (clawbackError) {
+    console.warn(`[WEBHOOK-PROCESSOR] ⚠️ Failed to claw back referral reward for refund ${refundId}: ${clawbackError.message}`)
+  }
+
   try {
     // Idempotency: check if REVERSAL already exists for this refund
     const existingReversal = await prisma.$queryRaw`
@@ -766,25 +1099,38 @@ export async function processRefundCreated(payload, eventId, eventCreatedAt) {
       return
     }
 
-    // Find the payment and its booking
+    // Find the payment, its booking and its order
     const payment = await prisma.payment.findFirst({
       where: { payment_id: paymentId }
     })
-    if (!payment?.booking_id) {
-      console.warn(`[WEBHOOK-PROCESSOR] Payment ${paymentId} not found or has no booking, skipping refund reversal`)
+    if (!payment?.booking_id && !payment?.order_id) {
+      console.warn(`[WEBHOOK-PROCESSOR] Payment ${paymentId} not found or has no booking or order, skipping refund reversal`)
       return
     }
 
-    // Find all ledger entries for this booking
-    const originalEntries = await prisma.masterEarningsLedger.findMany({
-      where: {
-        booking_id: payment.booking_id,
-        entry_type: { in: ['SERVICE_COMMISSION', 'TIP', 'DISCOUNT_ADJUSTMENT'] }
-      }
-    })
+    // Service ledger entries of the booking, plus retail commission on the order's line items
+    const bookingEntries = payment.booking_id
+      ? await prisma.masterEarningsLedger.findMany({
+          where: {
+            booking_id: payment.booking_id,
+            entry_type: { in: ['SERVICE_COMMISSION', 'TIP', 'DISCOUNT_ADJUSTMENT'] }
+          }
+        })
+      : []
+    const retailEntries = payment.order_id
+      ? await prisma.$queryRaw`
+          SELECT mel.id, mel.organization_id, mel.team_member_id, mel.booking_id, mel.entry_type::text AS entry_type, mel.amount_amount
+          FROM master_earnings_ledger mel
+          JOIN orders o ON o.organization_id = mel.organization_id
+            AND o.order_id = mel.meta_json->>'order_id'
+          WHERE o.id = ${payment.order_id}::uuid
+            AND mel.entry_type = 'PRODUCT_COMMISSION'
+        `
+      : []
+    const originalEntries = [...bookingEntries, ...(retailEntries || [])]
 
     if (originalEntries.length === 0) {
-      console.log(`[WEBHOOK-PROCESSOR] No ledger entries found for booking ${payment.booking_id}, skipping refund`)
+      console.log(`[WEBHOOK-PROCESSOR] No ledger entries found for payment ${paymentId}, skipping refund`)
       return
     }
 
@@ -861,6 +1207,7 @@ export async function processRefundUpdated(payload, eventId, eventCreatedAt) {
  * Process dispute.created webhook
  * When a customer disputes a payment, freeze the master's earnings for that booking
  * by creating DISPUTE_HOLD entries (negative amounts matching original earnings).
+ * A referrer reward paid for the disputed payment is clawed back.
  *
  * Square dispute states: INQUIRY_EVIDENCE_REQUIRED, INQUIRY_PROCESSING, INQUIRY_CLOSED,
  *   EVIDENCE_REQUIRED, PROCESSING, WON, LOST, ACCEPTED
@@ -888,6 +1235,13 @@ export async function processDisputeCreated(payload, eventId, eventCreatedAt) {
     return
   }
 
+  try {
+    const { clawbackReferralRewardForPayment } = await import('../../../../lib/referrals/referral-clawback.js')
+    await clawbackReferralRewardForPayment({ paymentId, sourceType: 'DISPUTE', sourceId: disputeId })
+  } catch (clawbackError) {
+    console.warn(`[WEBHOOK-PROCESSOR] ⚠️ Failed to claw back referral reward for dispute ${disputeId}: ${clawbackError.message}`)
+  }
+
   try {
     // Idempotency: check if DISPUTE_HOLD already exists for this dispute
     const existingHold = await prisma.$queryRaw`
@@ -1,18 +1,31 @@
 /**
- * Twilio Status Callback Webhook
+ * Twilio Status Callback + Inbound SMS Webhook
  * Receives SMS delivery status updates and updates notification_events.
+ * Inbound messages (Body, no MessageStatus) are checked for STOP/START/HELP
+ * keywords and recorded in sms_consents. An undelivered notification sent by
+ * the notification dispatcher is retried on email.
  *
  * POST /api/webhooks/twilio
  *
  * Setup in Twilio:
  *   Messaging Service → Status Callback URL → this endpoint
  *   Or pass StatusCallback param when sending each message
+ *   Phone number / Messaging Service → "A message comes in" → this endpoint
+ *
+ * Twilio's built-in Advanced Opt-Out already answers keywords; set
+ * SMS_KEYWORD_REPLIES=true only when it is turned off.
  */
 
 export const dynamic = 'force-dynamic'
 
 import prisma from '@/lib/prisma-client'
 import { createHmac } from 'crypto'
+import {
+  TWILIO_UNSUBSCRIBED_ERROR_CODE,
+  handleInboundSms,
+  recordTwilioUnsubscribed
+} from '@/lib/messaging/sms-consent'
+import { handleDeliveryFailure } from '@/lib/messaging/notification-dispatcher'
 
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN
 
@@ -57,6 +70,28 @@ function validateTwilioSignature(url, params, signature) {
   return signature === expected
 }
 
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+async function handleInboundMessage({ MessageSid, From, Body }) {
+  const { keyword, reply } = await handleInboundSms({ from: From, body: Body, messageSid: MessageSid })
+
+  const twiml = keyword && reply && process.env.SMS_KEYWORD_REPLIES === 'true'
+    ? `<Response><Message>${escapeXml(reply)}</Message></Response>`
+    : '<Response></Response>'
+
+  return new Response(twiml, {
+    status: 200,
+    headers: { 'Content-Type': 'text/xml' }
+  })
+}
+
 export async function POST(request) {
   try {
     const formData = await request.formData()
@@ -69,6 +104,7 @@ export async function POST(request) {
       ErrorMessage,
       To,
       From,
+      Body,
     } = params
 
     // Validate signature
@@ -89,6 +125,17 @@ export async function POST(request) {
       }
     }
 
+    if (MessageSid && Body !== undefined && !MessageStatus) {
+      return handleInboundMessage({ MessageSid, From, Body })
+    }
+
+    // Carrier-level opt-out: Twilio refused because the recipient replied STOP
+    if (MessageStatus && Number(ErrorCode) === TWILIO_UNSUBSCRIBED_ERROR_CODE && To) {
+      await recordTwilioUnsubscribed(To).catch((err) => {
+        console.warn('Twilio webhook: failed to record opt-out:', err.message)
+      })
+    }
+
     if (!MessageSid || !MessageStatus) {
       return new Response('<Response></Response>', {
         status: 400,
@@ -111,7 +158,16 @@ export async function POST(request) {
         externalId: MessageSid,
         channel: 'SMS'
       },
-      select: { id: true, status: true }
+      select: {
+        id: true,
+        status: true,
+        channel: true,
+        customerId: true,
+        referrerCustomerId: true,
+        referralEventId: true,
+        organization_id: true,
+        metadata: true
+      }
     })
 
     if (!notification) {
@@ -136,6 +192,12 @@ export async function POST(request) {
         }
       })
       console.log(`Twilio webhook: ${MessageSid} → ${newStatus}`)
+
+      if (newStatus === 'failed') {
+        await handleDeliveryFailure(notification, { reason: ErrorMessage || ErrorCode || MessageStatus }).catch((err) => {
+          console.error(`Twilio webhook: fallback failed for notification ${notification.id}:`, err.message)
+        })
+      }
     }
 
     // Twilio expects TwiML response
@@ -416,6 +416,37 @@ export default function LookupReferralPage() {
                 </div>
               )}
 
+              {result.referralStatus && (
+                <div style={{ marginBottom: '1.25rem' }}>
+                  <p style={{
+                    fontSize: '0.875rem',
+                    color: '#666',
+                    marginBottom: '0.375rem',
+                    fontWeight: '500',
+                    letterSpacing: '0.01em'
+                  }}>
+                    Referrer Status:
+                  </p>
+                  <p style={{
+                    fontSize: '1rem',
+                    fontWeight: '600',
+                    color: '#5C6B50',
+                    letterSpacing: '-0.01em'
+                  }}>
+                    {result.referralStatus.tier || 'Member'} · {result.referralStatus.referralCount} successful referral{result.referralStatus.referralCount === 1 ? '' : 's'}
+                  </p>
+                  {result.referralStatus.nextTier && (
+                    <p style={{
+                      fontSize: '0.875rem',
+                      color: '#666',
+                      marginTop: '0.25rem'
+                    }}>
+                      {result.referralStatus.referralsToNextTier} more to {result.referralStatus.nextTier}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div style={{ marginBottom: '1.75rem' }}>
                 <p style={{
                   fontSize: '0.875rem',
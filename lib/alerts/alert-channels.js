@@ -0,0 +1,92 @@
+const { sendAlertEmail } = require('../email-service-simple')
+const { sendAlertSms } = require('../twilio-service')
+
+/**
+ * Alert Delivery Channels
+ * Each channel is async ({ to, alert }) => { success, error?, skipped? } where
+ * alert is { title, message, status: 'FIRING' | 'RESOLVED', ruleName }.
+ * `to` comes from the rule's channel entry and is required: rules belong to an
+ * organization, so the platform's own chat, inbox or phone is never a default.
+ * Add a channel with registerAlertChannel().
+ */
+
+async function sendTelegramAlert({ to, alert }) {
+  const botToken = process.env.TELEGRAM_BOT_TOKEN
+  if (!to) return { success: false, error: 'No Telegram chat id on the channel' }
+  if (!botToken) return { success: false, error: 'Telegram credentials not configured' }
+
+  const icon = alert.status === 'RESOLVED' ? '✅' : '🚨'
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: to,
+        text: `${icon} ${alert.title}\n\n${alert.message}`
+      })
+    })
+
+    if (!response.ok) {
+      return { success: false, error: `Telegram API error: ${await response.text()}` }
+    }
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+async function sendEmailAlert({ to, alert }) {
+  if (!to) return { success: false, error: 'No email recipient on the channel' }
+  return sendAlertEmail({ to, subject: alert.title, text: alert.message })
+}
+
+async function sendSmsAlert({ to, alert }) {
+  if (!to) return { success: false, error: 'No SMS recipient on the channel' }
+  return sendAlertSms({ to, body: `${alert.title}\n${alert.message}` })
+}
+
+const ALERT_CHANNELS = {
+  telegram: sendTelegramAlert,
+  email: sendEmailAlert,
+  sms: sendSmsAlert
+}
+
+function registerAlertChannel(type, send) {
+  ALERT_CHANNELS[type] = send
+}
+
+/**
+ * Sends the alert to every channel of the rule. Never throws; returns one
+ * delivery record per channel for alert_events.deliveries.
+ */
+async function deliverAlert(channels, alert) {
+  const deliveries = []
+  for (const channel of channels || []) {
+    const send = ALERT_CHANNELS[channel?.type]
+    let result
+    if (!send) {
+      result = { success: false, error: `Unknown channel "${channel?.type}"` }
+    } else {
+      try {
+        result = await send({ to: channel.to || null, alert })
+      } catch (error) {
+        result = { success: false, error: error.message }
+      }
+    }
+    deliveries.push({
+      type: channel?.type,
+      to: channel?.to || null,
+      success: !!result?.success,
+      skipped: !!result?.skipped,
+      error: result?.error || null,
+      at: new Date().toISOString()
+    })
+  }
+  return deliveries
+}
+
+module.exports = {
+  ALERT_CHANNELS,
+  registerAlertChannel,
+  deliverAlert
+}
@@ -0,0 +1,136 @@
+const prisma = require('../prisma-client')
+const { saveApplicationLog } = require('../workflows/application-log-queue')
+const { ALERT_RULE_TYPES, evaluateAlertRule } = require('./alert-rules')
+const { deliverAlert } = require('./alert-channels')
+
+/**
+ * Alert Engine
+ * Evaluates enabled alert_rules (cron: /api/cron/evaluate-alerts) and keeps
+ * one alert_events incident per rule and dedupe key. A new incident notifies
+ * the rule's channels once; while it keeps firing it re-notifies only every
+ * repeat_minutes (if set). When the condition clears the incident is RESOLVED
+ * and a resolution notice goes out.
+ */
+
+const DEFAULT_DEDUPE_KEY = 'default'
+
+async function notify(rule, status, message) {
+  return deliverAlert(rule.channels, {
+    status,
+    ruleName: rule.name,
+    title: `${status === 'RESOLVED' ? 'Resolved' : 'Alert'}: ${rule.name}`,
+    message
+  })
+}
+
+async function logAlert(rule, event, status, deliveries) {
+  await saveApplicationLog(prisma, {
+    organizationId: rule.organization_id,
+    logType: 'alert',
+    logId: `alert-${event.id}-${status.toLowerCase()}`,
+    status: deliveries.some((d) => !d.success) ? 'error' : 'completed',
+    payload: { ruleId: rule.id, ruleType: rule.rule_type, eventId: event.id, status, message: event.message, deliveries }
+  })
+}
+
+async function resolveEvent(rule, event, { announce, message }) {
+  const deliveries = announce ? await notify(rule, 'RESOLVED', message) : []
+  const resolved = await prisma.alertEvent.update({
+    where: { id: event.id },
+    data: {
+      status: 'RESOLVED',
+      resolved_at: new Date(),
+      ...(announce ? { deliveries, last_notified_at: new Date() } : {})
+    }
+  })
+  await logAlert(rule, resolved, 'RESOLVED', deliveries)
+  return resolved
+}
+
+/**
+ * Applies one evaluation result. Returns 'fired' | 'repeated' | 'firing' | 'resolved' | 'ok'.
+ */
+async function applyEvaluation(rule, result) {
+  const now = new Date()
+  const type = ALERT_RULE_TYPES[rule.rule_type]
+  const openEvents = await prisma.alertEvent.findMany({
+    where: { rule_id: rule.id, status: 'FIRING' }
+  })
+
+  if (!result.firing) {
+    for (const event of openEvents) {
+      await resolveEvent(rule, event, { announce: type.notifyOnResolve !== false, message: result.message })
+    }
+    return openEvents.length > 0 ? 'resolved' : 'ok'
+  }
+
+  const dedupeKey = result.dedupeKey || DEFAULT_DEDUPE_KEY
+  // An incident for an older key (e.g. yesterday's revenue) is superseded
+  for (const event of openEvents.filter((e) => e.dedupe_key !== dedupeKey)) {
+    await resolveEvent(rule, event, { announce: false })
+  }
+
+  const current = openEvents.find((e) => e.dedupe_key === dedupeKey)
+  if (!current) {
+    const deliveries = await notify(rule, 'FIRING', result.message)
+    const event = await prisma.alertEvent.create({
+      data: {
+        organization_id: rule.organization_id,
+        rule_id: rule.id,
+        dedupe_key: dedupeKey,
+        message: result.message,
+        value: result.value ?? null,
+        deliveries,
+        last_notified_at: now
+      }
+    })
+    await logAlert(rule, event, 'FIRING', deliveries)
+    console.log(`🚨 Alert fired: ${rule.name} (${rule.rule_type}) – ${result.message}`)
+    return 'fired'
+  }
+
+  const repeatDue = rule.repeat_minutes &&
+    (!current.last_notified_at || now - current.last_notified_at >= rule.repeat_minutes * 60 * 1000)
+  const deliveries = repeatDue ? await notify(rule, 'FIRING', result.message) : null
+  await prisma.alertEvent.update({
+    where: { id: current.id },
+    data: {
+      message: result.message,
+      value: result.value ?? null,
+      last_seen_at: now,
+      ...(deliveries ? { deliveries, last_notified_at: now } : {})
+    }
+  })
+  return repeatDue ? 'repeated' : 'firing'
+}
+
+/**
+ * Evaluates every enabled rule (optionally for one organization).
+ * Returns counts per outcome plus per-rule errors; one failing rule doesn't stop the rest.
+ */
+async function evaluateAlertRules({ organizationId = null } = {}) {
+  const rules = await prisma.alertRule.findMany({
+    where: { is_enabled: true, ...(organizationId ? { organization_id: organizationId } : {}) },
+    orderBy: { created_at: 'asc' }
+  })
+
+  const summary = { rules: rules.length, skipped: 0, ok: 0, fired: 0, repeated: 0, firing: 0, resolved: 0, errors: [] }
+  for (const rule of rules) {
+    try {
+      const result = await evaluateAlertRule(rule)
+      if (!result) {
+        summary.skipped++
+        continue
+      }
+      summary[await applyEvaluation(rule, result)]++
+    } catch (error) {
+      console.error(`❌ Alert rule ${rule.id} (${rule.rule_type}) failed:`, error.message)
+      summary.errors.push({ ruleId: rule.id, error: error.message })
+    }
+  }
+  return summary
+}
+
+module.exports = {
+  evaluateAlertRules
+}
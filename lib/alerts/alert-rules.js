@@ -0,0 +1,235 @@
+const prisma = require('../prisma-client')
+const { ALERT_CHANNELS } = require('./alert-channels')
+const { getOrganizationTimezone } = require('../utils/organization-timezone')
+
+/**
+ * Alert Rule Types
+ * Each type has default params, a validator and an evaluator. evaluate(rule)
+ * returns { firing, message, value, dedupeKey? }, or null when the rule should
+ * not be judged right now (e.g. outside business hours), which leaves any open
+ * incident untouched.
+ */
+
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  )
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  }
+}
+
+function formatCents(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+function validateDays(days) {
+  if (!Array.isArray(days) || days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return 'days must be a non-empty array of weekday numbers (0=Sunday … 6=Saturday)'
+  }
+  return null
+}
+
+const ALERT_RULE_TYPES = {
+  webhook_queue_lag: {
+    defaults: { threshold_minutes: 30 },
+    validate(params) {
+      if (!isPositiveNumber(params.threshold_minutes)) return 'threshold_minutes must be a positive number'
+      return null
+    },
+    async evaluate(rule, params) {
+      const rows = await prisma.$queryRaw`
+        SELECT
+          COUNT(*)::int AS "ready",
+          EXTRACT(EPOCH FROM (NOW() - MIN("scheduled_at"))) / 60 AS "lagMinutes"
+        FROM "webhook_jobs"
+        WHERE "organization_id" = ${rule.organization_id}::uuid
+          AND "status" = 'queued'
+          AND "scheduled_at" <= NOW()
+      `
+      const ready = rows?.[0]?.ready || 0
+      const lagMinutes = ready > 0 ? Math.round(Number(rows[0].lagMinutes)) : 0
+      return {
+        firing: lagMinutes > params.threshold_minutes,
+        value: { lag_minutes: lagMinutes, ready_jobs: ready },
+        message: `Webhook queue lag is ${lagMinutes} min (threshold ${params.threshold_minutes} min) with ${ready} job(s) waiting.`
+      }
+    }
+  },
+
+  giftcard_job_errors: {
+    defaults: { threshold: 5, window_minutes: 60 },
+    validate(params) {
+      if (!Number.isInteger(params.threshold) || params.threshold < 0) return 'threshold must be a non-negative integer'
+      if (!isPositiveNumber(params.window_minutes)) return 'window_minutes must be a positive number'
+      return null
+    },
+    async evaluate(rule, params) {
+      const since = new Date(Date.now() - params.window_minutes * 60 * 1000)
+      const rows = await prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "failing"
+        FROM "giftcard_jobs"
+        WHERE COALESCE("context"->>'organizationId', "payload"->>'organizationId') = ${rule.organization_id}
+          AND "status" IN ('queued', 'error')
+          AND "last_error" IS NOT NULL
+          AND "updated_at" >= ${since}
+      `
+      const failing = rows?.[0]?.failing || 0
+      return {
+        firing: failing > params.threshold,
+        value: { failing_jobs: failing },
+        message: `${failing} gift card job(s) failed in the last ${params.window_minutes} min (threshold ${params.threshold}).`
+      }
+    }
+  },
+
+  no_bookings: {
+    defaults: { hours: 3, open_hour: 9, close_hour: 20, days: [1, 2, 3, 4, 5, 6], timezone: null },
+    validate(params) {
+      if (!isPositiveNumber(params.hours)) return 'hours must be a positive number'
+      for (const field of ['open_hour', 'close_hour']) {
+        if (!Number.isInteger(params[field]) || params[field] < 0 || params[field] > 24) {
+          return `${field} must be an hour between 0 and 24`
+        }
+      }
+      if (params.open_hour >= params.close_hour) return 'open_hour must be before close_hour'
+      if (params.timezone != null && !isValidTimezone(params.timezone)) return 'timezone must be an IANA time zone'
+      return validateDays(params.days)
+    },
+    async evaluate(rule, params) {
+      // Only judge once the whole look-back window falls inside business hours
+      const local = localParts(new Date(), params.timezone)
+      if (!params.days.includes(local.weekday)) return null
+      if (local.hour < params.open_hour + params.hours || local.hour >= params.close_hour) return null
+
+      const since = new Date(Date.now() - params.hours * 60 * 60 * 1000)
+      const rows = await prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "bookings"
+        FROM "bookings"
+        WHERE "organization_id" = ${rule.organization_id}::uuid
+          AND "created_at" >= ${since}
+      `
+      const bookings = rows?.[0]?.bookings || 0
+      return {
+        firing: bookings === 0,
+        value: { bookings, hours: params.hours },
+        message: bookings === 0
+          ? `No bookings ingested in the last ${params.hours} h during business hours. Check the Square webhook subscription.`
+          : `${bookings} booking(s) ingested in the last ${params.hours} h.`
+      }
+    }
+  },
+
+  revenue_drop: {
+    defaults: { percent: 50, trailing_days: 28, days: [0, 1, 2, 3, 4, 5, 6], timezone: null },
+    // One incident per day; the next day's evaluation closes it quietly
+    notifyOnResolve: false,
+    validate(params) {
+      if (!isPositiveNumber(params.percent) || params.percent > 100) return 'percent must be between 0 and 100'
+      if (!Number.isInteger(params.trailing_days) || params.trailing_days < 1) return 'trailing_days must be a positive integer'
+      if (params.timezone != null && !isValidTimezone(params.timezone)) return 'timezone must be an IANA time zone'
+      return validateDays(params.days)
+    },
+    async evaluate(rule, params) {
+      // Judge the last complete local day
+      const yesterday = localParts(new Date(Date.now() - 24 * 60 * 60 * 1000), params.timezone)
+      if (!params.days.includes(yesterday.weekday)) return null
+
+      const rows = await prisma.$queryRaw`
+        SELECT
+          ("created_at" AT TIME ZONE 'UTC' AT TIME ZONE ${params.timezone})::date::text AS "day",
+          SUM("amount_money_amount")::bigint AS "cents"
+        FROM "payments"
+        WHERE "organization_id" = ${rule.organization_id}::uuid
+          AND "status" = 'COMPLETED'
+          AND ("created_at" AT TIME ZONE 'UTC' AT TIME ZONE ${params.timezone})::date
+            BETWEEN ${yesterday.date}::date - ${params.trailing_days}::int AND ${yesterday.date}::date
+        GROUP BY 1
+      `
+      const byDay = new Map(rows.map((row) => [row.day, Number(row.cents)]))
+      const revenue = byDay.get(yesterday.date) || 0
+      // Days with no revenue at all (closed) don't count toward the average
+      const trailing = [...byDay.entries()].filter(([day, cents]) => day !== yesterday.date && cents > 0)
+      if (trailing.length === 0) return null
+
+      const average = Math.round(trailing.reduce((sum, [, cents]) => sum + cents, 0) / trailing.length)
+      const floor = Math.round(average * params.percent / 100)
+      return {
+        firing: revenue < floor,
+        dedupeKey: yesterday.date,
+        value: { date: yesterday.date, revenue_cents: revenue, trailing_average_cents: average },
+        message: `Revenue on ${yesterday.date} was ${formatCents(revenue)}, below ${params.percent}% of the ${params.trailing_days}-day average (${formatCents(average)}).`
+      }
+    }
+  }
+}
+
+// timezone: null (the default) means the organization's settings.timezone
+async function resolveParams(rule) {
+  const type = ALERT_RULE_TYPES[rule.rule_type]
+  const params = { ...(type?.defaults || {}), ...(rule.params || {}) }
+  if ('timezone' in params && !params.timezone) {
+    params.timezone = await getOrganizationTimezone(rule.organization_id)
+  }
+  return params
+}
+
+/**
+ * Returns an error message, or null when the rule is valid.
+ */
+function validateAlertRule({ rule_type, params = {}, channels, repeat_minutes }) {
+  const type = ALERT_RULE_TYPES[rule_type]
+  if (!type) return `rule_type must be one of ${Object.keys(ALERT_RULE_TYPES).join(', ')}`
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) return 'params must be an object'
+
+  const paramError = type.validate({ ...type.defaults, ...params })
+  if (paramError) return paramError
+
+  if (!Array.isArray(channels) || channels.length === 0) return 'channels must be a non-empty array'
+  for (const channel of channels) {
+    if (!channel || !ALERT_CHANNELS[channel.type]) {
+      return `channel type must be one of ${Object.keys(ALERT_CHANNELS).join(', ')}`
+    }
+    if (typeof channel.to !== 'string' || !channel.to.trim()) return `channel ${channel.type} needs a "to" recipient`
+  }
+
+  if (repeat_minutes != null && (!Number.isInteger(repeat_minutes) || repeat_minutes < 1)) {
+    return 'repeat_minutes must be a positive integer or null'
+  }
+  return null
+}
+
+async function evaluateAlertRule(rule) {
+  const type = ALERT_RULE_TYPES[rule.rule_type]
+  if (!type) throw new Error(`Unknown alert rule_type "${rule.rule_type}"`)
+  return type.evaluate(rule, await resolveParams(rule))
+}
+
+module.exports = {
+  ALERT_RULE_TYPES,
+  validateAlertRule,
+  evaluateAlertRule
+}
@@ -270,6 +270,11 @@ ON CONFLICT (organization_id, square_customer_id) DO UPDATE SET
   last_visit_at = GREATEST(EXCLUDED.last_visit_at, customer_analytics.last_visit_at),
   customer_type = EXCLUDED.customer_type,
   last_payment_at = EXCLUDED.last_payment_at,
+  -- Transitions feed win-back campaigns (lib/messaging/winback-campaigns.js)
+  previous_segment = CASE WHEN customer_analytics.customer_segment IS DISTINCT FROM EXCLUDED.customer_segment
+    THEN customer_analytics.customer_segment ELSE customer_analytics.previous_segment END,
+  segment_changed_at = CASE WHEN customer_analytics.customer_segment IS DISTINCT FROM EXCLUDED.customer_segment
+    THEN NOW() ELSE customer_analytics.segment_changed_at END,
   customer_segment = EXCLUDED.customer_segment,
   referral_source = COALESCE(customer_analytics.referral_source, EXCLUDED.referral_source),
   updated_at = NOW()
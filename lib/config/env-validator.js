@@ -18,6 +18,11 @@ const REQUIRED_ENV_VARS = {
     name: 'SQUARE_WEBHOOK_SIGNATURE_KEY',
     description: 'Square webhook signature key for verification',
     required: true
+  },
+  EMAIL_UNSUBSCRIBE_SECRET: {
+    name: 'EMAIL_UNSUBSCRIBE_SECRET',
+    description: 'Signs one-click unsubscribe links; customer emails go out without List-Unsubscribe until it is set',
+    required: true
   }
 }
 
@@ -56,6 +61,12 @@ const OPTIONAL_ENV_VARS = {
     description: 'Base URL for server-side operations',
     required: false
   },
+  BOOKING_URL: {
+    name: 'BOOKING_URL',
+    description: 'Online booking page linked from win-back messages',
+    required: false,
+    defaultValue: 'https://studio-zorina.square.site'
+  },
   ENABLE_REFERRAL_ANALYTICS: {
     name: 'ENABLE_REFERRAL_ANALYTICS',
     description: 'Enable referral analytics event logging when set to "true"',
@@ -157,6 +168,18 @@ function getValidationStatus() {
   return status
 }
 
+/**
+ * Value of an environment variable, or its defaultValue from the lists above when unset
+ * @param {string} name - Variable name, e.g. 'BOOKING_URL'
+ * @returns {string|null}
+ */
+function getEnvValue(name) {
+  const value = process.env[name]?.trim()
+  if (value) return value
+  const config = REQUIRED_ENV_VARS[name] || OPTIONAL_ENV_VARS[name]
+  return config?.defaultValue ?? null
+}
+
 /**
  * Validate and throw error if invalid (for startup validation)
  * @throws {Error} If validation fails
@@ -178,6 +201,7 @@ module.exports = {
   validateEnvironmentVariables,
   getValidationStatus,
   validateOrThrow,
+  getEnvValue,
   REQUIRED_ENV_VARS,
   OPTIONAL_ENV_VARS
 }
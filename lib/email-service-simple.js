@@ -1,6 +1,14 @@
 const sgMail = require('@sendgrid/mail')
 const nodemailer = require('nodemailer')
 const prisma = require('./prisma-client')
+const { withSpan } = require('./observability/tracing')
+const { isEmailSuppressed, buildListUnsubscribeHeaders } = require('./messaging/email-suppression')
+const {
+  getActiveTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+  templateMetadata
+} = require('./messaging/message-templates')
 
 const REFERRAL_SUPPRESSION_GROUP_ID = Number(process.env.SENDGRID_REFERRAL_GROUP_ID || 28008)
 const REFERRAL_TEMPLATE_ID = process.env.SENDGRID_TEMPLATE_REFERRAL?.trim()
@@ -17,14 +25,38 @@ const initSendGrid = () => {
   return true
 }
 
+// Only the recipient's domain goes on the span: trace_spans has no suppression or erasure path
+const recipientDomain = (to) => {
+  const first = Array.isArray(to) ? to[0] : to
+  const address = typeof first === 'string' ? first : first?.email
+  return address?.split('@')[1]?.toLowerCase() || null
+}
+
+// sgMail.send inside a trace span (lib/observability/tracing.js)
+const sendWithSendGrid = (msg) => withSpan('sendgrid.send', { recipientDomain: recipientDomain(msg.to) }, async (span) => {
+  const result = await sgMail.send(msg)
+  const response = Array.isArray(result) ? result[0] : result
+  span.setAttributes({
+    statusCode: response?.statusCode,
+    messageId: response?.headers?.['x-message-id'] || response?.headers?.['X-Message-Id']
+  })
+  return result
+})
+
 const formatUsd = (amountCents) => {
   if (!Number.isFinite(amountCents)) return '$0.00'
   return `$${(amountCents / 100).toFixed(2)}`
 }
 
+// "$10" for whole dollars, "$7.50" otherwise – matches the referral copy
+const formatRewardUsd = (amountCents) => {
+  const dollars = (amountCents || 0) / 100
+  return Number.isInteger(dollars) ? `$${dollars}` : `$${dollars.toFixed(2)}`
+}
+
 // Email template matching referral page design
 const emailTemplates = {
-  referralCode: (customerName, referralCode, referralUrl) => ({
+  referralCode: (customerName, referralCode, referralUrl, { friendRewardCents = 1000, referrerRewardCents = 1000 } = {}) => ({
       subject: '🥰💅🏼 Zorina Nail Studio Referral Code',
     html: `
       <!DOCTYPE html>
@@ -313,7 +345,7 @@ const emailTemplates = {
             <!-- Main Message -->
             <div style="background: white; border: 2px solid #5C6B50; border-radius: 12px; padding: 25px; margin-bottom: 25px; text-align: center; width: 100%; box-sizing: border-box;">
               <h2 style="font-size: 14px; color: #333; margin-bottom: 10px; font-weight: 500; margin-top: 0; padding: 0; line-height: 1.4;">Zorina Nail Studio Referral Code</h2>
-              <p style="font-size: 12px; color: #333; line-height: 1.5; margin-bottom: 10px; margin-top: 0; padding: 0;">When your friend visits us for the first time using your referral link or code, they'll receive $10 off their service, and you'll get $10 off your next appointment too!</p>
+              <p style="font-size: 12px; color: #333; line-height: 1.5; margin-bottom: 10px; margin-top: 0; padding: 0;">When your friend visits us for the first time using your referral link or code, they'll receive ${formatRewardUsd(friendRewardCents)} off their service, and you'll get ${formatRewardUsd(referrerRewardCents)} off your next appointment too!</p>
               <p style="font-size: 12px; color: #333; line-height: 1.5; margin-bottom: 10px; margin-top: 0; padding: 0;">🤍 It's our little way to say thank you for spreading the love.</p>
               <p style="font-size: 12px; color: #333; line-height: 1.5; margin-bottom: 10px; margin-top: 0; padding: 0;"><strong>There's no limit — invite as many friends as you like!</strong></p>
             </div>
@@ -351,7 +383,7 @@ const emailTemplates = {
                 </div>
                 <div class="step">
                   <div class="step-dot">&#8226;</div>
-                  <p class="step-text">You will receive $10 credits automatically when your friend visits us first time.</p>
+                  <p class="step-text">You will receive ${formatRewardUsd(referrerRewardCents)} credits automatically when your friend visits us first time.</p>
                 </div>
               </div>
             </div>
@@ -383,7 +415,7 @@ const emailTemplates = {
 
       🤍 Thank you for being a valued customer at Zorina Nail Studio!
 
-      When your friend visits us for the first time using your referral link or code, they'll receive $10 off their service, and you'll get $10 off your next appointment too!
+      When your friend visits us for the first time using your referral link or code, they'll receive ${formatRewardUsd(friendRewardCents)} off their service, and you'll get ${formatRewardUsd(referrerRewardCents)} off your next appointment too!
 
       🤍 It's our little way to say thank you for spreading the love.
 
@@ -402,7 +434,7 @@ const emailTemplates = {
 
       • Share your unique url with a friend.
       • They make their first visit using your link or code.
-      • You will receive $10 credits automatically when your friend visits us first time.
+      • You will receive ${formatRewardUsd(referrerRewardCents)} credits automatically when your friend visits us first time.
 
       ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -597,10 +629,140 @@ emailTemplates.giftCardDelivery = ({
   }
 }
 
-function buildGiftCardEmailPreview(options = {}) {
+emailTemplates.winbackOffer = ({
+  customerName,
+  bookingUrl,
+  amountCents,
+  giftCardGan,
+  expiresOn,
+  activationUrl
+}) => {
+  const hasGiftCard = Boolean(giftCardGan && amountCents)
+  const amountLabel = hasGiftCard ? formatRewardUsd(amountCents) : null
+  const subject = hasGiftCard
+    ? `🤍 ${amountLabel} toward your next visit at Zorina`
+    : '🤍 We miss you at Zorina Nail Studio'
+  const offerLine = hasGiftCard
+    ? `We’ve put <strong>${amountLabel}</strong> on a gift card for your next visit${expiresOn ? ` – use it by <strong>${expiresOn}</strong>` : ''}.`
+    : 'Your favourite chair is waiting – book a time that suits you.'
+
+  const cardNumberBlock = hasGiftCard
+    ? `
+      <div style="background:#f9f9f9;border:1px dashed #5C6B50;border-radius:10px;padding:14px;margin:18px 0;text-align:center;font-family:'SFMono-Regular','Menlo',monospace;font-size:18px;letter-spacing:2px;color:#333;">
+        <div style="font-size:12px;letter-spacing:0;color:#4C5B47;margin-bottom:6px;">Gift card number</div>
+        ${giftCardGan}
+      </div>
+    `
+    : ''
+
+  return {
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${subject}</title>
+        </head>
+        <body style="margin:0;padding:0;background:#F2EBDD;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;color:#333;">
+          <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:#F2EBDD;">
+            <tr>
+              <td align="center" style="padding:20px;">
+                <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="max-width:640px;background:#F2EBDD;">
+                  <tr>
+                    <td style="background:#FFFFFF;border:2px solid #5C6B50;border-radius:14px;padding:28px;">
+                      <h1 style="margin:0 0 12px;font-size:22px;font-weight:600;color:#333;text-align:center;">We miss you, ${customerName || 'there'}</h1>
+                      <p style="margin:0 0 16px;font-size:14px;line-height:1.6;text-align:center;">${offerLine}</p>
+                      ${cardNumberBlock}
+                      <div style="text-align:center;margin:18px 0;">
+                        <a href="${bookingUrl}" style="display:inline-block;background:#5C6B50;color:#fff;padding:14px 28px;border-radius:8px;font-weight:600;text-decoration:none;">
+                          Book your visit
+                        </a>
+                      </div>
+                      <p style="margin:0;font-size:13px;color:#555;text-align:center;">Need help? Reply to this email or call us any time.</p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="text-align:center;padding:20px 10px 0;font-size:12px;color:#666;">
+                      <strong>Zorina Nail Studio</strong><br />
+                      2266 Union St, San Francisco, CA<br />
+                      550 Pacific Ave, San Francisco, CA
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+      </html>
+    `,
+    text: [
+      subject,
+      '',
+      `Hi ${customerName || 'there'},`,
+      '',
+      hasGiftCard
+        ? `We've put ${amountLabel} on a gift card for your next visit${expiresOn ? ` – use it by ${expiresOn}` : ''}.`
+        : 'Your favourite chair is waiting – book a time that suits you.',
+      hasGiftCard ? `Gift card number: ${giftCardGan}` : null,
+      hasGiftCard && activationUrl ? `View digital gift card: ${activationUrl}` : null,
+      '',
+      `Book your visit: ${bookingUrl}`,
+      '',
+      'Zorina Nail Studio',
+      '2266 Union St, San Francisco, CA',
+      '550 Pacific Ave, San Francisco, CA'
+    ]
+      .filter((line) => line !== null)
+      .join('\n')
+  }
+}
+
+/**
+ * Gift card email as it would be sent. template: a message_templates row
+ * (stored or draft) to render instead of the built-in copy.
+ */
+function buildGiftCardEmailPreview(options = {}, { template = null } = {}) {
+  if (template) return renderTemplate(template, buildTemplateVariables({ name: options.customerName, ...options }))
   return emailTemplates.giftCardDelivery(options)
 }
 
+/**
+ * Referral invite email as it would be sent; see buildGiftCardEmailPreview.
+ */
+function buildReferralEmailPreview(options = {}, { template = null } = {}) {
+  const { customerName, referralCode, referralUrl, friendRewardCents, referrerRewardCents } = options
+  if (template) {
+    return renderTemplate(template, buildTemplateVariables({ name: customerName, referralCode, referralUrl, amountCents: friendRewardCents }))
+  }
+  return emailTemplates.referralCode(customerName, referralCode, referralUrl, { friendRewardCents, referrerRewardCents })
+}
+
+/**
+ * Win-back email as it would be sent; see buildGiftCardEmailPreview.
+ */
+function buildWinbackEmailPreview(options = {}, { template = null } = {}) {
+  if (template) return renderTemplate(template, buildTemplateVariables({ name: options.customerName, ...options }))
+  return emailTemplates.winbackOffer(options)
+}
+
+// Customer emails skip addresses on the suppression list (lib/messaging/email-suppression.js)
+async function suppressionSkip(email, organizationId) {
+  if (!(await isEmailSuppressed(email, { organizationId }))) return null
+  console.log(`🚫 Email skipped – ${email} is on the suppression list`)
+  return { success: false, skipped: true, reason: 'suppressed' }
+}
+
+// One-click unsubscribe headers plus custom_args so SendGrid events carry the organization
+function applyUnsubscribe(msg, email, organizationId) {
+  msg.headers = { ...msg.headers, ...buildListUnsubscribeHeaders({ email, organizationId }) }
+  if (organizationId) {
+    msg.customArgs = { ...msg.customArgs, organization_id: organizationId }
+  }
+  return msg
+}
+
 /**
  * Track notification in notification_events table
  * @param {Object} params
@@ -689,7 +851,9 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
     referralEventId,
     templateId = REFERRAL_TEMPLATE_ID,
     metadata,
-    organizationId
+    organizationId,
+    friendRewardCents,
+    referrerRewardCents
   } = options || {}
 
   if (process.env.DISABLE_EMAIL_SENDING === 'true' || process.env.EMAIL_ENABLED === 'false') {
@@ -704,6 +868,9 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
     return { success: true, messageId: 'not-configured', skipped: true, reason: 'email-service-not-configured' }
   }
 
+  const suppressed = await suppressionSkip(email, organizationId)
+  if (suppressed) return suppressed
+
   if (!process.env.FROM_EMAIL) {
     console.log(`⚠️ FROM_EMAIL not configured. Using default sender.`)
   }
@@ -712,12 +879,23 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
     ? REFERRAL_SUPPRESSION_GROUP_ID
     : undefined
 
+  // Organization's stored copy (A/B bucketed per customer), else the built-in template
+  const storedTemplate = await getActiveTemplate({
+    organizationId,
+    templateType: 'REFERRAL_INVITE',
+    channel: 'EMAIL',
+    recipientKey: customerId || email
+  })
+
   try {
     if (!initSendGrid()) {
       throw new Error('SendGrid initialization failed')
     }
 
-    const template = emailTemplates.referralCode(customerName, referralCode, referralUrl)
+    const template = buildReferralEmailPreview(
+      { customerName, referralCode, referralUrl, friendRewardCents, referrerRewardCents },
+      { template: storedTemplate }
+    )
     
     const msg = {
       to: email,
@@ -729,12 +907,13 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
     if (suppressionGroupId) {
       msg.asm = { group_id: suppressionGroupId }
     }
+    applyUnsubscribe(msg, email, organizationId)
 
     console.log(`📧 Attempting to send email to ${email} via SendGrid...`)
     console.log(`   From: ${msg.from}`)
     console.log(`   Subject: ${msg.subject}`)
     
-    const result = await sgMail.send(msg)
+    const result = await sendWithSendGrid(msg)
     
     // SendGrid returns an array with response objects
     const response = Array.isArray(result) ? result[0] : result
@@ -773,6 +952,7 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
         referralCode,
         referralUrl,
         suppressionGroupId,
+        ...templateMetadata(storedTemplate),
         sendgridStatusCode: statusCode,
         sendgridResponse: {
           statusCode,
@@ -820,6 +1000,7 @@ async function sendReferralCodeEmail(customerName, email, referralCode, referral
         referralCode,
         referralUrl,
         suppressionGroupId,
+        ...templateMetadata(storedTemplate),
         sendgridError: error.response ? {
           statusCode: error.response.statusCode || error.response.status,
           headers: error.response.headers,
@@ -842,6 +1023,7 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
     referrerCustomerId,
     referralEventId,
     templateId: templateIdOverride,
+    templateType: templateTypeOverride,
     metadata,
     organizationId
   } = options || {}
@@ -871,16 +1053,25 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
     return { success: true, messageId: 'not-configured', skipped: true, reason: 'email-service-not-configured' }
   }
 
+  const suppressed = await suppressionSkip(email, organizationId)
+  if (suppressed) return suppressed
+
   if (!process.env.FROM_EMAIL) {
     console.log(`⚠️ FROM_EMAIL not configured. Using default sender.`)
   }
 
+  const templateType = templateTypeOverride || (payload?.role === 'friend' ? 'FRIEND_ACTIVATION' : 'REFERRER_ACTIVATION')
+  // Reminders keep the built-in copy; stored templates are written for issuance
+  const storedTemplate = payload?.isReminder
+    ? null
+    : await getActiveTemplate({ organizationId, templateType, channel: 'EMAIL', recipientKey: customerId || email })
+
   try {
     if (!initSendGrid()) {
       throw new Error('SendGrid initialization failed')
     }
 
-    const template = emailTemplates.giftCardDelivery({
+    const template = buildGiftCardEmailPreview({
       customerName,
       giftCardGan: payload.giftCardGan,
       amountCents: stripUndefined(payload.amountCents),
@@ -889,7 +1080,7 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
       activationUrl: stripUndefined(payload.activationUrl),
       passKitUrl: stripUndefined(payload.passKitUrl),
       isReminder: Boolean(payload.isReminder)
-    })
+    }, { template: storedTemplate })
 
     const msg = {
       to: email,
@@ -898,12 +1089,13 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
       html: template.html,
       text: template.text,
     }
+    applyUnsubscribe(msg, email, organizationId)
 
     console.log(`📧 Attempting to send gift card email to ${email} via SendGrid...`)
     console.log(`   From: ${msg.from}`)
     console.log(`   Subject: ${msg.subject}`)
     
-    const result = await sgMail.send(msg)
+    const result = await sendWithSendGrid(msg)
     
     // SendGrid returns an array with response objects
     const response = Array.isArray(result) ? result[0] : result
@@ -928,7 +1120,6 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
     }, null, 2))
 
     // Track email notification
-    const templateType = payload?.role === 'friend' ? 'FRIEND_ACTIVATION' : 'REFERRER_ACTIVATION'
     await trackEmailNotification({
       channel: 'EMAIL',
       templateType,
@@ -946,6 +1137,7 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
         activationUrl: payload.activationUrl,
         passKitUrl: payload.passKitUrl,
         giftCardId: payload.giftCardId,
+        ...templateMetadata(storedTemplate),
         sendgridStatusCode: statusCode,
         sendgridResponse: {
           statusCode,
@@ -980,7 +1172,6 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
     }
 
     // Track failed email notification
-    const templateType = payload?.role === 'friend' ? 'FRIEND_ACTIVATION' : 'REFERRER_ACTIVATION'
     await trackEmailNotification({
       channel: 'EMAIL',
       templateType,
@@ -997,6 +1188,7 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
         activationUrl: payload?.activationUrl,
         passKitUrl: payload?.passKitUrl,
         giftCardId: payload?.giftCardId,
+        ...templateMetadata(storedTemplate),
         sendgridError: error.response ? {
           statusCode: error.response.statusCode || error.response.status,
           headers: error.response.headers,
@@ -1013,6 +1205,109 @@ async function sendGiftCardIssuedEmail(customerName, email, payload, options = {
   }
 }
 
+/**
+ * Win-back email (lib/messaging/winback-campaigns.js).
+ * payload: { bookingUrl, amountCents?, giftCardGan?, giftCardId?, expiresOn?, activationUrl? }
+ */
+async function sendWinbackEmail(customerName, email, payload, options = {}) {
+  const { customerId, metadata, organizationId } = options || {}
+
+  if (!email) {
+    console.log('⚠️ No email provided for win-back message, skipping send.')
+    return { success: false, skipped: true, reason: 'missing-email' }
+  }
+
+  if (process.env.DISABLE_EMAIL_SENDING === 'true' || process.env.EMAIL_ENABLED === 'false') {
+    console.log(`⏸️ Email sending is disabled. Would send win-back email to ${email}`)
+    return { success: true, messageId: 'disabled', skipped: true }
+  }
+
+  if (!process.env.SENDGRID_API_KEY) {
+    console.log(`ℹ️ SendGrid API key not configured. Would send win-back email to ${email}`)
+    return { success: true, messageId: 'not-configured', skipped: true, reason: 'email-service-not-configured' }
+  }
+
+  const suppressed = await suppressionSkip(email, organizationId)
+  if (suppressed) return suppressed
+
+  const storedTemplate = await getActiveTemplate({
+    organizationId,
+    templateType: 'WINBACK_OFFER',
+    channel: 'EMAIL',
+    recipientKey: customerId || email
+  })
+  const trackedMetadata = {
+    email,
+    giftCardGan: payload?.giftCardGan,
+    giftCardId: payload?.giftCardId,
+    amountCents: payload?.amountCents,
+    ...templateMetadata(storedTemplate),
+    ...metadata
+  }
+
+  try {
+    if (!initSendGrid()) {
+      throw new Error('SendGrid initialization failed')
+    }
+
+    const template = buildWinbackEmailPreview({
+      customerName,
+      bookingUrl: payload.bookingUrl,
+      amountCents: stripUndefined(payload.amountCents),
+      giftCardGan: stripUndefined(payload.giftCardGan),
+      expiresOn: stripUndefined(payload.expiresOn),
+      activationUrl: stripUndefined(payload.activationUrl)
+    }, { template: storedTemplate })
+
+    const msg = {
+      to: email,
+      from: process.env.FROM_EMAIL || 'info@studiozorina.com',
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+    }
+    applyUnsubscribe(msg, email, organizationId)
+
+    const result = await sendWithSendGrid(msg)
+    const response = Array.isArray(result) ? result[0] : result
+    const messageId = response?.headers?.['x-message-id'] || response?.headers?.['X-Message-Id'] || 'unknown'
+    const statusCode = response?.statusCode || response?.status || 'unknown'
+    if (statusCode !== 202 && statusCode !== 200) {
+      throw new Error(`SendGrid returned unexpected status code: ${statusCode}. Response: ${JSON.stringify(response)}`)
+    }
+    console.log(`✅ SendGrid accepted win-back email for ${email} (message ${messageId})`)
+
+    await trackEmailNotification({
+      templateType: 'WINBACK_OFFER',
+      status: 'sent',
+      customerId,
+      externalId: messageId,
+      metadata: { ...trackedMetadata, sendgridStatusCode: statusCode },
+      sentAt: new Date(),
+      organizationId
+    })
+
+    return { success: true, messageId, statusCode }
+  } catch (error) {
+    console.error(`❌ Error sending win-back email to ${email}:`, error.message)
+    if (error.response?.body?.errors) {
+      console.error('   SendGrid Errors:', JSON.stringify(error.response.body.errors))
+    }
+
+    await trackEmailNotification({
+      templateType: 'WINBACK_OFFER',
+      status: 'failed',
+      customerId,
+      metadata: trackedMetadata,
+      errorMessage: error.message,
+      errorCode: error.code || error.response?.statusCode?.toString(),
+      organizationId
+    })
+
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Send notification email to admin when referral code is used
  * @param {Object} data - Referral code usage data
@@ -1304,7 +1599,7 @@ async function sendReferralCodeUsageNotification(data) {
             text: emailText
           }
 
-          const response = await sgMail.send(msg)
+          const response = await sendWithSendGrid(msg)
           const messageId = response[0]?.headers?.['x-message-id'] || 'unknown'
 
           console.log(`✅ Referral code usage notification sent to ${adminEmail} via SendGrid`)
@@ -1389,11 +1684,47 @@ async function sendReferralCodeUsageNotification(data) {
   }
 }
 
+/**
+ * Plain-text operational alert to staff via SendGrid (see lib/alerts).
+ * No suppression group: alerts are not marketing mail.
+ */
+async function sendAlertEmail({ to, subject, text }) {
+  if (process.env.DISABLE_EMAIL_SENDING === 'true' || process.env.EMAIL_ENABLED === 'false') {
+    console.log(`⏸️ Email sending is disabled. Would send alert "${subject}" to ${to}`)
+    return { success: true, messageId: 'disabled', skipped: true }
+  }
+
+  if (!initSendGrid()) {
+    console.log(`ℹ️ SendGrid API key not configured. Would send alert "${subject}" to ${to}`)
+    return { success: true, messageId: 'not-configured', skipped: true, reason: 'email-service-not-configured' }
+  }
+
+  try {
+    const result = await sendWithSendGrid({
+      to,
+      from: process.env.FROM_EMAIL || 'info@studiozorina.com',
+      subject,
+      text
+    })
+    const response = Array.isArray(result) ? result[0] : result
+    const messageId = response?.headers?.['x-message-id'] || response?.headers?.['X-Message-Id'] || 'unknown'
+    console.log(`✅ Alert email sent to ${to} (${messageId})`)
+    return { success: true, messageId }
+  } catch (error) {
+    console.error(`❌ Failed to send alert email to ${to}:`, error.message)
+    return { success: false, error: error.message }
+  }
+}
+
 module.exports = {
   sendReferralCodeEmail,
   sendGiftCardIssuedEmail,
+  sendWinbackEmail,
   sendReferralCodeUsageNotification,
   trackNotification,
   trackEmailNotification,
-  buildGiftCardEmailPreview
+  sendAlertEmail,
+  buildGiftCardEmailPreview,
+  buildReferralEmailPreview,
+  buildWinbackEmailPreview
 }
@@ -0,0 +1,233 @@
+const crypto = require('crypto')
+const prisma = require('../prisma-client')
+const { getReferralBaseUrl } = require('../utils/referral-url')
+
+/**
+ * Email Suppression
+ * Per-organization do-not-email list (email_suppressions). SendGrid bounce,
+ * spam report and unsubscribe events (POST /api/webhooks/sendgrid) and the
+ * signed one-click unsubscribe link (/api/unsubscribe) write to it; customer
+ * emails in lib/email-service-simple.js check it before sending.
+ *
+ * Unsubscribe tokens are base64url(JSON { e: email, o: organizationId }) plus
+ * an HMAC-SHA256 signature keyed by EMAIL_UNSUBSCRIBE_SECRET. The secret is
+ * dedicated: without it no links are signed and no tokens are accepted.
+ */
+
+// SendGrid event type -> suppression reason
+const SUPPRESSING_EVENTS = {
+  bounce: 'bounce',
+  spamreport: 'spamreport',
+  unsubscribe: 'unsubscribe',
+  group_unsubscribe: 'unsubscribe'
+}
+
+const RESUBSCRIBING_EVENTS = ['group_resubscribe']
+
+function normalizeEmail(email) {
+  const value = email?.toString().trim().toLowerCase()
+  return value && value.includes('@') ? value : null
+}
+
+function getUnsubscribeSecret() {
+  return process.env.EMAIL_UNSUBSCRIBE_SECRET?.trim() || null
+}
+
+function signPayload(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+}
+
+/**
+ * Signed token for an unsubscribe link, or null when no secret is configured.
+ */
+function createUnsubscribeToken({ email, organizationId = null }) {
+  const secret = getUnsubscribeSecret()
+  const normalized = normalizeEmail(email)
+  if (!secret || !normalized) return null
+
+  const payload = Buffer.from(JSON.stringify({ e: normalized, o: organizationId || null })).toString('base64url')
+  return `${payload}.${signPayload(payload, secret)}`
+}
+
+/**
+ * { email, organizationId } for a valid token, otherwise null.
+ */
+function verifyUnsubscribeToken(token) {
+  const secret = getUnsubscribeSecret()
+  if (!secret || typeof token !== 'string') return null
+
+  const [payload, signature] = token.split('.')
+  if (!payload || !signature) return null
+
+  const expected = Buffer.from(signPayload(payload, secret))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+
+  try {
+    const { e, o } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    const email = normalizeEmail(e)
+    return email ? { email, organizationId: o || null } : null
+  } catch {
+    return null
+  }
+}
+
+function buildUnsubscribeUrl({ email, organizationId = null }) {
+  const token = createUnsubscribeToken({ email, organizationId })
+  if (!token) return null
+  return `${getReferralBaseUrl()}/api/unsubscribe?token=${encodeURIComponent(token)}`
+}
+
+/**
+ * RFC 8058 one-click unsubscribe headers for a SendGrid message ({} without a secret).
+ */
+function buildListUnsubscribeHeaders({ email, organizationId = null }) {
+  const url = buildUnsubscribeUrl({ email, organizationId })
+  if (!url) {
+    console.warn('⚠️ EMAIL_UNSUBSCRIBE_SECRET not configured – sending without List-Unsubscribe header')
+    return {}
+  }
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  }
+}
+
+/**
+ * Organizations an address-level event applies to: the given one, otherwise
+ * every organization with this customer email (or all active organizations).
+ */
+async function resolveSuppressionOrganizationIds(email, organizationId) {
+  if (organizationId) return [organizationId]
+
+  const customerOrgs = await prisma.$queryRaw`
+    SELECT DISTINCT organization_id::text AS "organizationId"
+    FROM square_existing_clients
+    WHERE organization_id IS NOT NULL
+      AND LOWER(TRIM(email_address)) = ${email}
+  `
+  if (customerOrgs.length > 0) return customerOrgs.map((row) => row.organizationId)
+
+  const organizations = await prisma.organization.findMany({
+    where: { is_active: true },
+    select: { id: true }
+  })
+  return organizations.map((org) => org.id)
+}
+
+/**
+ * Adds an address to the suppression list.
+ * reason: bounce | spamreport | unsubscribe; source: sendgrid_event | unsubscribe_link | admin
+ * An unsubscribe never replaces an existing bounce or spam report row, which
+ * resubscribeEmail would otherwise be allowed to delete.
+ * Returns the organization ids it was applied to.
+ */
+async function suppressEmail({ email, organizationId = null, reason, source, detail = null, sendgridEventId = null }) {
+  const normalized = normalizeEmail(email)
+  if (!normalized) return []
+
+  const organizationIds = await resolveSuppressionOrganizationIds(normalized, organizationId)
+  const fields = { reason, source, detail, sendgrid_event_id: sendgridEventId }
+  for (const orgId of organizationIds) {
+    if (reason === 'unsubscribe') {
+      await prisma.emailSuppression.createMany({
+        data: [{ organization_id: orgId, email: normalized, ...fields }],
+        skipDuplicates: true
+      })
+      await prisma.emailSuppression.updateMany({
+        where: { organization_id: orgId, email: normalized, reason: 'unsubscribe' },
+        data: fields
+      })
+      continue
+    }
+
+    await prisma.emailSuppression.upsert({
+      where: { organization_id_email: { organization_id: orgId, email: normalized } },
+      create: { organization_id: orgId, email: normalized, ...fields },
+      update: fields
+    })
+  }
+
+  console.log(`🚫 Email ${normalized} suppressed (${reason}) in ${organizationIds.length} organization(s)`)
+  return organizationIds
+}
+
+/**
+ * Removes an unsubscribe (bounces and spam reports stay suppressed).
+ */
+async function resubscribeEmail({ email, organizationId = null }) {
+  const normalized = normalizeEmail(email)
+  if (!normalized) return 0
+
+  const { count } = await prisma.emailSuppression.deleteMany({
+    where: {
+      email: normalized,
+      reason: 'unsubscribe',
+      ...(organizationId ? { organization_id: organizationId } : {})
+    }
+  })
+  return count
+}
+
+/**
+ * True when the address is suppressed for this organization (or, without an
+ * organization, for any). Fails open on lookup errors: SendGrid still drops
+ * mail to its own bounce and spam report lists.
+ */
+async function isEmailSuppressed(email, { organizationId = null } = {}) {
+  const normalized = normalizeEmail(email)
+  if (!normalized) return false
+
+  try {
+    const suppression = await prisma.emailSuppression.findFirst({
+      where: {
+        email: normalized,
+        ...(organizationId ? { organization_id: organizationId } : {})
+      },
+      select: { id: true }
+    })
+    return Boolean(suppression)
+  } catch (error) {
+    console.warn(`⚠️ Email suppression lookup failed for ${normalized}:`, error.message)
+    return false
+  }
+}
+
+/**
+ * Applies one SendGrid event. Returns 'suppressed', 'resubscribed' or null.
+ * organization_id comes from the custom_args set on every customer email.
+ */
+async function applySendGridSuppressionEvent(event) {
+  const { event: eventType, email, reason, response, sg_event_id: sgEventId, organization_id: organizationId } = event || {}
+
+  if (SUPPRESSING_EVENTS[eventType]) {
+    await suppressEmail({
+      email,
+      organizationId: organizationId || null,
+      reason: SUPPRESSING_EVENTS[eventType],
+      source: 'sendgrid_event',
+      detail: reason || response || null,
+      sendgridEventId: sgEventId || null
+    })
+    return 'suppressed'
+  }
+
+  if (RESUBSCRIBING_EVENTS.includes(eventType)) {
+    await resubscribeEmail({ email, organizationId: organizationId || null })
+    return 'resubscribed'
+  }
+
+  return null
+}
+
+module.exports = {
+  normalizeEmail,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  buildListUnsubscribeHeaders,
+  suppressEmail,
+  resubscribeEmail,
+  isEmailSuppressed,
+  applySendGridSuppressionEvent
+}
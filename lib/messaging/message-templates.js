@@ -0,0 +1,355 @@
+const crypto = require('crypto')
+const prisma = require('../prisma-client')
+
+/**
+ * Message Templates
+ * Versioned email / SMS copy per organization, NotificationTemplateType and
+ * channel (message_templates). Senders in email-service-simple.js and
+ * twilio-service.js use the active version when one exists and fall back to
+ * their built-in copy otherwise.
+ *
+ * Variables are written [Name], [referral_url], [amount], [gan] ... (square or
+ * curly brackets, any case). Up to two versions can be active at once: each
+ * customer is bucketed by a stable hash into one of them by ab_weight, and
+ * notification_events.metadata.messageTemplateId records which one they got,
+ * so open / click rates per version come straight from SendGrid statuses.
+ */
+
+const TEMPLATE_STATUSES = ['draft', 'active', 'archived']
+const MAX_ACTIVE_VERSIONS = 2
+const SMS_MAX_LENGTH = 640 // 4 segments
+const CREATE_VERSION_ATTEMPTS = 3
+
+// Variable -> accepted spellings inside the brackets
+const VARIABLES = {
+  name: ['name', 'customer name', 'first name'],
+  referral_url: ['referral_url', 'referral url'],
+  referral_code: ['referral_code', 'referral code', 'code'],
+  amount: ['amount', 'gift card amount'],
+  balance: ['balance', 'gift card balance'],
+  gan: ['gan', 'gift card number', 'card number'],
+  activation_url: ['activation_url', 'activation url'],
+  pass_url: ['pass_url', 'pass url', 'wallet url'],
+  booking_url: ['booking_url', 'booking url'],
+  expires_on: ['expires_on', 'expires on', 'expiry date'],
+  qr_code: ['qr_code', 'qr code'] // email html only: <img> of the gift card QR
+}
+
+const GIFT_CARD_SCHEMA = {
+  required: ['amount', 'gan'],
+  optional: ['name', 'balance', 'activation_url', 'pass_url', 'qr_code']
+}
+
+// Variables each template type can use; required ones must appear in the body or html
+const TEMPLATE_SCHEMAS = {
+  REFERRAL_INVITE: { required: ['referral_url'], optional: ['name', 'referral_code', 'amount'] },
+  GIFT_CARD_DELIVERY: GIFT_CARD_SCHEMA,
+  FRIEND_ACTIVATION: GIFT_CARD_SCHEMA,
+  REFERRER_ACTIVATION: GIFT_CARD_SCHEMA,
+  POST_VISIT_REMINDER: { required: ['referral_url'], optional: ['name', 'referral_code'] },
+  // amount / gan / expires_on are empty when the campaign sends no gift card
+  WINBACK_OFFER: { required: ['booking_url'], optional: ['name', 'amount', 'gan', 'expires_on', 'activation_url'] },
+  OTHER: { required: [], optional: ['name'] }
+}
+
+const SAMPLE_CUSTOMER = {
+  square_customer_id: 'SAMPLE_CUSTOMER',
+  given_name: 'Anna',
+  family_name: 'Sample',
+  email_address: 'anna@example.com',
+  phone_number: '+15555550123',
+  personal_code: 'ANNA1234'
+}
+
+const PLACEHOLDER_PATTERN = /\[([a-z][a-z_ ]*)\]|\{([a-z][a-z_ ]*)\}/gi
+
+const VARIABLE_BY_SPELLING = Object.fromEntries(
+  Object.entries(VARIABLES).flatMap(([variable, spellings]) => spellings.map((spelling) => [spelling, variable]))
+)
+
+function placeholdersIn(text) {
+  if (!text) return []
+  return Array.from(text.matchAll(PLACEHOLDER_PATTERN), (match) => (match[1] || match[2]).trim().toLowerCase())
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Error message for an invalid template, or null.
+ * Unknown variables are only rejected in subject and body: email html has
+ * bracketed markup of its own (e.g. Outlook's [if mso] comments).
+ */
+function validateTemplate({ templateType, channel, subject, html, body }) {
+  const schema = TEMPLATE_SCHEMAS[templateType]
+  if (!schema) return `Unknown template type: ${templateType}`
+  if (!['EMAIL', 'SMS'].includes(channel)) return 'channel must be EMAIL or SMS'
+  if (!body?.trim()) return channel === 'SMS' ? 'body is required' : 'body (plain-text version) is required'
+
+  if (channel === 'EMAIL') {
+    if (!subject?.trim()) return 'subject is required for email templates'
+    if (!html?.trim()) return 'html is required for email templates'
+  } else {
+    if (html) return 'SMS templates have no html'
+    if (body.length > SMS_MAX_LENGTH) return `SMS body is longer than ${SMS_MAX_LENGTH} characters`
+  }
+
+  const allowed = [...schema.required, ...schema.optional]
+  for (const spelling of [...placeholdersIn(subject), ...placeholdersIn(body)]) {
+    const variable = VARIABLE_BY_SPELLING[spelling]
+    if (!variable || !allowed.includes(variable)) {
+      return `Unknown variable [${spelling}] for ${templateType} (allowed: ${allowed.map((v) => `[${v}]`).join(', ')})`
+    }
+    if (variable === 'qr_code') return '[qr_code] can only be used in email html'
+  }
+
+  const used = new Set([...placeholdersIn(body), ...placeholdersIn(html)].map((spelling) => VARIABLE_BY_SPELLING[spelling]))
+  const missing = schema.required.filter((variable) => !used.has(variable))
+  if (missing.length > 0) {
+    return `Missing required variable${missing.length > 1 ? 's' : ''}: ${missing.map((v) => `[${v}]`).join(', ')}`
+  }
+  return null
+}
+
+function fillPlaceholders(text, values, { html = false } = {}) {
+  if (!text) return text
+  return text.replace(PLACEHOLDER_PATTERN, (match, square, curly) => {
+    const variable = VARIABLE_BY_SPELLING[(square || curly).trim().toLowerCase()]
+    if (!variable) return match
+    const value = values[variable] ?? ''
+    if (!html) return String(value)
+    if (variable === 'qr_code') {
+      return value ? `<img src="${value}" alt="Gift card QR code" width="200" height="200" style="display:block;margin:0 auto;">` : ''
+    }
+    return escapeHtml(value)
+  })
+}
+
+function formatDollars(cents) {
+  if (cents === null || cents === undefined) return ''
+  const dollars = Number(cents) / 100
+  return Number.isInteger(dollars) ? `$${dollars}` : `$${dollars.toFixed(2)}`
+}
+
+/**
+ * Template values from sender inputs. amountCents / balanceCents are formatted
+ * as dollars; expiresOn is an already formatted date.
+ */
+function buildTemplateVariables({ name, referralUrl, referralCode, amountCents, balanceCents, giftCardGan, activationUrl, passKitUrl, qrDataUri, bookingUrl, expiresOn } = {}) {
+  return {
+    name: name?.toString().trim() || 'there',
+    referral_url: referralUrl || '',
+    referral_code: referralCode || '',
+    amount: formatDollars(amountCents),
+    balance: formatDollars(balanceCents),
+    gan: giftCardGan || '',
+    activation_url: activationUrl || '',
+    pass_url: passKitUrl || '',
+    qr_code: qrDataUri || '',
+    booking_url: bookingUrl || '',
+    expires_on: expiresOn || ''
+  }
+}
+
+/**
+ * { subject, html, text } for a stored template.
+ */
+function renderTemplate(template, variables) {
+  return {
+    subject: fillPlaceholders(template.subject, variables),
+    html: fillPlaceholders(template.html, variables, { html: true }),
+    text: fillPlaceholders(template.body, variables)
+  }
+}
+
+// Stable 0-99 bucket so a customer keeps seeing the same A/B version
+function abBucket(key) {
+  return crypto.createHash('md5').update(key).digest().readUInt32BE(0) % 100
+}
+
+/**
+ * The version this customer should get, or null when the organization has no
+ * active template (caller uses its built-in copy). Lookup errors also return null.
+ */
+async function getActiveTemplate({ organizationId, templateType, channel, recipientKey = null }) {
+  if (!organizationId || !templateType) return null
+
+  try {
+    const active = await prisma.messageTemplate.findMany({
+      where: { organization_id: organizationId, template_type: templateType, channel, status: 'active' },
+      orderBy: { version: 'asc' }
+    })
+    if (active.length <= 1) return active[0] || null
+
+    const totalWeight = active.reduce((sum, template) => sum + Math.max(template.ab_weight, 0), 0) || 1
+    const point = (abBucket(`${templateType}:${channel}:${recipientKey || crypto.randomUUID()}`) / 100) * totalWeight
+    let cumulative = 0
+    for (const template of active) {
+      cumulative += Math.max(template.ab_weight, 0)
+      if (point < cumulative) return template
+    }
+    return active[active.length - 1]
+  } catch (error) {
+    console.warn(`⚠️ Message template lookup failed for ${templateType}/${channel}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Metadata stored on notification_events for a send that used a stored template.
+ */
+function templateMetadata(template) {
+  return template ? { messageTemplateId: template.id, messageTemplateVersion: template.version } : {}
+}
+
+/**
+ * Saves a new draft version (validated). Returns { template } or { error }
+ * (conflict: true when concurrent saves kept taking the version number).
+ */
+async function createTemplateVersion({ organizationId, templateType, channel, subject = null, html = null, body, createdBy = null, notes = null }) {
+  const error = validateTemplate({ templateType, channel, subject, html, body })
+  if (error) return { error }
+
+  // P2002: a concurrent save took the next version number; read it again
+  for (let attempt = 1; attempt <= CREATE_VERSION_ATTEMPTS; attempt++) {
+    const latest = await prisma.messageTemplate.findFirst({
+      where: { organization_id: organizationId, template_type: templateType, channel },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    })
+
+    try {
+      const template = await prisma.messageTemplate.create({
+        data: {
+          organization_id: organizationId,
+          template_type: templateType,
+          channel,
+          version: (latest?.version || 0) + 1,
+          subject: subject?.trim() || null,
+          html: html || null,
+          body: body.trim(),
+          notes,
+          created_by: createdBy
+        }
+      })
+      return { template }
+    } catch (createError) {
+      if (createError.code !== 'P2002') throw createError
+    }
+  }
+  return { error: 'Another version was saved at the same time; try again', conflict: true }
+}
+
+/**
+ * Makes a version the only active one (100% of sends).
+ */
+async function activateTemplate(template) {
+  const [, activated] = await prisma.$transaction([
+    prisma.messageTemplate.updateMany({
+      where: {
+        organization_id: template.organization_id,
+        template_type: template.template_type,
+        channel: template.channel,
+        status: 'active',
+        id: { not: template.id }
+      },
+      data: { status: 'archived', ab_weight: 100 }
+    }),
+    prisma.messageTemplate.update({
+      where: { id: template.id },
+      data: { status: 'active', ab_weight: 100, activated_at: new Date() }
+    })
+  ])
+  return activated
+}
+
+/**
+ * Runs a version against the currently active one: it gets weight% of sends,
+ * the incumbent the rest. Returns { templates } or { error } (conflict: true
+ * when another change to the active versions won a concurrent race).
+ */
+async function startAbTest(template, weight) {
+  if (!Number.isInteger(weight) || weight < 1 || weight > 99) {
+    return { error: 'weight must be an integer between 1 and 99' }
+  }
+
+  try {
+    // Serializable: two concurrent tests both reading one active version must
+    // not both add theirs, or getActiveTemplate would bucket across three
+    return await prisma.$transaction(async (tx) => {
+      const active = await tx.messageTemplate.findMany({
+        where: {
+          organization_id: template.organization_id,
+          template_type: template.template_type,
+          channel: template.channel,
+          status: 'active',
+          id: { not: template.id }
+        }
+      })
+      if (active.length === 0) return { error: 'No active version to test against; activate one first' }
+      if (active.length >= MAX_ACTIVE_VERSIONS) return { error: 'An A/B test is already running; activate or archive one of its versions first' }
+
+      const incumbent = await tx.messageTemplate.update({ where: { id: active[0].id }, data: { ab_weight: 100 - weight } })
+      const challenger = await tx.messageTemplate.update({
+        where: { id: template.id },
+        data: { status: 'active', ab_weight: weight, activated_at: new Date() }
+      })
+      return { templates: [incumbent, challenger] }
+    }, { isolationLevel: 'Serializable' })
+  } catch (error) {
+    // P2034: serialization failure, another change to the active versions committed first
+    if (error.code !== 'P2034') throw error
+    return { error: 'The active versions changed while starting the test; reload and try again', conflict: true }
+  }
+}
+
+/**
+ * Send / delivery / open / click counts per template version from
+ * notification_events. A row's status is the furthest it got, so opened
+ * includes clicked. SMS has no opens or clicks.
+ */
+async function getTemplateResults({ organizationId, templateType, channel, since = null }) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      metadata->>'messageTemplateId' AS "templateId",
+      COUNT(*)::int AS sent,
+      COUNT(*) FILTER (WHERE status IN ('delivered', 'opened', 'clicked'))::int AS delivered,
+      COUNT(*) FILTER (WHERE status IN ('opened', 'clicked'))::int AS opened,
+      COUNT(*) FILTER (WHERE status = 'clicked')::int AS clicked,
+      COUNT(*) FILTER (WHERE status IN ('failed', 'bounced'))::int AS failed
+    FROM notification_events
+    WHERE organization_id = ${organizationId}::uuid
+      AND "templateType" = ${templateType}::"NotificationTemplateType"
+      AND channel = ${channel}::"NotificationChannel"
+      AND metadata ? 'messageTemplateId'
+      AND "createdAt" >= ${since || new Date(0)}
+    GROUP BY 1
+  `
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null)
+  return Object.fromEntries(rows.map((row) => [row.templateId, {
+    ...row,
+    deliveryRate: rate(row.delivered, row.sent),
+    openRate: rate(row.opened, row.delivered),
+    clickRate: rate(row.clicked, row.delivered)
+  }]))
+}
+
+module.exports = {
+  TEMPLATE_STATUSES,
+  TEMPLATE_SCHEMAS,
+  SAMPLE_CUSTOMER,
+  validateTemplate,
+  buildTemplateVariables,
+  renderTemplate,
+  getActiveTemplate,
+  templateMetadata,
+  createTemplateVersion,
+  activateTemplate,
+  startAbTest,
+  getTemplateResults
+}
@@ -0,0 +1,381 @@
+const { randomUUID } = require('crypto')
+const prisma = require('../prisma-client')
+const { sendReferralCodeEmail, sendWinbackEmail, trackNotification } = require('../email-service-simple')
+const { sendReferralCodeSms, sendGiftCardSmsNotification, sendPostVisitReminderSms, sendWinbackSms } = require('../twilio-service')
+const { isEmailSuppressed } = require('./email-suppression')
+const { isSmsOptedOut } = require('./sms-consent')
+
+/**
+ * Notification Dispatcher
+ * Sends one customer notification (NotificationTemplateType) on the best
+ * channel and falls back to the other one when it fails:
+ *
+ *   1. Channels the template supports and the customer can receive (has an
+ *      address, not suppressed / opted out).
+ *   2. Ordered by square_existing_clients.preferred_notification_channel, then
+ *      deliverability: a channel whose last notification bounced or failed goes last.
+ *   3. A send that fails or is skipped moves straight to the next channel; a
+ *      bounce / undelivered status arriving later on the SendGrid or Twilio
+ *      webhook calls handleDeliveryFailure, which retries on a channel not yet tried.
+ *
+ * Every attempt is a notification_events row whose metadata.dispatch holds
+ * { chainId, attempt, templateType, triedChannels, previousAttempt, payload }, so
+ * the whole chain is one query on metadata->'dispatch'->>'chainId'.
+ */
+
+const CHANNELS = ['EMAIL', 'SMS']
+const DEFAULT_CHANNEL_ORDER = ['EMAIL', 'SMS']
+const DELIVERABILITY_LOOKBACK_DAYS = 180
+const FAILED_STATUSES = ['failed', 'bounced']
+// Skips that mean the channel is switched off here, not that the customer can't get it
+const CHANNEL_OFF_REASONS = ['sms-disabled', 'email-service-not-configured']
+
+function customerDisplayName(customer) {
+  const name = [customer?.given_name, customer?.family_name].filter(Boolean).join(' ').trim()
+  return name || 'there'
+}
+
+// Payload stored on the chain so a webhook-triggered fallback can resend it
+function storablePayload(payload) {
+  const { qrDataUri, ...rest } = payload || {}
+  return JSON.parse(JSON.stringify(rest, (_key, v) => (typeof v === 'bigint' ? Number(v) : v)))
+}
+
+/**
+ * SMS attempts are tracked here; the email service tracks its own sends.
+ */
+async function trackSmsAttempt(ctx, result) {
+  await trackNotification({
+    channel: 'SMS',
+    templateType: ctx.templateType,
+    status: result.success && !result.skipped ? 'sent' : 'failed',
+    customerId: ctx.customer.square_customer_id,
+    referrerCustomerId: ctx.referrerCustomerId,
+    referralEventId: ctx.referralEventId,
+    externalId: result.sid || null,
+    metadata: {
+      phoneNumber: ctx.customer.phone_number,
+      ...ctx.metadata,
+      ...(result.messageTemplateId ? { messageTemplateId: result.messageTemplateId, messageTemplateVersion: result.messageTemplateVersion } : {})
+    },
+    errorMessage: result.error || (result.skipped ? `skipped: ${result.reason}` : null),
+    errorCode: result.code ? String(result.code) : null,
+    organizationId: ctx.organizationId
+  })
+}
+
+async function sendGiftCardEmail(ctx) {
+  // Lazy: giftcard-processors pulls in the Square client and most of the referral flow
+  const { sendGiftCardEmailNotification } = require('../webhooks/giftcard-processors')
+  const { payload, customer } = ctx
+  return sendGiftCardEmailNotification({
+    customerName: customerDisplayName(customer),
+    email: customer.email_address,
+    giftCardGan: payload.giftCardGan,
+    amountCents: payload.amountCents,
+    balanceCents: payload.balanceCents,
+    activationUrl: payload.activationUrl,
+    passKitUrl: payload.passKitUrl,
+    isReminder: Boolean(payload.isReminder),
+    customerId: customer.square_customer_id,
+    organizationId: ctx.organizationId,
+    notificationType: ctx.templateType,
+    templateType: ctx.templateType,
+    metadata: ctx.metadata
+  })
+}
+
+async function sendGiftCardSms(ctx) {
+  const { payload, customer } = ctx
+  return sendGiftCardSmsNotification({
+    to: customer.phone_number,
+    customerName: customerDisplayName(customer),
+    giftCardGan: payload.giftCardGan,
+    amountCents: payload.amountCents,
+    activationUrl: payload.activationUrl,
+    organizationId: ctx.organizationId,
+    customerId: customer.square_customer_id,
+    templateType: ctx.templateType
+  })
+}
+
+// templateType -> channel -> sender(ctx). Email senders record their own notification_events row.
+const SENDERS = {
+  REFERRAL_INVITE: {
+    EMAIL: (ctx) => sendReferralCodeEmail(
+      customerDisplayName(ctx.customer),
+      ctx.customer.email_address,
+      ctx.payload.referralCode,
+      ctx.payload.referralUrl,
+      {
+        customerId: ctx.customer.square_customer_id,
+        referrerCustomerId: ctx.referrerCustomerId,
+        referralEventId: ctx.referralEventId,
+        metadata: ctx.metadata,
+        organizationId: ctx.organizationId
+      }
+    ),
+    SMS: (ctx) => sendReferralCodeSms({
+      to: ctx.customer.phone_number,
+      name: customerDisplayName(ctx.customer),
+      referralUrl: ctx.payload.referralUrl,
+      body: ctx.payload.smsBody,
+      customerId: ctx.customer.square_customer_id,
+      organizationId: ctx.organizationId,
+      track: false
+    })
+  },
+  GIFT_CARD_DELIVERY: { EMAIL: sendGiftCardEmail, SMS: sendGiftCardSms },
+  FRIEND_ACTIVATION: { EMAIL: sendGiftCardEmail, SMS: sendGiftCardSms },
+  REFERRER_ACTIVATION: { EMAIL: sendGiftCardEmail, SMS: sendGiftCardSms },
+  POST_VISIT_REMINDER: {
+    SMS: (ctx) => sendPostVisitReminderSms({
+      to: ctx.customer.phone_number,
+      customerName: ctx.customer.given_name || 'there',
+      referralCode: ctx.payload.referralCode,
+      referralUrl: ctx.payload.referralUrl,
+      organizationId: ctx.organizationId
+    })
+  },
+  WINBACK_OFFER: {
+    EMAIL: (ctx) => sendWinbackEmail(customerDisplayName(ctx.customer), ctx.customer.email_address, ctx.payload, {
+      customerId: ctx.customer.square_customer_id,
+      metadata: ctx.metadata,
+      organizationId: ctx.organizationId
+    }),
+    SMS: (ctx) => sendWinbackSms({
+      to: ctx.customer.phone_number,
+      customerName: ctx.customer.given_name || 'there',
+      ...ctx.payload,
+      organizationId: ctx.organizationId,
+      customerId: ctx.customer.square_customer_id
+    })
+  }
+}
+
+async function loadCustomer(organizationId, customerId) {
+  return prisma.squareExistingClient.findFirst({
+    where: { organization_id: organizationId, square_customer_id: customerId },
+    select: {
+      square_customer_id: true,
+      given_name: true,
+      family_name: true,
+      email_address: true,
+      phone_number: true,
+      preferred_notification_channel: true
+    }
+  })
+}
+
+async function isChannelReachable(channel, customer, organizationId) {
+  if (channel === 'EMAIL') {
+    return Boolean(customer.email_address) && !(await isEmailSuppressed(customer.email_address, { organizationId }))
+  }
+  return Boolean(customer.phone_number) && !(await isSmsOptedOut(customer.phone_number, { organizationId }))
+}
+
+/**
+ * Channels whose most recent notification to this customer bounced or failed.
+ */
+async function getFailingChannels(organizationId, customerId) {
+  if (!customerId) return new Set()
+  const since = new Date(Date.now() - DELIVERABILITY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+  const recent = await prisma.notificationEvent.findMany({
+    where: { organization_id: organizationId, customerId, createdAt: { gte: since } },
+    select: { channel: true, status: true },
+    orderBy: { createdAt: 'desc' },
+    take: 20
+  })
+
+  const failing = new Set()
+  const seen = new Set()
+  for (const event of recent) {
+    if (seen.has(event.channel)) continue
+    seen.add(event.channel)
+    if (FAILED_STATUSES.includes(event.status)) failing.add(event.channel)
+  }
+  return failing
+}
+
+/**
+ * Ordered channels to try for this customer and template.
+ */
+async function chooseChannels({ organizationId, templateType, customer, excludeChannels = [] }) {
+  const supported = Object.keys(SENDERS[templateType] || {})
+  const preferred = CHANNELS.includes(customer.preferred_notification_channel)
+    ? customer.preferred_notification_channel
+    : null
+
+  const candidates = []
+  for (const channel of DEFAULT_CHANNEL_ORDER) {
+    if (!supported.includes(channel) || excludeChannels.includes(channel)) continue
+    if (await isChannelReachable(channel, customer, organizationId)) candidates.push(channel)
+  }
+
+  const failing = await getFailingChannels(organizationId, customer.square_customer_id)
+  const rank = (channel) => (channel === preferred ? 0 : 1) + (failing.has(channel) ? 2 : 0)
+  return candidates.sort((a, b) => rank(a) - rank(b) || DEFAULT_CHANNEL_ORDER.indexOf(a) - DEFAULT_CHANNEL_ORDER.indexOf(b))
+}
+
+/**
+ * Sends a notification, falling through channels until one is accepted.
+ *
+ * customer: square_existing_clients fields (merged over the stored row), or pass customerId
+ * payload: template fields – REFERRAL_INVITE { referralCode, referralUrl, smsBody? },
+ *   gift card types { giftCardGan, amountCents, balanceCents, activationUrl, passKitUrl, isReminder },
+ *   POST_VISIT_REMINDER { referralCode, referralUrl },
+ *   WINBACK_OFFER { bookingUrl, amountCents?, giftCardGan?, giftCardId?, expiresOn?, activationUrl? }
+ *
+ * Returns { success, channel, chainId, attempts: [{ channel, success, skipped, reason, error }] }.
+ */
+async function dispatchNotification({
+  organizationId,
+  templateType,
+  customer = null,
+  customerId = null,
+  payload = {},
+  referrerCustomerId = null,
+  referralEventId = null,
+  metadata = {},
+  chainId = randomUUID(),
+  attempt = 1,
+  excludeChannels = [],
+  previousAttempt = null
+}) {
+  if (!SENDERS[templateType]) {
+    return { success: false, chainId, attempts: [], error: `No dispatcher senders for ${templateType}` }
+  }
+
+  // Contact details passed in win over the stored row; the stored row supplies the preference
+  const targetId = customer?.square_customer_id || customerId
+  const stored = targetId ? await loadCustomer(organizationId, targetId) : null
+  const overrides = Object.fromEntries(Object.entries(customer || {}).filter(([, value]) => value !== undefined))
+  const target = stored || customer ? { ...stored, ...overrides } : null
+  if (!target) {
+    return { success: false, chainId, attempts: [], error: 'customer-not-found' }
+  }
+
+  const channels = await chooseChannels({ organizationId, templateType, customer: target, excludeChannels })
+  if (channels.length === 0) {
+    console.log(`⚠️ No reachable channel for ${templateType} to ${target.square_customer_id}`)
+    return { success: false, chainId, attempts: [], reason: 'no-reachable-channel' }
+  }
+
+  const attempts = []
+  const triedChannels = [...excludeChannels]
+  let previous = previousAttempt
+
+  for (const channel of channels) {
+    triedChannels.push(channel)
+    const dispatch = {
+      chainId,
+      attempt: attempt + attempts.length,
+      templateType,
+      triedChannels: [...triedChannels],
+      previousAttempt: previous,
+      payload: storablePayload(payload)
+    }
+    const ctx = {
+      organizationId,
+      templateType,
+      customer: target,
+      payload,
+      referrerCustomerId,
+      referralEventId,
+      metadata: { ...metadata, dispatch }
+    }
+
+    let result
+    try {
+      result = await SENDERS[templateType][channel](ctx)
+    } catch (error) {
+      result = { success: false, error: error.message }
+    }
+
+    const channelOff = Boolean(result?.skipped && (result.messageId === 'disabled' || CHANNEL_OFF_REASONS.includes(result.reason)))
+    if (channel === 'SMS' && !channelOff) {
+      await trackSmsAttempt(ctx, result || {})
+    } else if (result?.skipped && !channelOff) {
+      // Email senders don't record skips; keep the chain complete
+      await trackNotification({
+        channel: 'EMAIL',
+        templateType,
+        status: 'failed',
+        customerId: target.square_customer_id,
+        referrerCustomerId,
+        referralEventId,
+        metadata: { email: target.email_address, ...ctx.metadata },
+        errorMessage: `skipped: ${result.reason}`,
+        organizationId
+      })
+    }
+
+    const delivered = Boolean(result?.success && !result?.skipped)
+    attempts.push({ channel, success: delivered, skipped: Boolean(result?.skipped), reason: result?.reason, error: result?.error })
+    if (delivered) {
+      console.log(`✅ ${templateType} to ${target.square_customer_id} sent via ${channel} (chain ${chainId}, attempt ${dispatch.attempt})`)
+      return { success: true, channel, chainId, attempts }
+    }
+
+    console.warn(`⚠️ ${templateType} via ${channel} to ${target.square_customer_id} not sent (${result?.reason || result?.error || 'unknown'})`)
+    previous = dispatch.attempt
+  }
+
+  return { success: false, chainId, attempts }
+}
+
+/**
+ * Called by the SendGrid and Twilio webhooks when a dispatched notification
+ * bounces or is undelivered. Retries once per failed event on a channel not
+ * yet tried in the chain. notification: notification_events row with
+ * id, channel, customerId, organization_id, metadata.
+ */
+async function handleDeliveryFailure(notification, { reason = null } = {}) {
+  const dispatch = notification?.metadata?.dispatch
+  if (!dispatch?.chainId || !notification.customerId) return null
+
+  // Claim the fallback so a repeated webhook event can't send it twice
+  const claimed = await prisma.$queryRaw`
+    UPDATE notification_events
+    SET metadata = jsonb_set(metadata, '{dispatch,fallbackTriggeredAt}', to_jsonb(${new Date().toISOString()}::text))
+    WHERE id = ${notification.id}
+      AND metadata->'dispatch'->>'fallbackTriggeredAt' IS NULL
+    RETURNING id
+  `
+  if (claimed.length === 0) return null
+
+  console.log(`🔁 ${dispatch.templateType} via ${notification.channel} failed (${reason || 'undelivered'}), falling back (chain ${dispatch.chainId})`)
+  return dispatchNotification({
+    organizationId: notification.organization_id,
+    templateType: dispatch.templateType,
+    customerId: notification.customerId,
+    payload: dispatch.payload,
+    referrerCustomerId: notification.referrerCustomerId || null,
+    referralEventId: notification.referralEventId || null,
+    chainId: dispatch.chainId,
+    attempt: (dispatch.attempt || 1) + 1,
+    excludeChannels: dispatch.triedChannels || [notification.channel],
+    previousAttempt: dispatch.attempt || 1
+  })
+}
+
+/**
+ * Stores a customer's channel preference ('EMAIL' | 'SMS' | null to clear).
+ */
+async function setNotificationChannelPreference({ organizationId, customerId, channel }) {
+  if (channel !== null && !CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`)
+  }
+  const { count } = await prisma.squareExistingClient.updateMany({
+    where: { organization_id: organizationId, square_customer_id: customerId },
+    data: { preferred_notification_channel: channel }
+  })
+  return count > 0
+}
+
+module.exports = {
+  dispatchNotification,
+  handleDeliveryFailure,
+  chooseChannels,
+  setNotificationChannelPreference
+}
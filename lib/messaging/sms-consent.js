@@ -0,0 +1,178 @@
+const prisma = require('../prisma-client')
+
+/**
+ * SMS Consent
+ * Per-organization opt-out registry (sms_consents), keyed by E.164 phone.
+ * Inbound STOP/START keywords (POST /api/webhooks/twilio) and Twilio's
+ * "unsubscribed recipient" error write to it; every customer send path in
+ * lib/twilio-service.js checks it first.
+ *
+ * All organizations text from the same Twilio sender, so a keyword applies to
+ * every organization that has the number as a customer (or to all active
+ * organizations when nobody does).
+ */
+
+// Twilio's default opt-out / opt-in / help keywords
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE']
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP', 'OPTIN']
+const HELP_KEYWORDS = ['HELP', 'INFO']
+
+// Twilio error when messaging a number that replied STOP to our sender
+const TWILIO_UNSUBSCRIBED_ERROR_CODE = 21610
+
+const KEYWORD_REPLIES = {
+  opt_out: 'You have been unsubscribed from Zorina messages and will not receive any more texts. Reply START to resubscribe.',
+  opt_in: 'You are resubscribed to Zorina messages. Reply STOP to opt out, HELP for help.',
+  help: 'Zorina Nail Studio: referral and visit updates. Msg & data rates may apply. Reply STOP to opt out. Questions? studiozorina.com'
+}
+
+/**
+ * E.164 form of a phone number (US numbers without country code get +1), or null.
+ */
+function normalizeSmsPhone(phone) {
+  if (!phone) return null
+  const raw = phone.toString().trim()
+  const digits = raw.replace(/\D/g, '')
+  if (!digits) return null
+  if (raw.startsWith('+')) return `+${digits}`
+  if (digits.length === 10) return `+1${digits}`
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`
+  return `+${digits}`
+}
+
+/**
+ * 'opt_out' | 'opt_in' | 'help' for a keyword message, otherwise null.
+ * Only the whole message counts ("stop", "Stop."), not words inside a sentence.
+ */
+function parseSmsKeyword(body) {
+  const word = body?.toString().trim().toUpperCase().replace(/[^A-Z]/g, '')
+  if (!word) return null
+  if (OPT_OUT_KEYWORDS.includes(word)) return 'opt_out'
+  if (OPT_IN_KEYWORDS.includes(word)) return 'opt_in'
+  if (HELP_KEYWORDS.includes(word)) return 'help'
+  return null
+}
+
+/**
+ * Records consent for one organization and phone.
+ * status: 'opted_out' | 'opted_in'; source: inbound_sms | twilio_error | admin | import
+ */
+async function setSmsConsent({ organizationId, phone, status, source, keyword = null, messageSid = null }) {
+  const normalized = normalizeSmsPhone(phone)
+  if (!organizationId || !normalized) return null
+
+  const now = new Date()
+  const timestamps = status === 'opted_out' ? { opted_out_at: now } : { opted_in_at: now }
+  return prisma.smsConsent.upsert({
+    where: { organization_id_phone: { organization_id: organizationId, phone: normalized } },
+    create: {
+      organization_id: organizationId,
+      phone: normalized,
+      status,
+      source,
+      keyword,
+      last_message_sid: messageSid,
+      ...timestamps
+    },
+    update: {
+      status,
+      source,
+      keyword,
+      last_message_sid: messageSid,
+      ...timestamps
+    }
+  })
+}
+
+/**
+ * True when the phone opted out of texts from this organization (or, without
+ * an organization, from any organization). Fails open on lookup errors: Twilio
+ * itself still refuses to text numbers that replied STOP.
+ */
+async function isSmsOptedOut(phone, { organizationId = null } = {}) {
+  const normalized = normalizeSmsPhone(phone)
+  if (!normalized) return false
+
+  try {
+    const consent = await prisma.smsConsent.findFirst({
+      where: {
+        phone: normalized,
+        status: 'opted_out',
+        ...(organizationId ? { organization_id: organizationId } : {})
+      },
+      select: { id: true }
+    })
+    return Boolean(consent)
+  } catch (error) {
+    console.warn(`⚠️ SMS consent lookup failed for ${normalized}:`, error.message)
+    return false
+  }
+}
+
+/**
+ * Organizations a keyword from this phone applies to.
+ */
+async function resolveConsentOrganizationIds(phone) {
+  const last10 = normalizeSmsPhone(phone)?.replace(/\D/g, '').slice(-10)
+  if (!last10) return []
+
+  const customerOrgs = await prisma.$queryRaw`
+    SELECT DISTINCT organization_id::text AS "organizationId"
+    FROM square_existing_clients
+    WHERE organization_id IS NOT NULL
+      AND RIGHT(regexp_replace(phone_number, '\\D', '', 'g'), 10) = ${last10}
+  `
+  if (customerOrgs.length > 0) return customerOrgs.map((row) => row.organizationId)
+
+  const organizations = await prisma.organization.findMany({
+    where: { is_active: true },
+    select: { id: true }
+  })
+  return organizations.map((org) => org.id)
+}
+
+/**
+ * Applies an inbound message. Returns { keyword, phone, organizationIds, reply }
+ * where reply is the confirmation text (null for ordinary messages).
+ */
+async function handleInboundSms({ from, body, messageSid = null }) {
+  const phone = normalizeSmsPhone(from)
+  const keyword = parseSmsKeyword(body)
+  if (!phone || !keyword) {
+    return { keyword: null, phone, organizationIds: [], reply: null }
+  }
+
+  if (keyword === 'help') {
+    return { keyword, phone, organizationIds: [], reply: KEYWORD_REPLIES.help }
+  }
+
+  const organizationIds = await resolveConsentOrganizationIds(phone)
+  const status = keyword === 'opt_out' ? 'opted_out' : 'opted_in'
+  const rawKeyword = body.toString().trim().toUpperCase().replace(/[^A-Z]/g, '')
+  for (const organizationId of organizationIds) {
+    await setSmsConsent({ organizationId, phone, status, source: 'inbound_sms', keyword: rawKeyword, messageSid })
+  }
+
+  console.log(`📵 SMS ${status} for ${phone} (${rawKeyword}) in ${organizationIds.length} organization(s)`)
+  return { keyword, phone, organizationIds, reply: KEYWORD_REPLIES[keyword] }
+}
+
+/**
+ * Records an opt-out after Twilio refused to text an unsubscribed number.
+ */
+async function recordTwilioUnsubscribed(phone, { organizationId = null } = {}) {
+  const organizationIds = organizationId ? [organizationId] : await resolveConsentOrganizationIds(phone)
+  for (const orgId of organizationIds) {
+    await setSmsConsent({ organizationId: orgId, phone, status: 'opted_out', source: 'twilio_error' })
+  }
+}
+
+module.exports = {
+  TWILIO_UNSUBSCRIBED_ERROR_CODE,
+  normalizeSmsPhone,
+  parseSmsKeyword,
+  setSmsConsent,
+  isSmsOptedOut,
+  handleInboundSms,
+  recordTwilioUnsubscribed
+}
@@ -0,0 +1,438 @@
+const prisma = require('../prisma-client')
+const { dispatchNotification, chooseChannels } = require('./notification-dispatcher')
+const { getOrganizationTimezone } = require('../utils/organization-timezone')
+const { getEnvValue } = require('../config/env-validator')
+
+/**
+ * Win-back Campaigns
+ * Messages customers when the analytics refresh moves them into AT_RISK or
+ * LOST (customer_analytics.previous_segment / segment_changed_at). Each run of
+ * /api/cron/winback-campaigns:
+ *
+ *   1. Enrolls transitions that happened after the campaign was activated, one
+ *      winback_enrollments row per campaign, customer and transition, due
+ *      send_delay_days later.
+ *   2. Sends due enrollments through the notification dispatcher
+ *      (WINBACK_OFFER, email or SMS) unless the customer has left the segment,
+ *      already has an upcoming booking, or got a win-back message from any
+ *      campaign within frequency_cap_days. With gift_card_amount_cents set, a
+ *      WINBACK_OFFER gift card is issued first (createGiftCard).
+ *   3. Takes back the unspent offer amount once gift_card_valid_days have passed.
+ *   4. Attributes the customer's first booking created within
+ *      conversion_window_days of the send to the enrollment.
+ */
+
+const TRIGGER_SEGMENTS = ['AT_RISK', 'LOST']
+const ENROLLMENT_STATUSES = ['scheduled', 'sending', 'sent', 'skipped', 'failed']
+const SENDS_PER_RUN = Number(process.env.WINBACK_SENDS_PER_RUN || 50)
+const EXPIRIES_PER_RUN = 50
+// A send still 'sending' after this was interrupted (crash, function timeout)
+const SENDING_TIMEOUT_MS = 30 * 60 * 1000
+// Bookings can reach us a few days late (webhook retries, reconciliation)
+const ATTRIBUTION_GRACE_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const CAMPAIGN_INT_FIELDS = {
+  send_delay_days: { min: 0, max: 365 },
+  gift_card_amount_cents: { min: 100, max: 50000, nullable: true },
+  gift_card_valid_days: { min: 1, max: 365, nullable: true },
+  frequency_cap_days: { min: 0, max: 365 },
+  conversion_window_days: { min: 1, max: 180 }
+}
+
+/**
+ * Campaign columns from an admin request body. Returns { data } or { error }.
+ * partial: only validate the fields present (PATCH).
+ */
+function parseCampaignInput(body = {}, { partial = false } = {}) {
+  const data = {}
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name?.toString().trim()) return { error: 'name is required' }
+    data.name = body.name.toString().trim()
+  }
+  if (!partial || body.trigger_segment !== undefined) {
+    if (!TRIGGER_SEGMENTS.includes(body.trigger_segment)) {
+      return { error: `trigger_segment must be one of ${TRIGGER_SEGMENTS.join(', ')}` }
+    }
+    data.trigger_segment = body.trigger_segment
+  }
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active)
+
+  for (const [field, { min, max, nullable }] of Object.entries(CAMPAIGN_INT_FIELDS)) {
+    if (body[field] === undefined) continue
+    if (body[field] === null && nullable) {
+      data[field] = null
+      continue
+    }
+    const value = Number(body[field])
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}${nullable ? ' (or null)' : ''}` }
+    }
+    data[field] = value
+  }
+
+  return { data }
+}
+
+async function getTimeZone(organizationId, cache) {
+  if (!cache.has(organizationId)) {
+    cache.set(organizationId, await getOrganizationTimezone(organizationId))
+  }
+  return cache.get(organizationId)
+}
+
+function formatExpiry(date, timeZone) {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone })
+}
+
+/**
+ * Step 1: one enrollment per new transition into each active campaign's segment.
+ * previous_segment is NULL for customers first seen by the refresh, so they
+ * never count as a transition.
+ */
+async function enrollTransitions(campaigns) {
+  let enrolled = 0
+  for (const campaign of campaigns) {
+    enrolled += await prisma.$executeRaw`
+      INSERT INTO winback_enrollments (campaign_id, organization_id, square_customer_id, segment_changed_at, scheduled_for)
+      SELECT
+        ${campaign.id}::uuid,
+        ca.organization_id,
+        ca.square_customer_id,
+        ca.segment_changed_at,
+        ca.segment_changed_at + make_interval(days => ${campaign.send_delay_days}::int)
+      FROM customer_analytics ca
+      WHERE ca.organization_id = ${campaign.organization_id}::uuid
+        AND ca.customer_segment = ${campaign.trigger_segment}
+        AND ca.previous_segment IS NOT NULL
+        AND ca.segment_changed_at >= ${campaign.activated_at}
+      ON CONFLICT (campaign_id, square_customer_id, segment_changed_at) DO NOTHING
+    `
+  }
+  return enrolled
+}
+
+/**
+ * Reason not to send this enrollment now, or null.
+ */
+async function skipReason(enrollment, campaign, now) {
+  if (!campaign.is_active) return 'campaign-inactive'
+
+  const analytics = await prisma.customerAnalytics.findUnique({
+    where: {
+      organization_id_square_customer_id: {
+        organization_id: enrollment.organization_id,
+        square_customer_id: enrollment.square_customer_id
+      }
+    },
+    select: { customer_segment: true, segment_changed_at: true }
+  })
+  if (analytics?.customer_segment !== campaign.trigger_segment ||
+      analytics.segment_changed_at?.getTime() !== enrollment.segment_changed_at.getTime()) {
+    return 'left-segment'
+  }
+
+  const upcoming = await prisma.booking.findFirst({
+    where: {
+      organization_id: enrollment.organization_id,
+      customer_id: enrollment.square_customer_id,
+      status: 'ACCEPTED',
+      start_at: { gte: now }
+    },
+    select: { id: true }
+  })
+  if (upcoming) return 'has-upcoming-booking'
+
+  if (campaign.frequency_cap_days > 0) {
+    const recent = await prisma.winbackEnrollment.findFirst({
+      where: {
+        organization_id: enrollment.organization_id,
+        square_customer_id: enrollment.square_customer_id,
+        status: 'sent',
+        sent_at: { gte: new Date(now.getTime() - campaign.frequency_cap_days * DAY_MS) }
+      },
+      select: { id: true }
+    })
+    if (recent) return 'frequency-cap'
+  }
+
+  return null
+}
+
+async function issueOfferGiftCard(enrollment, campaign, customer, now) {
+  // Lazy: giftcard-processors pulls in the Square client and most of the referral flow
+  const { createGiftCard } = require('../webhooks/giftcard-processors')
+  const customerName = [customer.given_name, customer.family_name].filter(Boolean).join(' ') || 'Customer'
+  const giftCard = await createGiftCard(
+    enrollment.square_customer_id,
+    customerName,
+    campaign.gift_card_amount_cents,
+    false,
+    {
+      idempotencyKeySeed: `winback:${enrollment.id}`,
+      rewardType: 'WINBACK_OFFER',
+      contextLabel: 'Win-back offer gift card'
+    },
+    enrollment.organization_id
+  )
+  if (!giftCard?.giftCardId) return null
+
+  return {
+    ...giftCard,
+    expiresAt: campaign.gift_card_valid_days
+      ? new Date(now.getTime() + campaign.gift_card_valid_days * DAY_MS)
+      : null
+  }
+}
+
+/**
+ * Step 2: send one due enrollment. Returns its final status.
+ */
+async function sendEnrollment(enrollment, now, timeZones) {
+  const { campaign } = enrollment
+
+  // Claim it so an overlapping run can't send it twice
+  const { count } = await prisma.winbackEnrollment.updateMany({
+    where: { id: enrollment.id, status: 'scheduled' },
+    data: { status: 'sending' }
+  })
+  if (count === 0) return null
+
+  const finish = (status, data = {}) => prisma.winbackEnrollment.update({
+    where: { id: enrollment.id },
+    data: { status, ...data }
+  }).then(() => status)
+
+  const reason = await skipReason(enrollment, campaign, now)
+  if (reason) return finish('skipped', { skip_reason: reason })
+
+  const customer = await prisma.squareExistingClient.findFirst({
+    where: { organization_id: enrollment.organization_id, square_customer_id: enrollment.square_customer_id },
+    select: {
+      square_customer_id: true,
+      given_name: true,
+      family_name: true,
+      email_address: true,
+      phone_number: true,
+      preferred_notification_channel: true
+    }
+  })
+  if (!customer) return finish('skipped', { skip_reason: 'customer-not-found' })
+
+  // Don't issue a gift card nobody will hear about
+  const channels = await chooseChannels({ organizationId: enrollment.organization_id, templateType: 'WINBACK_OFFER', customer })
+  if (channels.length === 0) return finish('skipped', { skip_reason: 'no-reachable-channel' })
+
+  let giftCard = null
+  if (campaign.gift_card_amount_cents) {
+    giftCard = await issueOfferGiftCard(enrollment, campaign, customer, now)
+    if (!giftCard) return finish('failed', { error: 'gift-card-issue-failed' })
+    // Record the card before sending so a dispatch that throws can't orphan it
+    await prisma.winbackEnrollment.update({
+      where: { id: enrollment.id },
+      data: {
+        gift_card_id: giftCard.giftCardId,
+        gift_card_gan: giftCard.giftCardGan,
+        gift_card_amount_cents: giftCard.amountCents,
+        gift_card_expires_at: giftCard.expiresAt
+      }
+    })
+  }
+
+  const payload = { bookingUrl: getEnvValue('BOOKING_URL') }
+  if (giftCard) {
+    Object.assign(payload, {
+      amountCents: giftCard.amountCents,
+      giftCardGan: giftCard.giftCardGan,
+      giftCardId: giftCard.giftCardId,
+      activationUrl: giftCard.activationUrl || null,
+      expiresOn: giftCard.expiresAt ? formatExpiry(giftCard.expiresAt, await getTimeZone(enrollment.organization_id, timeZones)) : null
+    })
+  }
+
+  const result = await dispatchNotification({
+    organizationId: enrollment.organization_id,
+    templateType: 'WINBACK_OFFER',
+    customer,
+    payload,
+    metadata: { winbackCampaignId: campaign.id, winbackEnrollmentId: enrollment.id }
+  })
+
+  if (!result.success) {
+    const error = result.error || result.reason || result.attempts?.map((a) => `${a.channel}: ${a.reason || a.error || 'failed'}`).join('; ')
+    // An offer that never reached the customer is taken back on the next run
+    const takeBack = giftCard ? { gift_card_expires_at: now } : {}
+    return finish('failed', { ...takeBack, chain_id: result.chainId, error: error || 'not-sent' })
+  }
+  return finish('sent', { sent_at: now, channel: result.channel, chain_id: result.chainId })
+}
+
+async function sendDueEnrollments(now) {
+  const due = await prisma.winbackEnrollment.findMany({
+    where: { status: 'scheduled', scheduled_for: { lte: now } },
+    include: { campaign: true },
+    orderBy: { scheduled_for: 'asc' },
+    take: SENDS_PER_RUN
+  })
+
+  const counts = { sent: 0, skipped: 0, failed: 0 }
+  const timeZones = new Map()
+  for (const enrollment of due) {
+    try {
+      const status = await sendEnrollment(enrollment, now, timeZones)
+      if (status) counts[status] += 1
+    } catch (error) {
+      console.error(`❌ Win-back enrollment ${enrollment.id} failed:`, error.message)
+      await prisma.winbackEnrollment.update({
+        where: { id: enrollment.id },
+        data: { status: 'failed', error: error.message }
+      }).catch(() => {})
+      // Take back a card issued before the throw
+      await prisma.winbackEnrollment.updateMany({
+        where: { id: enrollment.id, gift_card_id: { not: null }, gift_card_expired_at: null },
+        data: { gift_card_expires_at: now }
+      }).catch(() => {})
+      counts.failed += 1
+    }
+  }
+  return counts
+}
+
+/**
+ * Sends interrupted mid-way would stay 'sending' forever. They're marked failed
+ * rather than retried since the message may already be out; a card issued
+ * before the interruption is taken back right away by step 3.
+ */
+async function failInterruptedSends(now) {
+  const interrupted = { status: 'sending', updated_at: { lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } }
+  // A card issued before the interruption may never have reached the customer
+  await prisma.winbackEnrollment.updateMany({
+    where: { ...interrupted, gift_card_id: { not: null }, gift_card_expired_at: null },
+    data: { gift_card_expires_at: now }
+  })
+  const { count } = await prisma.winbackEnrollment.updateMany({
+    where: interrupted,
+    data: { status: 'failed', error: 'interrupted-while-sending' }
+  })
+  if (count > 0) console.warn(`⚠️ Win-back: ${count} interrupted send(s) marked failed`)
+  return count
+}
+
+/**
+ * Step 3: take back what's left of expired offers (never more than the offer amount).
+ */
+async function expireOfferGiftCards(now) {
+  const { deductGiftCardBalance } = require('../webhooks/giftcard-processors')
+  const expiring = await prisma.winbackEnrollment.findMany({
+    where: {
+      gift_card_id: { not: null },
+      gift_card_expires_at: { lte: now },
+      gift_card_expired_at: null
+    },
+    take: EXPIRIES_PER_RUN
+  })
+
+  let expired = 0
+  for (const enrollment of expiring) {
+    const result = await deductGiftCardBalance(enrollment.gift_card_id, enrollment.gift_card_amount_cents, {
+      contextLabel: 'Win-back offer expired',
+      reason: 'SUPPORT_ISSUE',
+      idempotencyKeySeed: `winback-expire:${enrollment.id}`,
+      metadata: { winbackEnrollmentId: enrollment.id, winbackCampaignId: enrollment.campaign_id },
+      organizationId: enrollment.organization_id
+    })
+    if (!result?.success) {
+      console.warn(`⚠️ Could not expire win-back gift card ${enrollment.gift_card_id}: ${result?.error || 'unknown error'}`)
+      continue
+    }
+    await prisma.winbackEnrollment.update({
+      where: { id: enrollment.id },
+      data: { gift_card_expired_at: now }
+    })
+    expired += 1
+  }
+  return expired
+}
+
+/**
+ * Step 4: first booking the customer created within the campaign's window after the send.
+ */
+async function attributeConversions() {
+  return prisma.$executeRaw`
+    UPDATE winback_enrollments e
+    SET converted_at = first_booking.created_at,
+        converted_booking_id = first_booking.booking_id,
+        updated_at = NOW()
+    FROM (
+      SELECT DISTINCT ON (we.id) we.id AS enrollment_id, b.booking_id, b.created_at
+      FROM winback_enrollments we
+      JOIN winback_campaigns c ON c.id = we.campaign_id
+      JOIN bookings b
+        ON b.organization_id = we.organization_id
+       AND b.customer_id = we.square_customer_id
+       AND b.status IN ('ACCEPTED', 'COMPLETED')
+       AND b.created_at > we.sent_at
+       AND b.created_at <= we.sent_at + make_interval(days => c.conversion_window_days)
+      WHERE we.status = 'sent'
+        AND we.converted_at IS NULL
+        AND we.sent_at >= NOW() - make_interval(days => c.conversion_window_days + ${ATTRIBUTION_GRACE_DAYS}::int)
+      ORDER BY we.id, b.created_at
+    ) first_booking
+    WHERE e.id = first_booking.enrollment_id
+  `
+}
+
+/**
+ * One pass of every step. Returns counts per step.
+ */
+async function runWinbackCampaigns({ now = new Date() } = {}) {
+  const campaigns = await prisma.winbackCampaign.findMany({ where: { is_active: true } })
+
+  const interrupted = await failInterruptedSends(now)
+  const expired = await expireOfferGiftCards(now)
+  const converted = await attributeConversions()
+  const enrolled = campaigns.length > 0 ? await enrollTransitions(campaigns) : 0
+  const sends = await sendDueEnrollments(now)
+
+  if (enrolled || sends.sent || sends.failed || expired || converted) {
+    console.log(`📣 Win-back: ${enrolled} enrolled, ${sends.sent} sent, ${sends.skipped} skipped, ${sends.failed} failed, ${expired} offers expired, ${converted} converted`)
+  }
+  return { campaigns: campaigns.length, enrolled, ...sends, interrupted, expired, converted }
+}
+
+/**
+ * Funnel per campaign: enrolled → sent → converted, with gift card spend.
+ * conversionRate is converted / sent, in percent.
+ */
+async function getCampaignResults(organizationId) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      campaign_id::text AS "campaignId",
+      COUNT(*)::int AS enrolled,
+      COUNT(*) FILTER (WHERE status IN ('scheduled', 'sending'))::int AS pending,
+      COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+      COUNT(*) FILTER (WHERE status = 'skipped')::int AS skipped,
+      COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+      COUNT(*) FILTER (WHERE converted_at IS NOT NULL)::int AS converted,
+      COUNT(*) FILTER (WHERE status = 'sent' AND channel = 'EMAIL')::int AS "sentEmail",
+      COUNT(*) FILTER (WHERE status = 'sent' AND channel = 'SMS')::int AS "sentSms",
+      COUNT(gift_card_id)::int AS "giftCardsIssued",
+      COALESCE(SUM(gift_card_amount_cents), 0)::int AS "giftCardCents"
+    FROM winback_enrollments
+    WHERE organization_id = ${organizationId}::uuid
+    GROUP BY campaign_id
+  `
+  return Object.fromEntries(rows.map((row) => [row.campaignId, {
+    ...row,
+    conversionRate: row.sent > 0 ? Math.round((row.converted / row.sent) * 1000) / 10 : null
+  }]))
+}
+
+module.exports = {
+  TRIGGER_SEGMENTS,
+  ENROLLMENT_STATUSES,
+  parseCampaignInput,
+  runWinbackCampaigns,
+  getCampaignResults
+}
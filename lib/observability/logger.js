@@ -1,6 +1,7 @@
 const { saveApplicationLog } = require('../workflows/application-log-queue')
 const { PrismaClient } = require('@prisma/client')
 const { randomUUID } = require('crypto')
+const { currentTraceContext } = require('./tracing')
 
 const logPrisma = new PrismaClient()
 
@@ -21,10 +22,12 @@ function normalizeLevel(level) {
 function emit(level, event, meta = {}) {
   const normalizedLevel = normalizeLevel(level)
   const method = LEVELS.get(normalizedLevel) || 'log'
+  const trace = currentTraceContext()
   const output = {
     ts: new Date().toISOString(),
     level: normalizedLevel,
     event,
+    ...(trace ? { traceId: trace.traceId, spanId: trace.spanId } : {}),
     ...meta
   }
 
@@ -0,0 +1,237 @@
+const { Prisma } = require('@prisma/client')
+
+/**
+ * Queue Metrics
+ * Depth, age, latency, retry and failure figures for webhook_jobs and
+ * giftcard_jobs, plus cron run outcomes from application_logs. Served as JSON
+ * and as Prometheus text by /api/admin/jobs/metrics.
+ *
+ * Latency comes from started_at (set when a worker locks the job) and
+ * completed_at: processing = completed_at - started_at, lag = started_at -
+ * created_at (for retried jobs this includes the backoff before the final run).
+ * Windowed figures are gauges over the trailing window, not counters.
+ */
+
+const METRIC_WINDOWS = {
+  '15m': 15,
+  '1h': 60,
+  '24h': 24 * 60
+}
+
+const METRIC_QUEUES = {
+  webhook: {
+    table: Prisma.raw('"webhook_jobs"'),
+    kind: Prisma.raw('"event_type"'),
+    inFlightStatus: 'processing',
+    // attempts counts failures for webhook jobs
+    retries: Prisma.raw('"attempts"')
+  },
+  giftcard: {
+    table: Prisma.raw('"giftcard_jobs"'),
+    kind: Prisma.raw('"stage"'),
+    inFlightStatus: 'running',
+    // attempts is incremented on every lock, so the first run is not a retry
+    retries: Prisma.raw('GREATEST("attempts" - 1, 0)')
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null
+  const num = Number(value)
+  return Number.isFinite(num) ? num : null
+}
+
+function roundMs(value) {
+  const num = toNumber(value)
+  return num === null ? null : Math.round(num)
+}
+
+async function collectDepth(prisma, queueDef) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      ${queueDef.kind} AS "kind",
+      COUNT(*) FILTER (WHERE "status" = 'queued')::int AS "queued",
+      COUNT(*) FILTER (WHERE "status" = 'queued' AND "scheduled_at" <= NOW())::int AS "ready",
+      COUNT(*) FILTER (WHERE "status" = 'queued' AND "attempts" > 0)::int AS "retrying",
+      COUNT(*) FILTER (WHERE "status"::text = ${queueDef.inFlightStatus})::int AS "inFlight",
+      COUNT(*) FILTER (WHERE "status" = 'error')::int AS "dead",
+      EXTRACT(EPOCH FROM (NOW() - MIN("created_at") FILTER (WHERE "status" = 'queued'))) AS "oldestQueuedAgeSeconds"
+    FROM ${queueDef.table}
+    WHERE "status" IN ('queued', 'error') OR "status"::text = ${queueDef.inFlightStatus}
+    GROUP BY 1
+    ORDER BY 1
+  `
+  return rows.map((row) => ({
+    ...row,
+    oldestQueuedAgeSeconds: row.oldestQueuedAgeSeconds === null ? null : Math.round(toNumber(row.oldestQueuedAgeSeconds))
+  }))
+}
+
+async function collectWindow(prisma, queueDef, minutes) {
+  const since = new Date(Date.now() - minutes * 60 * 1000)
+  const processingMs = Prisma.sql`EXTRACT(EPOCH FROM ("completed_at" - "started_at")) * 1000`
+  const lagMs = Prisma.sql`EXTRACT(EPOCH FROM ("started_at" - "created_at")) * 1000`
+  const completedInWindow = Prisma.sql`"status" = 'completed' AND "completed_at" >= ${since}`
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      ${queueDef.kind} AS "kind",
+      COUNT(*) FILTER (WHERE ${completedInWindow})::int AS "completed",
+      COUNT(*) FILTER (WHERE "dead_lettered_at" >= ${since})::int AS "deadLettered",
+      COUNT(*) FILTER (WHERE ${completedInWindow} AND ${queueDef.retries} > 0)::int AS "completedAfterRetry",
+      COALESCE(SUM(${queueDef.retries}) FILTER (WHERE ${completedInWindow}), 0)::int AS "retries",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY ${processingMs})
+        FILTER (WHERE ${completedInWindow} AND "started_at" IS NOT NULL) AS "processingP50Ms",
+      percentile_cont(0.95) WITHIN GROUP (ORDER BY ${processingMs})
+        FILTER (WHERE ${completedInWindow} AND "started_at" IS NOT NULL) AS "processingP95Ms",
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY ${lagMs})
+        FILTER (WHERE ${completedInWindow} AND "started_at" IS NOT NULL) AS "lagP50Ms",
+      percentile_cont(0.95) WITHIN GROUP (ORDER BY ${lagMs})
+        FILTER (WHERE ${completedInWindow} AND "started_at" IS NOT NULL) AS "lagP95Ms"
+    FROM ${queueDef.table}
+    WHERE "completed_at" >= ${since} OR "dead_lettered_at" >= ${since}
+    GROUP BY 1
+    ORDER BY 1
+  `
+
+  return rows.map((row) => {
+    const finished = row.completed + row.deadLettered
+    return {
+      kind: row.kind,
+      completed: row.completed,
+      deadLettered: row.deadLettered,
+      completedAfterRetry: row.completedAfterRetry,
+      retries: row.retries,
+      errorRate: finished > 0 ? Number((row.deadLettered / finished).toFixed(4)) : 0,
+      throughputPerMinute: Number((row.completed / minutes).toFixed(3)),
+      processingP50Ms: roundMs(row.processingP50Ms),
+      processingP95Ms: roundMs(row.processingP95Ms),
+      lagP50Ms: roundMs(row.lagP50Ms),
+      lagP95Ms: roundMs(row.lagP95Ms)
+    }
+  })
+}
+
+async function collectCronRuns(prisma, minutes) {
+  const since = new Date(Date.now() - minutes * 60 * 1000)
+  return prisma.$queryRaw`
+    SELECT
+      COALESCE("payload"->>'cron_name', 'unknown') AS "cron",
+      "status"::text AS "status",
+      COUNT(*)::int AS "runs"
+    FROM "application_logs"
+    WHERE "log_type" = 'cron'
+      AND "created_at" >= ${since}
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  `
+}
+
+/**
+ * Returns { generatedAt, queues: { webhook: { depth, windows }, giftcard: {...} }, cronRuns }.
+ * windows: subset of METRIC_WINDOWS keys (default all).
+ */
+async function collectQueueMetrics(prisma, { windows = Object.keys(METRIC_WINDOWS) } = {}) {
+  const windowNames = windows.filter((name) => METRIC_WINDOWS[name])
+  const queues = {}
+
+  for (const [name, queueDef] of Object.entries(METRIC_QUEUES)) {
+    const depth = await collectDepth(prisma, queueDef)
+    const windowMetrics = {}
+    for (const windowName of windowNames) {
+      windowMetrics[windowName] = await collectWindow(prisma, queueDef, METRIC_WINDOWS[windowName])
+    }
+    queues[name] = { depth, windows: windowMetrics }
+  }
+
+  const cronRuns = {}
+  for (const windowName of windowNames) {
+    cronRuns[windowName] = await collectCronRuns(prisma, METRIC_WINDOWS[windowName])
+  }
+
+  return { generatedAt: new Date().toISOString(), queues, cronRuns }
+}
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function toSeconds(ms) {
+  return ms === null || ms === undefined ? null : Number(ms) / 1000
+}
+
+function sample(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+    .join(',')
+  return `${name}{${labelText}} ${value}`
+}
+
+/**
+ * Prometheus text exposition (version 0.0.4) of collectQueueMetrics output.
+ * Series without a value (e.g. no completed jobs for a percentile) are omitted.
+ */
+function formatPrometheusMetrics(metrics) {
+  const families = new Map()
+  const add = (name, help, labels, value, type = 'gauge', sampleName = name) => {
+    if (value === null || value === undefined) return
+    if (!families.has(name)) families.set(name, { help, type, samples: [] })
+    families.get(name).samples.push(sample(sampleName, labels, value))
+  }
+  // Percentiles are reported as summaries in seconds, with the completed-job count
+  const addSummary = (name, help, labels, { p50Ms, p95Ms, count }) => {
+    add(name, help, { ...labels, quantile: '0.5' }, toSeconds(p50Ms), 'summary')
+    add(name, help, { ...labels, quantile: '0.95' }, toSeconds(p95Ms), 'summary')
+    if (p50Ms != null || p95Ms != null) add(name, help, labels, count, 'summary', `${name}_count`)
+  }
+
+  for (const [queue, { depth, windows }] of Object.entries(metrics.queues)) {
+    for (const row of depth) {
+      const labels = { queue, kind: row.kind }
+      add('job_queue_depth', 'Jobs by state', { ...labels, state: 'queued' }, row.queued)
+      add('job_queue_depth', 'Jobs by state', { ...labels, state: 'ready' }, row.ready)
+      add('job_queue_depth', 'Jobs by state', { ...labels, state: 'retrying' }, row.retrying)
+      add('job_queue_depth', 'Jobs by state', { ...labels, state: 'in_flight' }, row.inFlight)
+      add('job_queue_depth', 'Jobs by state', { ...labels, state: 'dead' }, row.dead)
+      add('job_queue_oldest_queued_age_seconds', 'Age of the oldest queued job', labels, row.oldestQueuedAgeSeconds)
+    }
+
+    for (const [window, rows] of Object.entries(windows)) {
+      for (const row of rows) {
+        const labels = { queue, kind: row.kind, window }
+        add('job_queue_completed', 'Jobs completed in the trailing window', labels, row.completed)
+        add('job_queue_dead_lettered', 'Jobs dead-lettered in the trailing window', labels, row.deadLettered)
+        add('job_queue_retries', 'Retries spent by jobs completed in the trailing window', labels, row.retries)
+        add('job_queue_error_rate', 'Dead-lettered / (completed + dead-lettered) in the trailing window', labels, row.errorRate)
+        addSummary('job_queue_processing_seconds', 'Processing time of completed jobs', labels, {
+          p50Ms: row.processingP50Ms,
+          p95Ms: row.processingP95Ms,
+          count: row.completed
+        })
+        addSummary('job_queue_lag_seconds', 'Time from enqueue to the final pickup of completed jobs', labels, {
+          p50Ms: row.lagP50Ms,
+          p95Ms: row.lagP95Ms,
+          count: row.completed
+        })
+      }
+    }
+  }
+
+  for (const [window, rows] of Object.entries(metrics.cronRuns)) {
+    for (const row of rows) {
+      add('job_queue_cron_runs', 'Cron runs recorded in application_logs', { cron: row.cron, status: row.status, window }, row.runs)
+    }
+  }
+
+  const lines = []
+  for (const [name, { help, type, samples }] of families) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  METRIC_WINDOWS,
+  collectQueueMetrics,
+  formatPrometheusMetrics
+}
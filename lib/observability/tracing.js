@@ -0,0 +1,215 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const { randomBytes } = require('crypto')
+const prisma = require('../prisma-client')
+
+/**
+ * Tracing
+ * A trace starts where work enters the system (POST /api/webhooks/square) and
+ * follows it through AsyncLocalStorage. Queued jobs carry the trace on
+ * webhook_jobs / giftcard_jobs (trace_id, parent_span_id) so the runner that
+ * picks them up continues the same trace. Finished spans are written to
+ * trace_spans; structured logs emitted inside a span carry traceId/spanId.
+ *
+ * Ids follow the W3C trace-context sizes (32 / 16 hex chars). Spans are only
+ * recorded inside a trace: withSpan() outside one just runs the function.
+ * Set TRACING_ENABLED=false to stop persisting spans.
+ */
+
+const traceStorage = new AsyncLocalStorage()
+
+const NOOP_SPAN = Object.freeze({
+  traceId: null,
+  spanId: null,
+  setAttributes() {},
+  setStatus() {}
+})
+
+function newTraceId() {
+  return randomBytes(16).toString('hex')
+}
+
+function newSpanId() {
+  return randomBytes(8).toString('hex')
+}
+
+function isPersistenceEnabled() {
+  return process.env.TRACING_ENABLED !== 'false'
+}
+
+function serializeAttributes(attributes) {
+  try {
+    return JSON.stringify(attributes, (_key, value) => (typeof value === 'bigint' ? value.toString() : value))
+  } catch {
+    return '{}'
+  }
+}
+
+function createSpan(trace, name, attributes, parentSpanId) {
+  const { organizationId, ...rest } = attributes || {}
+  const span = {
+    traceId: trace.traceId,
+    spanId: newSpanId(),
+    parentSpanId: parentSpanId || null,
+    name,
+    organizationId: organizationId || null,
+    attributes: rest,
+    status: 'ok',
+    error: null,
+    startedAt: new Date(),
+    setAttributes(next = {}) {
+      const { organizationId: nextOrganizationId, ...others } = next
+      if (nextOrganizationId) span.organizationId = nextOrganizationId
+      Object.assign(span.attributes, others)
+    },
+    setStatus(status, error = null) {
+      span.status = status
+      if (error) span.error = error?.message || String(error)
+    }
+  }
+  return span
+}
+
+function persistSpan(span) {
+  const endedAt = new Date()
+  const durationMs = endedAt - span.startedAt
+  return prisma.$executeRaw`
+    INSERT INTO "trace_spans" (
+      "trace_id", "span_id", "parent_span_id", "name", "organization_id",
+      "status", "error", "attributes", "started_at", "ended_at", "duration_ms"
+    ) VALUES (
+      ${span.traceId}, ${span.spanId}, ${span.parentSpanId}, ${span.name}, ${span.organizationId}::uuid,
+      ${span.status}, ${span.error}, ${serializeAttributes(span.attributes)}::jsonb,
+      ${span.startedAt}::timestamptz, ${endedAt}::timestamptz, ${durationMs}
+    )
+  `.catch((error) => {
+    console.warn(`⚠️ Failed to persist span ${span.name}:`, error.message)
+  })
+}
+
+async function runInSpan(trace, span, fn) {
+  try {
+    return await traceStorage.run({ trace, span }, () => fn(span))
+  } catch (error) {
+    span.setStatus('error', error)
+    throw error
+  } finally {
+    if (isPersistenceEnabled()) trace.pending.push(persistSpan(span))
+  }
+}
+
+async function runRootSpan(traceId, parentSpanId, name, attributes, fn) {
+  const trace = { traceId, pending: [] }
+  const span = createSpan(trace, name, attributes, parentSpanId)
+  try {
+    return await runInSpan(trace, span, fn)
+  } finally {
+    // Serverless functions may freeze once the handler returns
+    await Promise.allSettled(trace.pending)
+  }
+}
+
+/**
+ * Runs fn(span) as the root span of a new trace.
+ */
+function startTrace(name, attributes, fn) {
+  return runRootSpan(newTraceId(), null, name, attributes, fn)
+}
+
+/**
+ * Runs fn(span) in the trace stored on a job ({ traceId, parentSpanId });
+ * starts a new trace when the job has none (enqueued before tracing existed
+ * or outside a trace).
+ */
+function continueTrace(carrier, name, attributes, fn) {
+  if (!carrier?.traceId) return startTrace(name, attributes, fn)
+  return runRootSpan(carrier.traceId, carrier.parentSpanId || null, name, attributes, fn)
+}
+
+/**
+ * Runs fn(span) as a child of the current span. Outside a trace fn gets a
+ * no-op span and nothing is recorded.
+ */
+function withSpan(name, attributes, fn) {
+  const current = traceStorage.getStore()
+  if (!current) return fn(NOOP_SPAN)
+
+  const span = createSpan(
+    current.trace,
+    name,
+    { organizationId: current.span.organizationId, ...attributes },
+    current.span.spanId
+  )
+  return runInSpan(current.trace, span, fn)
+}
+
+/**
+ * { traceId, spanId } of the current span, or null outside a trace.
+ * Stored on enqueued jobs and stamped on structured log lines.
+ */
+function currentTraceContext() {
+  const current = traceStorage.getStore()
+  return current ? { traceId: current.trace.traceId, spanId: current.span.spanId } : null
+}
+
+/**
+ * Trace ids recorded for a Square event (one per delivery or replay).
+ */
+async function findTraceIdsForEvent(db, eventId) {
+  const rows = await db.$queryRaw`
+    SELECT "trace_id" AS "traceId", MIN("started_at") AS "startedAt"
+    FROM "trace_spans"
+    WHERE "attributes"->>'eventId' = ${eventId}
+    GROUP BY 1
+    ORDER BY 2
+  `
+  return rows.map((row) => row.traceId)
+}
+
+/**
+ * Spans and structured log lines of the given traces, ordered by time.
+ */
+async function getTraceTimeline(db, traceIds) {
+  if (!traceIds.length) return []
+  return db.$queryRaw`
+    SELECT * FROM (
+      SELECT
+        "started_at" AS "at",
+        'span' AS "kind",
+        "trace_id" AS "traceId",
+        "span_id" AS "spanId",
+        "parent_span_id" AS "parentSpanId",
+        "name",
+        "status",
+        "duration_ms" AS "durationMs",
+        "error",
+        "attributes" AS "data"
+      FROM "trace_spans"
+      WHERE "trace_id" = ANY(${traceIds})
+      UNION ALL
+      SELECT
+        "created_at",
+        'log',
+        "payload"->>'traceId',
+        "payload"->>'spanId',
+        NULL,
+        "payload"->>'event',
+        "payload"->>'level',
+        NULL,
+        "payload"->>'error',
+        "payload"
+      FROM "application_logs"
+      WHERE "log_type" = 'structured'
+        AND "payload"->>'traceId' = ANY(${traceIds})
+    ) timeline
+    ORDER BY "at", "kind" DESC
+  `
+}
+
+module.exports = {
+  startTrace,
+  continueTrace,
+  withSpan,
+  currentTraceContext,
+  findTraceIdsForEvent,
+  getTraceTimeline
+}
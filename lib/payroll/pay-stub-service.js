@@ -0,0 +1,296 @@
+import prisma from '../prisma-client.js'
+import { Prisma } from '@prisma/client'
+import { getPayrollSettings } from './period-service.js'
+import { renderTextPdf } from './simple-pdf.js'
+
+/**
+ * Pay Stub Service
+ *
+ * Per-master pay stub for a period, itemized by ledger entry with the
+ * booking date, service and customer initials. Two sources:
+ * - CLOSED payroll period → the frozen statement lines (matches what was paid)
+ * - calendar month (YYYY-MM) or OPEN period → live ledger, same date
+ *   attribution as /api/admin/analytics/master-salary
+ */
+
+const ENTRY_TYPE_LABELS = {
+  SERVICE_COMMISSION: 'Commission',
+  PRODUCT_COMMISSION: 'Retail comm.',
+  TIP: 'Tip',
+  DISCOUNT_ADJUSTMENT: 'Discount adj.',
+  FIX_PENALTY: 'Fix transfer',
+  FIX_COMPENSATION: 'Fix transfer',
+  MANUAL_ADJUSTMENT: 'Manual adj.',
+  REVERSAL: 'Reversal',
+  DISPUTE_HOLD: 'Dispute hold',
+  DISPUTE_RELEASE: 'Dispute release'
+}
+
+const TOTAL_FIELDS = {
+  SERVICE_COMMISSION: 'commission_cents',
+  PRODUCT_COMMISSION: 'product_commission_cents',
+  TIP: 'tips_cents',
+  DISCOUNT_ADJUSTMENT: 'discount_adjustment_cents',
+  FIX_PENALTY: 'fix_transfer_cents',
+  FIX_COMPENSATION: 'fix_transfer_cents',
+  MANUAL_ADJUSTMENT: 'manual_adjustment_cents',
+  REVERSAL: 'reversal_cents',
+  DISPUTE_HOLD: 'dispute_hold_cents',
+  DISPUTE_RELEASE: 'dispute_release_cents'
+}
+
+function customerInitials(givenName, familyName) {
+  const initials = [givenName, familyName]
+    .map((n) => (n || '').trim().charAt(0).toUpperCase())
+    .filter(Boolean)
+  return initials.length ? initials.map((c) => `${c}.`).join('') : null
+}
+
+function formatCents(cents) {
+  const sign = cents < 0 ? '-' : ''
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`
+}
+
+function toDateString(value) {
+  if (!value) return ''
+  if (typeof value === 'string') return value.slice(0, 10)
+  return value.toISOString().slice(0, 10)
+}
+
+function monthBounds(period) {
+  const [year, month] = period.split('-').map(Number)
+  if (!year || !month || month < 1 || month > 12) return null
+  const startDate = `${year}-${String(month).padStart(2, '0')}-01`
+  const endDate = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`
+  return { startDate, endDate }
+}
+
+/**
+ * @param {{ organizationId: string, teamMemberId: string, periodId?: string, period?: string }} params
+ * @returns {Promise<{ success: boolean, error?: string, status?: number, stub?: object }>}
+ */
+export async function buildPayStub({ organizationId, teamMemberId, periodId, period }) {
+  const teamMember = await prisma.teamMember.findFirst({
+    where: { id: teamMemberId, organization_id: organizationId },
+    select: { id: true, given_name: true, family_name: true, master_settings: { select: { category: true, commission_rate: true } } }
+  })
+  if (!teamMember) return { success: false, error: 'Team member not found', status: 404 }
+
+  const settings = await getPayrollSettings(organizationId)
+  const timezone = settings.timezone
+
+  let startDate
+  let endDate
+  let statement = null
+  let payrollPeriod = null
+
+  if (periodId) {
+    payrollPeriod = await prisma.payrollPeriod.findFirst({
+      where: { id: periodId, organization_id: organizationId }
+    })
+    if (!payrollPeriod) return { success: false, error: 'Payroll period not found', status: 404 }
+    startDate = toDateString(payrollPeriod.start_date)
+    endDate = toDateString(payrollPeriod.end_date)
+
+    if (payrollPeriod.status === 'CLOSED') {
+      statement = await prisma.payrollStatement.findFirst({
+        where: { period_id: periodId, team_member_id: teamMemberId, superseded_at: null }
+      })
+    }
+  } else {
+    const bounds = period && monthBounds(period)
+    if (!bounds) return { success: false, error: 'period_id or period (YYYY-MM) is required', status: 400 }
+    ;({ startDate, endDate } = bounds)
+  }
+
+  const entryDate = Prisma.sql`CASE
+      WHEN b.id IS NOT NULL THEN (b.start_at AT TIME ZONE ${timezone})::date
+      ELSE (mel.created_at AT TIME ZONE ${timezone})::date
+    END`
+
+  // Frozen statement lines, or live ledger window
+  const source = payrollPeriod?.status === 'CLOSED' ? 'STATEMENT' : 'LIVE'
+  const scope =
+    source === 'STATEMENT'
+      ? Prisma.sql`psl.id IS NOT NULL`
+      : Prisma.sql`${entryDate} >= ${startDate}::date AND ${entryDate} < ${endDate}::date`
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      mel.id,
+      mel.entry_type::text AS entry_type,
+      mel.amount_amount,
+      mel.booking_id,
+      mel.meta_json,
+      COALESCE(psl.entry_date, ${entryDate}) AS entry_date,
+      COALESCE(psl.is_carry_over, false) AS is_carry_over,
+      b.booking_id AS square_booking_id,
+      COALESCE(sv.service_name, sv.name) AS service_name,
+      sec.given_name,
+      sec.family_name
+    FROM master_earnings_ledger mel
+    LEFT JOIN payroll_statement_lines psl
+      ON psl.ledger_entry_id = mel.id AND psl.statement_id = ${statement?.id || null}::uuid
+    LEFT JOIN bookings b ON b.id = mel.booking_id AND b.organization_id = mel.organization_id
+    LEFT JOIN service_variation sv ON sv.uuid = b.service_variation_id
+    LEFT JOIN square_existing_clients sec
+      ON sec.organization_id = mel.organization_id AND sec.square_customer_id = b.customer_id
+    WHERE mel.organization_id = ${organizationId}::uuid
+      AND mel.team_member_id = ${teamMemberId}::uuid
+      AND ${scope}
+    ORDER BY entry_date, mel.created_at
+  `
+
+  const totals = {
+    commission_cents: 0,
+    product_commission_cents: 0,
+    tips_cents: 0,
+    discount_adjustment_cents: 0,
+    fix_transfer_cents: 0,
+    manual_adjustment_cents: 0,
+    reversal_cents: 0,
+    dispute_hold_cents: 0,
+    dispute_release_cents: 0,
+    carry_over_cents: 0
+  }
+
+  const lines = rows.map((row) => {
+    const amount = Number(row.amount_amount)
+    const field = TOTAL_FIELDS[row.entry_type]
+    if (field) totals[field] += amount
+    if (row.is_carry_over) totals.carry_over_cents += amount
+    const meta = row.meta_json || {}
+
+    return {
+      ledger_entry_id: row.id,
+      date: toDateString(row.entry_date),
+      entry_type: row.entry_type,
+      label: ENTRY_TYPE_LABELS[row.entry_type] || row.entry_type,
+      amount_cents: amount,
+      booking_id: row.booking_id,
+      square_booking_id: row.square_booking_id || null,
+      service_name: row.service_name || meta.line_item_name || null,
+      customer_initials: customerInitials(row.given_name, row.family_name),
+      note: meta.reason || meta.discount_name || (meta.refund_id ? `Refund ${meta.refund_id}` : null),
+      is_carry_over: row.is_carry_over
+    }
+  })
+
+  const netSalaryCents =
+    totals.commission_cents + totals.product_commission_cents + totals.discount_adjustment_cents + totals.fix_transfer_cents +
+    totals.manual_adjustment_cents + totals.reversal_cents + totals.dispute_hold_cents + totals.dispute_release_cents
+
+  return {
+    success: true,
+    stub: {
+      source,
+      master: {
+        id: teamMember.id,
+        name: `${teamMember.given_name || ''} ${teamMember.family_name || ''}`.trim(),
+        category: teamMember.master_settings?.category || 'UNKNOWN',
+        commission_rate: teamMember.master_settings?.commission_rate || 0
+      },
+      period: {
+        id: payrollPeriod?.id || null,
+        start_date: startDate,
+        end_date_exclusive: endDate,
+        status: payrollPeriod?.status || null,
+        statement_version: statement?.version || null
+      },
+      lines,
+      totals: {
+        ...totals,
+        net_salary_cents: netSalaryCents,
+        total_with_tips_cents: netSalaryCents + totals.tips_cents
+      },
+      generated_at: new Date().toISOString()
+    }
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const str = String(value)
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+export function payStubToCsv(stub) {
+  const header = ['date', 'type', 'service', 'customer', 'amount', 'carry_over', 'note', 'booking_id', 'ledger_entry_id']
+  const rows = stub.lines.map((l) => [
+    l.date,
+    l.label,
+    l.service_name,
+    l.customer_initials,
+    (l.amount_cents / 100).toFixed(2),
+    l.is_carry_over ? 'yes' : '',
+    l.note,
+    l.square_booking_id,
+    l.ledger_entry_id
+  ])
+
+  const t = stub.totals
+  const summary = [
+    [],
+    ['Commission', (t.commission_cents / 100).toFixed(2)],
+    ['Retail commission', (t.product_commission_cents / 100).toFixed(2)],
+    ['Discount adjustments', (t.discount_adjustment_cents / 100).toFixed(2)],
+    ['Fix transfers', (t.fix_transfer_cents / 100).toFixed(2)],
+    ['Manual adjustments', (t.manual_adjustment_cents / 100).toFixed(2)],
+    ['Reversals', (t.reversal_cents / 100).toFixed(2)],
+    ['Dispute holds/releases', ((t.dispute_hold_cents + t.dispute_release_cents) / 100).toFixed(2)],
+    ['Net salary', (t.net_salary_cents / 100).toFixed(2)],
+    ['Tips', (t.tips_cents / 100).toFixed(2)],
+    ['Total with tips', (t.total_with_tips_cents / 100).toFixed(2)]
+  ]
+
+  return [header, ...rows, ...summary].map((r) => r.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+function pad(text, width, alignRight = false) {
+  const str = String(text ?? '')
+  const clipped = str.length > width ? `${str.slice(0, width - 1)}~` : str
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width)
+}
+
+export function payStubToPdf(stub) {
+  const { master, period, totals } = stub
+  const lines = [
+    { text: 'PAY STUB', bold: true },
+    '',
+    `Master:   ${master.name} (${master.category}, ${master.commission_rate}%)`,
+    `Period:   ${period.start_date} - ${period.end_date_exclusive} (end exclusive)`,
+    `Source:   ${stub.source === 'STATEMENT' ? `Closed statement v${period.statement_version || 0}` : 'Live ledger (not closed)'}`,
+    `Printed:  ${stub.generated_at.slice(0, 16).replace('T', ' ')} UTC`,
+    '',
+    { text: `${pad('Date', 11)}${pad('Type', 15)}${pad('Service', 34)}${pad('Client', 7)}${pad('Amount', 12, true)}  Note`, bold: true },
+    '-'.repeat(96)
+  ]
+
+  for (const l of stub.lines) {
+    lines.push(
+      `${pad(l.date, 11)}${pad(l.label, 15)}${pad(l.service_name || '-', 34)}${pad(l.customer_initials || '', 7)}` +
+      `${pad(formatCents(l.amount_cents), 12, true)}  ${l.is_carry_over ? '[carry-over] ' : ''}${l.note || ''}`.trimEnd()
+    )
+  }
+  if (stub.lines.length === 0) lines.push('(no ledger entries in this period)')
+
+  const summaryRow = (label, cents, bold = false) => ({ text: `${pad(label, 67)}${pad(formatCents(cents), 12, true)}`, bold })
+  lines.push(
+    '-'.repeat(96),
+    summaryRow('Commission', totals.commission_cents),
+    summaryRow('Retail commission', totals.product_commission_cents),
+    summaryRow('Discount adjustments', totals.discount_adjustment_cents),
+    summaryRow('Fix transfers', totals.fix_transfer_cents),
+    summaryRow('Manual adjustments', totals.manual_adjustment_cents),
+    summaryRow('Reversals', totals.reversal_cents),
+    summaryRow('Dispute holds / releases', totals.dispute_hold_cents + totals.dispute_release_cents),
+    summaryRow('NET SALARY', totals.net_salary_cents, true),
+    summaryRow('Tips', totals.tips_cents),
+    summaryRow('TOTAL WITH TIPS', totals.total_with_tips_cents, true)
+  )
+  if (totals.carry_over_cents !== 0) {
+    lines.push('', `Includes ${formatCents(totals.carry_over_cents)} carried over from earlier closed periods.`)
+  }
+
+  return renderTextPdf(lines, { title: `Pay stub ${master.name} ${period.start_date}` })
+}
@@ -0,0 +1,421 @@
+import prisma from '../prisma-client.js'
+import { Prisma } from '@prisma/client'
+
+/**
+ * Payroll Period Service
+ *
+ * Closing a period freezes every master's ledger totals into an immutable
+ * PayrollStatement:
+ * - ledger entries attributed to the window (booking start date, or entry
+ *   creation date when there is no booking) are stamped with payroll_period_id
+ * - entries that arrive after an earlier window was closed are still unstamped,
+ *   so the next close picks them up as carry-over lines
+ * - re-opening unstamps the period's entries and supersedes its statements;
+ *   the next close writes a new statement version. Every close/reopen is
+ *   recorded in payroll_period_events.
+ *
+ * Dates are 'YYYY-MM-DD' strings in the organization's payroll timezone;
+ * end_date is exclusive.
+ */
+
+const DEFAULT_SETTINGS = {
+  period_type: 'MONTHLY',
+  anchor_date: '2024-01-01', // Monday
+  timezone: 'America/Los_Angeles'
+}
+
+const PERIOD_LENGTH_DAYS = { WEEKLY: 7, BI_WEEKLY: 14 }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function toDateString(value) {
+  if (!value) return null
+  if (typeof value === 'string') return value.slice(0, 10)
+  return value.toISOString().slice(0, 10)
+}
+
+function parseDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`)
+}
+
+function todayInTimezone(timezone) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date())
+}
+
+export async function getPayrollSettings(organizationId) {
+  const settings = await prisma.payrollSettings.findUnique({
+    where: { organization_id: organizationId }
+  })
+  if (!settings) return { organization_id: organizationId, ...DEFAULT_SETTINGS }
+  return { ...settings, anchor_date: toDateString(settings.anchor_date) }
+}
+
+/**
+ * Window { startDate, endDate } of the period containing dateStr.
+ */
+export function computePeriodBounds(settings, dateStr) {
+  const date = parseDate(dateStr)
+
+  if (settings.period_type === 'MONTHLY') {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    return { startDate: toDateString(start), endDate: toDateString(end) }
+  }
+
+  const lengthDays = PERIOD_LENGTH_DAYS[settings.period_type]
+  const anchor = parseDate(toDateString(settings.anchor_date))
+  const offsetDays = Math.floor((date - anchor) / DAY_MS)
+  const index = Math.floor(offsetDays / lengthDays)
+  const start = new Date(anchor.getTime() + index * lengthDays * DAY_MS)
+  const end = new Date(start.getTime() + lengthDays * DAY_MS)
+  return { startDate: toDateString(start), endDate: toDateString(end) }
+}
+
+/**
+ * Find or create the period containing dateStr (defaults to today).
+ */
+export async function ensurePayrollPeriod(organizationId, dateStr) {
+  const settings = await getPayrollSettings(organizationId)
+  const { startDate, endDate } = computePeriodBounds(settings, dateStr || todayInTimezone(settings.timezone))
+
+  const overlapping = await prisma.payrollPeriod.findFirst({
+    where: {
+      organization_id: organizationId,
+      start_date: { lt: parseDate(endDate) },
+      end_date: { gt: parseDate(startDate) }
+    }
+  })
+  if (overlapping) return overlapping
+
+  return prisma.payrollPeriod.create({
+    data: {
+      organization_id: organizationId,
+      period_type: settings.period_type,
+      start_date: parseDate(startDate),
+      end_date: parseDate(endDate)
+    }
+  })
+}
+
+export async function listPayrollPeriods(organizationId, { limit = 24 } = {}) {
+  return prisma.payrollPeriod.findMany({
+    where: { organization_id: organizationId },
+    orderBy: { start_date: 'desc' },
+    take: limit
+  })
+}
+
+/**
+ * Period with its current (non-superseded) statements, their lines and the audit trail.
+ */
+export async function getPayrollPeriod(periodId, { includeSuperseded = false } = {}) {
+  return prisma.payrollPeriod.findUnique({
+    where: { id: periodId },
+    include: {
+      statements: {
+        where: includeSuperseded ? {} : { superseded_at: null },
+        include: { lines: { orderBy: [{ entry_date: 'asc' }, { created_at: 'asc' }] } },
+        orderBy: [{ version: 'desc' }, { net_salary_cents: 'desc' }]
+      },
+      events: { orderBy: { created_at: 'desc' } }
+    }
+  })
+}
+
+function emptyTotals() {
+  return {
+    commission_cents: 0,
+    product_commission_cents: 0,
+    tips_cents: 0,
+    discount_cents: 0,
+    fix_cents: 0,
+    manual_cents: 0,
+    reversal_cents: 0,
+    dispute_hold_cents: 0,
+    dispute_release_cents: 0,
+    carry_over_cents: 0,
+    booking_ids: new Set()
+  }
+}
+
+const ENTRY_TYPE_FIELD = {
+  SERVICE_COMMISSION: 'commission_cents',
+  PRODUCT_COMMISSION: 'product_commission_cents',
+  TIP: 'tips_cents',
+  DISCOUNT_ADJUSTMENT: 'discount_cents',
+  FIX_PENALTY: 'fix_cents',
+  FIX_COMPENSATION: 'fix_cents',
+  MANUAL_ADJUSTMENT: 'manual_cents',
+  REVERSAL: 'reversal_cents',
+  DISPUTE_HOLD: 'dispute_hold_cents',
+  DISPUTE_RELEASE: 'dispute_release_cents'
+}
+
+/**
+ * Close a period: stamp ledger entries, write statements and an audit event.
+ *
+ * @returns {Promise<{ success: boolean, error?: string, status?: number, period?: object, statements?: number }>}
+ */
+export async function closePayrollPeriod(periodId, { userId = null, allowEarly = false } = {}) {
+  const period = await prisma.payrollPeriod.findUnique({ where: { id: periodId } })
+  if (!period) return { success: false, error: 'Payroll period not found', status: 404 }
+  if (period.status === 'CLOSED') {
+    return { success: false, error: 'Payroll period is already closed', status: 409 }
+  }
+
+  const settings = await getPayrollSettings(period.organization_id)
+  const startDate = toDateString(period.start_date)
+  const endDate = toDateString(period.end_date)
+
+  if (!allowEarly && todayInTimezone(settings.timezone) < endDate) {
+    return { success: false, error: `Payroll period ends on ${endDate}; pass allow_early to close it now`, status: 400 }
+  }
+
+  const earlierOpen = await prisma.payrollPeriod.findFirst({
+    where: { organization_id: period.organization_id, status: 'OPEN', start_date: { lt: period.start_date } },
+    orderBy: { start_date: 'asc' }
+  })
+  if (earlierOpen) {
+    return {
+      success: false,
+      error: `Earlier payroll period starting ${toDateString(earlierOpen.start_date)} is still open`,
+      status: 409
+    }
+  }
+
+  // Entries dated before the first period predate payroll tracking and are never carried over
+  const firstPeriod = await prisma.payrollPeriod.findFirst({
+    where: { organization_id: period.organization_id },
+    orderBy: { start_date: 'asc' },
+    select: { start_date: true }
+  })
+  const trackingStart = toDateString(firstPeriod.start_date)
+  const timezone = settings.timezone
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Serialize concurrent closes of the same period
+    const locked = await tx.$queryRaw`
+      SELECT status FROM payroll_periods WHERE id = ${periodId}::uuid FOR UPDATE
+    `
+    if (locked[0]?.status === 'CLOSED') return null
+
+    const entryDate = Prisma.sql`CASE
+        WHEN b.id IS NOT NULL THEN (b.start_at AT TIME ZONE ${timezone})::date
+        ELSE (mel.created_at AT TIME ZONE ${timezone})::date
+      END`
+
+    const entries = await tx.$queryRaw`
+      SELECT
+        mel.id,
+        mel.team_member_id,
+        mel.booking_id,
+        mel.entry_type::text AS entry_type,
+        mel.amount_amount,
+        ${entryDate} AS entry_date
+      FROM master_earnings_ledger mel
+      LEFT JOIN bookings b ON b.id = mel.booking_id AND b.organization_id = mel.organization_id
+      WHERE mel.organization_id = ${period.organization_id}::uuid
+        AND mel.payroll_period_id IS NULL
+        AND ${entryDate} >= ${trackingStart}::date
+        AND ${entryDate} < ${endDate}::date
+      ORDER BY mel.created_at, mel.id
+      FOR UPDATE OF mel
+    `
+
+    const grossRows = await tx.$queryRaw`
+      SELECT
+        COALESCE(p.technician_id, b.technician_id) AS team_member_id,
+        SUM(p.amount_money_amount)::bigint AS gross_cents
+      FROM payments p
+      LEFT JOIN bookings b ON b.id = p.booking_id
+      WHERE p.organization_id = ${period.organization_id}::uuid
+        AND p.status = 'COMPLETED'
+        AND cardinality(p.refund_ids) = 0
+        AND COALESCE(p.technician_id, b.technician_id) IS NOT NULL
+        AND (p.created_at AT TIME ZONE ${timezone})::date >= ${startDate}::date
+        AND (p.created_at AT TIME ZONE ${timezone})::date < ${endDate}::date
+      GROUP BY 1
+    `
+    const grossMap = new Map(grossRows.map((r) => [r.team_member_id, Number(r.gross_cents || 0)]))
+
+    const byMaster = new Map()
+    for (const entry of entries) {
+      const totals = byMaster.get(entry.team_member_id) || emptyTotals()
+      const field = ENTRY_TYPE_FIELD[entry.entry_type]
+      const amount = Number(entry.amount_amount)
+      if (field) totals[field] += amount
+      entry.entry_date_str = toDateString(entry.entry_date)
+      entry.is_carry_over = entry.entry_date_str < startDate
+      if (entry.is_carry_over) totals.carry_over_cents += amount
+      if (entry.entry_type === 'SERVICE_COMMISSION' && entry.booking_id) totals.booking_ids.add(entry.booking_id)
+      byMaster.set(entry.team_member_id, totals)
+    }
+
+    const version = period.close_count + 1
+    const now = new Date()
+
+    await tx.payrollStatement.updateMany({
+      where: { period_id: periodId, superseded_at: null },
+      data: { superseded_at: now }
+    })
+
+    const statementSummaries = []
+    for (const [teamMemberId, totals] of byMaster) {
+      const netSalaryCents =
+        totals.commission_cents + totals.product_commission_cents + totals.discount_cents + totals.fix_cents + totals.manual_cents +
+        totals.reversal_cents + totals.dispute_hold_cents + totals.dispute_release_cents
+
+      const statement = await tx.payrollStatement.create({
+        data: {
+          organization_id: period.organization_id,
+          period_id: periodId,
+          team_member_id: teamMemberId,
+          version,
+          commission_cents: totals.commission_cents,
+          product_commission_cents: totals.product_commission_cents,
+          tips_cents: totals.tips_cents,
+          discount_cents: totals.discount_cents,
+          fix_cents: totals.fix_cents,
+          manual_cents: totals.manual_cents,
+          reversal_cents: totals.reversal_cents,
+          dispute_hold_cents: totals.dispute_hold_cents,
+          dispute_release_cents: totals.dispute_release_cents,
+          carry_over_cents: totals.carry_over_cents,
+          net_salary_cents: netSalaryCents,
+          total_with_tips_cents: netSalaryCents + totals.tips_cents,
+          gross_sales_cents: grossMap.get(teamMemberId) || 0,
+          booking_count: totals.booking_ids.size
+        }
+      })
+
+      await tx.payrollStatementLine.createMany({
+        data: entries
+          .filter((e) => e.team_member_id === teamMemberId)
+          .map((e) => ({
+            statement_id: statement.id,
+            ledger_entry_id: e.id,
+            booking_id: e.booking_id,
+            entry_type: e.entry_type,
+            amount_cents: Number(e.amount_amount),
+            entry_date: parseDate(e.entry_date_str),
+            is_carry_over: e.is_carry_over
+          }))
+      })
+
+      statementSummaries.push({
+        team_member_id: teamMemberId,
+        net_salary_cents: netSalaryCents,
+        carry_over_cents: totals.carry_over_cents
+      })
+    }
+
+    if (entries.length > 0) {
+      await tx.$executeRaw`
+        UPDATE master_earnings_ledger
+        SET payroll_period_id = ${periodId}::uuid
+        WHERE id IN (${Prisma.join(entries.map((e) => Prisma.sql`${e.id}::uuid`))})
+      `
+    }
+
+    const closedPeriod = await tx.payrollPeriod.update({
+      where: { id: periodId },
+      data: { status: 'CLOSED', closed_at: now, closed_by: userId, close_count: version }
+    })
+
+    await tx.payrollPeriodEvent.create({
+      data: {
+        period_id: periodId,
+        action: 'CLOSED',
+        actor_user_id: userId,
+        details_json: {
+          version,
+          ledger_entry_count: entries.length,
+          carry_over_entry_count: entries.filter((e) => e.is_carry_over).length,
+          net_salary_cents: statementSummaries.reduce((s, m) => s + m.net_salary_cents, 0),
+          statements: statementSummaries
+        }
+      }
+    })
+
+    return { period: closedPeriod, statements: statementSummaries.length, entries: entries.length }
+  }, { timeout: 60000 })
+
+  if (!result) return { success: false, error: 'Payroll period is already closed', status: 409 }
+
+  // Open the following period so late entries have somewhere to carry over to
+  await ensurePayrollPeriod(period.organization_id, endDate)
+
+  console.log(
+    `[PAYROLL] ✅ Closed period ${startDate}..${endDate} for org ${period.organization_id}: ${result.statements} statement(s), ${result.entries} ledger entries`
+  )
+  return { success: true, ...result }
+}
+
+/**
+ * Re-open a closed period. Only the latest closed period can be re-opened,
+ * otherwise carry-over already frozen into later statements would be lost.
+ */
+export async function reopenPayrollPeriod(periodId, { userId = null, reason } = {}) {
+  if (!reason?.trim()) return { success: false, error: 'reason is required', status: 400 }
+
+  const period = await prisma.payrollPeriod.findUnique({ where: { id: periodId } })
+  if (!period) return { success: false, error: 'Payroll period not found', status: 404 }
+  if (period.status !== 'CLOSED') {
+    return { success: false, error: 'Only CLOSED payroll periods can be re-opened', status: 409 }
+  }
+
+  const laterClosed = await prisma.payrollPeriod.findFirst({
+    where: { organization_id: period.organization_id, status: 'CLOSED', start_date: { gt: period.start_date } },
+    select: { start_date: true }
+  })
+  if (laterClosed) {
+    return {
+      success: false,
+      error: `Later payroll period starting ${toDateString(laterClosed.start_date)} is closed; re-open it first`,
+      status: 409
+    }
+  }
+
+  const reopened = await prisma.$transaction(async (tx) => {
+    const current = await tx.payrollStatement.findMany({
+      where: { period_id: periodId, superseded_at: null },
+      select: { team_member_id: true, net_salary_cents: true, version: true }
+    })
+
+    const released = await tx.masterEarningsLedger.updateMany({
+      where: { payroll_period_id: periodId },
+      data: { payroll_period_id: null }
+    })
+
+    await tx.payrollStatement.updateMany({
+      where: { period_id: periodId, superseded_at: null },
+      data: { superseded_at: new Date() }
+    })
+
+    const updated = await tx.payrollPeriod.update({
+      where: { id: periodId },
+      data: { status: 'OPEN', closed_at: null, closed_by: null }
+    })
+
+    await tx.payrollPeriodEvent.create({
+      data: {
+        period_id: periodId,
+        action: 'REOPENED',
+        actor_user_id: userId,
+        reason: reason.trim(),
+        details_json: {
+          superseded_version: period.close_count,
+          released_ledger_entries: released.count,
+          net_salary_cents: current.reduce((s, m) => s + m.net_salary_cents, 0),
+          statements: current
+        }
+      }
+    })
+
+    return updated
+  })
+
+  console.log(`[PAYROLL] ⚠️ Re-opened period ${toDateString(period.start_date)} for org ${period.organization_id}: ${reason.trim()}`)
+  return { success: true, period: reopened }
+}
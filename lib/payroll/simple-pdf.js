@@ -0,0 +1,105 @@
+/**
+ * Minimal text-only PDF writer (no dependencies).
+ *
+ * Renders monospaced lines (Courier) onto Letter pages with automatic page
+ * breaks — enough for tabular reports such as pay stubs. Standard PDF fonts
+ * only cover Latin-1, so Cyrillic is transliterated and anything else
+ * becomes '?'.
+ */
+
+const PAGE_WIDTH = 612
+const PAGE_HEIGHT = 792
+const MARGIN = 40
+
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  і: 'i', ї: 'yi', є: 'ye', ґ: 'g'
+}
+
+export function toPdfSafeText(text) {
+  let out = ''
+  for (const ch of String(text ?? '')) {
+    const lower = ch.toLowerCase()
+    if (CYRILLIC[lower] !== undefined) {
+      const latin = CYRILLIC[lower]
+      out += ch === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1)
+    } else if (ch.charCodeAt(0) >= 32 && ch.charCodeAt(0) < 127) {
+      out += ch
+    } else {
+      out += '?'
+    }
+  }
+  return out
+}
+
+function escapePdfString(text) {
+  return toPdfSafeText(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')
+}
+
+/**
+ * @param {Array<string | { text: string, bold?: boolean }>} lines
+ * @param {{ fontSize?: number, title?: string }} [options]
+ * @returns {Buffer}
+ */
+export function renderTextPdf(lines, { fontSize = 8.5, title = 'Report' } = {}) {
+  const lineHeight = fontSize * 1.3
+  const linesPerPage = Math.floor((PAGE_HEIGHT - MARGIN * 2) / lineHeight)
+
+  const pages = []
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage))
+  }
+
+  // Object numbering: 1 catalog, 2 pages, 3 regular font, 4 bold font, 5 info,
+  // then (page, content) pairs
+  const objects = []
+  const pageObjectIds = pages.map((_, i) => 6 + i * 2)
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+  objects[5] = `<< /Title (${escapePdfString(title)}) /Producer (simple-pdf) >>`
+
+  pages.forEach((pageLines, pageIndex) => {
+    const pageId = pageObjectIds[pageIndex]
+    const contentId = pageId + 1
+    const ops = ['BT', `${lineHeight.toFixed(2)} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`]
+    let currentFont = null
+    for (const line of pageLines) {
+      const { text, bold } = typeof line === 'string' ? { text: line, bold: false } : line
+      const font = bold ? 'F2' : 'F1'
+      if (font !== currentFont) {
+        ops.push(`/${font} ${fontSize} Tf`)
+        currentFont = font
+      }
+      ops.push(`(${escapePdfString(text)}) Tj T*`)
+    }
+    const footer = `Page ${pageIndex + 1} of ${pages.length}`
+    ops.push('ET', 'BT', `/F1 ${fontSize} Tf`, `${PAGE_WIDTH - MARGIN - footer.length * fontSize * 0.6} ${MARGIN / 2} Td`, `(${footer}) Tj`, 'ET')
+
+    const stream = ops.join('\n')
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+    objects[contentId] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+  })
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = []
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1')
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1')
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
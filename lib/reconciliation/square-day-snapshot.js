@@ -0,0 +1,184 @@
+const { getSquareApiBaseUrl } = require('../utils/square-env')
+
+/**
+ * Square Day Snapshot
+ * Lists what Square holds for one organization and time window: bookings
+ * (by start_at), payments, refunds and orders (by created_at), and the
+ * current balance of gift cards with activity in the window. Plain REST calls
+ * with snake_case results, the same shape webhooks deliver.
+ */
+
+const SQUARE_API_VERSION = '2025-02-20'
+const MAX_ATTEMPTS = 3
+// SearchOrders accepts at most 10 location ids per call
+const ORDER_SEARCH_LOCATION_BATCH = 10
+
+function squareBaseUrl() {
+  return `${getSquareApiBaseUrl()}/v2`
+}
+
+function squareAccessToken() {
+  const token = process.env.SQUARE_ACCESS_TOKEN?.trim().replace(/^Bearer /, '')
+  if (!token) throw new Error('SQUARE_ACCESS_TOKEN not set')
+  return token
+}
+
+/**
+ * One Square request; retries 429 and 5xx with a short backoff.
+ */
+async function squareRequest(path, { method = 'GET', query = null, body = null } = {}) {
+  const url = new URL(`${squareBaseUrl()}${path}`)
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value)
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${squareAccessToken()}`,
+        'Square-Version': SQUARE_API_VERSION,
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+
+    const retryable = response.status === 429 || response.status >= 500
+    if (retryable && attempt < MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt))
+      continue
+    }
+
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const detail = data.errors?.map((e) => e.detail || e.code).join('; ') || response.statusText
+      const error = new Error(`Square ${method} ${path} failed (${response.status}): ${detail}`)
+      error.statusCode = response.status
+      throw error
+    }
+    return data
+  }
+}
+
+async function listAll(path, key, query) {
+  const items = []
+  let cursor = null
+  do {
+    const data = await squareRequest(path, { query: { ...query, cursor } })
+    items.push(...(data[key] || []))
+    cursor = data.cursor || null
+  } while (cursor)
+  return items
+}
+
+async function listBookings(squareLocationId, window) {
+  return listAll('/bookings', 'bookings', {
+    location_id: squareLocationId,
+    start_at_min: window.startAt,
+    start_at_max: window.endAt,
+    limit: 100
+  })
+}
+
+async function listPayments(squareLocationId, window) {
+  return listAll('/payments', 'payments', {
+    location_id: squareLocationId,
+    begin_time: window.startAt,
+    end_time: window.endAt,
+    sort_order: 'ASC',
+    limit: 100
+  })
+}
+
+async function listRefunds(squareLocationId, window) {
+  return listAll('/refunds', 'refunds', {
+    location_id: squareLocationId,
+    begin_time: window.startAt,
+    end_time: window.endAt,
+    sort_order: 'ASC',
+    limit: 100
+  })
+}
+
+async function listGiftCardActivities(squareLocationId, window) {
+  return listAll('/gift-cards/activities', 'gift_card_activities', {
+    location_id: squareLocationId,
+    begin_time: window.startAt,
+    end_time: window.endAt,
+    limit: 100
+  })
+}
+
+async function searchOrders(squareLocationIds, window) {
+  const orders = []
+  for (let i = 0; i < squareLocationIds.length; i += ORDER_SEARCH_LOCATION_BATCH) {
+    let cursor = null
+    do {
+      const data = await squareRequest('/orders/search', {
+        method: 'POST',
+        body: {
+          location_ids: squareLocationIds.slice(i, i + ORDER_SEARCH_LOCATION_BATCH),
+          cursor: cursor || undefined,
+          limit: 500,
+          query: {
+            filter: { date_time_filter: { created_at: { start_at: window.startAt, end_at: window.endAt } } },
+            sort: { sort_field: 'CREATED_AT', sort_order: 'ASC' }
+          }
+        }
+      })
+      orders.push(...(data.orders || []))
+      cursor = data.cursor || null
+    } while (cursor)
+  }
+  return orders
+}
+
+// entity type -> [path prefix, response key]
+const RETRIEVE_PATHS = {
+  booking: ['/bookings/', 'booking'],
+  payment: ['/payments/', 'payment'],
+  order: ['/orders/', 'order'],
+  gift_card: ['/gift-cards/', 'gift_card']
+}
+
+/**
+ * Current Square object for a reconciled entity, or null when Square has no such object.
+ */
+async function retrieveSquareObject(entityType, id) {
+  const [path, key] = RETRIEVE_PATHS[entityType] || []
+  if (!path) throw new Error(`Cannot retrieve Square ${entityType}`)
+  try {
+    const data = await squareRequest(`${path}${encodeURIComponent(id)}`)
+    return data[key] || null
+  } catch (error) {
+    if (error.statusCode === 404) return null
+    throw error
+  }
+}
+
+/**
+ * Everything Square has for the window across the given locations.
+ * window: { startAt, endAt } ISO strings.
+ * Returns { bookings, payments, refunds, orders, giftCardIds }.
+ */
+async function fetchSquareDaySnapshot(squareLocationIds, window) {
+  const snapshot = { bookings: [], payments: [], refunds: [], orders: [], giftCardIds: new Set() }
+
+  for (const locationId of squareLocationIds) {
+    snapshot.bookings.push(...(await listBookings(locationId, window)))
+    snapshot.payments.push(...(await listPayments(locationId, window)))
+    snapshot.refunds.push(...(await listRefunds(locationId, window)))
+    for (const activity of await listGiftCardActivities(locationId, window)) {
+      if (activity.gift_card_id) snapshot.giftCardIds.add(activity.gift_card_id)
+    }
+  }
+  snapshot.orders = await searchOrders(squareLocationIds, window)
+
+  return snapshot
+}
+
+module.exports = {
+  fetchSquareDaySnapshot,
+  retrieveSquareObject
+}
@@ -0,0 +1,478 @@
+const { Prisma } = require('@prisma/client')
+const prisma = require('../prisma-client')
+const { saveApplicationLog } = require('../workflows/application-log-queue')
+const { applySquareBookingToDb } = require('../sync/apply-square-booking')
+const { fetchSquareDaySnapshot, retrieveSquareObject } = require('./square-day-snapshot')
+
+/**
+ * Square Reconciliation
+ * Compares one organization's business day (bookings by start_at; payments,
+ * refunds and orders by created_at; balances of gift cards with activity)
+ * between Square and our tables and stores every difference in
+ * reconciliation_discrepancies.
+ *
+ * Safe classes are repaired by re-applying the Square object through the same
+ * code paths webhooks use: missing_local and stale_status. stale_balance,
+ * amount_mismatch, refund_not_recorded and missing_in_square are left open for
+ * review (GET /api/admin/reconciliation). A balance difference usually means a
+ * missed gift card activity, and overwriting the balance would hide it from the
+ * transaction ledger, so it is only repaired on request.
+ *
+ * Re-running a day updates the same rows; open discrepancies that no longer
+ * show up are marked resolved, ignored ones stay ignored.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles'
+const AUTO_REPAIR_KINDS = new Set(['missing_local', 'stale_status'])
+
+function toDateString(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid business date: ${value}`)
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Yesterday's date (YYYY-MM-DD) in the given time zone.
+ */
+function previousBusinessDate(timeZone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(Date.now() - 24 * 60 * 60 * 1000))
+}
+
+async function resolveDayWindow(businessDate, timeZone) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      (${businessDate}::date::timestamp AT TIME ZONE ${timeZone}) AS "startAt",
+      ((${businessDate}::date + 1)::timestamp AT TIME ZONE ${timeZone}) AS "endAt"
+  `
+  return { startAt: rows[0].startAt.toISOString(), endAt: rows[0].endAt.toISOString() }
+}
+
+function num(value) {
+  return value === null || value === undefined ? null : Number(value)
+}
+
+function isoOrNull(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// Local rows matched by Square id. A Square object missing from the local
+// window is looked up by id too (e.g. a booking we still have on another day).
+async function loadLocalBookings(organizationId, window, squareIds) {
+  const rows = await prisma.$queryRaw`
+    SELECT "booking_id" AS "id", "status", "version", "start_at" AS "startAt"
+    FROM "bookings"
+    WHERE "organization_id" = ${organizationId}::uuid
+      AND (
+        ("start_at" >= ${window.startAt}::timestamptz AND "start_at" < ${window.endAt}::timestamptz)
+        OR "booking_id" = ANY(${squareIds})
+      )
+  `
+  return new Map(rows.map((row) => [row.id, row]))
+}
+
+async function loadLocalPayments(organizationId, window, squareIds) {
+  const rows = await prisma.$queryRaw`
+    SELECT "payment_id" AS "id", "status", "total_money_amount" AS "totalCents", "refund_ids" AS "refundIds",
+      COALESCE("square_created_at", "created_at") AS "createdAt"
+    FROM "payments"
+    WHERE "organization_id" = ${organizationId}::uuid
+      AND (
+        (COALESCE("square_created_at", "created_at") >= ${window.startAt}::timestamptz
+          AND COALESCE("square_created_at", "created_at") < ${window.endAt}::timestamptz)
+        OR "payment_id" = ANY(${squareIds})
+      )
+  `
+  return new Map(rows.map((row) => [row.id, row]))
+}
+
+async function loadLocalOrders(organizationId, window, squareIds) {
+  const rows = await prisma.$queryRaw`
+    SELECT "order_id" AS "id", "state", "total_money_amount" AS "totalCents", "created_at" AS "createdAt"
+    FROM "orders"
+    WHERE "organization_id" = ${organizationId}::uuid
+      AND (
+        ("created_at" >= ${window.startAt}::timestamptz AND "created_at" < ${window.endAt}::timestamptz)
+        OR "order_id" = ANY(${squareIds})
+      )
+  `
+  return new Map(rows.map((row) => [row.id, row]))
+}
+
+function inWindow(value, window) {
+  const iso = isoOrNull(value)
+  return iso !== null && iso >= window.startAt && iso < window.endAt
+}
+
+function compareBookings(snapshot, local, window) {
+  const found = []
+  const seen = new Set()
+  for (const booking of snapshot.bookings) {
+    seen.add(booking.id)
+    const row = local.get(booking.id)
+    const square = { status: booking.status, version: booking.version ?? null, start_at: booking.start_at }
+    if (!row) {
+      found.push({ entityType: 'booking', entityId: booking.id, kind: 'missing_local', local: null, square })
+      continue
+    }
+    const localValues = { status: row.status, version: num(row.version), start_at: isoOrNull(row.startAt) }
+    if (row.status !== booking.status || localValues.start_at !== isoOrNull(booking.start_at)) {
+      found.push({ entityType: 'booking', entityId: booking.id, kind: 'stale_status', local: localValues, square })
+    }
+  }
+  for (const row of local.values()) {
+    if (!seen.has(row.id) && inWindow(row.startAt, window)) {
+      found.push({
+        entityType: 'booking',
+        entityId: row.id,
+        kind: 'missing_in_square',
+        local: { status: row.status, start_at: isoOrNull(row.startAt) },
+        square: null
+      })
+    }
+  }
+  return found
+}
+
+function comparePayments(snapshot, local, window) {
+  const found = []
+  const seen = new Set()
+  for (const payment of snapshot.payments) {
+    seen.add(payment.id)
+    const row = local.get(payment.id)
+    const square = { status: payment.status, total_cents: num(payment.total_money?.amount) }
+    if (!row) {
+      found.push({ entityType: 'payment', entityId: payment.id, kind: 'missing_local', local: null, square })
+      continue
+    }
+    const localValues = { status: row.status, total_cents: num(row.totalCents) }
+    if (row.status !== payment.status) {
+      found.push({ entityType: 'payment', entityId: payment.id, kind: 'stale_status', local: localValues, square })
+    }
+    if (square.total_cents !== null && localValues.total_cents !== square.total_cents) {
+      found.push({ entityType: 'payment', entityId: payment.id, kind: 'amount_mismatch', local: localValues, square })
+    }
+  }
+  for (const row of local.values()) {
+    if (!seen.has(row.id) && inWindow(row.createdAt, window)) {
+      found.push({
+        entityType: 'payment',
+        entityId: row.id,
+        kind: 'missing_in_square',
+        local: { status: row.status, total_cents: num(row.totalCents) },
+        square: null
+      })
+    }
+  }
+  return found
+}
+
+function compareRefunds(snapshot, localPayments) {
+  const found = []
+  for (const refund of snapshot.refunds) {
+    if (!['COMPLETED', 'PENDING'].includes(refund.status)) continue
+    const payment = localPayments.get(refund.payment_id)
+    if (payment && (payment.refundIds || []).includes(refund.id)) continue
+    found.push({
+      entityType: 'refund',
+      entityId: refund.id,
+      kind: 'refund_not_recorded',
+      local: payment ? { payment_id: payment.id, refund_ids: payment.refundIds || [] } : null,
+      square: { payment_id: refund.payment_id, status: refund.status, amount_cents: num(refund.amount_money?.amount) }
+    })
+  }
+  return found
+}
+
+function compareOrders(snapshot, local, window) {
+  const found = []
+  const seen = new Set()
+  for (const order of snapshot.orders) {
+    seen.add(order.id)
+    const row = local.get(order.id)
+    const square = { state: order.state, total_cents: num(order.total_money?.amount), location_id: order.location_id }
+    if (!row) {
+      found.push({ entityType: 'order', entityId: order.id, kind: 'missing_local', local: null, square })
+      continue
+    }
+    const localValues = { state: row.state, total_cents: num(row.totalCents) }
+    if (row.state !== order.state) {
+      found.push({ entityType: 'order', entityId: order.id, kind: 'stale_status', local: localValues, square })
+    } else if (square.total_cents !== null && localValues.total_cents !== null && localValues.total_cents !== square.total_cents) {
+      found.push({ entityType: 'order', entityId: order.id, kind: 'amount_mismatch', local: localValues, square })
+    }
+  }
+  for (const row of local.values()) {
+    if (!seen.has(row.id) && inWindow(row.createdAt, window)) {
+      found.push({
+        entityType: 'order',
+        entityId: row.id,
+        kind: 'missing_in_square',
+        local: { state: row.state, total_cents: num(row.totalCents) },
+        square: null
+      })
+    }
+  }
+  return found
+}
+
+// Only cards we track; activity on other cards is not ours to reconcile
+async function compareGiftCardBalances(organizationId, giftCardIds) {
+  if (giftCardIds.size === 0) return []
+  const cards = await prisma.giftCard.findMany({
+    where: { organization_id: organizationId, square_gift_card_id: { in: [...giftCardIds] } },
+    select: { square_gift_card_id: true, current_balance_cents: true, state: true }
+  })
+
+  const found = []
+  for (const card of cards) {
+    const giftCard = await retrieveSquareObject('gift_card', card.square_gift_card_id)
+    if (!giftCard) continue
+    const balance = num(giftCard.balance_money?.amount)
+    if (balance !== num(card.current_balance_cents) || (giftCard.state && giftCard.state !== card.state)) {
+      found.push({
+        entityType: 'gift_card',
+        entityId: card.square_gift_card_id,
+        kind: 'stale_balance',
+        local: { balance_cents: num(card.current_balance_cents), state: card.state },
+        square: { balance_cents: balance, state: giftCard.state }
+      })
+    }
+  }
+  return found
+}
+
+/**
+ * Re-applies the current Square object for one entity through the webhook
+ * code paths. Throws when the entity can't be repaired automatically.
+ */
+async function repairEntity(organizationId, entityType, entityId) {
+  if (entityType === 'booking') {
+    const booking = await retrieveSquareObject('booking', entityId)
+    if (!booking) throw new Error('Booking not found in Square')
+    const result = await applySquareBookingToDb(booking, { organizationId })
+    if (result.action === 'skipped') throw new Error(`Booking not applied: ${result.reason}`)
+    return
+  }
+  if (entityType === 'payment') {
+    const payment = await retrieveSquareObject('payment', entityId)
+    if (!payment) throw new Error('Payment not found in Square')
+    const { savePaymentToDatabase } = await import('../../app/api/webhooks/square/route.js')
+    await savePaymentToDatabase(payment, 'payment.updated', null, null, `reconcile-${entityId}`)
+    return
+  }
+  if (entityType === 'order') {
+    const order = await retrieveSquareObject('order', entityId)
+    if (!order) throw new Error('Order not found in Square')
+    const { processOrderWebhook } = await import('../../app/api/webhooks/square/route.js')
+    await processOrderWebhook(
+      { object: { order_updated: { order_id: order.id, location_id: order.location_id, state: order.state } } },
+      'order.updated',
+      null,
+      `reconcile-${entityId}`
+    )
+    return
+  }
+  if (entityType === 'gift_card') {
+    const giftCard = await retrieveSquareObject('gift_card', entityId)
+    if (!giftCard) throw new Error('Gift card not found in Square')
+    await prisma.giftCard.update({
+      where: { organization_id_square_gift_card_id: { organization_id: organizationId, square_gift_card_id: entityId } },
+      data: {
+        current_balance_cents: num(giftCard.balance_money?.amount),
+        state: giftCard.state || undefined,
+        last_balance_check_at: new Date()
+      }
+    })
+    return
+  }
+  throw new Error(`No automatic repair for ${entityType}`)
+}
+
+async function saveDiscrepancy(run, discrepancy, { autoRepair }) {
+  const key = {
+    organization_id: run.organization_id,
+    business_date: run.business_date,
+    entity_type: discrepancy.entityType,
+    entity_id: discrepancy.entityId,
+    kind: discrepancy.kind
+  }
+  const existing = await prisma.reconciliationDiscrepancy.findUnique({
+    where: { organization_id_business_date_entity_type_entity_id_kind: key }
+  })
+
+  let status = existing?.status === 'ignored' ? 'ignored' : 'open'
+  let repairError = null
+  let repairedAt = null
+  if (status === 'open' && autoRepair && AUTO_REPAIR_KINDS.has(discrepancy.kind)) {
+    try {
+      await repairEntity(run.organization_id, discrepancy.entityType, discrepancy.entityId)
+      status = 'repaired'
+      repairedAt = new Date()
+    } catch (error) {
+      status = 'repair_failed'
+      repairError = error.message
+    }
+  }
+
+  const data = {
+    run_id: run.id,
+    local: discrepancy.local ?? Prisma.DbNull,
+    square: discrepancy.square ?? Prisma.DbNull,
+    status,
+    repair_error: repairError,
+    repaired_at: repairedAt
+  }
+  const saved = existing
+    ? await prisma.reconciliationDiscrepancy.update({ where: { id: existing.id }, data })
+    : await prisma.reconciliationDiscrepancy.create({ data: { ...key, ...data } })
+  return saved
+}
+
+function summarize(discrepancies, checked) {
+  const summary = { checked, byKind: {}, byEntity: {}, repaired: 0, repairFailed: 0, open: 0, ignored: 0 }
+  for (const row of discrepancies) {
+    summary.byKind[row.kind] = (summary.byKind[row.kind] || 0) + 1
+    summary.byEntity[row.entity_type] = (summary.byEntity[row.entity_type] || 0) + 1
+    if (row.status === 'repaired') summary.repaired++
+    else if (row.status === 'repair_failed') summary.repairFailed++
+    else if (row.status === 'ignored') summary.ignored++
+    else summary.open++
+  }
+  return summary
+}
+
+/**
+ * Reconciles one organization and business day (YYYY-MM-DD, organization
+ * time zone). Returns { success, runId, businessDate, summary } or { success: false, error }.
+ */
+async function reconcileSquareDay({ organizationId, businessDate, autoRepair = process.env.RECONCILIATION_AUTO_REPAIR !== 'false' }) {
+  const organization = await prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: { id: true, settings: true }
+  })
+  if (!organization) return { success: false, error: 'Organization not found' }
+
+  const timeZone = organization.settings?.timezone || DEFAULT_TIMEZONE
+  const date = toDateString(businessDate || previousBusinessDate(timeZone))
+  const dateValue = new Date(`${date}T00:00:00Z`)
+
+  const run = await prisma.reconciliationRun.upsert({
+    where: { organization_id_business_date: { organization_id: organizationId, business_date: dateValue } },
+    create: { organization_id: organizationId, business_date: dateValue, status: 'running' },
+    update: { status: 'running', error: null, started_at: new Date(), completed_at: null }
+  })
+
+  try {
+    const window = await resolveDayWindow(date, timeZone)
+    const locations = await prisma.location.findMany({
+      where: { organization_id: organizationId },
+      select: { square_location_id: true }
+    })
+    const squareLocationIds = locations.map((location) => location.square_location_id).filter(Boolean)
+    const snapshot = await fetchSquareDaySnapshot(squareLocationIds, window)
+
+    const localBookings = await loadLocalBookings(organizationId, window, snapshot.bookings.map((b) => b.id))
+    const refundPaymentIds = snapshot.refunds.map((r) => r.payment_id).filter(Boolean)
+    const localPayments = await loadLocalPayments(organizationId, window, [...snapshot.payments.map((p) => p.id), ...refundPaymentIds])
+    const localOrders = await loadLocalOrders(organizationId, window, snapshot.orders.map((o) => o.id))
+
+    const found = [
+      ...compareBookings(snapshot, localBookings, window),
+      ...comparePayments(snapshot, localPayments, window),
+      ...compareRefunds(snapshot, localPayments),
+      ...compareOrders(snapshot, localOrders, window),
+      ...(await compareGiftCardBalances(organizationId, snapshot.giftCardIds))
+    ]
+
+    const saved = []
+    for (const discrepancy of found) {
+      saved.push(await saveDiscrepancy(run, discrepancy, { autoRepair }))
+    }
+
+    // Open items from an earlier run of this day that are gone now
+    await prisma.reconciliationDiscrepancy.updateMany({
+      where: {
+        organization_id: organizationId,
+        business_date: dateValue,
+        status: { in: ['open', 'repair_failed'] },
+        id: { notIn: saved.map((row) => row.id) }
+      },
+      data: { status: 'resolved', review_note: 'Cleared on re-run', reviewed_at: new Date() }
+    })
+
+    const summary = summarize(saved, {
+      bookings: snapshot.bookings.length,
+      payments: snapshot.payments.length,
+      refunds: snapshot.refunds.length,
+      orders: snapshot.orders.length,
+      giftCards: snapshot.giftCardIds.size
+    })
+    await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { status: 'completed', summary, completed_at: new Date() }
+    })
+
+    await saveApplicationLog(prisma, {
+      organizationId,
+      logType: 'reconciliation',
+      logId: `reconciliation-${date}`,
+      status: summary.open + summary.repairFailed > 0 ? 'error' : 'completed',
+      payload: { businessDate: date, runId: run.id, autoRepair, ...summary }
+    })
+    console.log(`✅ Reconciled ${organizationId} ${date}: ${saved.length} discrepancies (${summary.repaired} repaired, ${summary.open} open, ${summary.repairFailed} repair failed)`)
+
+    return { success: true, runId: run.id, businessDate: date, summary }
+  } catch (error) {
+    console.error(`❌ Reconciliation ${organizationId} ${date} failed:`, error.message)
+    await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { status: 'error', error: error.message, completed_at: new Date() }
+    }).catch(() => {})
+    return { success: false, runId: run.id, businessDate: date, error: error.message }
+  }
+}
+
+/**
+ * Reviewer action on one discrepancy: 'repair' re-applies the Square object,
+ * 'resolve' and 'ignore' close it with a note. Returns { success, discrepancy } or { success: false, error }.
+ */
+async function reviewDiscrepancy(discrepancy, { action, note = null, userId = null }) {
+  const reviewed = { reviewed_by: userId, reviewed_at: new Date(), review_note: note }
+
+  if (action === 'resolve' || action === 'ignore') {
+    const updated = await prisma.reconciliationDiscrepancy.update({
+      where: { id: discrepancy.id },
+      data: { status: action === 'resolve' ? 'resolved' : 'ignored', ...reviewed }
+    })
+    return { success: true, discrepancy: updated }
+  }
+
+  if (action === 'repair') {
+    try {
+      await repairEntity(discrepancy.organization_id, discrepancy.entity_type, discrepancy.entity_id)
+    } catch (error) {
+      const updated = await prisma.reconciliationDiscrepancy.update({
+        where: { id: discrepancy.id },
+        data: { status: 'repair_failed', repair_error: error.message, ...reviewed }
+      })
+      return { success: false, error: error.message, discrepancy: updated }
+    }
+    const updated = await prisma.reconciliationDiscrepancy.update({
+      where: { id: discrepancy.id },
+      data: { status: 'repaired', repair_error: null, repaired_at: new Date(), ...reviewed }
+    })
+    return { success: true, discrepancy: updated }
+  }
+
+  return { success: false, error: "action must be 'repair', 'resolve' or 'ignore'" }
+}
+
+module.exports = {
+  AUTO_REPAIR_KINDS,
+  reconcileSquareDay,
+  reviewDiscrepancy
+}
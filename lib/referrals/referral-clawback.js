@@ -0,0 +1,276 @@
+const prisma = require('../prisma-client')
+const { saveApplicationLog } = require('../workflows/application-log-queue')
+const { trackNotification } = require('../email-service-simple')
+const { sendReferralRewardClawbackSms } = require('../twilio-service')
+const { deductGiftCardBalance, loadGiftCard } = require('../webhooks/giftcard-processors')
+const { getReferralProgram, formatRewardAmount } = require('./referral-program')
+
+/**
+ * Referral Reward Clawback
+ * When the friend's qualifying first payment is refunded or disputed, the
+ * referrer reward paid for it is CANCELLED and its unspent part is taken back
+ * from the referrer's gift card. An admin can keep a reward instead, either
+ * before the refund arrives or afterwards (the deducted amount is reloaded).
+ */
+
+/**
+ * Whether refunds totalling refundedCents undo the payment as a qualifying first
+ * payment: a full refund, or partial ones that leave less than the program minimum.
+ */
+function refundDisqualifiesPayment(program, payment, refundedCents) {
+  const totalCents = payment?.total_money_amount || 0
+  if (!refundedCents || refundedCents >= totalCents) return true
+  const remainingCents = totalCents - refundedCents
+  return program.min_first_payment_cents > 0 && remainingCents < program.min_first_payment_cents
+}
+
+/**
+ * Partial refunds seen so far for the reward's payment (metadata.partial_refunds,
+ * refund id -> cents) including this one, and their total. Square's
+ * refunded_money on the stored payment wins when it is higher.
+ */
+function accumulateRefunds(metadata, payment, refundId, refundAmountCents) {
+  const refunds = { ...(metadata.partial_refunds || {}), [refundId]: refundAmountCents }
+  const trackedCents = Object.values(refunds).reduce((sum, cents) => sum + cents, 0)
+  const squareCents = Number(payment?.raw_json?.refunded_money?.amount ?? payment?.raw_json?.refundedMoney?.amount ?? 0)
+  return { refunds, refundedCents: Math.max(trackedCents, squareCents) }
+}
+
+async function findReferrerGiftCardSquareId(reward) {
+  if (reward.gift_card_id) {
+    const giftCard = await prisma.giftCard.findUnique({
+      where: { id: reward.gift_card_id },
+      select: { square_gift_card_id: true }
+    })
+    if (giftCard?.square_gift_card_id) return giftCard.square_gift_card_id
+  }
+  const rows = await prisma.$queryRaw`
+    SELECT gift_card_id FROM square_existing_clients
+    WHERE organization_id = ${reward.organization_id}::uuid
+      AND square_customer_id = ${reward.referrer_customer_id}
+    LIMIT 1
+  `
+  return rows?.[0]?.gift_card_id || null
+}
+
+async function adjustReferrerTotals(reward, direction) {
+  const cents = reward.reward_amount_cents * direction
+  await prisma.$executeRaw`
+    UPDATE square_existing_clients
+    SET total_referrals = GREATEST(COALESCE(total_referrals, 0) + ${direction}, 0),
+        total_rewards = GREATEST(COALESCE(total_rewards, 0) + ${cents}, 0)
+    WHERE square_customer_id = ${reward.referrer_customer_id}
+      AND organization_id = ${reward.organization_id}::uuid
+  `
+  await prisma.$executeRaw`
+    UPDATE referral_profiles
+    SET total_referrals_count = GREATEST(COALESCE(total_referrals_count, 0) + ${direction}, 0),
+        total_rewards_cents = GREATEST(COALESCE(total_rewards_cents, 0) + ${cents}, 0),
+        updated_at = NOW()
+    WHERE square_customer_id = ${reward.referrer_customer_id}
+      AND organization_id = ${reward.organization_id}::uuid
+  `
+}
+
+async function notifyReferrer(reward, { sourceType }) {
+  const rows = await prisma.$queryRaw`
+    SELECT given_name, phone_number FROM square_existing_clients
+    WHERE organization_id = ${reward.organization_id}::uuid
+      AND square_customer_id = ${reward.referrer_customer_id}
+    LIMIT 1
+  `
+  const referrer = rows?.[0]
+  const result = await sendReferralRewardClawbackSms({
+    to: referrer?.phone_number,
+    customerName: referrer?.given_name,
+    amountCents: reward.reward_amount_cents,
+    reason: sourceType === 'DISPUTE' ? 'dispute' : 'refund',
+    organizationId: reward.organization_id
+  })
+  if (!result.skipped) {
+    await trackNotification({
+      channel: 'SMS',
+      templateType: 'OTHER',
+      status: result.success ? 'sent' : 'failed',
+      customerId: reward.referrer_customer_id,
+      referrerCustomerId: reward.referrer_customer_id,
+      externalId: result.sid || null,
+      errorMessage: result.error || null,
+      errorCode: result.code ? String(result.code) : null,
+      metadata: { kind: 'referral_reward_clawback', reward_id: reward.id },
+      organizationId: reward.organization_id
+    })
+  }
+  return result.success && !result.skipped
+}
+
+/**
+ * Claws back the referrer reward paid for paymentId.
+ * sourceType: 'REFUND' | 'DISPUTE'; sourceId: the Square refund or dispute id.
+ * Safe to call repeatedly: a reward is only cancelled once.
+ */
+async function clawbackReferralRewardForPayment({ paymentId, sourceType, sourceId, refundAmountCents = null }) {
+  if (!paymentId) return { success: false, error: 'paymentId is required' }
+
+  const reward = await prisma.referralReward.findFirst({
+    where: {
+      payment_id: paymentId,
+      reward_type: 'referrer_reward',
+      status: { in: ['PAID', 'PENDING', 'PROCESSING'] }
+    }
+  })
+  if (!reward) return { success: true, skipped: true, reason: 'no_reward' }
+
+  const metadata = reward.metadata || {}
+  if (metadata.clawback_override?.keep) {
+    console.log(`ℹ️ Referral reward ${reward.id} kept by admin override, not clawing back (${sourceType} ${sourceId})`)
+    return { success: true, skipped: true, reason: 'admin_override' }
+  }
+
+  const program = await getReferralProgram(reward.organization_id)
+  if (sourceType === 'REFUND') {
+    const payment = await prisma.payment.findFirst({ where: { payment_id: paymentId } })
+    if (payment && refundAmountCents) {
+      const { refunds, refundedCents } = accumulateRefunds(metadata, payment, sourceId, refundAmountCents)
+      if (!refundDisqualifiesPayment(program, payment, refundedCents)) {
+        await prisma.referralReward.update({
+          where: { id: reward.id },
+          data: { metadata: { ...metadata, partial_refunds: refunds } }
+        })
+        console.log(`ℹ️ Partial refund ${sourceId} leaves payment ${paymentId} qualifying (${formatRewardAmount(refundedCents)} refunded so far), keeping referral reward ${reward.id}`)
+        return { success: true, skipped: true, reason: 'partial_refund' }
+      }
+    }
+  }
+
+  const clawback = {
+    source_type: sourceType,
+    source_id: sourceId,
+    payment_id: paymentId,
+    cancelled_at: new Date().toISOString(),
+    previous_status: reward.status
+  }
+
+  // Status guard: only the worker that flips the row cancels and deducts
+  const claimed = await prisma.referralReward.updateMany({
+    where: { id: reward.id, status: reward.status },
+    data: { status: 'CANCELLED', metadata: { ...metadata, clawback } }
+  })
+  if (claimed.count === 0) return { success: true, skipped: true, reason: 'already_processed' }
+
+  if (reward.status === 'PAID') {
+    await adjustReferrerTotals(reward, -1)
+  }
+
+  let deductedCents = 0
+  if (reward.status === 'PAID' && metadata.fulfillment !== 'DISCOUNT') {
+    const giftCardSquareId = await findReferrerGiftCardSquareId(reward)
+    if (giftCardSquareId) {
+      const deduction = await deductGiftCardBalance(giftCardSquareId, reward.reward_amount_cents, {
+        contextLabel: `Referral reward clawback (${sourceType.toLowerCase()})`,
+        reason: sourceType === 'DISPUTE' ? 'SUPPORT_ISSUE' : 'PURCHASE_WAS_REFUNDED',
+        idempotencyKeySeed: `referral-clawback-${reward.id}`,
+        metadata: { referral_reward_id: reward.id, source_type: sourceType, source_id: sourceId },
+        organizationId: reward.organization_id
+      })
+      if (deduction.success) {
+        deductedCents = deduction.deductedCents
+        clawback.gift_card_square_id = giftCardSquareId
+        clawback.square_activity_id = deduction.squareActivityId || null
+      } else {
+        clawback.deduct_error = deduction.error
+        console.error(`❌ Failed to deduct referral reward ${reward.id} from gift card ${giftCardSquareId}: ${deduction.error}`)
+      }
+    } else {
+      clawback.deduct_error = 'referrer_gift_card_not_found'
+    }
+  }
+  clawback.deducted_cents = deductedCents
+
+  if (reward.status === 'PAID') {
+    try {
+      clawback.referrer_notified = await notifyReferrer(reward, { sourceType })
+    } catch (notifyError) {
+      console.warn(`⚠️ Failed to notify referrer ${reward.referrer_customer_id} of clawback: ${notifyError.message}`)
+      clawback.referrer_notified = false
+    }
+  }
+
+  await prisma.referralReward.update({
+    where: { id: reward.id },
+    data: { metadata: { ...metadata, clawback } }
+  })
+
+  await saveApplicationLog(prisma, {
+    organizationId: reward.organization_id,
+    logType: 'REWARD_FINAL_STATUS',
+    logId: `reward-clawback-${reward.id}`,
+    status: clawback.deduct_error ? 'error' : 'completed',
+    payload: { rewardId: reward.id, status: 'CANCELLED', sourceType, sourceId, deductedCents, error: clawback.deduct_error || null }
+  })
+
+  console.log(`↩️ Referral reward ${reward.id} clawed back after ${sourceType.toLowerCase()} ${sourceId}: ${formatRewardAmount(deductedCents)} of ${formatRewardAmount(reward.reward_amount_cents)} deducted`)
+  return { success: true, rewardId: reward.id, deductedCents, error: clawback.deduct_error || null }
+}
+
+/**
+ * Admin override: keep a referrer reward despite a refund/dispute.
+ * A PAID reward is flagged so a later clawback skips it; a reward that was
+ * already clawed back is reinstated and the deducted amount reloaded.
+ */
+async function keepReferralReward({ rewardId, organizationId, userId, note = null }) {
+  const reward = await prisma.referralReward.findFirst({
+    where: { id: rewardId, organization_id: organizationId }
+  })
+  if (!reward) return { success: false, error: 'Reward not found' }
+
+  const metadata = reward.metadata || {}
+  const override = {
+    keep: true,
+    kept_by: userId,
+    kept_at: new Date().toISOString(),
+    note
+  }
+
+  if (reward.status === 'PAID') {
+    await prisma.referralReward.update({
+      where: { id: reward.id },
+      data: { metadata: { ...metadata, clawback_override: override } }
+    })
+    return { success: true, reward: { ...reward, metadata: { ...metadata, clawback_override: override } } }
+  }
+
+  if (reward.status !== 'CANCELLED' || !metadata.clawback || metadata.clawback.previous_status !== 'PAID') {
+    return { success: false, error: 'Only paid or clawed-back rewards can be kept' }
+  }
+
+  const restoreCents = metadata.clawback.deducted_cents || 0
+  if (restoreCents > 0) {
+    const loadResult = await loadGiftCard(
+      metadata.clawback.gift_card_square_id,
+      restoreCents,
+      reward.referrer_customer_id,
+      'Referral reward reinstated',
+      { idempotencyKeySeed: `referral-reinstate-${reward.id}`, organizationId }
+    )
+    if (!loadResult.success) {
+      return { success: false, error: `Failed to reload gift card: ${loadResult.error}` }
+    }
+  }
+  override.restored_cents = restoreCents
+
+  const updated = await prisma.referralReward.update({
+    where: { id: reward.id },
+    data: { status: 'PAID', metadata: { ...metadata, clawback_override: override } }
+  })
+  await adjustReferrerTotals(reward, 1)
+
+  console.log(`✅ Referral reward ${reward.id} reinstated by ${userId} (${formatRewardAmount(restoreCents)} reloaded)`)
+  return { success: true, reward: updated }
+}
+
+module.exports = {
+  refundDisqualifiesPayment,
+  clawbackReferralRewardForPayment,
+  keepReferralReward
+}
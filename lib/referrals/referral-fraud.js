@@ -0,0 +1,244 @@
+const prisma = require('../prisma-client')
+
+/**
+ * Referral Fraud Scoring
+ * Scores a friend/referrer pair before a reward is issued. Each signal that
+ * fires adds its weight; a total at or above the program's fraud_hold_score
+ * holds the reward as PENDING (metadata.stage = 'fraud_review') until an admin
+ * approves or rejects it via /api/admin/referral-rewards/[id]/review.
+ */
+
+const DEFAULT_FRAUD_HOLD_SCORE = 50
+
+const FRAUD_SIGNAL_WEIGHTS = {
+  same_card_fingerprint: 60,
+  shared_ip: 40,
+  shared_phone: 40,
+  similar_email: 25,
+  household_address: 20,
+  referrer_velocity: 30
+}
+
+// Referrals by one referrer within 24h before velocity counts as a signal
+const VELOCITY_WINDOW_HOURS = 24
+const VELOCITY_LIMIT = 3
+
+function phoneFragment(phone) {
+  const digits = (phone || '').replace(/\D/g, '')
+  return digits.length >= 7 ? digits.slice(-7) : null
+}
+
+// jane.doe+promo2@gmail.com and janedoe@yahoo.com share the fragment "janedoe"
+function emailFragment(email) {
+  const local = (email || '').toLowerCase().split('@')[0]?.split('+')[0] || ''
+  const fragment = local.replace(/[^a-z]/g, '')
+  return fragment.length >= 4 ? fragment : null
+}
+
+function addressKey(rawJson) {
+  const address = rawJson?.address
+  if (!address) return null
+  const line1 = address.address_line_1 || address.addressLine1
+  const postal = address.postal_code || address.postalCode
+  if (!line1 || !postal) return null
+  return `${line1.toLowerCase().replace(/[^a-z0-9]/g, '')}|${postal.toString().trim().slice(0, 5)}`
+}
+
+async function loadClient(organizationId, squareCustomerId) {
+  const rows = await prisma.$queryRaw`
+    SELECT square_customer_id, email_address, phone_number, ip_addresses, raw_json
+    FROM square_existing_clients
+    WHERE organization_id = ${organizationId}::uuid
+      AND square_customer_id = ${squareCustomerId}
+    LIMIT 1
+  `
+  return rows?.[0] || null
+}
+
+async function loadCardFingerprints(organizationId, squareCustomerId) {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT card_fingerprint
+    FROM payments
+    WHERE organization_id = ${organizationId}::uuid
+      AND customer_id = ${squareCustomerId}
+      AND card_fingerprint IS NOT NULL
+  `
+  return (rows || []).map((r) => r.card_fingerprint)
+}
+
+async function countRecentReferrals({ organizationId, referrerCustomerId, excludeCustomerId }) {
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(DISTINCT referred_customer_id)::int AS count
+    FROM referral_rewards
+    WHERE organization_id = ${organizationId}::uuid
+      AND referrer_customer_id = ${referrerCustomerId}
+      AND reward_type IN ('referrer_reward', 'friend_signup_bonus')
+      AND referred_customer_id <> ${excludeCustomerId}
+      AND created_at >= NOW() - make_interval(hours => ${VELOCITY_WINDOW_HOURS})
+  `
+  return rows?.[0]?.count || 0
+}
+
+/**
+ * Returns { score, threshold, hold, signals: [{ signal, weight, detail }] }.
+ * paymentCardFingerprint: the friend's current payment card, which may not be
+ * in the payments table yet when the payment webhook is processed.
+ */
+async function scoreReferral(program, { organizationId, referrerCustomerId, customerId, paymentCardFingerprint = null }) {
+  const threshold = program?.fraud_hold_score ?? DEFAULT_FRAUD_HOLD_SCORE
+  const signals = []
+  const add = (signal, detail) => signals.push({ signal, weight: FRAUD_SIGNAL_WEIGHTS[signal], detail })
+
+  const [friend, referrer] = await Promise.all([
+    loadClient(organizationId, customerId),
+    loadClient(organizationId, referrerCustomerId)
+  ])
+
+  if (friend && referrer) {
+    const referrerIps = new Set(referrer.ip_addresses || [])
+    const sharedIps = (friend.ip_addresses || []).filter((ip) => referrerIps.has(ip))
+    if (sharedIps.length > 0) add('shared_ip', { ips: sharedIps })
+
+    const friendPhone = phoneFragment(friend.phone_number)
+    if (friendPhone && friendPhone === phoneFragment(referrer.phone_number)) {
+      add('shared_phone', { last_digits: friendPhone })
+    }
+
+    const friendEmail = emailFragment(friend.email_address)
+    if (friendEmail && friendEmail === emailFragment(referrer.email_address)) {
+      add('similar_email', { fragment: friendEmail })
+    }
+
+    const friendAddress = addressKey(friend.raw_json)
+    if (friendAddress && friendAddress === addressKey(referrer.raw_json)) {
+      add('household_address', { address: friendAddress })
+    }
+  }
+
+  const [friendCards, referrerCards] = await Promise.all([
+    loadCardFingerprints(organizationId, customerId),
+    loadCardFingerprints(organizationId, referrerCustomerId)
+  ])
+  if (paymentCardFingerprint) friendCards.push(paymentCardFingerprint)
+  const referrerCardSet = new Set(referrerCards)
+  const sharedCards = [...new Set(friendCards)].filter((fp) => referrerCardSet.has(fp))
+  if (sharedCards.length > 0) add('same_card_fingerprint', { count: sharedCards.length })
+
+  const recentReferrals = await countRecentReferrals({ organizationId, referrerCustomerId, excludeCustomerId: customerId })
+  if (recentReferrals >= VELOCITY_LIMIT) {
+    add('referrer_velocity', { referrals: recentReferrals, window_hours: VELOCITY_WINDOW_HOURS })
+  }
+
+  const score = signals.reduce((sum, s) => sum + s.weight, 0)
+  return { score, threshold, hold: threshold > 0 && score >= threshold, signals }
+}
+
+function buildFraudReviewMetadata(fraud, extra = {}) {
+  return {
+    stage: 'fraud_review',
+    fraud: { score: fraud.score, threshold: fraud.threshold, signals: fraud.signals, scored_at: new Date().toISOString() },
+    ...extra
+  }
+}
+
+/**
+ * True once a reward of this type for the customer went through fraud review
+ * (held, approved or rejected), so re-delivered webhooks don't re-score it.
+ */
+async function hasFraudReview({ organizationId, customerId, rewardType }) {
+  const reward = await prisma.referralReward.findFirst({
+    where: { organization_id: organizationId, referred_customer_id: customerId, reward_type: rewardType },
+    select: { metadata: true }
+  })
+  return Boolean(reward?.metadata?.fraud)
+}
+
+/**
+ * Records a held reward (PENDING, nothing issued yet). Returns false when a
+ * reward of this type already exists for the customer.
+ */
+async function holdRewardForReview(fraud, {
+  organizationId,
+  referrerCustomerId,
+  customerId,
+  rewardType,
+  amountCents,
+  paymentId = null,
+  bookingId = null,
+  extra = {}
+}) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await tx.referralProfile.upsert({
+        where: {
+          organization_id_square_customer_id: {
+            organization_id: organizationId,
+            square_customer_id: referrerCustomerId
+          }
+        },
+        update: {},
+        create: {
+          organization_id: organizationId,
+          square_customer_id: referrerCustomerId
+        }
+      })
+      await tx.referralReward.create({
+        data: {
+          organization_id: organizationId,
+          referrer_customer_id: referrerCustomerId,
+          referred_customer_id: customerId,
+          reward_amount_cents: amountCents,
+          status: 'PENDING',
+          payment_id: paymentId,
+          booking_id: bookingId,
+          reward_type: rewardType,
+          metadata: buildFraudReviewMetadata(fraud, extra)
+        }
+      })
+    })
+    return true
+  } catch (error) {
+    // P2002: already held (or recorded) by an earlier delivery
+    if (error.code === 'P2002') return false
+    throw error
+  }
+}
+
+/**
+ * Holds a friend signup bonus. The friend's used_referral_code is kept so the
+ * referrer side still resolves on payment.
+ */
+async function holdFriendBonusForReview(program, fraud, { organizationId, referrerCustomerId, customerId, bookingId, referralCode, amountCents }) {
+  await holdRewardForReview(fraud, {
+    organizationId,
+    referrerCustomerId,
+    customerId,
+    rewardType: 'friend_signup_bonus',
+    amountCents: amountCents ?? program.friend_reward_cents,
+    bookingId: bookingId || null,
+    extra: { referral_code: referralCode }
+  })
+
+  await prisma.$executeRaw`
+    UPDATE square_existing_clients
+    SET used_referral_code = ${referralCode},
+        updated_at = NOW()
+    WHERE square_customer_id = ${customerId}
+      AND organization_id = ${organizationId}::uuid
+  `
+}
+
+function isHeldForFraudReview(reward) {
+  return reward?.status === 'PENDING' && reward?.metadata?.stage === 'fraud_review'
+}
+
+module.exports = {
+  DEFAULT_FRAUD_HOLD_SCORE,
+  FRAUD_SIGNAL_WEIGHTS,
+  scoreReferral,
+  buildFraudReviewMetadata,
+  hasFraudReview,
+  holdRewardForReview,
+  holdFriendBonusForReview,
+  isHeldForFraudReview
+}
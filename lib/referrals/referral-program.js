@@ -0,0 +1,240 @@
+const prisma = require('../prisma-client')
+const { buildReferralProgramSmsTemplate } = require('../twilio-service')
+const { getOrganizationTimezone } = require('../utils/organization-timezone')
+
+/**
+ * Referral Program
+ * Per-organization reward amounts, reward type, eligibility rules and SMS copy.
+ * Organizations without a referral_programs row get the historical defaults
+ * ($10 friend / $10 referrer gift cards, no minimum, no cap, codes never expire).
+ */
+
+const DEFAULT_REFERRAL_PROGRAM = {
+  is_active: true,
+  friend_reward_cents: 1000, // $10
+  referrer_reward_cents: 1000, // $10
+  reward_type: 'GIFT_CARD',
+  discount_name: 'Referral',
+  min_first_payment_cents: 0,
+  referrer_monthly_reward_cap: null,
+  code_expiry_days: null,
+  sms_template: null,
+  tiers_json: null, // see referral-tiers.js defaults
+  milestones_json: null,
+  fraud_hold_score: 50 // see referral-fraud.js
+}
+
+async function getReferralProgram(organizationId) {
+  if (!organizationId) return { ...DEFAULT_REFERRAL_PROGRAM }
+  const program = await prisma.referralProgram.findUnique({
+    where: { organization_id: organizationId }
+  })
+  return program || { organization_id: organizationId, ...DEFAULT_REFERRAL_PROGRAM }
+}
+
+function formatRewardAmount(cents) {
+  const dollars = (cents || 0) / 100
+  return Number.isInteger(dollars) ? `$${dollars}` : `$${dollars.toFixed(2)}`
+}
+
+/**
+ * SMS copy for the referral invite: the stored template, else REFERRAL_SMS_TEMPLATE
+ * from env, else the built-in copy with this program's amounts.
+ */
+function getReferralSmsTemplate(program) {
+  if (program?.sms_template?.trim()) return program.sms_template
+  if (process.env.REFERRAL_SMS_TEMPLATE) return process.env.REFERRAL_SMS_TEMPLATE
+  return buildReferralProgramSmsTemplate({
+    friendRewardCents: program?.friend_reward_cents ?? DEFAULT_REFERRAL_PROGRAM.friend_reward_cents,
+    referrerRewardCents: program?.referrer_reward_cents ?? DEFAULT_REFERRAL_PROGRAM.referrer_reward_cents
+  })
+}
+
+/**
+ * A referral code expires code_expiry_days after it was issued unless some other
+ * customer has already used it. Returns false when the program has no expiry.
+ */
+async function isReferralCodeExpired(program, { organizationId, referrerCustomerId, referralCode, customerId }) {
+  if (!program?.code_expiry_days || !organizationId || !referrerCustomerId) return false
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      COALESCE(rp.activated_at, rp.created_at, sec.created_at) AS issued_at,
+      EXISTS (
+        SELECT 1 FROM square_existing_clients other
+        WHERE other.organization_id = ${organizationId}::uuid
+          AND other.square_customer_id <> ${referrerCustomerId}
+          AND other.square_customer_id <> ${customerId || ''}
+          AND UPPER(TRIM(other.used_referral_code)) = UPPER(TRIM(${referralCode || ''}))
+      ) AS used_before
+    FROM square_existing_clients sec
+    LEFT JOIN referral_profiles rp
+      ON rp.organization_id = sec.organization_id
+     AND rp.square_customer_id = sec.square_customer_id
+    WHERE sec.organization_id = ${organizationId}::uuid
+      AND sec.square_customer_id = ${referrerCustomerId}
+    LIMIT 1
+  `
+  const row = rows?.[0]
+  if (!row?.issued_at || row.used_before) return false
+
+  const expiresAt = new Date(new Date(row.issued_at).getTime() + program.code_expiry_days * 24 * 60 * 60 * 1000)
+  return expiresAt < new Date()
+}
+
+/**
+ * Number of referrer rewards (PENDING, PROCESSING or PAID) issued to the referrer in the
+ * current calendar month, in the organization's settings.timezone (default Los Angeles).
+ */
+async function countReferrerRewardsThisMonth({ organizationId, referrerCustomerId }) {
+  const timeZone = await getOrganizationTimezone(organizationId)
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS count
+    FROM referral_rewards
+    WHERE organization_id = ${organizationId}::uuid
+      AND referrer_customer_id = ${referrerCustomerId}
+      AND reward_type = 'referrer_reward'
+      AND status IN ('PENDING', 'PROCESSING', 'PAID')
+      AND created_at >= (date_trunc('month', NOW() AT TIME ZONE ${timeZone}) AT TIME ZONE ${timeZone})
+  `
+  return rows?.[0]?.count || 0
+}
+
+/**
+ * Whether the referrer may be rewarded for this friend's first payment.
+ * codeAccepted: the friend already got the signup bonus, so the code was valid
+ * when used and expiry is not re-checked.
+ * Returns { eligible: true } or { eligible: false, reason }.
+ */
+async function checkReferrerRewardEligibility(program, {
+  organizationId,
+  referrerCustomerId,
+  customerId,
+  referralCode,
+  codeAccepted = false,
+  paymentAmountCents
+}) {
+  if (!program.is_active) return { eligible: false, reason: 'program_inactive' }
+
+  if (!codeAccepted && await isReferralCodeExpired(program, { organizationId, referrerCustomerId, referralCode, customerId })) {
+    return { eligible: false, reason: 'code_expired' }
+  }
+
+  if (program.min_first_payment_cents > 0 && (paymentAmountCents ?? 0) < program.min_first_payment_cents) {
+    return { eligible: false, reason: 'below_min_first_payment' }
+  }
+
+  if (program.referrer_monthly_reward_cap != null) {
+    const issued = await countReferrerRewardsThisMonth({ organizationId, referrerCustomerId })
+    if (issued >= program.referrer_monthly_reward_cap) {
+      return { eligible: false, reason: 'monthly_cap_reached' }
+    }
+  }
+
+  return { eligible: true }
+}
+
+/**
+ * Records a referrer reward that the program rules did not allow as CANCELLED,
+ * so later payments by the same friend do not re-qualify it.
+ */
+async function recordSkippedReferrerReward(program, { organizationId, referrerCustomerId, customerId, paymentId, reason }) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await tx.referralProfile.upsert({
+        where: {
+          organization_id_square_customer_id: {
+            organization_id: organizationId,
+            square_customer_id: referrerCustomerId
+          }
+        },
+        update: {},
+        create: {
+          organization_id: organizationId,
+          square_customer_id: referrerCustomerId
+        }
+      })
+      await tx.referralReward.create({
+        data: {
+          organization_id: organizationId,
+          referrer_customer_id: referrerCustomerId,
+          referred_customer_id: customerId,
+          reward_amount_cents: 0,
+          status: 'CANCELLED',
+          payment_id: paymentId || null,
+          reward_type: 'referrer_reward',
+          metadata: { stage: 'program_rules', reason, program_reward_cents: program.referrer_reward_cents }
+        }
+      })
+    })
+  } catch (error) {
+    // P2002: another worker already recorded a reward for this friend
+    if (error.code !== 'P2002') throw error
+  }
+}
+
+/**
+ * DISCOUNT programs: records the friend's first-visit discount as a PAID
+ * friend_signup_bonus. Returns false when one was already recorded.
+ */
+async function recordFriendDiscountBonus(program, { organizationId, referrerCustomerId, customerId, bookingId, amountCents }) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await tx.referralProfile.upsert({
+        where: {
+          organization_id_square_customer_id: {
+            organization_id: organizationId,
+            square_customer_id: referrerCustomerId
+          }
+        },
+        update: {},
+        create: {
+          organization_id: organizationId,
+          square_customer_id: referrerCustomerId
+        }
+      })
+      await tx.referralReward.create({
+        data: {
+          organization_id: organizationId,
+          referrer_customer_id: referrerCustomerId,
+          referred_customer_id: customerId,
+          reward_amount_cents: amountCents ?? program.friend_reward_cents,
+          status: 'PAID',
+          booking_id: bookingId || null,
+          reward_type: 'friend_signup_bonus',
+          paid_at: new Date(),
+          metadata: buildDiscountRewardMetadata(program)
+        }
+      })
+    })
+    return true
+  } catch (error) {
+    if (error.code === 'P2002') return false
+    throw error
+  }
+}
+
+/**
+ * DISCOUNT programs issue no gift card: the reward is recorded as PAID and the
+ * front desk applies the program's named Square discount at checkout.
+ */
+function buildDiscountRewardMetadata(program, extra = {}) {
+  return {
+    fulfillment: 'DISCOUNT',
+    discount_name: program.discount_name || DEFAULT_REFERRAL_PROGRAM.discount_name,
+    ...extra
+  }
+}
+
+module.exports = {
+  DEFAULT_REFERRAL_PROGRAM,
+  getReferralProgram,
+  formatRewardAmount,
+  getReferralSmsTemplate,
+  isReferralCodeExpired,
+  countReferrerRewardsThisMonth,
+  checkReferrerRewardEligibility,
+  recordSkippedReferrerReward,
+  recordFriendDiscountBonus,
+  buildDiscountRewardMetadata
+}
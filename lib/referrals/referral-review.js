@@ -0,0 +1,65 @@
+const prisma = require('../prisma-client')
+const { issueHeldReferralReward } = require('../webhooks/giftcard-processors')
+const { isHeldForFraudReview } = require('./referral-fraud')
+
+/**
+ * Referral Reward Review
+ * Admin queue for rewards held by fraud scoring (see referral-fraud.js).
+ * Approving pays the reward as it would have been paid; rejecting cancels it.
+ */
+
+async function listHeldReferralRewards(organizationId) {
+  return prisma.referralReward.findMany({
+    where: {
+      organization_id: organizationId,
+      status: 'PENDING',
+      metadata: { path: ['stage'], equals: 'fraud_review' }
+    },
+    orderBy: { created_at: 'asc' }
+  })
+}
+
+/**
+ * decision: 'approve' | 'reject'. Returns { success, reward } or { success: false, error },
+ * with conflict: true when a concurrent review already claimed the reward.
+ */
+async function reviewHeldReferralReward({ rewardId, organizationId, userId, decision, note = null }) {
+  const reward = await prisma.referralReward.findFirst({
+    where: { id: rewardId, organization_id: organizationId }
+  })
+  if (!reward) return { success: false, error: 'Reward not found' }
+  if (!isHeldForFraudReview(reward)) return { success: false, error: 'Reward is not awaiting review' }
+
+  const review = {
+    decision,
+    reviewed_by: userId,
+    reviewed_at: new Date().toISOString(),
+    note
+  }
+
+  if (decision === 'reject') {
+    // Only while still PENDING: an approval may already be issuing it
+    const { count } = await prisma.referralReward.updateMany({
+      where: { id: reward.id, status: 'PENDING' },
+      data: {
+        status: 'CANCELLED',
+        metadata: { ...reward.metadata, stage: 'fraud_rejected', review }
+      }
+    })
+    if (count === 0) return { success: false, error: 'Reward was decided by another review', conflict: true }
+    console.log(`🚫 Held referral reward ${reward.id} rejected by ${userId}`)
+    return { success: true, reward: await prisma.referralReward.findUnique({ where: { id: reward.id } }) }
+  }
+
+  const { count } = await prisma.referralReward.updateMany({
+    where: { id: reward.id, status: 'PENDING' },
+    data: { metadata: { ...reward.metadata, review } }
+  })
+  if (count === 0) return { success: false, error: 'Reward was decided by another review', conflict: true }
+  return issueHeldReferralReward(reward.id)
+}
+
+module.exports = {
+  listHeldReferralRewards,
+  reviewHeldReferralReward
+}
@@ -0,0 +1,175 @@
+const prisma = require('../prisma-client')
+
+/**
+ * Referral Tiers & Milestones
+ * Tiers give a referrer a status (Silver/Gold) by successful referral count and
+ * may override both sides' reward amounts for that referrer's friends.
+ * Milestones pay the referrer a one-time bonus at a referral count.
+ * Both come from the org's referral program; null means the defaults below.
+ */
+
+const DEFAULT_REFERRAL_TIERS = [
+  { name: 'Silver', min_referrals: 3 },
+  { name: 'Gold', min_referrals: 10 }
+]
+
+const DEFAULT_REFERRAL_MILESTONES = []
+
+function getProgramTiers(program) {
+  const tiers = Array.isArray(program?.tiers_json) ? program.tiers_json : DEFAULT_REFERRAL_TIERS
+  return [...tiers].sort((a, b) => a.min_referrals - b.min_referrals)
+}
+
+function getProgramMilestones(program) {
+  const milestones = Array.isArray(program?.milestones_json) ? program.milestones_json : DEFAULT_REFERRAL_MILESTONES
+  return [...milestones].sort((a, b) => a.referrals - b.referrals)
+}
+
+/**
+ * Returns an error message or null.
+ * Expected: [{ name, min_referrals, friend_reward_cents?, referrer_reward_cents? }, ...]
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers)) return 'tiers must be an array'
+  const seen = new Set()
+  for (const tier of tiers) {
+    if (!tier?.name?.trim()) return 'each tier needs a name'
+    if (!Number.isInteger(tier.min_referrals) || tier.min_referrals < 1) {
+      return `tier ${tier.name}: min_referrals must be a positive integer`
+    }
+    if (seen.has(tier.min_referrals)) return `duplicate tier threshold ${tier.min_referrals}`
+    seen.add(tier.min_referrals)
+    for (const field of ['friend_reward_cents', 'referrer_reward_cents']) {
+      if (tier[field] != null && (!Number.isInteger(tier[field]) || tier[field] < 0)) {
+        return `tier ${tier.name}: ${field} must be a non-negative integer`
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Returns an error message or null.
+ * Expected: [{ referrals, bonus_cents }, ...]
+ */
+function validateMilestones(milestones) {
+  if (!Array.isArray(milestones)) return 'milestones must be an array'
+  const seen = new Set()
+  for (const milestone of milestones) {
+    if (!Number.isInteger(milestone?.referrals) || milestone.referrals < 1) {
+      return 'milestone referrals must be a positive integer'
+    }
+    if (seen.has(milestone.referrals)) return `duplicate milestone ${milestone.referrals}`
+    seen.add(milestone.referrals)
+    if (!Number.isInteger(milestone.bonus_cents) || milestone.bonus_cents <= 0) {
+      return `milestone ${milestone.referrals}: bonus_cents must be a positive integer`
+    }
+  }
+  return null
+}
+
+/**
+ * Successful referrals = PAID referrer rewards (referral_rewards is the source of truth).
+ */
+async function countSuccessfulReferrals({ organizationId, referrerCustomerId }) {
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS count
+    FROM referral_rewards
+    WHERE organization_id = ${organizationId}::uuid
+      AND referrer_customer_id = ${referrerCustomerId}
+      AND reward_type = 'referrer_reward'
+      AND status = 'PAID'
+  `
+  return rows?.[0]?.count || 0
+}
+
+function resolveReferrerTier(program, referralCount) {
+  let current = null
+  let next = null
+  for (const tier of getProgramTiers(program)) {
+    if (referralCount >= tier.min_referrals) {
+      current = tier
+    } else if (!next) {
+      next = tier
+    }
+  }
+  return { tier: current, nextTier: next }
+}
+
+/**
+ * Tier and progress for display (lookup page, wallet pass).
+ */
+async function getReferrerStatus(program, { organizationId, referrerCustomerId }) {
+  const referralCount = await countSuccessfulReferrals({ organizationId, referrerCustomerId })
+  const { tier, nextTier } = resolveReferrerTier(program, referralCount)
+  return {
+    referralCount,
+    tier: tier?.name || null,
+    nextTier: nextTier?.name || null,
+    referralsToNextTier: nextTier ? nextTier.min_referrals - referralCount : null
+  }
+}
+
+/**
+ * Reward amounts for a referral by this referrer, using the referrer's tier
+ * at the time of the referral (before it counts).
+ */
+async function resolveRewardAmounts(program, { organizationId, referrerCustomerId }) {
+  const referralCount = referrerCustomerId
+    ? await countSuccessfulReferrals({ organizationId, referrerCustomerId })
+    : 0
+  const { tier } = resolveReferrerTier(program, referralCount)
+  return {
+    tier: tier?.name || null,
+    friendRewardCents: tier?.friend_reward_cents ?? program.friend_reward_cents,
+    referrerRewardCents: tier?.referrer_reward_cents ?? program.referrer_reward_cents
+  }
+}
+
+/**
+ * Milestones reached by the referrer's current count. Each is issued once per
+ * referrer as reward_type milestone_<N> with referred_customer_id = the referrer
+ * itself, so uq_referral_reward_per_referred keeps it to one row. A FAILED row
+ * is due again and comes back with retryRewardId so the caller reuses it.
+ */
+async function getDueMilestones(program, { organizationId, referrerCustomerId }) {
+  const milestones = getProgramMilestones(program)
+  if (!program.is_active || milestones.length === 0) return []
+
+  const referralCount = await countSuccessfulReferrals({ organizationId, referrerCustomerId })
+  const reached = milestones.filter((m) => referralCount >= m.referrals)
+  if (reached.length === 0) return []
+
+  const issued = await prisma.referralReward.findMany({
+    where: {
+      organization_id: organizationId,
+      referred_customer_id: referrerCustomerId,
+      reward_type: { in: reached.map((m) => milestoneRewardType(m.referrals)) }
+    },
+    select: { id: true, reward_type: true, status: true }
+  })
+  const existingByType = new Map(issued.map((r) => [r.reward_type, r]))
+  return reached
+    .map((m) => ({ ...m, reward_type: milestoneRewardType(m.referrals), referral_count: referralCount }))
+    .filter((m) => !existingByType.has(m.reward_type) || existingByType.get(m.reward_type).status === 'FAILED')
+    .map((m) => ({ ...m, retryRewardId: existingByType.get(m.reward_type)?.id || null }))
+}
+
+function milestoneRewardType(referrals) {
+  return `milestone_${referrals}`
+}
+
+module.exports = {
+  DEFAULT_REFERRAL_TIERS,
+  DEFAULT_REFERRAL_MILESTONES,
+  getProgramTiers,
+  getProgramMilestones,
+  validateTiers,
+  validateMilestones,
+  countSuccessfulReferrals,
+  resolveReferrerTier,
+  getReferrerStatus,
+  resolveRewardAmounts,
+  getDueMilestones,
+  milestoneRewardType
+}
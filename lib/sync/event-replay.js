@@ -0,0 +1,364 @@
+/**
+ * Replay missed Square webhook events for an organization and time range.
+ *
+ * Events come from Square's Events API (`source: 'square'`, last 28 days) or
+ * from the webhook payloads stored in application_logs (`source: 'logs'`).
+ * Events whose event_id already has a webhook_jobs row are skipped; the rest
+ * are enqueued through enqueueWebhookJob so the normal processors, per-entity
+ * ordering and retries apply.
+ *
+ * dryRun (the default) enqueues nothing and returns, per event, the local row
+ * it would touch next to the incoming values:
+ *   { eventId, eventType, createdAt, entityKey, action: 'create' | 'update' | 'noop' | 'unknown',
+ *     local, incoming, changes: [{ field, local, incoming }] }
+ *
+ * Replaces the ad-hoc scripts/sync-missing-*.js for webhook-driven data.
+ *
+ * Used by:
+ *   - scripts/replay-square-events.js   (CLI)
+ *   - app/api/admin/event-replay        (admin API)
+ */
+
+const prisma = require('../prisma-client')
+const { getSquareApiBaseUrl } = require('../utils/square-env')
+const { enqueueWebhookJob, resolveWebhookEntity } = require('../workflows/webhook-job-queue')
+const { WEBHOOK_JOB_EVENT_TYPES } = require('../workers/webhook-job-runner')
+const { saveApplicationLog } = require('../workflows/application-log-queue')
+
+const SQUARE_API_VERSION = '2025-02-20'
+// Square keeps events for 28 days
+const SQUARE_EVENTS_RETENTION_DAYS = 28
+const EVENTS_PAGE_SIZE = 100
+const DEFAULT_MAX_EVENTS = 5000
+
+function squareBaseUrl() {
+  return `${getSquareApiBaseUrl()}/v2`
+}
+
+function squareAccessToken() {
+  return process.env.SQUARE_ACCESS_TOKEN?.trim().replace(/^Bearer /, '')
+}
+
+function toIso(value) {
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`)
+  return date.toISOString()
+}
+
+/**
+ * Search Square's Events API. Returns events oldest first in webhook shape
+ * ({ event_id, type, created_at, merchant_id, data }).
+ */
+async function fetchSquareEvents({ merchantId, beginTime, endTime, eventTypes, maxEvents }) {
+  const token = squareAccessToken()
+  if (!token) throw new Error('SQUARE_ACCESS_TOKEN not set')
+
+  const events = []
+  let cursor = null
+  do {
+    const response = await fetch(`${squareBaseUrl()}/events`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Square-Version': SQUARE_API_VERSION,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        cursor: cursor || undefined,
+        limit: EVENTS_PAGE_SIZE,
+        query: {
+          filter: {
+            event_types: eventTypes,
+            merchant_ids: merchantId ? [merchantId] : undefined,
+            created_at: { start_at: beginTime, end_at: endTime }
+          },
+          sort: { field: 'DEFAULT', order: 'ASC' }
+        }
+      })
+    })
+
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const detail = body.errors?.map((e) => e.detail || e.code).join('; ') || response.statusText
+      throw new Error(`Square Events API error (${response.status}): ${detail}`)
+    }
+
+    events.push(...(body.events || []))
+    cursor = body.cursor || null
+  } while (cursor && events.length < maxEvents)
+
+  return events.slice(0, maxEvents)
+}
+
+/**
+ * Webhook payloads saved by POST /api/webhooks/square (log_type = 'webhook').
+ */
+async function fetchLoggedEvents({ organizationId, beginTime, endTime, eventTypes, maxEvents }) {
+  const rows = await prisma.$queryRaw`
+    SELECT "payload"
+    FROM "application_logs"
+    WHERE "log_type" = 'webhook'
+      AND "organization_id" = ${organizationId}::uuid
+      AND COALESCE("log_created_at", "created_at") >= ${new Date(beginTime)}::timestamptz
+      AND COALESCE("log_created_at", "created_at") < ${new Date(endTime)}::timestamptz
+      AND "payload"->>'type' = ANY(${eventTypes})
+    ORDER BY COALESCE("log_created_at", "created_at") ASC
+    LIMIT ${maxEvents}
+  `
+  return rows.map((row) => row.payload).filter((event) => event?.event_id)
+}
+
+async function findQueuedEventIds(organizationId, eventIds) {
+  if (eventIds.length === 0) return new Map()
+  const rows = await prisma.$queryRaw`
+    SELECT "event_id", "status"::text AS "status"
+    FROM "webhook_jobs"
+    WHERE "organization_id" = ${organizationId}::uuid
+      AND "event_id" = ANY(${eventIds})
+  `
+  return new Map(rows.map((row) => [row.event_id, row.status]))
+}
+
+// Fields compared in dry-run diffs, per entity kind
+const ENTITY_DIFFS = {
+  booking: {
+    async local(organizationId, id) {
+      const rows = await prisma.$queryRaw`
+        SELECT "status", "version" FROM "bookings"
+        WHERE "organization_id" = ${organizationId}::uuid AND "booking_id" = ${id}
+        LIMIT 1
+      `
+      return rows[0] || null
+    },
+    incoming: (object) => {
+      const booking = object?.booking || {}
+      return { status: booking.status ?? null, version: booking.version ?? null }
+    }
+  },
+  payment: {
+    async local(organizationId, id) {
+      const rows = await prisma.$queryRaw`
+        SELECT "status", "total_money_amount" FROM "payments"
+        WHERE "organization_id" = ${organizationId}::uuid AND "payment_id" = ${id}
+        LIMIT 1
+      `
+      return rows[0] || null
+    },
+    incoming: (object) => {
+      const payment = object?.payment
+      // Refund/dispute events point at the payment but don't carry it
+      if (!payment) return null
+      return { status: payment.status ?? null, total_money_amount: payment.total_money?.amount ?? null }
+    }
+  },
+  order: {
+    async local(organizationId, id) {
+      const rows = await prisma.$queryRaw`
+        SELECT "state", "version" FROM "orders"
+        WHERE "organization_id" = ${organizationId}::uuid AND "order_id" = ${id}
+        LIMIT 1
+      `
+      return rows[0] || null
+    },
+    incoming: (object) => {
+      const order = object?.order_updated || object?.order_created || object?.order || {}
+      return { state: order.state ?? null, version: order.version ?? null }
+    }
+  },
+  customer: {
+    async local(organizationId, id) {
+      const rows = await prisma.$queryRaw`
+        SELECT "given_name", "family_name", "email_address", "phone_number" FROM "square_existing_clients"
+        WHERE "organization_id" = ${organizationId}::uuid AND "square_customer_id" = ${id}
+        LIMIT 1
+      `
+      return rows[0] || null
+    },
+    incoming: (object) => {
+      const customer = object?.customer || {}
+      return {
+        given_name: customer.given_name ?? null,
+        family_name: customer.family_name ?? null,
+        email_address: customer.email_address ?? null,
+        phone_number: customer.phone_number ?? null
+      }
+    }
+  }
+}
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null
+  return typeof value === 'bigint' ? Number(value) : value
+}
+
+async function diffEvent(organizationId, event) {
+  const { entityKey } = resolveWebhookEntity(event.type, event.data)
+  const [kind, id] = entityKey ? [entityKey.slice(0, entityKey.indexOf(':')), entityKey.slice(entityKey.indexOf(':') + 1)] : []
+  const entity = ENTITY_DIFFS[kind]
+  const incoming = entity ? entity.incoming(event.data?.object) : null
+
+  const result = {
+    eventId: event.event_id,
+    eventType: event.type,
+    createdAt: event.created_at,
+    entityKey,
+    action: 'unknown',
+    local: null,
+    incoming,
+    changes: []
+  }
+  if (!entity || !incoming) return result
+
+  const local = await entity.local(organizationId, id)
+  if (!local) {
+    return { ...result, action: 'create' }
+  }
+
+  const localValues = Object.fromEntries(Object.entries(local).map(([key, value]) => [key, normalizeValue(value)]))
+  const changes = Object.keys(incoming)
+    .filter((field) => incoming[field] !== null && String(incoming[field]) !== String(localValues[field]))
+    .map((field) => ({ field, local: localValues[field], incoming: incoming[field] }))
+
+  return { ...result, local: localValues, changes, action: changes.length > 0 ? 'update' : 'noop' }
+}
+
+/**
+ * Validates options; returns an error message or null.
+ */
+function validateReplayOptions({ organizationId, source, beginTime, endTime, eventTypes }) {
+  if (!organizationId) return 'organizationId is required'
+  if (!['square', 'logs'].includes(source)) return "source must be 'square' or 'logs'"
+
+  let begin
+  let end
+  try {
+    begin = new Date(toIso(beginTime))
+    end = new Date(toIso(endTime))
+  } catch (error) {
+    return error.message
+  }
+  if (begin >= end) return 'beginTime must be before endTime'
+
+  const retentionStart = Date.now() - SQUARE_EVENTS_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  if (source === 'square' && begin.getTime() < retentionStart) {
+    return `Square keeps events for ${SQUARE_EVENTS_RETENTION_DAYS} days; use source 'logs' for older ranges`
+  }
+
+  const unsupported = (eventTypes || []).filter((type) => !WEBHOOK_JOB_EVENT_TYPES.includes(type))
+  if (unsupported.length > 0) {
+    return `Unsupported event types: ${unsupported.join(', ')} (supported: ${WEBHOOK_JOB_EVENT_TYPES.join(', ')})`
+  }
+  return null
+}
+
+/**
+ * Replay events for one organization.
+ * Returns { success, dryRun, source, fetched, alreadyQueued, enqueued, failed, events }
+ * or { success: false, error }.
+ */
+async function replaySquareEvents({
+  organizationId,
+  source = 'square',
+  beginTime,
+  endTime = new Date(),
+  eventTypes = null,
+  dryRun = true,
+  maxEvents = DEFAULT_MAX_EVENTS,
+  requestedBy = null
+}) {
+  const validationError = validateReplayOptions({ organizationId, source, beginTime, endTime, eventTypes })
+  if (validationError) return { success: false, error: validationError }
+
+  const types = eventTypes?.length ? eventTypes : WEBHOOK_JOB_EVENT_TYPES
+  const range = { beginTime: toIso(beginTime), endTime: toIso(endTime) }
+
+  try {
+    let events
+    if (source === 'square') {
+      const organization = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { square_merchant_id: true }
+      })
+      if (!organization) return { success: false, error: 'Organization not found' }
+      events = await fetchSquareEvents({ merchantId: organization.square_merchant_id, ...range, eventTypes: types, maxEvents })
+    } else {
+      events = await fetchLoggedEvents({ organizationId, ...range, eventTypes: types, maxEvents })
+    }
+
+    const queued = await findQueuedEventIds(organizationId, events.map((event) => event.event_id))
+    const summary = {
+      success: true,
+      dryRun,
+      source,
+      ...range,
+      fetched: events.length,
+      alreadyQueued: 0,
+      enqueued: 0,
+      failed: 0,
+      truncated: events.length >= maxEvents,
+      events: []
+    }
+
+    const seen = new Set()
+    for (const event of events) {
+      if (seen.has(event.event_id)) continue
+      seen.add(event.event_id)
+
+      if (queued.has(event.event_id)) {
+        summary.alreadyQueued++
+        continue
+      }
+
+      if (dryRun) {
+        summary.events.push(await diffEvent(organizationId, event))
+        continue
+      }
+
+      try {
+        const job = await enqueueWebhookJob(prisma, {
+          eventType: event.type,
+          eventId: event.event_id,
+          eventCreatedAt: event.created_at,
+          payload: event.data || {},
+          organizationId
+        })
+        if (!job) throw new Error('webhook_jobs unavailable')
+        summary.enqueued++
+        summary.events.push({ eventId: event.event_id, eventType: event.type, createdAt: event.created_at, jobId: job.id })
+      } catch (error) {
+        summary.failed++
+        summary.events.push({ eventId: event.event_id, eventType: event.type, createdAt: event.created_at, error: error.message })
+      }
+    }
+
+    if (!dryRun) {
+      await saveApplicationLog(prisma, {
+        organizationId,
+        logType: 'event_replay',
+        logId: `event-replay-${Date.now()}`,
+        status: summary.failed > 0 ? 'error' : 'completed',
+        payload: {
+          source,
+          ...range,
+          eventTypes: eventTypes || null,
+          requestedBy,
+          fetched: summary.fetched,
+          alreadyQueued: summary.alreadyQueued,
+          enqueued: summary.enqueued,
+          failed: summary.failed
+        }
+      })
+      console.log(`✅ Event replay (${source}) for ${organizationId}: ${summary.enqueued} enqueued, ${summary.alreadyQueued} already queued, ${summary.failed} failed`)
+    }
+
+    return summary
+  } catch (error) {
+    console.error(`❌ Event replay (${source}) for ${organizationId} failed:`, error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  SQUARE_EVENTS_RETENTION_DAYS,
+  replaySquareEvents
+}
@@ -0,0 +1,705 @@
+const http = require('http')
+const crypto = require('crypto')
+
+/**
+ * Fake Square Server
+ * In-process HTTP fake of the Square APIs the webhook pipeline calls:
+ * Locations, Customers (+ custom attributes), Bookings (+ custom attributes),
+ * Orders, Payments, Refunds, Gift Cards, Gift Card Activities and Events.
+ * Speaks the Square wire format (snake_case JSON under /v2), so both the
+ * square/legacy SDK and the plain fetch callers work against it unchanged.
+ *
+ *   const fake = await startFakeSquareServer()
+ *   fake.useAsSquareApi()          // SQUARE_API_BASE_URL + SQUARE_ACCESS_TOKEN
+ *   fake.seed.customer({ id: 'CUST_1', given_name: 'Ana' })
+ *   ...
+ *   await fake.stop()
+ *
+ * Use it before the modules that create Square clients are loaded
+ * (giftcard-processors.js builds its client at require time).
+ *
+ * Behaviour kept close to Square where the pipeline depends on it:
+ * - POSTs with an idempotency_key return the first response for that key
+ * - gift card activities move balance/state and reject overdrafts
+ * - paying an order completes it; refunds update the payment
+ * - every write appends a webhook-shaped event to fake.events (also served
+ *   by POST /v2/events) that tests can deliver with square-webhook-signer.js
+ * Anything not implemented answers 404 NOT_FOUND with the method and path.
+ */
+
+const DEFAULT_MERCHANT_ID = 'FAKE_MERCHANT'
+const DEFAULT_LOCATION_ID = 'FAKE_LOCATION'
+
+function nowIso() {
+  return new Date().toISOString()
+}
+
+function squareError(status, code, detail, category = 'INVALID_REQUEST_ERROR') {
+  const error = new Error(detail)
+  error.status = status
+  error.body = { errors: [{ category, code, detail }] }
+  return error
+}
+
+function notFound(kind, id) {
+  return squareError(404, 'NOT_FOUND', `${kind} ${id} not found`)
+}
+
+function amountOf(money) {
+  return Number(money?.amount || 0)
+}
+
+// Drops undefined fields so they don't override defaults when spread
+function compact(object) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined))
+}
+
+function inRange(value, startAt, endAt) {
+  if (!value) return false
+  if (startAt && value < startAt) return false
+  if (endAt && value >= endAt) return false
+  return true
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      if (!raw) return resolve({})
+      try {
+        resolve(JSON.parse(raw))
+      } catch {
+        reject(squareError(400, 'INVALID_JSON', 'Request body is not valid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function createFakeSquareState({ merchantId = DEFAULT_MERCHANT_ID } = {}) {
+  const counters = {}
+  const state = {
+    merchantId,
+    locations: new Map(),
+    customers: new Map(),
+    customerAttributes: new Map(), // customerId -> Map(key -> custom_attribute)
+    bookings: new Map(),
+    bookingAttributes: new Map(), // bookingId -> Map(key -> custom_attribute)
+    orders: new Map(),
+    payments: new Map(),
+    refunds: new Map(),
+    giftCards: new Map(),
+    giftCardActivities: [],
+    events: []
+  }
+
+  function nextId(prefix) {
+    counters[prefix] = (counters[prefix] || 0) + 1
+    return `${prefix}${String(counters[prefix]).padStart(6, '0')}`
+  }
+
+  function nextGan() {
+    counters.gan = (counters.gan || 0) + 1
+    return `7783${String(counters.gan).padStart(12, '0')}`
+  }
+
+  // Webhook-shaped event: { merchant_id, type, event_id, created_at, data: { type, id, object } }
+  function emit(type, dataType, id, object, locationId = null) {
+    const event = {
+      merchant_id: merchantId,
+      location_id: locationId || undefined,
+      type,
+      event_id: crypto.randomUUID(),
+      created_at: nowIso(),
+      data: { type: dataType, id, object }
+    }
+    state.events.push(event)
+    return event
+  }
+
+  state.nextId = nextId
+  state.nextGan = nextGan
+  state.emit = emit
+  return state
+}
+
+function createHandlers(state) {
+  function getOrThrow(map, kind, id) {
+    const value = map.get(id)
+    if (!value) throw notFound(kind, id)
+    return value
+  }
+
+  function saveCustomer(input, { event = 'customer.created' } = {}) {
+    const now = nowIso()
+    const existing = input.id ? state.customers.get(input.id) : null
+    const customer = {
+      created_at: now,
+      creation_source: 'THIRD_PARTY',
+      version: 0,
+      ...existing,
+      ...compact(input),
+      id: input.id || existing?.id || state.nextId('CUST'),
+      updated_at: now
+    }
+    if (existing) customer.version = (existing.version || 0) + 1
+    state.customers.set(customer.id, customer)
+    if (event) state.emit(existing ? 'customer.updated' : event, 'customer', customer.id, { customer })
+    return customer
+  }
+
+  function saveBooking(input) {
+    const now = nowIso()
+    const existing = input.id ? state.bookings.get(input.id) : null
+    const booking = {
+      status: 'ACCEPTED',
+      created_at: now,
+      location_id: DEFAULT_LOCATION_ID,
+      appointment_segments: [],
+      ...existing,
+      ...compact(input),
+      id: input.id || existing?.id || state.nextId('BOOK'),
+      version: existing ? (existing.version || 0) + 1 : 0,
+      updated_at: now
+    }
+    state.bookings.set(booking.id, booking)
+    state.emit(existing ? 'booking.updated' : 'booking.created', 'booking', booking.id, { booking }, booking.location_id)
+    return booking
+  }
+
+  function orderTotals(order) {
+    const currency = order.line_items?.[0]?.base_price_money?.currency || 'USD'
+    const total = (order.line_items || []).reduce(
+      (sum, item) => sum + amountOf(item.base_price_money) * Number(item.quantity || 1),
+      0
+    )
+    return { total_money: { amount: total, currency }, net_amount_due_money: { amount: total, currency } }
+  }
+
+  function saveOrder(input) {
+    const now = nowIso()
+    const existing = input.id ? state.orders.get(input.id) : null
+    const order = {
+      state: 'OPEN',
+      created_at: now,
+      location_id: DEFAULT_LOCATION_ID,
+      ...existing,
+      ...compact(input),
+      id: input.id || existing?.id || state.nextId('ORDER'),
+      version: existing ? (existing.version || 1) + 1 : 1,
+      updated_at: now
+    }
+    order.line_items = (order.line_items || []).map((item, index) => ({
+      uid: item.uid || `line-${index + 1}`,
+      ...item,
+      total_money: item.total_money || {
+        amount: amountOf(item.base_price_money) * Number(item.quantity || 1),
+        currency: item.base_price_money?.currency || 'USD'
+      }
+    }))
+    Object.assign(order, orderTotals(order))
+    state.orders.set(order.id, order)
+
+    const summary = { order_id: order.id, location_id: order.location_id, state: order.state, version: order.version, created_at: order.created_at, updated_at: order.updated_at }
+    if (existing) {
+      state.emit('order.updated', 'order_updated', order.id, { order_updated: summary }, order.location_id)
+    } else {
+      state.emit('order.created', 'order_created', order.id, { order_created: summary }, order.location_id)
+    }
+    return order
+  }
+
+  function savePayment(input) {
+    const now = nowIso()
+    const existing = input.id ? state.payments.get(input.id) : null
+    const payment = {
+      status: 'COMPLETED',
+      created_at: now,
+      location_id: DEFAULT_LOCATION_ID,
+      source_type: 'CARD',
+      ...existing,
+      ...compact(input),
+      id: input.id || existing?.id || state.nextId('PAY'),
+      updated_at: now
+    }
+    payment.total_money = payment.total_money || payment.amount_money
+    payment.version_token = crypto.randomBytes(6).toString('hex')
+    state.payments.set(payment.id, payment)
+    state.emit(existing ? 'payment.updated' : 'payment.created', 'payment', payment.id, { payment }, payment.location_id)
+    return payment
+  }
+
+  function saveGiftCard(input) {
+    const existing = input.id ? state.giftCards.get(input.id) : null
+    const giftCard = {
+      type: 'DIGITAL',
+      gan_source: 'SQUARE',
+      state: 'PENDING',
+      balance_money: { amount: 0, currency: 'USD' },
+      created_at: nowIso(),
+      customer_ids: [],
+      ...existing,
+      ...compact(input),
+      id: input.id || existing?.id || state.nextId('gftc:')
+    }
+    giftCard.gan = giftCard.gan || state.nextGan()
+    state.giftCards.set(giftCard.id, giftCard)
+    state.emit(existing ? 'gift_card.updated' : 'gift_card.created', 'gift_card', giftCard.id, { gift_card: giftCard })
+    return giftCard
+  }
+
+  // Square activity type -> [details key, balance direction]
+  const ACTIVITY_EFFECTS = {
+    ACTIVATE: ['activate_activity_details', 1],
+    LOAD: ['load_activity_details', 1],
+    ADJUST_INCREMENT: ['adjust_increment_activity_details', 1],
+    ADJUST_DECREMENT: ['adjust_decrement_activity_details', -1],
+    REDEEM: ['redeem_activity_details', -1],
+    DEACTIVATE: ['deactivate_activity_details', 0]
+  }
+
+  function activityAmount(activity, detailsKey) {
+    const details = activity[detailsKey] || {}
+    if (details.amount_money) return amountOf(details.amount_money)
+    if (details.order_id && details.line_item_uid) {
+      const order = getOrThrow(state.orders, 'Order', details.order_id)
+      const item = (order.line_items || []).find((li) => li.uid === details.line_item_uid)
+      if (!item) throw squareError(400, 'INVALID_VALUE', `Line item ${details.line_item_uid} not found on order ${order.id}`)
+      if (order.state !== 'COMPLETED') {
+        throw squareError(400, 'INVALID_ORDER_STATE', `Order ${order.id} must be paid before activating a gift card`)
+      }
+      return amountOf(item.base_price_money)
+    }
+    return 0
+  }
+
+  function createGiftCardActivity(input) {
+    const giftCard = input.gift_card_id
+      ? getOrThrow(state.giftCards, 'Gift card', input.gift_card_id)
+      : [...state.giftCards.values()].find((card) => card.gan === input.gift_card_gan)
+    if (!giftCard) throw notFound('Gift card', input.gift_card_gan)
+
+    const effect = ACTIVITY_EFFECTS[input.type]
+    if (!effect) throw squareError(400, 'INVALID_VALUE', `Unsupported gift card activity type ${input.type}`)
+    const [detailsKey, direction] = effect
+
+    if (input.type === 'ACTIVATE' && giftCard.state !== 'PENDING') {
+      throw squareError(400, 'GIFT_CARD_INVALID_STATE', `Gift card ${giftCard.id} is ${giftCard.state}`)
+    }
+    if (input.type !== 'ACTIVATE' && giftCard.state !== 'ACTIVE') {
+      throw squareError(400, 'GIFT_CARD_INVALID_STATE', `Gift card ${giftCard.id} is ${giftCard.state}`)
+    }
+
+    const amount = activityAmount(input, detailsKey)
+    const balance = amountOf(giftCard.balance_money) + direction * amount
+    if (balance < 0) {
+      throw squareError(400, 'INSUFFICIENT_FUNDS', `Gift card ${giftCard.id} balance is too low`, 'PAYMENT_METHOD_ERROR')
+    }
+
+    giftCard.balance_money = { amount: balance, currency: giftCard.balance_money?.currency || 'USD' }
+    if (input.type === 'ACTIVATE') giftCard.state = 'ACTIVE'
+    if (input.type === 'DEACTIVATE') giftCard.state = 'DEACTIVATED'
+
+    const activity = {
+      ...input,
+      id: state.nextId('gcact:'),
+      gift_card_id: giftCard.id,
+      gift_card_gan: giftCard.gan,
+      location_id: input.location_id || DEFAULT_LOCATION_ID,
+      created_at: nowIso(),
+      gift_card_balance_money: { ...giftCard.balance_money }
+    }
+    state.giftCardActivities.push(activity)
+    state.emit('gift_card.activity.created', 'gift_card_activity', activity.id, { gift_card_activity: activity }, activity.location_id)
+    state.emit('gift_card.updated', 'gift_card', giftCard.id, { gift_card: giftCard })
+    return activity
+  }
+
+  function completeOrderPayment(order, payment) {
+    order.tenders = [
+      ...(order.tenders || []),
+      {
+        id: payment.id,
+        type: payment.source_type === 'CASH' ? 'CASH' : 'CARD',
+        amount_money: payment.amount_money,
+        payment_id: payment.id,
+        customer_id: payment.customer_id
+      }
+    ]
+    saveOrder({ ...order, state: 'COMPLETED', closed_at: nowIso() })
+  }
+
+  function createPayment(input) {
+    const order = input.order_id ? getOrThrow(state.orders, 'Order', input.order_id) : null
+    const isCash = input.source_id === 'CASH'
+    const payment = savePayment({
+      amount_money: input.amount_money,
+      tip_money: input.tip_money,
+      order_id: input.order_id,
+      customer_id: input.customer_id || order?.customer_id,
+      location_id: input.location_id || order?.location_id,
+      reference_id: input.reference_id,
+      note: input.note,
+      source_type: isCash ? 'CASH' : 'CARD',
+      cash_details: isCash ? input.cash_details : undefined,
+      card_details: isCash ? undefined : { status: 'CAPTURED', card: { card_brand: 'VISA', last_4: '1111' } },
+      status: input.autocomplete === false ? 'APPROVED' : 'COMPLETED'
+    })
+    if (order && payment.status === 'COMPLETED') completeOrderPayment(order, payment)
+    return payment
+  }
+
+  function createRefund(input) {
+    const payment = getOrThrow(state.payments, 'Payment', input.payment_id)
+    const refunded = amountOf(payment.refunded_money) + amountOf(input.amount_money)
+    if (refunded > amountOf(payment.amount_money)) {
+      throw squareError(400, 'REFUND_AMOUNT_INVALID', 'Refund exceeds the payment amount')
+    }
+    const refund = {
+      id: state.nextId('REFUND'),
+      status: 'COMPLETED',
+      amount_money: input.amount_money,
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      location_id: payment.location_id,
+      reason: input.reason,
+      created_at: nowIso(),
+      updated_at: nowIso()
+    }
+    state.refunds.set(refund.id, refund)
+    state.emit('refund.created', 'refund', refund.id, { refund }, refund.location_id)
+    savePayment({
+      ...payment,
+      refunded_money: { amount: refunded, currency: input.amount_money?.currency || 'USD' },
+      refund_ids: [...(payment.refund_ids || []), refund.id]
+    })
+    return refund
+  }
+
+  function upsertCustomAttribute(store, ownerId, key, input) {
+    if (!store.has(ownerId)) store.set(ownerId, new Map())
+    const existing = store.get(ownerId).get(key)
+    const attribute = {
+      key,
+      visibility: 'VISIBILITY_READ_ONLY',
+      created_at: nowIso(),
+      ...existing,
+      ...compact(input),
+      version: existing ? existing.version + 1 : 1,
+      updated_at: nowIso()
+    }
+    store.get(ownerId).set(key, attribute)
+    return attribute
+  }
+
+  function listAttributes(store, ownerId) {
+    return [...(store.get(ownerId)?.values() || [])]
+  }
+
+  const byCreatedAt = (a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0)
+
+  // [method, path pattern, handler({ params, query, body })]
+  return [
+    ['GET', /^\/v2\/locations$/, () => ({ locations: [...state.locations.values()] })],
+    ['GET', /^\/v2\/locations\/([^/]+)$/, ({ params }) => ({ location: getOrThrow(state.locations, 'Location', params[0]) })],
+
+    ['GET', /^\/v2\/customers$/, () => ({ customers: [...state.customers.values()] })],
+    ['POST', /^\/v2\/customers$/, ({ body }) => ({ customer: saveCustomer({ ...body, idempotency_key: undefined }) })],
+    ['POST', /^\/v2\/customers\/search$/, ({ body }) => {
+      const filter = body.query?.filter || {}
+      const matches = [...state.customers.values()].filter((customer) =>
+        (!filter.email_address?.exact || customer.email_address === filter.email_address.exact) &&
+        (!filter.phone_number?.exact || customer.phone_number === filter.phone_number.exact) &&
+        (!filter.reference_id?.exact || customer.reference_id === filter.reference_id.exact))
+      return { customers: matches }
+    }],
+    ['GET', /^\/v2\/customers\/([^/]+)$/, ({ params }) => ({ customer: getOrThrow(state.customers, 'Customer', params[0]) })],
+    ['PUT', /^\/v2\/customers\/([^/]+)$/, ({ params, body }) => {
+      getOrThrow(state.customers, 'Customer', params[0])
+      return { customer: saveCustomer({ ...body, id: params[0] }) }
+    }],
+    ['GET', /^\/v2\/customers\/([^/]+)\/custom-attributes$/, ({ params }) => ({
+      custom_attributes: listAttributes(state.customerAttributes, params[0])
+    })],
+    ['GET', /^\/v2\/customers\/([^/]+)\/custom-attributes\/([^/]+)$/, ({ params }) => {
+      const attribute = state.customerAttributes.get(params[0])?.get(params[1])
+      if (!attribute) throw notFound('Custom attribute', params[1])
+      return { custom_attribute: attribute }
+    }],
+    ['POST', /^\/v2\/customers\/([^/]+)\/custom-attributes\/([^/]+)$/, ({ params, body }) => {
+      getOrThrow(state.customers, 'Customer', params[0])
+      return { custom_attribute: upsertCustomAttribute(state.customerAttributes, params[0], params[1], body.custom_attribute) }
+    }],
+
+    ['GET', /^\/v2\/bookings$/, ({ query }) => ({
+      bookings: [...state.bookings.values()]
+        .filter((booking) =>
+          (!query.location_id || booking.location_id === query.location_id) &&
+          (!query.customer_id || booking.customer_id === query.customer_id) &&
+          (!query.start_at_min || booking.start_at >= query.start_at_min) &&
+          (!query.start_at_max || booking.start_at < query.start_at_max))
+        .sort((a, b) => (a.start_at < b.start_at ? -1 : 1))
+    })],
+    ['POST', /^\/v2\/bookings$/, ({ body }) => ({ booking: saveBooking({ ...body.booking, id: undefined }) })],
+    ['GET', /^\/v2\/bookings\/([^/]+)$/, ({ params }) => ({ booking: getOrThrow(state.bookings, 'Booking', params[0]) })],
+    ['PUT', /^\/v2\/bookings\/([^/]+)$/, ({ params, body }) => {
+      getOrThrow(state.bookings, 'Booking', params[0])
+      return { booking: saveBooking({ ...body.booking, id: params[0] }) }
+    }],
+    ['POST', /^\/v2\/bookings\/([^/]+)\/cancel$/, ({ params }) => {
+      getOrThrow(state.bookings, 'Booking', params[0])
+      return { booking: saveBooking({ id: params[0], status: 'CANCELLED_BY_SELLER' }) }
+    }],
+    ['GET', /^\/v2\/bookings\/([^/]+)\/custom-attributes$/, ({ params }) => ({
+      custom_attributes: listAttributes(state.bookingAttributes, params[0])
+    })],
+
+    ['POST', /^\/v2\/orders$/, ({ body }) => ({ order: saveOrder({ ...body.order, id: undefined, state: body.order?.state || 'OPEN' }) })],
+    ['POST', /^\/v2\/orders\/batch-retrieve$/, ({ body }) => ({
+      orders: (body.order_ids || []).map((id) => state.orders.get(id)).filter(Boolean)
+    })],
+    ['POST', /^\/v2\/orders\/search$/, ({ body }) => {
+      const filter = body.query?.filter || {}
+      const createdAt = filter.date_time_filter?.created_at
+      const customerIds = filter.customer_filter?.customer_ids
+      const orders = [...state.orders.values()]
+        .filter((order) =>
+          (!body.location_ids?.length || body.location_ids.includes(order.location_id)) &&
+          (!createdAt || inRange(order.created_at, createdAt.start_at, createdAt.end_at)) &&
+          (!customerIds?.length || customerIds.includes(order.customer_id)) &&
+          (!filter.state_filter?.states?.length || filter.state_filter.states.includes(order.state)))
+        .sort(byCreatedAt)
+      return { orders }
+    }],
+    ['GET', /^\/v2\/orders\/([^/]+)$/, ({ params }) => ({ order: getOrThrow(state.orders, 'Order', params[0]) })],
+    ['PUT', /^\/v2\/orders\/([^/]+)$/, ({ params, body }) => {
+      const existing = getOrThrow(state.orders, 'Order', params[0])
+      return { order: saveOrder({ ...existing, ...body.order, id: params[0] }) }
+    }],
+
+    ['GET', /^\/v2\/payments$/, ({ query }) => ({
+      payments: [...state.payments.values()]
+        .filter((payment) =>
+          (!query.location_id || payment.location_id === query.location_id) &&
+          inRange(payment.created_at, query.begin_time, query.end_time || '9999'))
+        .sort(byCreatedAt)
+    })],
+    ['POST', /^\/v2\/payments$/, ({ body }) => ({ payment: createPayment(body) })],
+    ['GET', /^\/v2\/payments\/([^/]+)$/, ({ params }) => ({ payment: getOrThrow(state.payments, 'Payment', params[0]) })],
+
+    ['GET', /^\/v2\/refunds$/, ({ query }) => ({
+      refunds: [...state.refunds.values()]
+        .filter((refund) =>
+          (!query.location_id || refund.location_id === query.location_id) &&
+          inRange(refund.created_at, query.begin_time, query.end_time || '9999'))
+        .sort(byCreatedAt)
+    })],
+    ['POST', /^\/v2\/refunds$/, ({ body }) => ({ refund: createRefund(body) })],
+
+    ['POST', /^\/v2\/gift-cards\/activities$/, ({ body }) => ({
+      gift_card_activity: createGiftCardActivity(body.gift_card_activity || {})
+    })],
+    ['GET', /^\/v2\/gift-cards\/activities$/, ({ query }) => ({
+      gift_card_activities: state.giftCardActivities.filter((activity) =>
+        (!query.gift_card_id || activity.gift_card_id === query.gift_card_id) &&
+        (!query.type || activity.type === query.type) &&
+        (!query.location_id || activity.location_id === query.location_id) &&
+        inRange(activity.created_at, query.begin_time, query.end_time || '9999'))
+    })],
+    ['GET', /^\/v2\/gift-cards$/, ({ query }) => ({
+      gift_cards: [...state.giftCards.values()].filter((card) =>
+        (!query.customer_id || card.customer_ids.includes(query.customer_id)) &&
+        (!query.state || card.state === query.state))
+    })],
+    ['POST', /^\/v2\/gift-cards$/, ({ body }) => ({
+      gift_card: saveGiftCard({ ...body.gift_card, id: undefined, state: 'PENDING' })
+    })],
+    ['POST', /^\/v2\/gift-cards\/from-gan$/, ({ body }) => {
+      const giftCard = [...state.giftCards.values()].find((card) => card.gan === body.gan)
+      if (!giftCard) throw notFound('Gift card', body.gan)
+      return { gift_card: giftCard }
+    }],
+    ['GET', /^\/v2\/gift-cards\/([^/]+)$/, ({ params }) => ({ gift_card: getOrThrow(state.giftCards, 'Gift card', params[0]) })],
+    ['POST', /^\/v2\/gift-cards\/([^/]+)\/link-customer$/, ({ params, body }) => {
+      const giftCard = getOrThrow(state.giftCards, 'Gift card', params[0])
+      getOrThrow(state.customers, 'Customer', body.customer_id)
+      if (!giftCard.customer_ids.includes(body.customer_id)) giftCard.customer_ids.push(body.customer_id)
+      state.emit('gift_card.customer_linked', 'gift_card', giftCard.id, {
+        linked_customer_id: body.customer_id,
+        gift_card: giftCard
+      })
+      return { gift_card: giftCard }
+    }],
+
+    ['POST', /^\/v2\/events$/, ({ body }) => {
+      const filter = body.query?.filter || {}
+      const events = state.events.filter((event) =>
+        (!filter.event_types?.length || filter.event_types.includes(event.type)) &&
+        (!filter.merchant_ids?.length || filter.merchant_ids.includes(event.merchant_id)) &&
+        (!filter.created_at || inRange(event.created_at, filter.created_at.start_at, filter.created_at.end_at)))
+      return { events }
+    }]
+  ].map(([method, pattern, handle]) => ({ method, pattern, handle }))
+}
+
+/**
+ * Starts the fake on 127.0.0.1 (random port unless given).
+ * Returns { url, state, events, requests, seed, failNext, reset, useAsSquareApi, stop }.
+ */
+async function startFakeSquareServer({ port = 0, merchantId = DEFAULT_MERCHANT_ID, accessToken = 'fake-square-token' } = {}) {
+  let state
+  let routes
+  let idempotentResponses
+  let faults
+  let eventCursor = 0
+  const requests = []
+
+  function reset() {
+    state = createFakeSquareState({ merchantId })
+    routes = createHandlers(state)
+    idempotentResponses = new Map()
+    faults = []
+    eventCursor = 0
+    requests.length = 0
+    state.locations.set(DEFAULT_LOCATION_ID, {
+      id: DEFAULT_LOCATION_ID,
+      merchant_id: merchantId,
+      name: 'Fake Location',
+      status: 'ACTIVE',
+      timezone: 'America/Los_Angeles',
+      currency: 'USD'
+    })
+  }
+  reset()
+
+  function takeFault(method, path) {
+    const fault = faults.find((f) =>
+      (!f.method || f.method === method) &&
+      (f.path instanceof RegExp ? f.path.test(path) : path.startsWith(f.path || '')))
+    if (!fault) return null
+    fault.times -= 1
+    if (fault.times <= 0) faults.splice(faults.indexOf(fault), 1)
+    return fault
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://fake-square')
+    const method = req.method
+    const path = url.pathname
+    let body = {}
+
+    try {
+      body = method === 'GET' ? {} : await readBody(req)
+      requests.push({ method, path, query: Object.fromEntries(url.searchParams), body, at: nowIso() })
+
+      if (req.headers.authorization !== `Bearer ${accessToken}`) {
+        throw squareError(401, 'UNAUTHORIZED', 'Invalid access token', 'AUTHENTICATION_ERROR')
+      }
+
+      const fault = takeFault(method, path)
+      if (fault) {
+        return send(res, fault.status, { errors: [{ category: 'API_ERROR', code: fault.code, detail: `Injected ${fault.status}` }] })
+      }
+
+      const idempotencyKey = body.idempotency_key
+      const cacheKey = idempotencyKey ? `${method} ${path} ${idempotencyKey}` : null
+      if (cacheKey && idempotentResponses.has(cacheKey)) {
+        const cached = idempotentResponses.get(cacheKey)
+        return send(res, cached.status, cached.body)
+      }
+
+      const route = routes.find((r) => r.method === method && r.pattern.test(path))
+      if (!route) throw squareError(404, 'NOT_FOUND', `Fake Square does not implement ${method} ${path}`)
+
+      const params = path.match(route.pattern).slice(1).map(decodeURIComponent)
+      const result = route.handle({ params, query: Object.fromEntries(url.searchParams), body })
+      if (cacheKey) idempotentResponses.set(cacheKey, { status: 200, body: result })
+      return send(res, 200, result)
+    } catch (error) {
+      if (error.status) return send(res, error.status, error.body)
+      console.error(`❌ Fake Square ${method} ${path} failed:`, error.message)
+      return send(res, 500, { errors: [{ category: 'API_ERROR', code: 'INTERNAL_SERVER_ERROR', detail: error.message }] })
+    }
+  }
+
+  const server = http.createServer((req, res) => { handle(req, res) })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', resolve)
+  })
+  const url = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    url,
+    merchantId,
+    get state() { return state },
+    get events() { return state.events },
+    requests,
+
+    // Objects created without going through the API (no idempotency, events only where Square would send them)
+    seed: {
+      location: (location) => {
+        const saved = { status: 'ACTIVE', merchant_id: merchantId, currency: 'USD', ...location }
+        state.locations.set(saved.id, saved)
+        return saved
+      },
+      customer: (customer) => {
+        const saved = { created_at: nowIso(), updated_at: nowIso(), version: 0, ...customer }
+        state.customers.set(saved.id, saved)
+        return saved
+      },
+      customerAttribute: (customerId, key, value) => {
+        if (!state.customerAttributes.has(customerId)) state.customerAttributes.set(customerId, new Map())
+        const attribute = { key, value, version: 1, visibility: 'VISIBILITY_READ_ONLY', created_at: nowIso(), updated_at: nowIso() }
+        state.customerAttributes.get(customerId).set(key, attribute)
+        return attribute
+      },
+      bookingAttribute: (bookingId, key, value) => {
+        if (!state.bookingAttributes.has(bookingId)) state.bookingAttributes.set(bookingId, new Map())
+        const attribute = { key, value, version: 1, visibility: 'VISIBILITY_READ_ONLY', created_at: nowIso(), updated_at: nowIso() }
+        state.bookingAttributes.get(bookingId).set(key, attribute)
+        return attribute
+      }
+    },
+
+    /**
+     * Fails the next `times` matching requests with `status` (default one 500).
+     * path: prefix string or RegExp, e.g. { method: 'POST', path: '/v2/gift-cards', status: 429 }
+     */
+    failNext({ method = null, path = '', status = 500, times = 1, code = null } = {}) {
+      faults.push({ method, path, status, times, code: code || (status === 429 ? 'RATE_LIMITED' : 'INTERNAL_SERVER_ERROR') })
+    },
+
+    /** Events emitted since the last call (they stay available to POST /v2/events). */
+    takeEvents() {
+      const taken = state.events.slice(eventCursor)
+      eventCursor = state.events.length
+      return taken
+    },
+
+    reset,
+
+    /** Points SQUARE_API_BASE_URL / SQUARE_ACCESS_TOKEN at this server. */
+    useAsSquareApi() {
+      process.env.SQUARE_API_BASE_URL = url
+      process.env.SQUARE_ACCESS_TOKEN = accessToken
+      return url
+    },
+
+    stop() {
+      return new Promise((resolve) => server.close(() => resolve()))
+    }
+  }
+}
+
+module.exports = {
+  startFakeSquareServer,
+  DEFAULT_MERCHANT_ID,
+  DEFAULT_LOCATION_ID
+}
@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+
+/**
+ * Square Webhook Signer
+ * Signs fake Square webhook deliveries so tests can drive the real handlers.
+ *
+ * POST /api/webhooks/square (verifySquareSignature) checks an HMAC-SHA256 of
+ * the raw body only. Square itself, the SDK WebhooksHelper and the referrals
+ * route sign notificationUrl + body; pass notificationUrl for those.
+ */
+
+const DEFAULT_WEBHOOK_URL = 'http://localhost:3000/api/webhooks/square'
+
+/**
+ * Base64 HMAC-SHA256 signature for a raw webhook body.
+ */
+function signSquareWebhook(rawBody, signatureKey, { notificationUrl = null } = {}) {
+  if (!signatureKey) throw new Error('signatureKey is required')
+  return crypto
+    .createHmac('sha256', signatureKey)
+    .update(`${notificationUrl || ''}${rawBody}`)
+    .digest('base64')
+}
+
+/**
+ * A signed Request for a webhook event, ready to pass to a route's POST(request).
+ * signatureKey defaults to SQUARE_WEBHOOK_SIGNATURE_KEY.
+ */
+function buildSquareWebhookRequest(event, {
+  signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY,
+  url = DEFAULT_WEBHOOK_URL,
+  signUrl = false
+} = {}) {
+  const rawBody = typeof event === 'string' ? event : JSON.stringify(event)
+  const signature = signSquareWebhook(rawBody, signatureKey, { notificationUrl: signUrl ? url : null })
+  return new Request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-square-hmacsha256-signature': signature
+    },
+    body: rawBody
+  })
+}
+
+/**
+ * Delivers events one by one to a route handler (e.g. the POST export of
+ * app/api/webhooks/square/route.js). Returns [{ eventId, type, status, body }].
+ */
+async function deliverSquareWebhooks(handler, events, options = {}) {
+  const results = []
+  for (const event of events) {
+    const response = await handler(buildSquareWebhookRequest(event, options))
+    const body = await response.json().catch(() => null)
+    results.push({ eventId: event.event_id, type: event.type, status: response.status, body })
+  }
+  return results
+}
+
+module.exports = {
+  signSquareWebhook,
+  buildSquareWebhookRequest,
+  deliverSquareWebhooks
+}
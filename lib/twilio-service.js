@@ -1,4 +1,16 @@
 const twilio = require('twilio')
+const { withSpan } = require('./observability/tracing')
+const {
+  TWILIO_UNSUBSCRIBED_ERROR_CODE,
+  isSmsOptedOut,
+  recordTwilioUnsubscribed
+} = require('./messaging/sms-consent')
+const {
+  getActiveTemplate,
+  renderTemplate,
+  buildTemplateVariables,
+  templateMetadata
+} = require('./messaging/message-templates')
 
 const smsExplicitlyDisabled =
   process.env.DISABLE_SMS_SENDING === 'true' || process.env.SMS_ENABLED === 'false'
@@ -7,19 +19,29 @@ const authToken = process.env.TWILIO_AUTH_TOKEN?.trim()
 const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID?.trim()
 const fromPhoneNumber = process.env.TWILIO_PHONE_NUMBER?.trim()
 
-const REFERRAL_PROGRAM_SMS_TEMPLATE = [
-  '✨ New Referral Program at Zorina! ✨',
-  '',
-  '[Name],',
-  '',
-  '✨ You can now earn a referral discount — for you and your friend! ✨',
-  '',
-  'Share your personal link, give your friend $10 off her first visit, and once she comes in, you receive $10 on your account too 🤍',
-  '',
-  'Follow the link below to see your code and full details ✨',
-  '',
-  '[referral_url]'
-].join('\n')
+function formatDollars(cents) {
+  const dollars = cents / 100
+  return Number.isInteger(dollars) ? `$${dollars}` : `$${dollars.toFixed(2)}`
+}
+
+// Referral invite copy with the organization's reward amounts filled in
+function buildReferralProgramSmsTemplate({ friendRewardCents = 1000, referrerRewardCents = 1000 } = {}) {
+  return [
+    '✨ New Referral Program at Zorina! ✨',
+    '',
+    '[Name],',
+    '',
+    '✨ You can now earn a referral discount — for you and your friend! ✨',
+    '',
+    `Share your personal link, give your friend ${formatDollars(friendRewardCents)} off her first visit, and once she comes in, you receive ${formatDollars(referrerRewardCents)} on your account too 🤍`,
+    '',
+    'Follow the link below to see your code and full details ✨',
+    '',
+    '[referral_url]'
+  ].join('\n')
+}
+
+const REFERRAL_PROGRAM_SMS_TEMPLATE = buildReferralProgramSmsTemplate()
 
 const statusCallbackUrl = process.env.NEXT_PUBLIC_BASE_URL
   ? `${process.env.NEXT_PUBLIC_BASE_URL}/api/webhooks/twilio`
@@ -36,6 +58,42 @@ if (smsReady) {
   console.log('ℹ️ Twilio SMS sending not fully configured. Set TWILIO_* env vars and SMS_ENABLED.')
 }
 
+// messages.create inside a trace span (lib/observability/tracing.js), without the phone number
+function createMessage(payload) {
+  return withSpan('twilio.messages.create', {}, async (span) => {
+    const result = await twilioClient.messages.create(payload)
+    span.setAttributes({ sid: result?.sid })
+    return result
+  })
+}
+
+// Customer texts skip numbers in the opt-out registry (lib/messaging/sms-consent.js)
+async function optOutSkip(normalizedTo, organizationId) {
+  if (!(await isSmsOptedOut(normalizedTo, { organizationId }))) return null
+  console.log(`📵 SMS skipped – ${normalizedTo} opted out`)
+  return { success: false, skipped: true, reason: 'opted-out' }
+}
+
+// Twilio refuses numbers that replied STOP to our sender; keep the registry in step
+async function recordIfUnsubscribed(error, normalizedTo, organizationId) {
+  if (Number(error?.code) !== TWILIO_UNSUBSCRIBED_ERROR_CODE) return
+  try {
+    await recordTwilioUnsubscribed(normalizedTo, { organizationId })
+  } catch (recordError) {
+    console.warn(`⚠️ Failed to record opt-out for ${normalizedTo}:`, recordError.message)
+  }
+}
+
+// The organization's active SMS template (lib/messaging/message-templates.js), rendered, or null
+async function renderStoredSms(organizationId, templateType, recipientKey, values) {
+  const template = await getActiveTemplate({ organizationId, templateType, channel: 'SMS', recipientKey })
+  if (!template) return null
+  return {
+    body: ensureOptOut(renderTemplate(template, buildTemplateVariables(values)).text),
+    meta: templateMetadata(template)
+  }
+}
+
 const PLACEHOLDER_VARIANTS = [
   /\[name\]/gi,
   /\{name\}/gi,
@@ -102,17 +160,48 @@ function resolveReferralMessage({ name, referralUrl, body }) {
   return ensureOptOut(defaultBody)
 }
 
+// Direct sends record their own notification_events row so template A/B
+// results count them; the dispatcher tracks its attempts itself (track: false).
+async function trackDirectSms({ templateType, customerId, referrerCustomerId, referralEventId, phoneNumber, metadata, organizationId }, result) {
+  // Lazy: the email service pulls in SendGrid and nodemailer
+  const { trackNotification } = require('./email-service-simple')
+  await trackNotification({
+    channel: 'SMS',
+    templateType,
+    status: result.success ? 'sent' : 'failed',
+    customerId,
+    referrerCustomerId,
+    referralEventId,
+    externalId: result.sid || null,
+    metadata: {
+      phoneNumber,
+      ...metadata,
+      ...(result.messageTemplateId ? { messageTemplateId: result.messageTemplateId, messageTemplateVersion: result.messageTemplateVersion } : {})
+    },
+    errorMessage: result.error || null,
+    errorCode: result.code ? String(result.code) : null,
+    organizationId
+  })
+}
+
+/**
+ * Referral invite SMS. Copy precedence: an explicit `body`, then the
+ * organization's active message template, then `defaultBody` (e.g. the
+ * program's sms_template), then the built-in copy.
+ */
 async function sendReferralCodeSms({
   to,
   name,
   referralUrl,
   body,
+  defaultBody,
   customerId,
   referrerCustomerId,
   referralEventId,
   templateType,
   metadata,
-  organizationId
+  organizationId,
+  track = true
 }) {
   const normalizedTo = normalizePhone(to)
   if (!normalizedTo) {
@@ -125,11 +214,29 @@ async function sendReferralCodeSms({
     return { success: true, skipped: true, reason: 'sms-disabled' }
   }
 
-  const messageBody = resolveReferralMessage({ name, referralUrl, body })
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
+  const resolvedTemplateType = templateType || 'REFERRAL_INVITE'
+  const explicitBody = body?.trim() ? body : null
+  const stored = explicitBody
+    ? null
+    : await renderStoredSms(organizationId, resolvedTemplateType, customerId || normalizedTo, { name, referralUrl })
+  const messageBody = stored?.body || resolveReferralMessage({ name, referralUrl, body: explicitBody || defaultBody })
   if (!messageBody) {
     return { success: false, skipped: true, reason: 'empty-body' }
   }
 
+  const tracking = {
+    templateType: resolvedTemplateType,
+    customerId,
+    referrerCustomerId,
+    referralEventId,
+    phoneNumber: normalizedTo,
+    metadata,
+    organizationId
+  }
+
   try {
     const payload = {
       to: normalizedTo,
@@ -146,17 +253,22 @@ async function sendReferralCodeSms({
       payload.statusCallback = statusCallbackUrl
     }
 
-    const result = await twilioClient.messages.create(payload)
+    const result = await createMessage(payload)
     console.log(`📲 SMS sent to ${normalizedTo} (sid: ${result.sid})`)
 
-    return { success: true, sid: result.sid }
+    const response = { success: true, sid: result.sid, ...stored?.meta }
+    if (track) await trackDirectSms(tracking, response)
+    return response
   } catch (error) {
     console.error(`❌ Failed to send SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
     if (error?.code) {
       console.error(`   Twilio error code: ${error.code}`)
     }
 
-    return { success: false, error: error.message, code: error.code }
+    const response = { success: false, error: error.message, code: error.code, ...stored?.meta }
+    if (track) await trackDirectSms(tracking, response)
+    return response
   }
 }
 
@@ -170,7 +282,8 @@ async function sendGiftCardSmsNotification({
   amountCents,
   activationUrl,
   organizationId,
-  customerId
+  customerId,
+  templateType = 'GIFT_CARD_DELIVERY'
 }) {
   const normalizedTo = normalizePhone(to)
   if (!normalizedTo) {
@@ -183,8 +296,17 @@ async function sendGiftCardSmsNotification({
     return { success: true, skipped: true, reason: 'sms-disabled' }
   }
 
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
   const amount = ((amountCents || 0) / 100).toFixed(2)
-  const messageBody = `✨ Your $${amount} Zorina reward is ready! Use card: ${giftCardGan} at checkout. View details: ${activationUrl || 'studiozorina.com'} 🤍 Reply STOP to opt out`
+  const stored = await renderStoredSms(organizationId, templateType, customerId || normalizedTo, {
+    name: customerName,
+    amountCents,
+    giftCardGan,
+    activationUrl
+  })
+  const messageBody = stored?.body || `✨ Your $${amount} Zorina reward is ready! Use card: ${giftCardGan} at checkout. View details: ${activationUrl || 'studiozorina.com'} 🤍 Reply STOP to opt out`
 
   try {
     const payload = {
@@ -202,12 +324,13 @@ async function sendGiftCardSmsNotification({
       payload.statusCallback = statusCallbackUrl
     }
 
-    const result = await twilioClient.messages.create(payload)
+    const result = await createMessage(payload)
     console.log(`📲 Gift card SMS sent to ${normalizedTo} (sid: ${result.sid})`)
 
-    return { success: true, sid: result.sid }
+    return { success: true, sid: result.sid, ...stored?.meta }
   } catch (error) {
     console.error(`❌ Failed to send gift card SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
     return { success: false, error: error.message, code: error.code }
   }
 }
@@ -215,7 +338,7 @@ async function sendGiftCardSmsNotification({
 /**
  * Send verification code SMS (for phone verification in lookup page)
  */
-async function sendVerificationCodeSms({ to, code }) {
+async function sendVerificationCodeSms({ to, code, organizationId = null }) {
   const normalizedTo = normalizePhone(to)
   if (!normalizedTo) {
     console.log('⚠️ SMS skipped – destination phone is missing')
@@ -227,6 +350,9 @@ async function sendVerificationCodeSms({ to, code }) {
     return { success: true, skipped: true, reason: 'sms-disabled' }
   }
 
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
   const messageBody = `Your Zorina verification code is: ${code}. This code expires in 10 minutes. ${OPT_OUT_FOOTER}`
 
   try {
@@ -245,12 +371,13 @@ async function sendVerificationCodeSms({ to, code }) {
       payload.statusCallback = statusCallbackUrl
     }
 
-    const result = await twilioClient.messages.create(payload)
+    const result = await createMessage(payload)
     console.log(`📲 Verification SMS sent to ${normalizedTo} (sid: ${result.sid})`)
 
     return { success: true, sid: result.sid }
   } catch (error) {
     console.error(`❌ Failed to send verification SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
     if (error?.code) {
       console.error(`   Twilio error code: ${error.code}`)
     }
@@ -262,7 +389,7 @@ async function sendVerificationCodeSms({ to, code }) {
 /**
  * Send post-visit reminder SMS (every visit, every customer)
  */
-async function sendPostVisitReminderSms({ to, customerName, referralCode, referralUrl }) {
+async function sendPostVisitReminderSms({ to, customerName, referralCode, referralUrl, organizationId = null }) {
   const normalizedTo = normalizePhone(to)
   if (!normalizedTo) {
     console.log('⚠️ SMS skipped – destination phone is missing')
@@ -274,11 +401,19 @@ async function sendPostVisitReminderSms({ to, customerName, referralCode, referr
     return { success: true, skipped: true, reason: 'sms-disabled' }
   }
 
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
   const safeName = customerName?.toString().trim() || 'there'
   const safeCode = referralCode?.toString().trim() || ''
   const safeUrl = referralUrl?.toString().trim() || ''
 
-  const messageBody = [
+  const stored = await renderStoredSms(organizationId, 'POST_VISIT_REMINDER', normalizedTo, {
+    name: safeName,
+    referralCode: safeCode,
+    referralUrl: safeUrl
+  })
+  const messageBody = stored?.body || [
     `Hey Zorina Girl! Thank you for visiting Zorina Nail Studio today 🤍`,
     `Here is your referral code: ${safeCode} ✨`,
     safeUrl,
@@ -305,12 +440,179 @@ async function sendPostVisitReminderSms({ to, customerName, referralCode, referr
       payload.statusCallback = statusCallbackUrl
     }
 
-    const result = await twilioClient.messages.create(payload)
+    const result = await createMessage(payload)
     console.log(`📲 Post-visit SMS sent to ${normalizedTo} (sid: ${result.sid})`)
 
-    return { success: true, sid: result.sid }
+    return { success: true, sid: result.sid, ...stored?.meta }
   } catch (error) {
     console.error(`❌ Failed to send post-visit SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
+    if (error?.code) {
+      console.error(`   Twilio error code: ${error.code}`)
+    }
+
+    return { success: false, error: error.message, code: error.code }
+  }
+}
+
+// Built-in win-back copy; with a gift card when the campaign issued one
+function buildWinbackSmsBody({ customerName, bookingUrl, amountCents, giftCardGan, expiresOn }) {
+  const safeName = customerName?.toString().trim() || 'there'
+  const lines = [`Hi ${safeName}, we miss you at Zorina Nail Studio 🤍`]
+  if (giftCardGan && amountCents) {
+    lines.push(`Here's ${formatDollars(amountCents)} toward your next visit – gift card ${giftCardGan}${expiresOn ? `, valid until ${expiresOn}` : ''} ✨`)
+  }
+  lines.push(`Book here: ${bookingUrl}`, '', OPT_OUT_FOOTER)
+  return lines.join('\n')
+}
+
+/**
+ * Win-back message from a campaign (lib/messaging/winback-campaigns.js).
+ */
+async function sendWinbackSms({ to, customerName, bookingUrl, amountCents, giftCardGan, expiresOn, activationUrl, organizationId = null, customerId = null }) {
+  const normalizedTo = normalizePhone(to)
+  if (!normalizedTo) {
+    console.log('⚠️ SMS skipped – destination phone is missing')
+    return { success: false, skipped: true, reason: 'missing-phone' }
+  }
+
+  if (!smsReady || !twilioClient) {
+    console.log(`ℹ️ SMS sending disabled. Would send win-back message to ${normalizedTo}`)
+    return { success: true, skipped: true, reason: 'sms-disabled' }
+  }
+
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
+  const stored = await renderStoredSms(organizationId, 'WINBACK_OFFER', customerId || normalizedTo, {
+    name: customerName,
+    bookingUrl,
+    amountCents,
+    giftCardGan,
+    expiresOn,
+    activationUrl
+  })
+  const messageBody = stored?.body || buildWinbackSmsBody({ customerName, bookingUrl, amountCents, giftCardGan, expiresOn })
+
+  try {
+    const payload = {
+      to: normalizedTo,
+      body: messageBody
+    }
+
+    if (messagingServiceSid) {
+      payload.messagingServiceSid = messagingServiceSid
+    } else if (fromPhoneNumber) {
+      payload.from = fromPhoneNumber
+    }
+
+    if (statusCallbackUrl) {
+      payload.statusCallback = statusCallbackUrl
+    }
+
+    const result = await createMessage(payload)
+    console.log(`📲 Win-back SMS sent to ${normalizedTo} (sid: ${result.sid})`)
+
+    return { success: true, sid: result.sid, ...stored?.meta }
+  } catch (error) {
+    console.error(`❌ Failed to send win-back SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
+    return { success: false, error: error.message, code: error.code }
+  }
+}
+
+/**
+ * Tell a referrer their reward was reversed because the friend's first payment
+ * was refunded or disputed.
+ */
+async function sendReferralRewardClawbackSms({ to, customerName, amountCents, reason = 'refund', organizationId = null }) {
+  const normalizedTo = normalizePhone(to)
+  if (!normalizedTo) {
+    console.log('⚠️ SMS skipped – destination phone is missing')
+    return { success: false, skipped: true, reason: 'missing-phone' }
+  }
+
+  if (!smsReady || !twilioClient) {
+    console.log(`ℹ️ SMS sending disabled. Would send referral clawback notice to ${normalizedTo}`)
+    return { success: true, skipped: true, reason: 'sms-disabled' }
+  }
+
+  const optedOut = await optOutSkip(normalizedTo, organizationId)
+  if (optedOut) return optedOut
+
+  const safeName = customerName?.toString().trim() || 'there'
+  const messageBody = [
+    `Hi ${safeName}, the visit you referred was ${reason === 'dispute' ? 'disputed' : 'refunded'}, so your ${formatDollars(amountCents || 0)} referral reward has been reversed.`,
+    'Questions? Just reply to this message 🤍',
+    '',
+    OPT_OUT_FOOTER
+  ].join('\n')
+
+  try {
+    const payload = {
+      to: normalizedTo,
+      body: messageBody
+    }
+
+    if (messagingServiceSid) {
+      payload.messagingServiceSid = messagingServiceSid
+    } else if (fromPhoneNumber) {
+      payload.from = fromPhoneNumber
+    }
+
+    if (statusCallbackUrl) {
+      payload.statusCallback = statusCallbackUrl
+    }
+
+    const result = await createMessage(payload)
+    console.log(`📲 Referral clawback SMS sent to ${normalizedTo} (sid: ${result.sid})`)
+
+    return { success: true, sid: result.sid }
+  } catch (error) {
+    console.error(`❌ Failed to send referral clawback SMS to ${normalizedTo}:`, error.message)
+    await recordIfUnsubscribed(error, normalizedTo, organizationId)
+    if (error?.code) {
+      console.error(`   Twilio error code: ${error.code}`)
+    }
+
+    return { success: false, error: error.message, code: error.code }
+  }
+}
+
+/**
+ * Operational alert to staff (see lib/alerts). No opt-out footer: recipients
+ * are configured by admins, not customers.
+ */
+async function sendAlertSms({ to, body }) {
+  const normalizedTo = normalizePhone(to)
+  if (!normalizedTo) {
+    console.log('⚠️ SMS skipped – destination phone is missing')
+    return { success: false, skipped: true, reason: 'missing-phone' }
+  }
+
+  if (!smsReady || !twilioClient) {
+    console.log(`ℹ️ SMS sending disabled. Would send alert to ${normalizedTo}: ${body}`)
+    return { success: true, skipped: true, reason: 'sms-disabled' }
+  }
+
+  try {
+    const payload = {
+      to: normalizedTo,
+      body
+    }
+
+    if (messagingServiceSid) {
+      payload.messagingServiceSid = messagingServiceSid
+    } else if (fromPhoneNumber) {
+      payload.from = fromPhoneNumber
+    }
+
+    const result = await createMessage(payload)
+    console.log(`📲 Alert SMS sent to ${normalizedTo} (sid: ${result.sid})`)
+
+    return { success: true, sid: result.sid }
+  } catch (error) {
+    console.error(`❌ Failed to send alert SMS to ${normalizedTo}:`, error.message)
     if (error?.code) {
       console.error(`   Twilio error code: ${error.code}`)
     }
@@ -324,6 +626,11 @@ module.exports = {
   sendGiftCardSmsNotification,
   sendVerificationCodeSms,
   sendPostVisitReminderSms,
+  sendWinbackSms,
+  sendReferralRewardClawbackSms,
+  sendAlertSms,
+  buildWinbackSmsBody,
+  buildReferralProgramSmsTemplate,
   REFERRAL_PROGRAM_SMS_TEMPLATE
 }
 
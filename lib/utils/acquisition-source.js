@@ -1,3 +1,5 @@
+const { getSquareApiBaseUrl } = require('./square-env')
+
 const HOW_DID_YOU_HEAR_ATTRIBUTE_KEY = 'square:c11dd5ac-8382-4570-9c7b-2bdcb1c781f1'
 
 const HOW_DID_YOU_HEAR_OPTIONS = {
@@ -21,7 +23,7 @@ async function fetchAcquisitionSourceFromSquare(customerId) {
   const token = process.env.SQUARE_ACCESS_TOKEN?.replace(/^Bearer /, '').replace(/"/g, '').trim()
   if (!token || !customerId) return null
 
-  const url = `https://connect.squareup.com/v2/customers/${customerId}/custom-attributes/${encodeURIComponent(HOW_DID_YOU_HEAR_ATTRIBUTE_KEY)}`
+  const url = `${getSquareApiBaseUrl()}/v2/customers/${customerId}/custom-attributes/${encodeURIComponent(HOW_DID_YOU_HEAR_ATTRIBUTE_KEY)}`
   const res = await fetch(url, {
     headers: {
       Authorization: `Bearer ${token}`,
@@ -0,0 +1,22 @@
+const prisma = require('../prisma-client')
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles'
+
+/**
+ * IANA time zone for an organization: organizations.settings.timezone,
+ * falling back to Los Angeles when unset.
+ * @param {string} organizationId
+ * @returns {Promise<string>}
+ */
+async function getOrganizationTimezone(organizationId) {
+  const organization = await prisma.organization.findUnique({
+    where: { id: organizationId },
+    select: { settings: true }
+  })
+  return organization?.settings?.timezone || DEFAULT_TIMEZONE
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getOrganizationTimezone
+}
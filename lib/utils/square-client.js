@@ -1,8 +1,23 @@
 const { Client, Environment, WebhooksHelper } = require('square/legacy')
-const { getSquareEnvironmentName } = require('./square-env')
+const { getSquareEnvironmentName, getSquareApiBaseUrl } = require('./square-env')
 
 let squareClientInstance = null
 
+/**
+ * Environment options for a Square Client.
+ * SQUARE_API_BASE_URL points the client at another server (e.g. a local fake
+ * Square in tests) instead of Square production/sandbox.
+ * @returns {{ environment: string, customUrl?: string }}
+ */
+function getSquareClientEnvironment() {
+  if (process.env.SQUARE_API_BASE_URL?.trim()) {
+    return { environment: Environment.Custom, customUrl: getSquareApiBaseUrl() }
+  }
+  return {
+    environment: getSquareEnvironmentName() === 'sandbox' ? Environment.Sandbox : Environment.Production
+  }
+}
+
 /**
  * Get a singleton Square Client instance
  * Uses square/legacy for backward compatibility with existing API call patterns
@@ -12,7 +27,6 @@ function getSquareClient() {
   if (squareClientInstance) return squareClientInstance
 
   const squareEnvName = getSquareEnvironmentName()
-  const resolvedEnvironment = squareEnvName === 'sandbox' ? Environment.Sandbox : Environment.Production
 
   let accessToken = process.env.SQUARE_ACCESS_TOKEN?.trim()
   if (accessToken && accessToken.startsWith('Bearer ')) {
@@ -25,7 +39,7 @@ function getSquareClient() {
 
   squareClientInstance = new Client({
     accessToken: accessToken,
-    environment: resolvedEnvironment,
+    ...getSquareClientEnvironment(),
   })
 
   if (process.env.NODE_ENV !== 'production') {
@@ -55,6 +69,7 @@ const getBookingsApi = () => getSquareClient().bookingsApi
 
 module.exports = {
   getSquareClient,
+  getSquareClientEnvironment,
   getWebhooksHelper,
   getCustomersApi,
   getGiftCardsApi,
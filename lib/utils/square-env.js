@@ -1,5 +1,10 @@
 const DEFAULT_ENV = 'production'
 
+const SQUARE_API_HOSTS = {
+  production: 'https://connect.squareup.com',
+  sandbox: 'https://connect.squareupsandbox.com'
+}
+
 function getSquareEnvironmentName() {
   const raw =
     process.env.SQUARE_ENVIRONMENT ||
@@ -14,8 +19,19 @@ function getSquareEnvironmentName() {
   return normalized === 'sandbox' ? 'sandbox' : DEFAULT_ENV
 }
 
+/**
+ * Square API origin (without /v2). SQUARE_API_BASE_URL overrides it, e.g. to
+ * point every Square call at a local fake Square server in tests.
+ */
+function getSquareApiBaseUrl() {
+  const custom = process.env.SQUARE_API_BASE_URL?.trim()
+  if (custom) return custom.replace(/\/+$/, '')
+  return SQUARE_API_HOSTS[getSquareEnvironmentName()]
+}
+
 module.exports = {
-  getSquareEnvironmentName
+  getSquareEnvironmentName,
+  getSquareApiBaseUrl
 }
 
 
@@ -0,0 +1,267 @@
+const prisma = require('../prisma-client')
+const { getSquareClient } = require('./square-client')
+const { buildIdempotencyKey } = require('../runs/giftcard-run-tracker')
+const { withSpan, currentTraceContext } = require('../observability/tracing')
+
+/**
+ * Square Mutations
+ * The one way gift card, order, payment and custom attribute writes reach
+ * Square. Callers pass an idempotency seed (usually a run stage key) and the
+ * client derives the Square idempotency key from it with buildIdempotencyKey,
+ * so a retried job sends the same key and Square returns the original result
+ * instead of creating a second card, order or payment.
+ *
+ * Every mutation is recorded in square_mutations (request, response, attempts).
+ * 429, 5xx and network errors (reset, timeout, failed fetch) are retried with
+ * backoff under the same key; anything else (4xx, bugs) fails on the first try.
+ * Requests and responses use the square/legacy SDK shapes (camelCase).
+ *
+ * Tests can point the default client at a fake Square with SQUARE_API_BASE_URL,
+ * or build their own with createSquareMutations({ client, db }).
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 4
+const DEFAULT_BASE_DELAY_MS = 500
+
+function toJson(value) {
+  if (value === undefined) return null
+  return JSON.parse(JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? v.toString() : v)))
+}
+
+// Node/undici error codes for requests that never got an HTTP response
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+])
+
+function isNetworkError(error) {
+  const codes = [error?.code, error?.cause?.code, error?.errno].filter(Boolean)
+  if (codes.some((code) => RETRYABLE_NETWORK_CODES.has(code))) return true
+  // fetch() rejects with TypeError('fetch failed') and the socket error as cause
+  return error?.name === 'TypeError' && /fetch failed/i.test(error?.message || '')
+}
+
+function isRetryable(error) {
+  if (error?.statusCode) {
+    return error.statusCode === 429 || error.statusCode >= 500
+  }
+  return isNetworkError(error)
+}
+
+function errorDetail(error) {
+  const detail = error?.errors?.map((e) => e.detail || e.code).filter(Boolean).join('; ')
+  return detail || error?.message || String(error)
+}
+
+function requireSeed(operation, idempotencySeed) {
+  if (!idempotencySeed) {
+    throw new Error(`${operation} requires an idempotencySeed`)
+  }
+  return idempotencySeed
+}
+
+/**
+ * Builds a mutation client.
+ * client: square/legacy Client (default: shared client from square-client.js)
+ * db: Prisma client used for square_mutations (null disables recording)
+ */
+function createSquareMutations({
+  client = null,
+  db = prisma,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS
+} = {}) {
+  const squareClient = () => client || getSquareClient()
+
+  async function record(operation, idempotencyKey, data) {
+    if (!db) return
+    try {
+      await db.squareMutation.update({
+        where: { operation_idempotency_key: { operation, idempotency_key: idempotencyKey } },
+        data
+      })
+    } catch (error) {
+      console.warn(`⚠️ Failed to record Square ${operation} (${idempotencyKey}):`, error.message)
+    }
+  }
+
+  async function recordStart(operation, idempotencyKey, organizationId, request) {
+    if (!db) return
+    const traceId = currentTraceContext()?.traceId || null
+    try {
+      await db.squareMutation.upsert({
+        where: { operation_idempotency_key: { operation, idempotency_key: idempotencyKey } },
+        create: {
+          organization_id: organizationId || null,
+          operation,
+          idempotency_key: idempotencyKey,
+          request: toJson(request),
+          trace_id: traceId
+        },
+        update: {
+          status: 'pending',
+          request: toJson(request),
+          error: null,
+          trace_id: traceId,
+          ...(organizationId ? { organization_id: organizationId } : {})
+        }
+      })
+    } catch (error) {
+      console.warn(`⚠️ Failed to record Square ${operation} (${idempotencyKey}):`, error.message)
+    }
+  }
+
+  /**
+   * Sends one mutation with retries and records it. Returns the SDK response;
+   * throws the last Square error once retries are exhausted or not allowed.
+   */
+  async function execute({ operation, idempotencyKey, organizationId, request, send }) {
+    await recordStart(operation, idempotencyKey, organizationId, request)
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await withSpan('square.mutation', { operation, idempotencyKey, attempt }, () => send())
+        await record(operation, idempotencyKey, {
+          status: 'succeeded',
+          attempts: attempt,
+          response: toJson(response?.result),
+          status_code: response?.statusCode ?? 200,
+          completed_at: new Date()
+        })
+        return response
+      } catch (error) {
+        if (isRetryable(error) && attempt < maxAttempts) {
+          const delayMs = baseDelayMs * 2 ** (attempt - 1)
+          console.warn(`⚠️ Square ${operation} attempt ${attempt} failed (${error.statusCode || 'network'}), retrying in ${delayMs}ms`)
+          await new Promise((resolve) => setTimeout(resolve, delayMs))
+          continue
+        }
+
+        await record(operation, idempotencyKey, {
+          status: 'failed',
+          attempts: attempt,
+          response: error?.result ? toJson(error.result) : undefined,
+          status_code: error?.statusCode ?? null,
+          error: errorDetail(error),
+          completed_at: new Date()
+        })
+        throw error
+      }
+    }
+  }
+
+  /**
+   * request: CreateGiftCardRequest without idempotencyKey. Key: [seed, 'create'].
+   */
+  function createGiftCard(request, { idempotencySeed, organizationId = null } = {}) {
+    const idempotencyKey = buildIdempotencyKey([requireSeed('createGiftCard', idempotencySeed), 'create'])
+    const body = { ...request, idempotencyKey }
+    return execute({
+      operation: 'createGiftCard',
+      idempotencyKey,
+      organizationId,
+      request: body,
+      send: () => squareClient().giftCardsApi.createGiftCard(body)
+    })
+  }
+
+  /**
+   * request: CreateGiftCardActivityRequest without idempotencyKey.
+   * Key: [seed, action, giftCardId] – action names the step (activate, adjust, decrement, ...).
+   */
+  function createGiftCardActivity(request, { idempotencySeed, action, organizationId = null } = {}) {
+    const idempotencyKey = buildIdempotencyKey([
+      requireSeed('createGiftCardActivity', idempotencySeed),
+      action || request?.giftCardActivity?.type?.toLowerCase(),
+      request?.giftCardActivity?.giftCardId
+    ])
+    const body = { ...request, idempotencyKey }
+    return execute({
+      operation: 'createGiftCardActivity',
+      idempotencyKey,
+      organizationId,
+      request: body,
+      send: () => squareClient().giftCardActivitiesApi.createGiftCardActivity(body)
+    })
+  }
+
+  /**
+   * request: CreateOrderRequest without idempotencyKey. Key: [seed, 'create'].
+   */
+  function createOrder(request, { idempotencySeed, organizationId = null } = {}) {
+    const idempotencyKey = buildIdempotencyKey([requireSeed('createOrder', idempotencySeed), 'create'])
+    const body = { ...request, idempotencyKey }
+    return execute({
+      operation: 'createOrder',
+      idempotencyKey,
+      organizationId,
+      request: body,
+      send: () => squareClient().ordersApi.createOrder(body)
+    })
+  }
+
+  /**
+   * request: CreatePaymentRequest without idempotencyKey. Key: [seed, 'create'].
+   */
+  function createPayment(request, { idempotencySeed, organizationId = null } = {}) {
+    const idempotencyKey = buildIdempotencyKey([requireSeed('createPayment', idempotencySeed), 'create'])
+    const body = { ...request, idempotencyKey }
+    return execute({
+      operation: 'createPayment',
+      idempotencyKey,
+      organizationId,
+      request: body,
+      send: () => squareClient().paymentsApi.createPayment(body)
+    })
+  }
+
+  /**
+   * Upserts one customer custom attribute. Without a seed the key is derived
+   * from customer, attribute key, the attribute's current version and the new
+   * value, so re-sending the same write is a no-op while A -> B -> A still sends
+   * a fresh key for the second A. Pass customAttribute.version as read from
+   * Square (omit it only when the attribute does not exist yet); Square also
+   * rejects the write if someone else changed the attribute in between.
+   */
+  function upsertCustomerCustomAttribute(customerId, key, customAttribute, { idempotencySeed = null, organizationId = null } = {}) {
+    const seed = idempotencySeed || buildIdempotencyKey([
+      'custom-attr',
+      customerId,
+      key,
+      `v${customAttribute?.version ?? 0}`,
+      JSON.stringify(toJson(customAttribute?.value))
+    ])
+    const idempotencyKey = buildIdempotencyKey([seed, 'upsert'])
+    const body = { customAttribute, idempotencyKey }
+    return execute({
+      operation: 'upsertCustomerCustomAttribute',
+      idempotencyKey,
+      organizationId,
+      request: { customerId, key, ...body },
+      send: () => squareClient().customerCustomAttributesApi.upsertCustomerCustomAttribute(customerId, key, body)
+    })
+  }
+
+  return {
+    createGiftCard,
+    createGiftCardActivity,
+    createOrder,
+    createPayment,
+    upsertCustomerCustomAttribute
+  }
+}
+
+const defaultMutations = createSquareMutations()
+
+module.exports = {
+  createSquareMutations,
+  isRetryable,
+  ...defaultMutations
+}
@@ -1,3 +1,6 @@
+const { getReferralProgram } = require('../referrals/referral-program')
+const { getReferrerStatus } = require('../referrals/referral-tiers')
+
 function normalizeCents(value, { fallback = 0 } = {}) {
   if (value === null || value === undefined) return fallback
 
@@ -33,6 +36,7 @@ async function resolveGiftCardContext({ gan, prisma, giftCardsApi, organizationI
   let giftCardInfo = null
   let customerInfo = null
   let balanceCents = 0
+  let referralTier = null
 
   // Note: gift_card_cache table was removed as it was never populated
   // Always fetch from Square API directly
@@ -94,6 +98,19 @@ async function resolveGiftCardContext({ gan, prisma, giftCardsApi, organizationI
           email: cust.email_address
         }
 
+        if (resolvedOrganizationId) {
+          try {
+            const program = await getReferralProgram(resolvedOrganizationId)
+            const status = await getReferrerStatus(program, {
+              organizationId: resolvedOrganizationId,
+              referrerCustomerId: cust.square_customer_id
+            })
+            referralTier = status.tier
+          } catch (tierError) {
+            console.warn(`⚠️ Could not resolve referral tier: ${tierError.message}`)
+          }
+        }
+
         if (cust.gift_card_id) {
           try {
             const squareGiftCard = await giftCardsApi.retrieveGiftCard(cust.gift_card_id)
@@ -153,7 +170,8 @@ async function resolveGiftCardContext({ gan, prisma, giftCardsApi, organizationI
     customerName,
     serialNumber,
     squareGiftCardId: giftCardInfo?.id || null,
-    webServiceUrl
+    webServiceUrl,
+    referralTier
   }
 }
 
@@ -46,6 +46,7 @@ const APPLE_WALLET_ASSET_DIRS = [
  * @param {string} options.customerName - Customer name
  * @param {string} options.serialNumber - Unique serial number for the pass
  * @param {string} options.webServiceUrl - URL for pass updates (optional)
+ * @param {string} options.referralTier - Referrer tier name, e.g. Silver (optional)
  * @returns {Promise<Buffer>} - .pkpass file as buffer
  */
 async function generateGiftCardPass({
@@ -53,7 +54,8 @@ async function generateGiftCardPass({
   balanceCents,
   customerName,
   serialNumber,
-  webServiceUrl = null
+  webServiceUrl = null,
+  referralTier = null
 }) {
   // Validate configuration
   // Check if we have either file paths OR base64 encoded certificates
@@ -303,7 +305,15 @@ async function generateGiftCardPass({
           value: 'Zorina Nail Studio'
         }
       ],
-      auxiliaryFields: []
+      auxiliaryFields: referralTier
+        ? [
+            {
+              key: 'referralTier',
+              label: 'Referrer status',
+              value: referralTier
+            }
+          ]
+        : []
     },
     barcode: barcodePayload
   }
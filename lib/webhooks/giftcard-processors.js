@@ -3,11 +3,23 @@
 // This module can be safely imported by worker.js and other scripts
 
 const prisma = require('../prisma-client')
-const { Client, Environment } = require('square/legacy')
+const { Client } = require('square/legacy')
 const QRCode = require('qrcode')
 const { saveApplicationLog } = require('../workflows/application-log-queue')
 const { sendReferralCodeEmail, sendGiftCardIssuedEmail } = require('../email-service-simple')
-const { sendReferralCodeSms, REFERRAL_PROGRAM_SMS_TEMPLATE } = require('../twilio-service')
+const { sendReferralCodeSms } = require('../twilio-service')
+const {
+  getReferralProgram,
+  formatRewardAmount,
+  getReferralSmsTemplate,
+  isReferralCodeExpired,
+  checkReferrerRewardEligibility,
+  recordSkippedReferrerReward,
+  recordFriendDiscountBonus,
+  buildDiscountRewardMetadata
+} = require('../referrals/referral-program')
+const { resolveRewardAmounts, getDueMilestones } = require('../referrals/referral-tiers')
+const { scoreReferral, buildFraudReviewMetadata, hasFraudReview, holdFriendBonusForReview } = require('../referrals/referral-fraud')
 const { normalizeGiftCardNumber } = require('../wallet/giftcard-number-utils')
 const {
   buildStageKey,
@@ -16,11 +28,13 @@ const {
   markGiftCardRunError
 } = require('../runs/giftcard-run-tracker')
 const { generateReferralUrl } = require('../utils/referral-url')
+const { dispatchNotification } = require('../messaging/notification-dispatcher')
 const { queueWalletPassUpdate } = require('../wallet/push-service')
 const { getSquareEnvironmentName } = require('../utils/square-env')
+const { getSquareClientEnvironment } = require('../utils/square-client')
+const squareMutations = require('../utils/square-mutations')
 
 const squareEnvironmentName = getSquareEnvironmentName()
-const environment = squareEnvironmentName === 'sandbox' ? Environment.Sandbox : Environment.Production
 if (process.env.NODE_ENV !== 'production') {
   console.log(`[square] Gift card processors using ${squareEnvironmentName} environment`)
 }
@@ -50,7 +64,7 @@ console.log(`[square] Token loaded: length=${token.length}, preview=${token.subs
 
 const squareClient = new Client({
   accessToken: token,
-  environment,
+  ...getSquareClientEnvironment(),
 })
 
 const customersApi = squareClient.customersApi
@@ -78,10 +92,6 @@ const {
   saveAcquisitionSourceIfMissing,
 } = require('../utils/acquisition-source')
 
-const REFERRAL_SMS_TEMPLATE =
-  process.env.REFERRAL_SMS_TEMPLATE ||
-  REFERRAL_PROGRAM_SMS_TEMPLATE
-
 // Helper: Resolve organization_id from square_merchant_id
 async function resolveOrganizationId(squareMerchantId) {
   if (!squareMerchantId) {
@@ -192,6 +202,31 @@ async function generateGiftCardQrDataUri(giftCardGan) {
   }
 }
 
+function extractPaymentAmountCents(paymentData = {}) {
+  if (!paymentData) return null
+  const candidates = [
+    paymentData.amountMoney?.amount,
+    paymentData.amount_money?.amount,
+    paymentData.totalMoney?.amount,
+    paymentData.total_money?.amount
+  ]
+
+  for (const value of candidates) {
+    const parsed = typeof value === 'string' ? Number(value) : value
+    if (typeof parsed === 'number' && Number.isFinite(parsed)) {
+      return Math.trunc(parsed)
+    }
+  }
+  return null
+}
+
+function extractCardFingerprint(paymentData = {}) {
+  if (!paymentData) return null
+  return paymentData.cardDetails?.card?.fingerprint ||
+    paymentData.card_details?.card?.fingerprint ||
+    null
+}
+
 async function extractGiftCardGansFromPayment(paymentData) {
   const gans = new Set()
   if (!paymentData) {
@@ -245,7 +280,9 @@ async function sendGiftCardEmailNotification({
   isReminder = false,
   customerId,
   organizationId,
-  notificationType
+  notificationType,
+  templateType,
+  metadata
 }) {
   if (!email) {
     console.log('⚠️ Skipping gift card email – email address missing')
@@ -286,7 +323,9 @@ async function sendGiftCardEmailNotification({
     role: notificationType === 'FRIEND_ACTIVATION' ? 'friend' : 'referrer'
   }, {
     customerId,
-    organizationId
+    organizationId,
+    templateType,
+    metadata
   })
 
   if (!isReminder && ganForEmail) {
@@ -514,11 +553,24 @@ async function upsertCustomerCustomAttribute(customerId, key, value, visibility
   }
 
   try {
-    await customerCustomAttributesApi.upsertCustomerCustomAttribute(customerId, key, {
-      customAttribute: {
-        value,
-        visibility
-      }
+    // The current version keys the write (see square-mutations.js) and guards against concurrent edits
+    let current = null
+    try {
+      const response = await customerCustomAttributesApi.retrieveCustomerCustomAttribute(customerId, key)
+      current = response.result?.customAttribute || null
+    } catch (error) {
+      if (error.statusCode !== 404) throw error
+    }
+
+    if (current && safeStringify(current.value) === safeStringify(value)) {
+      console.log(`ℹ️ Custom attribute "${key}" for customer ${customerId} is already up to date`)
+      return
+    }
+
+    await squareMutations.upsertCustomerCustomAttribute(customerId, key, {
+      value,
+      visibility,
+      ...(current?.version !== undefined ? { version: current.version } : {})
     })
     console.log(`✅ Upserted custom attribute "${key}" for customer ${customerId}`)
   } catch (error) {
@@ -745,17 +797,17 @@ async function createPromotionOrder(customerId, amountMoney, referenceLabel, loc
   }
 
   try {
-    const { idempotencyKeySeed = null } = options || {}
+    const { idempotencyKeySeed = null, organizationId = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
       buildIdempotencyKey(['promo-order', customerId || 'anon', amountMoney.amount || 0])
-    const lineUid = `line-${Math.random().toString(36).slice(2, 10)}`
+    // Derived from the seed so a retried create sends an identical order
+    const lineUid = `line-${buildIdempotencyKey([idempotencySeed, 'line'])}`
     const normalizedAmount = {
       amount: amountMoney.amount,
       currency: amountMoney.currency || 'USD'
     }
     const orderRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
       order: {
         locationId,
         referenceId: referenceLabel?.slice(0, 60) || undefined,
@@ -772,7 +824,7 @@ async function createPromotionOrder(customerId, amountMoney, referenceLabel, loc
       }
     }
 
-    const orderResponse = await ordersApi.createOrder(orderRequest)
+    const orderResponse = await squareMutations.createOrder(orderRequest, { idempotencySeed, organizationId })
     const createdOrder = orderResponse.result?.order
 
     if (!createdOrder?.id) {
@@ -800,12 +852,11 @@ async function completePromotionOrderPayment(orderId, amountMoney, locationId, r
   }
 
   try {
-    const { idempotencyKeySeed = null } = options || {}
+    const { idempotencyKeySeed = null, organizationId = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
       buildIdempotencyKey(['promo-payment', orderId, amountMoney.amount || 0])
     const paymentRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
       sourceId: 'CASH',
       locationId,
       orderId,
@@ -817,7 +868,7 @@ async function completePromotionOrderPayment(orderId, amountMoney, locationId, r
       note: referenceLabel ? referenceLabel.slice(0, 60) : undefined
     }
 
-    const paymentResponse = await paymentsApi.createPayment(paymentRequest)
+    const paymentResponse = await squareMutations.createPayment(paymentRequest, { idempotencySeed, organizationId })
     const payment = paymentResponse.result?.payment
 
     if (payment?.status === 'COMPLETED') {
@@ -1017,15 +1068,17 @@ async function saveGiftCardTransaction(transactionData) {
   }
 }
 
+// options.rewardType / options.contextLabel label cards issued outside the
+// referral flow (e.g. WINBACK_OFFER from lib/messaging/winback-campaigns.js)
 async function createGiftCard(customerId, customerName, amountCents = 1000, isReferrer = false, options = {}, organizationId = null) {
   try {
     const locationId = process.env.SQUARE_LOCATION_ID?.trim()
-    const noteContext = isReferrer ? 'Referrer reward gift card' : 'Signup bonus gift card'
+    const { orderInfo = null, idempotencyKeySeed = null, rewardType = null, contextLabel = null } = options || {}
+    const noteContext = contextLabel || (isReferrer ? 'Referrer reward gift card' : 'Signup bonus gift card')
     const amountMoney = {
       amount: Number.isFinite(amountCents) ? Math.trunc(amountCents) : 0,
       currency: 'USD'
     }
-    const { orderInfo = null, idempotencyKeySeed = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
       buildIdempotencyKey([
@@ -1035,7 +1088,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       ])
     
     const giftCardRequest = {
-      idempotencyKey: buildIdempotencyKey([idempotencySeed, 'create']),
       locationId,
       giftCard: {
         type: 'DIGITAL',
@@ -1045,7 +1097,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
 
     let createResponse
     try {
-      createResponse = await giftCardsApi.createGiftCard(giftCardRequest)
+      createResponse = await squareMutations.createGiftCard(giftCardRequest, { idempotencySeed, organizationId })
     } catch (createError) {
       console.error(`❌ Failed to create gift card via Square API:`, createError.message)
       if (createError.errors) {
@@ -1075,7 +1127,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
         square_customer_id: customerId,
         square_gift_card_id: giftCardId,
         gift_card_gan: giftCardGan, // Can be null if not yet assigned
-        reward_type: isReferrer ? 'REFERRER_REWARD' : 'FRIEND_SIGNUP_BONUS',
+        reward_type: rewardType || (isReferrer ? 'REFERRER_REWARD' : 'FRIEND_SIGNUP_BONUS'),
         initial_amount_cents: amountCents,
         current_balance_cents: 0,
         state: giftCardState,
@@ -1106,7 +1158,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
 
     if (locationId && orderInfo?.orderId && orderInfo?.lineItemUid) {
       const egiftActivateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate-order', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ACTIVATE',
@@ -1120,7 +1171,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(egiftActivateRequest)
+        const activateResponse = await squareMutations.createGiftCardActivity(egiftActivateRequest, { idempotencySeed, action: 'activate-order', organizationId })
         giftCardActivity = activateResponse.result?.giftCardActivity || null
 
         if (giftCardActivity) {
@@ -1144,7 +1195,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
     
     if (!giftCardActivity && locationId && amountMoney.amount > 0) {
       const activateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate-owner', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ACTIVATE',
@@ -1158,7 +1208,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(activateRequest)
+        const activateResponse = await squareMutations.createGiftCardActivity(activateRequest, { idempotencySeed, action: 'activate-owner', organizationId })
         const activity = activateResponse.result?.giftCardActivity || null
 
         if (activity) {
@@ -1186,7 +1236,6 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
 
     if (!giftCardActivity && locationId && amountMoney.amount > 0) {
       const adjustRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'adjust-increment', giftCardId]),
         giftCardActivity: {
           giftCardId: giftCardId,
           type: 'ADJUST_INCREMENT',
@@ -1199,7 +1248,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
       }
 
       try {
-        const adjustResponse = await giftCardActivitiesApi.createGiftCardActivity(adjustRequest)
+        const adjustResponse = await squareMutations.createGiftCardActivity(adjustRequest, { idempotencySeed, action: 'adjust-increment', organizationId })
         const activity = adjustResponse.result?.giftCardActivity || null
 
         if (activity) {
@@ -1329,7 +1378,7 @@ async function createGiftCard(customerId, customerName, amountCents = 1000, isRe
                 balance_after_cents: activityBalanceNumber,
                 square_activity_id: giftCardActivity.id,
                 square_order_id: successfulOrderInfo?.orderId || null,
-                reason: noteContext.includes('Referrer') ? 'COMPLIMENTARY' : 'FRIEND_BONUS',
+                reason: isReferrer || rewardType ? 'COMPLIMENTARY' : 'FRIEND_BONUS',
                 context_label: noteContext,
                 metadata: { 
                   square_activity: giftCardActivity,
@@ -1392,7 +1441,7 @@ async function loadGiftCard(
       amount: Number.isFinite(amountCents) ? Math.trunc(amountCents) : 0,
       currency: 'USD'
     }
-    const { idempotencyKeySeed = null } = options || {}
+    const { idempotencyKeySeed = null, organizationId = null } = options || {}
     const idempotencySeed =
       idempotencyKeySeed ||
       buildIdempotencyKey(['load-gift-card', giftCardId, amountCents || 0])
@@ -1427,7 +1476,6 @@ async function loadGiftCard(
       }
 
       const activateRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'activate', giftCardId]),
         giftCardActivity: {
           giftCardId,
           type: 'ACTIVATE',
@@ -1440,13 +1488,12 @@ async function loadGiftCard(
         }
       }
 
-      const activateResponse = await giftCardActivitiesApi.createGiftCardActivity(activateRequest)
+      const activateResponse = await squareMutations.createGiftCardActivity(activateRequest, { idempotencySeed, action: 'activate', organizationId })
       activity = activateResponse.result?.giftCardActivity || null
       deliveryChannel = DELIVERY_CHANNELS.OWNER_FUNDED_ACTIVATE
       transactionType = 'ACTIVATE'
     } else {
       const adjustRequest = {
-        idempotencyKey: buildIdempotencyKey([idempotencySeed, 'adjust', giftCardId]),
         giftCardActivity: {
           giftCardId,
           type: 'ADJUST_INCREMENT',
@@ -1458,7 +1505,7 @@ async function loadGiftCard(
         }
       }
 
-      const adjustResponse = await giftCardActivitiesApi.createGiftCardActivity(adjustRequest)
+      const adjustResponse = await squareMutations.createGiftCardActivity(adjustRequest, { idempotencySeed, action: 'adjust', organizationId })
       activity = adjustResponse.result?.giftCardActivity || null
       deliveryChannel = DELIVERY_CHANNELS.OWNER_FUNDED_ADJUST
       transactionType = 'ADJUST_INCREMENT'
@@ -1585,9 +1632,122 @@ async function loadGiftCard(
   }
 }
 
+// Take back up to amountCents of the card's current balance (ADJUST_DECREMENT).
+// Never drives the balance negative: whatever was already spent stays spent.
+async function deductGiftCardBalance(
+  giftCardId,
+  amountCents,
+  {
+    contextLabel = 'Referral reward clawback',
+    reason = 'PURCHASE_WAS_REFUNDED',
+    idempotencyKeySeed = null,
+    metadata = null,
+    organizationId = null
+  } = {}
+) {
+  try {
+    const locationId = process.env.SQUARE_LOCATION_ID?.trim()
+    if (!locationId) {
+      console.error('❌ Cannot deduct gift card balance – SQUARE_LOCATION_ID is missing')
+      return { success: false, error: 'Missing location ID' }
+    }
+
+    const cardResponse = await giftCardsApi.retrieveGiftCard(giftCardId)
+    const giftCard = cardResponse.result?.giftCard
+    if (!giftCard) {
+      console.error(`❌ Gift card ${giftCardId} not found in Square`)
+      return { success: false, error: 'Gift card not found' }
+    }
+
+    const balanceBefore = giftCard.balanceMoney?.amount
+    const balanceBeforeCents = typeof balanceBefore === 'bigint' ? Number(balanceBefore) : (balanceBefore || 0)
+    const deductCents = Math.min(Math.max(Math.trunc(amountCents || 0), 0), balanceBeforeCents)
+
+    if (deductCents === 0 || giftCard.state !== 'ACTIVE') {
+      console.log(`ℹ️ Nothing to deduct from gift card ${giftCardId} (balance $${balanceBeforeCents / 100}, state ${giftCard.state})`)
+      return { success: true, deductedCents: 0, balanceCents: balanceBeforeCents, giftCardGan: giftCard.gan }
+    }
+
+    const idempotencySeed = idempotencyKeySeed || buildIdempotencyKey(['deduct-gift-card', giftCardId, deductCents])
+    const adjustResponse = await squareMutations.createGiftCardActivity({
+      giftCardActivity: {
+        giftCardId,
+        type: 'ADJUST_DECREMENT',
+        locationId,
+        adjustDecrementActivityDetails: {
+          amountMoney: { amount: deductCents, currency: 'USD' },
+          reason
+        }
+      }
+    }, { idempotencySeed, action: 'decrement', organizationId })
+    const activity = adjustResponse.result?.giftCardActivity
+    if (!activity) {
+      return { success: false, error: 'No gift card activity returned' }
+    }
+
+    const balanceAmount = activity.giftCardBalanceMoney?.amount
+    const resultingBalance = typeof balanceAmount === 'bigint' ? Number(balanceAmount) : (balanceAmount || 0)
+
+    try {
+      const giftCardRecord = await prisma.giftCard.findFirst({
+        where: { square_gift_card_id: giftCardId }
+      })
+      if (giftCardRecord) {
+        await saveGiftCardTransaction({
+          gift_card_id: giftCardRecord.id,
+          organization_id: giftCardRecord.organization_id,
+          transaction_type: 'ADJUST_DECREMENT',
+          amount_cents: -deductCents,
+          balance_before_cents: balanceBeforeCents,
+          balance_after_cents: resultingBalance,
+          square_activity_id: activity.id,
+          reason,
+          context_label: contextLabel,
+          metadata: { ...(metadata || {}), square_activity: activity }
+        })
+        await prisma.giftCard.update({
+          where: { id: giftCardRecord.id },
+          data: {
+            current_balance_cents: resultingBalance,
+            last_balance_check_at: new Date(),
+            updated_at: new Date()
+          }
+        })
+      } else {
+        console.warn(`⚠️ Gift card ${giftCardId} not found in database, skipping transaction save`)
+      }
+    } catch (dbError) {
+      console.error('Error saving gift card deduction to database:', dbError.message)
+    }
+
+    console.log(`✅ Deducted $${deductCents / 100} from gift card ${giftCardId}`)
+    console.log(`   Balance after operation: $${resultingBalance / 100}`)
+
+    queueWalletPassUpdate(giftCard.gan, {
+      prisma,
+      reason: 'gift-card-balance-update'
+    })
+
+    return {
+      success: true,
+      deductedCents: deductCents,
+      balanceCents: resultingBalance,
+      giftCardGan: giftCard.gan,
+      squareActivityId: activity.id
+    }
+  } catch (error) {
+    console.error(`❌ Error deducting from gift card ${giftCardId}:`, error.message)
+    if (error.errors) {
+      console.error(`Square API errors:`, safeStringify(error.errors))
+    }
+    return { success: false, error: error.message }
+  }
+}
+
 
 async function sendReferralCodeToNewClient(customerId, customerName, email, phoneNumber, organizationId) {
   try {
+    const program = await getReferralProgram(organizationId)
     const customerData = await prisma.$queryRaw`
       SELECT gift_card_id, got_signup_bonus, referral_email_sent, personal_code, activated_as_referrer,
              gift_card_order_id, gift_card_line_item_uid, gift_card_delivery_channel,
@@ -1634,7 +1794,7 @@ async function sendReferralCodeToNewClient(customerId, customerName, email, phon
           digitalEmail: customer.gift_card_digital_email
         }
         console.log(`✅ Customer already has gift card: ${referrerGiftCardId}`)
-      } else {
+      } else if (program.reward_type !== 'DISCOUNT') {
         const pendingOrderInfo =
           customer.gift_card_order_id && customer.gift_card_line_item_uid
             ? {
@@ -1745,7 +1905,10 @@ async function sendReferralCodeToNewClient(customerId, customerName, email, phon
     
     let emailSent = false
     if (email) {
-      const emailResult = await sendReferralCodeEmail(customerName, email, referralCode, referralUrl)
+      const emailResult = await sendReferralCodeEmail(customerName, email, referralCode, referralUrl, {
+        friendRewardCents: program.friend_reward_cents,
+        referrerRewardCents: program.referrer_reward_cents
+      })
       
       if (emailResult.success) {
         if (emailResult.skipped) {
@@ -1775,7 +1938,9 @@ async function sendReferralCodeToNewClient(customerId, customerName, email, phon
         to: smsDestination,
         name: customerName,
         referralUrl,
-        body: REFERRAL_SMS_TEMPLATE
+        defaultBody: getReferralSmsTemplate(program),
+        customerId,
+        organizationId
       })
 
       if (smsResult.success) {
@@ -2010,6 +2175,333 @@ async function processCustomerCreated(customerData, request, runContext = {}) {
   }
 }
 
+// Issue milestone bonuses the referrer has reached (e.g. after the 3rd and 10th
+// successful referral). Non-fatal: a failed milestone is left FAILED and retried
+// the next time the referrer's milestones are processed.
+async function processReferralMilestones({ organizationId, referrerCustomerId, program, triggeredByCustomerId, runContext = {} }) {
+  const issued = []
+  try {
+    const dueMilestones = await getDueMilestones(program, { organizationId, referrerCustomerId })
+    if (dueMilestones.length === 0) return issued
+
+    const referrerRows = await prisma.$queryRaw`
+      SELECT square_customer_id, given_name, family_name, email_address, gift_card_id, gift_card_gan
+      FROM square_existing_clients
+      WHERE square_customer_id = ${referrerCustomerId}
+        AND organization_id = ${organizationId}::uuid
+      LIMIT 1
+    `
+    const referrer = referrerRows?.[0]
+    if (!referrer) return issued
+
+    for (const milestone of dueMilestones) {
+      const rewardId = milestone.retryRewardId || crypto.randomUUID()
+      const pendingMetadata = {
+        stage: milestone.retryRewardId ? 'retry_pending' : 'created_pending',
+        milestone: milestone.referrals,
+        referral_count: milestone.referral_count,
+        triggered_by_customer_id: triggeredByCustomerId || null
+      }
+      if (milestone.retryRewardId) {
+        // Claim the FAILED row so concurrent workers can't both re-issue it
+        const { count } = await prisma.referralReward.updateMany({
+          where: { id: rewardId, status: 'FAILED' },
+          data: { status: 'PENDING', reward_amount_cents: milestone.bonus_cents, metadata: pendingMetadata }
+        })
+        if (count === 0) continue
+      } else {
+        try {
+          await prisma.referralReward.create({
+            data: {
+              id: rewardId,
+              organization_id: organizationId,
+              referrer_customer_id: referrerCustomerId,
+              referred_customer_id: referrerCustomerId,
+              reward_amount_cents: milestone.bonus_cents,
+              status: 'PENDING',
+              reward_type: milestone.reward_type,
+              metadata: pendingMetadata
+            }
+          })
+        } catch (lockError) {
+          if (lockError.code === 'P2002') continue // Already issued by another worker
+          throw lockError
+        }
+      }
+
+      let paidMetadata = null
+      let giftCardSquareId = null
+      if (program.reward_type === 'DISCOUNT') {
+        paidMetadata = buildDiscountRewardMetadata(program, { milestone: milestone.referrals })
+      } else {
+        const idempotencyKeySeed = runContext?.correlationId
+          ? buildStageKey(runContext.correlationId, milestone.reward_type, 'issue')
+          : `milestone-${rewardId}`
+        const label = `Referral milestone ${milestone.referrals} bonus`
+
+        if (referrer.gift_card_id) {
+          const loadResult = await loadGiftCard(referrer.gift_card_id, milestone.bonus_cents, referrerCustomerId, label, { idempotencyKeySeed, organizationId })
+          if (loadResult.success) {
+            giftCardSquareId = referrer.gift_card_id
+            paidMetadata = { milestone: milestone.referrals, square_response: loadResult, gift_card_square_id: giftCardSquareId }
+          }
+        } else {
+          const giftCard = await createGiftCard(
+            referrerCustomerId,
+            `${referrer.given_name || ''} ${referrer.family_name || ''}`.trim(),
+            milestone.bonus_cents,
+            true,
+            { idempotencyKeySeed },
+            organizationId
+          )
+          if (giftCard?.giftCardId) {
+            giftCardSquareId = giftCard.giftCardId
+            paidMetadata = { milestone: milestone.referrals, square_response: giftCard, gift_card_square_id: giftCardSquareId }
+            await prisma.$executeRaw`
+              UPDATE square_existing_clients
+              SET gift_card_id = ${giftCard.giftCardId},
+                  gift_card_gan = ${giftCard.giftCardGan ?? null}
+              WHERE square_customer_id = ${referrerCustomerId}
+                AND organization_id = ${organizationId}::uuid
+            `
+            referrer.gift_card_id = giftCard.giftCardId
+            referrer.gift_card_gan = giftCard.giftCardGan ?? null
+          }
+        }
+      }
+
+      if (!paidMetadata) {
+        await prisma.referralReward.update({
+          where: { id: rewardId },
+          data: { status: 'FAILED', metadata: { milestone: milestone.referrals, error: 'Square API call failed' } }
+        })
+        console.error(`❌ Failed to issue referral milestone ${milestone.referrals} for ${referrerCustomerId}`)
+        continue
+      }
+
+      const gcRecord = giftCardSquareId
+        ? await prisma.giftCard.findFirst({
+            where: { organization_id: organizationId, square_gift_card_id: giftCardSquareId }
+          })
+        : null
+      await prisma.referralReward.update({
+        where: { id: rewardId },
+        data: {
+          status: 'PAID',
+          gift_card_id: gcRecord?.id || null,
+          paid_at: new Date(),
+          metadata: paidMetadata
+        }
+      })
+      await prisma.$executeRaw`
+        UPDATE square_existing_clients
+        SET total_rewards = COALESCE(total_rewards, 0) + ${milestone.bonus_cents}
+        WHERE square_customer_id = ${referrerCustomerId}
+          AND organization_id = ${organizationId}::uuid
+      `
+      await prisma.$executeRaw`
+        UPDATE referral_profiles
+        SET total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${milestone.bonus_cents},
+            updated_at = NOW()
+        WHERE square_customer_id = ${referrerCustomerId}
+          AND organization_id = ${organizationId}::uuid
+      `
+      await saveApplicationLog(prisma, {
+        organizationId: organizationId,
+        logType: 'REWARD_FINAL_STATUS',
+        logId: `milestone-paid-${rewardId}`,
+        status: 'completed',
+        payload: { rewardId, status: 'PAID', milestone: milestone.referrals, referrerId: referrerCustomerId }
+      })
+
+      console.log(`🏆 Referral milestone ${milestone.referrals} reached: ${formatRewardAmount(milestone.bonus_cents)} bonus for ${referrer.given_name} ${referrer.family_name}`)
+      issued.push({ rewardId, milestone: milestone.referrals, bonusCents: milestone.bonus_cents })
+    }
+
+    if (issued.length > 0 && referrer.gift_card_gan) {
+      queueWalletPassUpdate(referrer.gift_card_gan, {
+        prisma,
+        reason: 'referral-milestone',
+        metadata: { referrerId: referrerCustomerId }
+      })
+    }
+  } catch (error) {
+    console.error(`⚠️ Referral milestone processing failed for ${referrerCustomerId}:`, error.message)
+  }
+  return issued
+}
+
+// Pays a reward that was held for fraud review, once an admin approves it.
+// Friend bonuses get a new gift card; referrer rewards load the existing card.
+async function issueHeldReferralReward(rewardId) {
+  const reward = await prisma.referralReward.findUnique({ where: { id: rewardId } })
+  if (!reward || reward.status !== 'PENDING') {
+    return { success: false, error: 'Reward is not pending' }
+  }
+
+  // Claim the reward so a second approval can't issue it twice
+  const { count } = await prisma.referralReward.updateMany({
+    where: { id: reward.id, status: 'PENDING' },
+    data: { status: 'PROCESSING' }
+  })
+  if (count === 0) return { success: false, error: 'Reward is already being issued', conflict: true }
+
+  let result
+  try {
+    result = await payClaimedReferralReward(reward)
+  } catch (error) {
+    await releaseHeldReferralReward(reward.id)
+    throw error
+  }
+  if (!result.success) await releaseHeldReferralReward(reward.id)
+  return result
+}
+
+// Hands a claimed reward back to the review queue so it can be approved again
+async function releaseHeldReferralReward(rewardId) {
+  await prisma.referralReward.updateMany({
+    where: { id: rewardId, status: 'PROCESSING' },
+    data: { status: 'PENDING' }
+  })
+}
+
+async function payClaimedReferralReward(reward) {
+  const organizationId = reward.organization_id
+  const program = await getReferralProgram(organizationId)
+  const isReferrerReward = reward.reward_type === 'referrer_reward'
+  const recipientId = isReferrerReward ? reward.referrer_customer_id : reward.referred_customer_id
+  const recipientRows = await prisma.$queryRaw`
+    SELECT square_customer_id, given_name, family_name, email_address, gift_card_id, gift_card_gan
+    FROM square_existing_clients
+    WHERE square_customer_id = ${recipientId}
+      AND organization_id = ${organizationId}::uuid
+    LIMIT 1
+  `
+  const recipient = recipientRows?.[0]
+  if (!recipient) return { success: false, error: 'Customer not found' }
+
+  const amountCents = reward.reward_amount_cents
+  const recipientName = `${recipient.given_name || ''} ${recipient.family_name || ''}`.trim()
+  const idempotencyKeySeed = `held-reward-${reward.id}`
+  let paidMetadata = null
+  let giftCardSquareId = null
+  let newGiftCard = null
+
+  if (program.reward_type === 'DISCOUNT') {
+    paidMetadata = buildDiscountRewardMetadata(program)
+  } else if (isReferrerReward && recipient.gift_card_id) {
+    const loadResult = await loadGiftCard(recipient.gift_card_id, amountCents, recipientId, 'Referrer reward gift card load', { idempotencyKeySeed, organizationId })
+    if (!loadResult.success) return { success: false, error: loadResult.error || 'Gift card load failed' }
+    giftCardSquareId = recipient.gift_card_id
+    paidMetadata = { square_response: loadResult, gift_card_square_id: giftCardSquareId }
+  } else {
+    newGiftCard = await createGiftCard(recipientId, recipientName, amountCents, isReferrerReward, { idempotencyKeySeed }, organizationId)
+    if (!newGiftCard?.giftCardId) return { success: false, error: 'Gift card creation failed' }
+    giftCardSquareId = newGiftCard.giftCardId
+    paidMetadata = { square_response: newGiftCard, gift_card_square_id: giftCardSquareId }
+    await prisma.$executeRaw`
+      UPDATE square_existing_clients
+      SET gift_card_id = ${newGiftCard.giftCardId},
+          gift_card_gan = ${newGiftCard.giftCardGan ?? null},
+          gift_card_order_id = ${newGiftCard.orderId ?? null},
+          gift_card_line_item_uid = ${newGiftCard.lineItemUid ?? null},
+          gift_card_delivery_channel = ${newGiftCard.activationChannel ?? null},
+          gift_card_activation_url = ${newGiftCard.activationUrl ?? null},
+          gift_card_pass_kit_url = ${newGiftCard.passKitUrl ?? null},
+          gift_card_digital_email = ${newGiftCard.digitalEmail ?? null},
+          updated_at = NOW()
+      WHERE square_customer_id = ${recipientId}
+        AND organization_id = ${organizationId}::uuid
+    `
+  }
+
+  const gcRecord = giftCardSquareId
+    ? await prisma.giftCard.findFirst({
+        where: { organization_id: organizationId, square_gift_card_id: giftCardSquareId }
+      })
+    : null
+  const paid = await prisma.referralReward.updateMany({
+    where: { id: reward.id, status: 'PROCESSING' },
+    data: {
+      status: 'PAID',
+      gift_card_id: gcRecord?.id || null,
+      paid_at: new Date(),
+      metadata: { ...(reward.metadata || {}), ...paidMetadata, stage: 'paid_after_review' }
+    }
+  })
+  if (paid.count === 0) {
+    // A refund clawback cancelled the reward while it was being issued: take the card load back
+    if (giftCardSquareId) {
+      await deductGiftCardBalance(giftCardSquareId, amountCents, {
+        contextLabel: 'Referral reward cancelled during issue',
+        idempotencyKeySeed: `referral-clawback-${reward.id}`,
+        metadata: { referral_reward_id: reward.id },
+        organizationId
+      })
+    }
+    console.warn(`⚠️ Held referral reward ${reward.id} was cancelled while being issued, not paying it`)
+    return { success: false, error: 'Reward was cancelled while being issued' }
+  }
+  const updated = await prisma.referralReward.findUnique({ where: { id: reward.id } })
+
+  if (isReferrerReward) {
+    await prisma.$executeRaw`
+      UPDATE square_existing_clients
+      SET total_referrals = COALESCE(total_referrals, 0) + 1,
+          total_rewards = COALESCE(total_rewards, 0) + ${amountCents}
+      WHERE square_customer_id = ${recipientId}
+        AND organization_id = ${organizationId}::uuid
+    `
+    await prisma.$executeRaw`
+      UPDATE referral_profiles
+      SET total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
+          total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${amountCents},
+          updated_at = NOW()
+      WHERE square_customer_id = ${recipientId}
+        AND organization_id = ${organizationId}::uuid
+    `
+    await processReferralMilestones({
+      organizationId,
+      referrerCustomerId: recipientId,
+      program,
+      triggeredByCustomerId: reward.referred_customer_id
+    })
+  } else {
+    await prisma.$executeRaw`
+      UPDATE square_existing_clients
+      SET got_signup_bonus = TRUE,
+          updated_at = NOW()
+      WHERE square_customer_id = ${recipientId}
+        AND organization_id = ${organizationId}::uuid
+    `
+  }
+
+  if (newGiftCard && recipient.email_address) {
+    await sendGiftCardEmailNotification({
+      customerName: recipientName || recipient.email_address,
+      email: recipient.email_address,
+      giftCardGan: newGiftCard.giftCardGan,
+      amountCents: newGiftCard.amountCents,
+      balanceCents: newGiftCard.balanceCents,
+      activationUrl: newGiftCard.activationUrl,
+      passKitUrl: newGiftCard.passKitUrl,
+      customerId: recipientId,
+      organizationId
+    })
+  }
+
+  await saveApplicationLog(prisma, {
+    organizationId,
+    logType: 'REWARD_FINAL_STATUS',
+    logId: `reward-paid-${reward.id}`,
+    status: 'completed',
+    payload: { rewardId: reward.id, status: 'PAID', afterReview: true, giftCardId: giftCardSquareId }
+  })
+
+  console.log(`✅ Held ${reward.reward_type} ${reward.id} paid after review: ${formatRewardAmount(amountCents)} to ${recipientName || recipientId}`)
+  return { success: true, reward: updated }
+}
+
 // Main processor function: Process payment completion
 async function processPaymentCompletion(paymentData, runContext = {}) {
   let paymentHadError = false
@@ -2182,6 +2674,37 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
           })
         }
 
+        const program = await getReferralProgram(organizationId)
+        let referrerEligibility = { eligible: true }
+        if (!rewardAlreadyExists) {
+          referrerEligibility = await checkReferrerRewardEligibility(program, {
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            customerId,
+            referralCode: customer.used_referral_code,
+            codeAccepted: Boolean(customer.got_signup_bonus),
+            paymentAmountCents: extractPaymentAmountCents(paymentData)
+          })
+
+          if (!referrerEligibility.eligible) {
+            console.log(`   ⚠️ Referrer reward not issued by program rules: ${referrerEligibility.reason}`)
+            await recordSkippedReferrerReward(program, {
+              organizationId,
+              referrerCustomerId: referrer.square_customer_id,
+              customerId,
+              paymentId: paymentData.id || paymentData.paymentId || null,
+              reason: referrerEligibility.reason
+            })
+            await saveApplicationLog(prisma, {
+              organizationId: organizationId,
+              logType: 'REWARD_PROCESSING',
+              logId: `reward-ineligible-${customerId}-${Date.now()}`,
+              status: 'completed',
+              payload: { customerId, referrerId: referrer.square_customer_id, reason: referrerEligibility.reason }
+            })
+          }
+        }
+
         const referrerData = await prisma.$queryRaw`
           SELECT square_customer_id, total_rewards, gift_card_id, total_referrals,
                  gift_card_order_id, gift_card_line_item_uid, gift_card_delivery_channel,
@@ -2193,9 +2716,13 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
         if (referrerData && referrerData.length > 0) {
           const referrerInfo = referrerData[0]
           
-          // Skip reward processing if it was already given OR is currently pending
-          if (!rewardAlreadyExists) {
-            const rewardAmountCents = 1000
+          // Skip reward processing if it was already given, is currently pending or program rules disallow it
+          if (!rewardAlreadyExists && referrerEligibility.eligible) {
+            const { referrerRewardCents: rewardAmountCents, tier: referrerTier } = await resolveRewardAmounts(program, {
+              organizationId,
+              referrerCustomerId: referrer.square_customer_id
+            })
+            if (referrerTier) console.log(`   🏅 Referrer tier: ${referrerTier}`)
             const rewardId = crypto.randomUUID()
             let skipSquareCall = false
 
@@ -2282,6 +2809,68 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
             }
 
             if (!skipSquareCall) {
+              const fraud = await scoreReferral(program, {
+                organizationId,
+                referrerCustomerId: referrer.square_customer_id,
+                customerId,
+                paymentCardFingerprint: extractCardFingerprint(paymentData)
+              })
+              if (fraud.hold) {
+                await prisma.referralReward.update({
+                  where: { id: rewardId },
+                  data: { metadata: buildFraudReviewMetadata(fraud) }
+                })
+                await saveApplicationLog(prisma, {
+                  organizationId: organizationId,
+                  logType: 'REWARD_PROCESSING',
+                  logId: `reward-fraud-hold-${rewardId}`,
+                  status: 'completed',
+                  payload: { rewardId, customerId, referrerId: referrer.square_customer_id, score: fraud.score, signals: fraud.signals.map((s) => s.signal) }
+                })
+                console.log(`   🚩 Referrer reward held for review (fraud score ${fraud.score}/${fraud.threshold}: ${fraud.signals.map((s) => s.signal).join(', ')})`)
+                skipSquareCall = true
+              }
+            }
+
+            if (!skipSquareCall && program.reward_type === 'DISCOUNT') {
+              await prisma.referralReward.update({
+                where: { id: rewardId },
+                data: {
+                  status: 'PAID',
+                  paid_at: new Date(),
+                  metadata: buildDiscountRewardMetadata(program)
+                }
+              })
+
+              await prisma.$executeRaw`
+                UPDATE square_existing_clients
+                SET
+                  total_referrals = COALESCE(total_referrals, 0) + 1,
+                  total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents}
+                WHERE square_customer_id = ${referrer.square_customer_id}
+                  AND organization_id = ${organizationId}::uuid
+              `
+              await prisma.$executeRaw`
+                UPDATE referral_profiles
+                SET
+                  total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
+                  total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
+                  updated_at = NOW()
+                WHERE square_customer_id = ${referrer.square_customer_id}
+                  AND organization_id = ${organizationId}::uuid
+              `
+
+              await saveApplicationLog(prisma, {
+                organizationId: organizationId,
+                logType: 'REWARD_FINAL_STATUS',
+                logId: `reward-paid-discount-${rewardId}`,
+                status: 'completed',
+                payload: { rewardId, status: 'PAID', fulfillment: 'DISCOUNT', discountName: program.discount_name }
+              })
+
+              console.log(`✅ Referrer earned ${formatRewardAmount(rewardAmountCents)} discount ("${program.discount_name}") for next visit`)
+              console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
+            } else if (!skipSquareCall) {
               let rewardResult = null
               let rewardHadError = false
 
@@ -2293,11 +2882,14 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                   const promotionOrder = await createPromotionOrder(
                     referrer.square_customer_id,
                     rewardAmountMoney,
-                    'Referrer reward $10',
+                    `Referrer reward ${formatRewardAmount(rewardAmountCents)}`,
                     locationId,
-                    runContext?.correlationId
-                      ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-order') }
-                      : {}
+                    {
+                      idempotencyKeySeed: runContext?.correlationId
+                        ? buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-order')
+                        : null,
+                      organizationId
+                    }
                   )
 
                   if (promotionOrder?.orderId && promotionOrder?.lineItemUid) {
@@ -2306,9 +2898,12 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                       promotionOrder.amountMoney,
                       locationId,
                       'Referrer reward gift card',
-                      runContext?.correlationId
-                        ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-payment') }
-                        : {}
+                      {
+                        idempotencyKeySeed: runContext?.correlationId
+                          ? buildStageKey(runContext.correlationId, 'referrer_reward', 'promo-payment')
+                          : null,
+                        organizationId
+                      }
                     )
 
                     if (paymentResult.success) {
@@ -2350,7 +2945,8 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                   `${referrer.given_name} ${referrer.family_name}`, 
                   rewardAmountCents,
                   true,
-                  referrerGiftCardOptions
+                  referrerGiftCardOptions,
+                  organizationId
                 )
 
                 await saveApplicationLog(prisma, {
@@ -2394,7 +2990,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE square_existing_clients 
                     SET 
                       total_referrals = COALESCE(total_referrals, 0) + 1,
-                      total_rewards = COALESCE(total_rewards, 0) + 1000,
+                      total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents},
                       gift_card_id = ${referrerGiftCard.giftCardId},
                       gift_card_gan = ${referrerGiftCard.giftCardGan ?? null},
                       gift_card_order_id = ${referrerGiftCard.orderId ?? null},
@@ -2411,7 +3007,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE referral_profiles
                     SET 
                       total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
-                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + 1000,
+                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
                       updated_at = NOW()
                     WHERE square_customer_id = ${referrer.square_customer_id}
                       AND organization_id = ${organizationId}::uuid
@@ -2419,7 +3015,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
 
                   console.log(`✅ Referrer gets NEW gift card:`)
                   console.log(`   - Gift Card ID: ${referrerGiftCard.giftCardId}`)
-                  console.log(`   - Amount: $10`)
+                  console.log(`   - Amount: ${formatRewardAmount(rewardAmountCents)}`)
                   console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
 
                   if (runContext?.correlationId) {
@@ -2461,9 +3057,12 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                   rewardAmountCents,
                   referrer.square_customer_id,
                   'Referrer reward gift card load',
-                  runContext?.correlationId
-                    ? { idempotencyKeySeed: buildStageKey(runContext.correlationId, 'referrer_reward', 'load') }
-                    : { idempotencyKeySeed: `load-${rewardId}` }
+                  {
+                    idempotencyKeySeed: runContext?.correlationId
+                      ? buildStageKey(runContext.correlationId, 'referrer_reward', 'load')
+                      : `load-${rewardId}`,
+                    organizationId
+                  }
                 )
 
                 await saveApplicationLog(prisma, {
@@ -2507,7 +3106,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE square_existing_clients 
                     SET 
                       total_referrals = COALESCE(total_referrals, 0) + 1,
-                      total_rewards = COALESCE(total_rewards, 0) + 1000,
+                      total_rewards = COALESCE(total_rewards, 0) + ${rewardAmountCents},
                       gift_card_gan = ${loadResult.giftCardGan ?? referrerInfo.gift_card_gan ?? null},
                       gift_card_delivery_channel = ${loadResult.deliveryChannel ?? referrerInfo.gift_card_delivery_channel ?? null},
                       gift_card_activation_url = ${loadResult.activationUrl ?? referrerInfo.gift_card_activation_url ?? null},
@@ -2521,7 +3120,7 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     UPDATE referral_profiles
                     SET 
                       total_referrals_count = COALESCE(total_referrals_count, 0) + 1,
-                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + 1000,
+                      total_rewards_cents = COALESCE(total_rewards_cents, 0) + ${rewardAmountCents},
                       updated_at = NOW()
                     WHERE square_customer_id = ${referrer.square_customer_id}
                       AND organization_id = ${organizationId}::uuid
@@ -2540,9 +3139,9 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                     })
                   }
 
-                  console.log(`✅ Referrer gets $10 loaded onto existing gift card:`)
+                  console.log(`✅ Referrer gets ${formatRewardAmount(rewardAmountCents)} loaded onto existing gift card:`)
                   console.log(`   - Gift Card ID: ${referrerInfo.gift_card_id}`)
-                  console.log(`   - Amount loaded: $10`)
+                  console.log(`   - Amount loaded: ${formatRewardAmount(rewardAmountCents)}`)
                   console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
 
                   const referrerNameBase = `${referrer.given_name || ''} ${referrer.family_name || ''}`.trim()
@@ -2594,6 +3193,16 @@ async function processPaymentCompletion(paymentData, runContext = {}) {
                 }
               }
             }
+
+            if (!skipSquareCall) {
+              await processReferralMilestones({
+                organizationId,
+                referrerCustomerId: referrer.square_customer_id,
+                program,
+                triggeredByCustomerId: customerId,
+                runContext
+              })
+            }
           }
         }
       }
@@ -3097,98 +3706,182 @@ async function processBookingCreated(bookingData, runContext = {}) {
           return
         }
         
-        const pendingOrderInfo =
-          customer.gift_card_order_id && customer.gift_card_line_item_uid
-            ? {
-                orderId: customer.gift_card_order_id,
-                lineItemUid: customer.gift_card_line_item_uid
-              }
-            : null
+        const program = await getReferralProgram(organizationId)
+        let friendBonusBlockedReason = null
+        if (!program.is_active) {
+          friendBonusBlockedReason = 'program_inactive'
+        } else if (await isReferralCodeExpired(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id,
+          referralCode,
+          customerId
+        })) {
+          friendBonusBlockedReason = 'code_expired'
+        }
+        const rewardAmounts = await resolveRewardAmounts(program, {
+          organizationId,
+          referrerCustomerId: referrer.square_customer_id
+        })
 
-        if (runContext?.correlationId) {
-          await updateGiftCardRunStage(prisma, runContext.correlationId, {
-            stage: 'friend_reward:issuing',
-            status: 'running',
-            incrementAttempts: true,
-            context: {
-              customerId,
-              referralCode
+        if (!friendBonusBlockedReason) {
+          if (await hasFraudReview({ organizationId, customerId, rewardType: 'friend_signup_bonus' })) {
+            friendBonusBlockedReason = 'fraud_review'
+          } else {
+            const fraud = await scoreReferral(program, {
+              organizationId,
+              referrerCustomerId: referrer.square_customer_id,
+              customerId
+            })
+            if (fraud.hold) {
+              friendBonusBlockedReason = 'fraud_review'
+              await holdFriendBonusForReview(program, fraud, {
+                organizationId,
+                referrerCustomerId: referrer.square_customer_id,
+                customerId,
+                bookingId: bookingData.id || bookingData.booking_id || null,
+                referralCode,
+                amountCents: rewardAmounts.friendRewardCents
+              })
+              console.log(`🚩 Friend signup bonus held for review (fraud score ${fraud.score}/${fraud.threshold}: ${fraud.signals.map((s) => s.signal).join(', ')})`)
             }
-          })
+          }
         }
 
-        const friendGiftCardOptions = {
-          orderInfo: pendingOrderInfo || undefined,
-          idempotencyKeySeed: runContext?.correlationId
-            ? buildStageKey(runContext.correlationId, 'friend_reward', 'issue')
-            : undefined
-        }
-        const friendGiftCard = await createGiftCard(
-          customerId,
-          `${customer.given_name || ''} ${customer.family_name || ''}`.trim(),
-          1000,
-          false,
-          friendGiftCardOptions
-        )
+        if (friendBonusBlockedReason) {
+          console.log(`⚠️ Friend signup bonus not issued: ${friendBonusBlockedReason}`)
+          await saveApplicationLog(prisma, {
+            organizationId: organizationId,
+            logType: 'REWARD_PROCESSING',
+            logId: `reward-friend-ineligible-${customerId}-${Date.now()}`,
+            status: 'completed',
+            payload: { customerId, referrerId: referrer.square_customer_id, referralCode, reason: friendBonusBlockedReason }
+          })
+        } else if (program.reward_type === 'DISCOUNT') {
+          await recordFriendDiscountBonus(program, {
+            organizationId,
+            referrerCustomerId: referrer.square_customer_id,
+            customerId,
+            bookingId: bookingData.id || bookingData.booking_id || null,
+            amountCents: rewardAmounts.friendRewardCents
+          })
 
-        if (friendGiftCard?.giftCardId) {
           await prisma.$executeRaw`
-            UPDATE square_existing_clients 
-            SET 
+            UPDATE square_existing_clients
+            SET
               got_signup_bonus = TRUE,
-              gift_card_id = ${friendGiftCard.giftCardId},
-              gift_card_gan = ${friendGiftCard.giftCardGan ?? null},
-              gift_card_order_id = ${friendGiftCard.orderId ?? null},
-              gift_card_line_item_uid = ${friendGiftCard.lineItemUid ?? null},
-              gift_card_delivery_channel = ${friendGiftCard.activationChannel ?? null},
-              gift_card_activation_url = ${friendGiftCard.activationUrl ?? null},
-              gift_card_pass_kit_url = ${friendGiftCard.passKitUrl ?? null},
-              gift_card_digital_email = ${friendGiftCard.digitalEmail ?? null},
               used_referral_code = ${referralCode},
               updated_at = NOW()
             WHERE square_customer_id = ${customerId}
+              AND organization_id = ${organizationId}::uuid
           `
 
-          console.log(`✅ Friend received $10 gift card IMMEDIATELY: ${friendGiftCard.giftCardId}`)
+          console.log(`✅ Friend gets ${formatRewardAmount(rewardAmounts.friendRewardCents)} discount ("${program.discount_name}") on first visit`)
           console.log(`   - Customer: ${customer.given_name} ${customer.family_name}`)
           console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
-          console.log(`   - Next: When customer pays, referrer gets $10`)
 
           if (runContext?.correlationId) {
             await updateGiftCardRunStage(prisma, runContext.correlationId, {
               stage: 'friend_reward:completed',
               status: 'completed',
               clearError: true,
+              context: { customerId, fulfillment: 'DISCOUNT' }
+            })
+          }
+        } else {
+          const pendingOrderInfo =
+            customer.gift_card_order_id && customer.gift_card_line_item_uid
+              ? {
+                  orderId: customer.gift_card_order_id,
+                  lineItemUid: customer.gift_card_line_item_uid
+                }
+              : null
+
+          if (runContext?.correlationId) {
+            await updateGiftCardRunStage(prisma, runContext.correlationId, {
+              stage: 'friend_reward:issuing',
+              status: 'running',
+              incrementAttempts: true,
               context: {
                 customerId,
-                giftCardId: friendGiftCard.giftCardId
+                referralCode
               }
             })
           }
 
-          const friendNameBase = `${customer.given_name || ''} ${customer.family_name || ''}`.trim()
-          const friendEmail = customer.email_address || friendGiftCard.digitalEmail || null
-          if (friendEmail) {
-            await sendGiftCardEmailNotification({
-              customerName: friendNameBase || friendEmail || 'there',
-              email: friendEmail,
-              giftCardGan: friendGiftCard.giftCardGan,
-              amountCents: friendGiftCard.amountCents,
-              balanceCents: friendGiftCard.balanceCents,
-              activationUrl: friendGiftCard.activationUrl,
-              passKitUrl: friendGiftCard.passKitUrl,
-              customerId: customerId,
-              organizationId: organizationId
-            })
-          } else {
-            console.log('⚠️ Friend gift card email skipped – missing email address')
+          const friendGiftCardOptions = {
+            orderInfo: pendingOrderInfo || undefined,
+            idempotencyKeySeed: runContext?.correlationId
+              ? buildStageKey(runContext.correlationId, 'friend_reward', 'issue')
+              : undefined
           }
-        } else {
-          bookingHadError = true
-          if (runContext?.correlationId) {
-            await markGiftCardRunError(prisma, runContext.correlationId, 'Failed to create friend gift card', {
-              stage: 'friend_reward:error'
-            })
+          const friendGiftCard = await createGiftCard(
+            customerId,
+            `${customer.given_name || ''} ${customer.family_name || ''}`.trim(),
+            rewardAmounts.friendRewardCents,
+            false,
+            friendGiftCardOptions,
+            organizationId
+          )
+
+          if (friendGiftCard?.giftCardId) {
+            await prisma.$executeRaw`
+              UPDATE square_existing_clients 
+              SET 
+                got_signup_bonus = TRUE,
+                gift_card_id = ${friendGiftCard.giftCardId},
+                gift_card_gan = ${friendGiftCard.giftCardGan ?? null},
+                gift_card_order_id = ${friendGiftCard.orderId ?? null},
+                gift_card_line_item_uid = ${friendGiftCard.lineItemUid ?? null},
+                gift_card_delivery_channel = ${friendGiftCard.activationChannel ?? null},
+                gift_card_activation_url = ${friendGiftCard.activationUrl ?? null},
+                gift_card_pass_kit_url = ${friendGiftCard.passKitUrl ?? null},
+                gift_card_digital_email = ${friendGiftCard.digitalEmail ?? null},
+                used_referral_code = ${referralCode},
+                updated_at = NOW()
+              WHERE square_customer_id = ${customerId}
+            `
+
+            console.log(`✅ Friend received ${formatRewardAmount(rewardAmounts.friendRewardCents)} gift card IMMEDIATELY: ${friendGiftCard.giftCardId}`)
+            console.log(`   - Customer: ${customer.given_name} ${customer.family_name}`)
+            console.log(`   - Referrer: ${referrer.given_name} ${referrer.family_name}`)
+            console.log(`   - Next: When customer pays, referrer gets ${formatRewardAmount(rewardAmounts.referrerRewardCents)}`)
+
+            if (runContext?.correlationId) {
+              await updateGiftCardRunStage(prisma, runContext.correlationId, {
+                stage: 'friend_reward:completed',
+                status: 'completed',
+                clearError: true,
+                context: {
+                  customerId,
+                  giftCardId: friendGiftCard.giftCardId
+                }
+              })
+            }
+
+            const friendNameBase = `${customer.given_name || ''} ${customer.family_name || ''}`.trim()
+            const friendEmail = customer.email_address || friendGiftCard.digitalEmail || null
+            if (friendEmail) {
+              await sendGiftCardEmailNotification({
+                customerName: friendNameBase || friendEmail || 'there',
+                email: friendEmail,
+                giftCardGan: friendGiftCard.giftCardGan,
+                amountCents: friendGiftCard.amountCents,
+                balanceCents: friendGiftCard.balanceCents,
+                activationUrl: friendGiftCard.activationUrl,
+                passKitUrl: friendGiftCard.passKitUrl,
+                customerId: customerId,
+                organizationId: organizationId
+              })
+            } else {
+              console.log('⚠️ Friend gift card email skipped – missing email address')
+            }
+          } else {
+            bookingHadError = true
+            if (runContext?.correlationId) {
+              await markGiftCardRunError(prisma, runContext.correlationId, 'Failed to create friend gift card', {
+                stage: 'friend_reward:error'
+              })
+            }
           }
         }
       } else {
@@ -3245,23 +3938,26 @@ async function processNotificationJob(payload, runContext) {
   } = payload
 
   if (type === 'GIFT_CARD_DELIVERY' || type === 'FRIEND_ACTIVATION' || type === 'REFERRER_ACTIVATION') {
-    return sendGiftCardEmailNotification({
-      customerName,
-      email,
-      giftCardGan,
-      amountCents,
-      balanceCents,
-      activationUrl,
-      passKitUrl,
-      giftCardId,
-      locationId,
-      customerId,
+    // Email first unless the customer prefers SMS; bounces fall back via the webhooks
+    return dispatchNotification({
       organizationId,
-      notificationType: type,
-      notificationMetadata: {
-        ...notificationMetadata,
-        phoneNumber
-      }
+      templateType: type,
+      customer: {
+        square_customer_id: customerId,
+        given_name: customerName || undefined,
+        family_name: customerName ? null : undefined,
+        email_address: email || undefined,
+        phone_number: phoneNumber || undefined
+      },
+      payload: {
+        giftCardGan,
+        amountCents,
+        balanceCents,
+        activationUrl,
+        passKitUrl,
+        giftCardId
+      },
+      metadata: { ...notificationMetadata, locationId }
     })
   }
   
@@ -3276,10 +3972,14 @@ module.exports = {
   processNotificationJob,
   createGiftCard,
   loadGiftCard,
+  deductGiftCardBalance,
   sendGiftCardEmailNotification,
   sendReferralCodeToNewClient,
   generateUniquePersonalCode,
   createPromotionOrder,
   completePromotionOrderPayment,
-  findReferrerByCode
+  upsertCustomerCustomAttribute,
+  findReferrerByCode,
+  processReferralMilestones,
+  issueHeldReferralReward
 }
@@ -0,0 +1,187 @@
+import prisma from '../prisma-client.js'
+import { getOrganizationTimezone } from '../utils/organization-timezone.js'
+
+/**
+ * Commission Rules Engine
+ *
+ * Resolves the commission percent for a service booking or retail line item
+ * from commission_rules:
+ * - scope: square_variation_id > team_member_id > category (NULL = any)
+ * - effective dating: effective_from <= date < effective_to
+ * - tiers: marginal rates on the master's month-to-date sales volume, so a
+ *   sale that crosses a threshold gets a blended rate
+ * Falls back to MasterSettings.commission_rate (default 40%) when no rule matches.
+ */
+
+const DEFAULT_COMMISSION_RATE = 40.0
+function dateInTimezone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(date)
+}
+
+function specificity(rule) {
+  return (rule.square_variation_id ? 4 : 0) + (rule.team_member_id ? 2 : 0) + (rule.category ? 1 : 0)
+}
+
+/**
+ * Validate tiers_json. Returns an error string or null.
+ */
+export function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return 'tiers must be a non-empty array'
+  let previous = 0
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i]
+    if (typeof tier.rate !== 'number' || tier.rate < 0 || tier.rate > 100) {
+      return `tiers[${i}].rate must be a number between 0 and 100`
+    }
+    const isLast = i === tiers.length - 1
+    if (isLast) {
+      if (tier.up_to_cents !== null && tier.up_to_cents !== undefined) {
+        return 'last tier must have up_to_cents: null'
+      }
+    } else if (!Number.isInteger(tier.up_to_cents) || tier.up_to_cents <= previous) {
+      return `tiers[${i}].up_to_cents must be an integer above the previous tier`
+    }
+    previous = tier.up_to_cents ?? previous
+  }
+  return null
+}
+
+/**
+ * Blended percent for a sale of `amountCents` when the master already sold
+ * `priorVolumeCents` this month.
+ */
+export function blendTieredRate(tiers, priorVolumeCents, amountCents) {
+  if (amountCents <= 0) {
+    // Zero-price sale: use the rate of the tier the master is currently in
+    const tier = tiers.find((t) => t.up_to_cents == null || priorVolumeCents < t.up_to_cents)
+    return tier.rate
+  }
+
+  let remaining = amountCents
+  let cursor = priorVolumeCents
+  let weighted = 0
+  for (const tier of tiers) {
+    const upper = tier.up_to_cents ?? Infinity
+    if (cursor < upper) {
+      const portion = Math.min(remaining, upper - cursor)
+      weighted += portion * tier.rate
+      remaining -= portion
+      cursor += portion
+    }
+    if (remaining <= 0) break
+  }
+  return Math.round((weighted / amountCents) * 100) / 100
+}
+
+export async function findMatchingRule({ organizationId, appliesTo, teamMemberId, category, squareVariationId, at }) {
+  const timeZone = await getOrganizationTimezone(organizationId)
+  const day = new Date(`${dateInTimezone(at, timeZone)}T00:00:00Z`)
+
+  const rules = await prisma.commissionRule.findMany({
+    where: {
+      organization_id: organizationId,
+      applies_to: appliesTo,
+      is_active: true,
+      effective_from: { lte: day },
+      OR: [{ effective_to: null }, { effective_to: { gt: day } }],
+      AND: [
+        { OR: [{ team_member_id: null }, ...(teamMemberId ? [{ team_member_id: teamMemberId }] : [])] },
+        { OR: [{ category: null }, ...(category ? [{ category }] : [])] },
+        { OR: [{ square_variation_id: null }, ...(squareVariationId ? [{ square_variation_id: squareVariationId }] : [])] }
+      ]
+    }
+  })
+
+  rules.sort(
+    (a, b) =>
+      specificity(b) - specificity(a) ||
+      b.priority - a.priority ||
+      b.effective_from.getTime() - a.effective_from.getTime()
+  )
+  return rules[0] || null
+}
+
+/**
+ * Month-to-date sales volume of a master before `at` (calendar month in the
+ * organization's settings.timezone, default Los Angeles).
+ * SERVICE: snapshot prices of accepted bookings. PRODUCT: retail already commissioned.
+ */
+async function monthToDateVolume({ organizationId, teamMemberId, appliesTo, at, excludeBookingId }) {
+  const timeZone = await getOrganizationTimezone(organizationId)
+  const day = dateInTimezone(at, timeZone)
+  const monthStart = `${day.slice(0, 7)}-01`
+
+  if (appliesTo === 'PRODUCT') {
+    const rows = await prisma.$queryRaw`
+      SELECT COALESCE(SUM((meta_json->>'price_used')::bigint), 0)::bigint AS volume
+      FROM master_earnings_ledger
+      WHERE organization_id = ${organizationId}::uuid
+        AND team_member_id = ${teamMemberId}::uuid
+        AND entry_type = 'PRODUCT_COMMISSION'
+        AND (meta_json->>'sold_at')::timestamptz >= (${monthStart}::date AT TIME ZONE ${timeZone})
+        AND (meta_json->>'sold_at')::timestamptz < ${at}::timestamptz
+    `
+    return Number(rows[0]?.volume || 0)
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT COALESCE(SUM(bs.price_snapshot_amount), 0)::bigint AS volume
+    FROM booking_snapshots bs
+    JOIN bookings b ON b.id = bs.booking_id
+    WHERE bs.organization_id = ${organizationId}::uuid
+      AND bs.technician_id = ${teamMemberId}::uuid
+      AND bs.status = 'ACCEPTED'
+      AND (${excludeBookingId || null}::uuid IS NULL OR bs.booking_id <> ${excludeBookingId || null}::uuid)
+      AND b.start_at >= (${monthStart}::date AT TIME ZONE ${timeZone})
+      AND b.start_at < ${at}::timestamptz
+  `
+  return Number(rows[0]?.volume || 0)
+}
+
+/**
+ * Resolve the commission percent for one sale.
+ *
+ * @returns {Promise<{ rate: number, ruleId: string | null, detail: object }>}
+ */
+export async function resolveCommissionRate({
+  organizationId,
+  teamMemberId,
+  category,
+  squareVariationId,
+  appliesTo = 'SERVICE',
+  at = new Date(),
+  amountCents = 0,
+  fallbackRate,
+  excludeBookingId
+}) {
+  const rule = await findMatchingRule({ organizationId, appliesTo, teamMemberId, category, squareVariationId, at })
+
+  if (!rule) {
+    const rate = fallbackRate ?? DEFAULT_COMMISSION_RATE
+    return { rate, ruleId: null, detail: { source: 'MASTER_SETTINGS', rate } }
+  }
+
+  const tiers = Array.isArray(rule.tiers_json) && rule.tiers_json.length > 0 ? rule.tiers_json : null
+  if (!tiers) {
+    const rate = rule.rate ?? fallbackRate ?? DEFAULT_COMMISSION_RATE
+    return { rate, ruleId: rule.id, detail: { source: 'RULE', rule_name: rule.name, rate } }
+  }
+
+  const priorVolumeCents = teamMemberId
+    ? await monthToDateVolume({ organizationId, teamMemberId, appliesTo, at, excludeBookingId })
+    : 0
+  const rate = blendTieredRate(tiers, priorVolumeCents, amountCents)
+
+  return {
+    rate,
+    ruleId: rule.id,
+    detail: {
+      source: 'RULE_TIERED',
+      rule_name: rule.name,
+      tiers,
+      month_volume_before_cents: priorVolumeCents,
+      amount_cents: amountCents,
+      rate
+    }
+  }
+}
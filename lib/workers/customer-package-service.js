@@ -0,0 +1,336 @@
+import prisma from '../prisma-client.js'
+
+/**
+ * Customer Package Service
+ *
+ * Lifecycle of prepaid visit packages (e.g. "Package 5 TOP MASTER"):
+ * - SALE: a COMPLETED order containing a line item that matches an active
+ *   PackageDefinition creates a CustomerPackage (one per line item, idempotent)
+ * - USAGE: master-earnings-worker consumes one unit per package booking
+ * - EXPIRY: ACTIVE packages past expires_at move to EXPIRED
+ * - REFUND: refunding the purchase voids remaining units; refunding a visit
+ *   paid by the package returns the unit
+ *
+ * Statuses: ACTIVE, USED (no units left), EXPIRED, VOIDED (purchase refunded)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS)
+}
+
+function refundIdsOf(pkg) {
+  const ids = pkg.meta_json?.refund_ids
+  return Array.isArray(ids) ? ids : []
+}
+
+/**
+ * Find the package definition matching an order line item.
+ * Exact Square variation id wins over name pattern.
+ */
+export function matchPackageDefinition(definitions, lineItem) {
+  if (lineItem.service_variation_id) {
+    const byVariation = definitions.find(
+      (d) => d.square_variation_id && d.square_variation_id === lineItem.service_variation_id
+    )
+    if (byVariation) return byVariation
+  }
+
+  const name = `${lineItem.name || ''} ${lineItem.variation_name || ''}`.toLowerCase()
+  if (!name.trim()) return null
+
+  return (
+    definitions.find(
+      (d) => d.match_pattern && name.includes(d.match_pattern.toLowerCase().trim())
+    ) || null
+  )
+}
+
+/**
+ * Create CustomerPackage rows for every package line item on a completed order.
+ * Safe to call repeatedly (unique on organization_id + square_order_id + line item uid).
+ *
+ * @param {string} orderUuid - orders.id
+ * @param {string} organizationId
+ * @returns {Promise<number>} number of packages created
+ */
+export async function createPackagesForOrder(orderUuid, organizationId) {
+  const order = await prisma.order.findFirst({
+    where: { id: orderUuid, organization_id: organizationId }
+  })
+
+  if (!order || order.state !== 'COMPLETED') return 0
+  if (!order.customer_id) {
+    console.warn(`[PACKAGE-SERVICE] Order ${order.order_id} has no customer, cannot assign package`)
+    return 0
+  }
+
+  const definitions = await prisma.packageDefinition.findMany({
+    where: { organization_id: organizationId, is_active: true }
+  })
+  if (definitions.length === 0) return 0
+
+  const lineItems = await prisma.orderLineItem.findMany({
+    where: { order_id: order.id, organization_id: organizationId }
+  })
+
+  const purchasedAt = order.closed_at || order.created_at || new Date()
+  let created = 0
+
+  for (const lineItem of lineItems) {
+    const definition = matchPackageDefinition(definitions, lineItem)
+    if (!definition) continue
+
+    const lineItemUid = lineItem.uid || lineItem.id
+    const existing = await prisma.customerPackage.findFirst({
+      where: {
+        organization_id: organizationId,
+        square_order_id: order.order_id,
+        order_line_item_uid: lineItemUid
+      },
+      select: { id: true }
+    })
+    if (existing) continue
+
+    const quantity = Math.max(1, parseInt(lineItem.quantity || '1', 10) || 1)
+    const unitsTotal = definition.units_total * quantity
+    const purchasePriceCents = lineItem.total_money_amount ?? lineItem.gross_sales_money_amount ?? 0
+    const allocatedUnitPrice =
+      definition.allocated_unit_price ?? (unitsTotal > 0 ? Math.round(purchasePriceCents / unitsTotal) : 0)
+
+    try {
+      await prisma.customerPackage.create({
+        data: {
+          organization_id: organizationId,
+          customer_id: order.customer_id,
+          package_definition_id: definition.id,
+          package_name: definition.name,
+          category: definition.category,
+          units_total: unitsTotal,
+          units_remaining: unitsTotal,
+          allocated_unit_price: allocatedUnitPrice,
+          square_order_id: order.order_id,
+          order_line_item_uid: lineItemUid,
+          purchase_price_cents: purchasePriceCents,
+          purchased_at: purchasedAt,
+          expires_at: definition.validity_days ? addDays(purchasedAt, definition.validity_days) : null,
+          status: unitsTotal > 0 ? 'ACTIVE' : 'USED',
+          meta_json: { source: 'order', line_item_name: lineItem.name || null, quantity }
+        }
+      })
+      created++
+      console.log(
+        `[PACKAGE-SERVICE] ✅ Created package "${definition.name}" (${unitsTotal} units) for customer ${order.customer_id} from order ${order.order_id}`
+      )
+    } catch (error) {
+      // Concurrent webhook + cron sweep for the same line item
+      if (error.code === 'P2002') continue
+      throw error
+    }
+  }
+
+  return created
+}
+
+/**
+ * Sweep recently completed orders for package line items that have no
+ * CustomerPackage yet (missed webhooks, definitions added after the sale).
+ */
+export async function processPackageSales(organizationId) {
+  const lookbackDays = parseInt(process.env.PACKAGE_SALES_LOOKBACK_DAYS || '7', 10)
+  const since = new Date(Date.now() - lookbackDays * DAY_MS)
+
+  const definitions = await prisma.packageDefinition.findMany({
+    where: { organization_id: organizationId, is_active: true }
+  })
+  if (definitions.length === 0) return { ordersScanned: 0, packagesCreated: 0 }
+
+  const patterns = definitions
+    .filter((d) => d.match_pattern)
+    .map((d) => `%${d.match_pattern.trim()}%`)
+  const variationIds = definitions.filter((d) => d.square_variation_id).map((d) => d.square_variation_id)
+
+  const candidates = await prisma.$queryRaw`
+    SELECT DISTINCT o.id
+    FROM orders o
+    JOIN order_line_items oli ON oli.order_id = o.id
+    WHERE o.organization_id = ${organizationId}::uuid
+      AND o.state = 'COMPLETED'
+      AND o.customer_id IS NOT NULL
+      AND COALESCE(o.closed_at, o.created_at) >= ${since}::timestamptz
+      AND (
+        (oli.name || ' ' || COALESCE(oli.variation_name, '')) ILIKE ANY(${patterns}::text[])
+        OR oli.service_variation_id = ANY(${variationIds}::text[])
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM customer_packages cp
+        WHERE cp.organization_id = o.organization_id
+          AND cp.square_order_id = o.order_id
+          AND cp.order_line_item_uid = COALESCE(oli.uid, oli.id)
+      )
+  `
+
+  let packagesCreated = 0
+  for (const row of candidates) {
+    try {
+      packagesCreated += await createPackagesForOrder(row.id, organizationId)
+    } catch (error) {
+      console.error(`[PACKAGE-SERVICE] ❌ Failed to create packages for order ${row.id}:`, error.message)
+    }
+  }
+
+  if (packagesCreated > 0) {
+    console.log(`[PACKAGE-SERVICE] ✅ Sweep created ${packagesCreated} package(s) for org ${organizationId}`)
+  }
+  return { ordersScanned: candidates.length, packagesCreated }
+}
+
+/**
+ * Move ACTIVE packages past their expiry date to EXPIRED.
+ */
+export async function expireCustomerPackages(organizationId) {
+  const result = await prisma.customerPackage.updateMany({
+    where: {
+      organization_id: organizationId,
+      status: 'ACTIVE',
+      expires_at: { lte: new Date() }
+    },
+    data: { status: 'EXPIRED' }
+  })
+
+  if (result.count > 0) {
+    console.log(`[PACKAGE-SERVICE] ⏰ Expired ${result.count} package(s) for org ${organizationId}`)
+  }
+  return result.count
+}
+
+/**
+ * Apply a Square refund to packages.
+ *
+ * 1. Refund of the purchase order → remaining units are voided
+ *    (proportionally for partial refunds).
+ * 2. Full refund of a visit that consumed a package unit → the unit is returned.
+ *
+ * Idempotent per refund id (meta_json.refund_ids / PackageUsage.reversed_at).
+ */
+export async function handlePackageRefund({ paymentId, refundId, refundAmountCents = 0 }) {
+  const payment = await prisma.payment.findFirst({
+    where: { payment_id: paymentId },
+    select: { organization_id: true, order_id: true, booking_id: true, total_money_amount: true }
+  })
+  if (!payment) return { voided: 0, restored: 0 }
+
+  const totalPaymentAmount = payment.total_money_amount || 0
+  const isFullRefund = refundAmountCents === 0 || refundAmountCents >= totalPaymentAmount
+  const refundRatio = isFullRefund ? 1 : refundAmountCents / totalPaymentAmount
+
+  let voided = 0
+  let restored = 0
+
+  // 1. Purchase refund
+  if (payment.order_id) {
+    const order = await prisma.order.findUnique({
+      where: { id: payment.order_id },
+      select: { order_id: true }
+    })
+    const packages = order
+      ? await prisma.customerPackage.findMany({
+          where: { organization_id: payment.organization_id, square_order_id: order.order_id }
+        })
+      : []
+
+    for (const pkg of packages) {
+      const refundIds = refundIdsOf(pkg)
+      if (refundIds.includes(refundId)) continue
+
+      const unitsToVoid = isFullRefund
+        ? pkg.units_remaining
+        : Math.min(pkg.units_remaining, Math.round(pkg.units_total * refundRatio))
+      const unitsRemaining = pkg.units_remaining - unitsToVoid
+
+      await prisma.customerPackage.update({
+        where: { id: pkg.id },
+        data: {
+          units_remaining: unitsRemaining,
+          status: unitsRemaining === 0 ? 'VOIDED' : pkg.status,
+          meta_json: {
+            ...(pkg.meta_json || {}),
+            refund_ids: [...refundIds, refundId],
+            voided_units: (pkg.meta_json?.voided_units || 0) + unitsToVoid
+          }
+        }
+      })
+      voided += unitsToVoid
+      console.log(
+        `[PACKAGE-SERVICE] ↩️ Refund ${refundId}: voided ${unitsToVoid} unit(s) of package ${pkg.id} (${unitsRemaining} left)`
+      )
+    }
+  }
+
+  // 2. Visit refund — only a full refund gives the visit back
+  if (payment.booking_id && isFullRefund) {
+    const usages = await prisma.packageUsage.findMany({
+      where: { booking_id: payment.booking_id, reversed_at: null },
+      include: { package: true }
+    })
+
+    for (const usage of usages) {
+      const pkg = usage.package
+      if (pkg.status === 'VOIDED') continue
+
+      const unitsRemaining = Math.min(pkg.units_total, pkg.units_remaining + 1)
+      const isExpired = pkg.expires_at && pkg.expires_at <= new Date()
+
+      await prisma.$transaction([
+        prisma.packageUsage.update({
+          where: { id: usage.id },
+          data: {
+            reversed_at: new Date(),
+            meta_json: { ...(usage.meta_json || {}), refund_id: refundId, refund_payment_id: paymentId }
+          }
+        }),
+        prisma.customerPackage.update({
+          where: { id: pkg.id },
+          data: {
+            units_remaining: unitsRemaining,
+            status: isExpired ? 'EXPIRED' : 'ACTIVE'
+          }
+        })
+      ])
+      restored++
+      console.log(`[PACKAGE-SERVICE] ↩️ Refund ${refundId}: restored 1 unit to package ${pkg.id} (${unitsRemaining} left)`)
+    }
+  }
+
+  return { voided, restored }
+}
+
+/**
+ * Packages of a customer with usage history (newest first).
+ */
+export async function getCustomerPackages(organizationId, customerId, { status } = {}) {
+  const packages = await prisma.customerPackage.findMany({
+    where: {
+      organization_id: organizationId,
+      customer_id: customerId,
+      ...(status ? { status } : {})
+    },
+    include: { usages: { orderBy: { used_at: 'desc' } } },
+    orderBy: { purchased_at: 'desc' }
+  })
+
+  const bookingIds = [...new Set(packages.flatMap((p) => p.usages.map((u) => u.booking_id)))]
+  const bookings = bookingIds.length
+    ? await prisma.booking.findMany({
+        where: { id: { in: bookingIds } },
+        select: { id: true, booking_id: true, start_at: true, technician_id: true, status: true }
+      })
+    : []
+  const bookingMap = new Map(bookings.map((b) => [b.id, b]))
+
+  return packages.map((pkg) => ({
+    ...pkg,
+    usages: pkg.usages.map((u) => ({ ...u, booking: bookingMap.get(u.booking_id) || null }))
+  }))
+}
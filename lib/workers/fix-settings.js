@@ -0,0 +1,77 @@
+import prisma from '../prisma-client.js'
+
+/**
+ * Fix Settings
+ * Per-organization fix-transfer amount, fix detection and auto-linking of a
+ * fix booking to the customer's previous visit. Organizations without a
+ * fix_settings row get the historical defaults ($15 flat, EN/RU keywords).
+ */
+
+export const DEFAULT_FIX_SETTINGS = {
+  transfer_type: 'FLAT',
+  transfer_amount_cents: 1500, // $15
+  transfer_percent: null,
+  min_transfer_cents: null,
+  max_transfer_cents: null,
+  keywords: ['fix', 'correction', 'redo', 'переделка', 'исправление'],
+  square_variation_ids: [],
+  auto_link_enabled: true,
+  auto_link_window_days: 14
+}
+
+export async function getFixSettings(organizationId) {
+  const settings = await prisma.fixSettings.findUnique({
+    where: { organization_id: organizationId }
+  })
+  return settings || { organization_id: organizationId, ...DEFAULT_FIX_SETTINGS }
+}
+
+/**
+ * True when the service is a fix by variation id or by a keyword in its name.
+ */
+export function isFixService(settings, { serviceName, squareVariationId }) {
+  if (squareVariationId && settings.square_variation_ids?.includes(squareVariationId)) return true
+  const name = (serviceName || '').toLowerCase()
+  if (!name) return false
+  return (settings.keywords || []).some((keyword) => keyword && name.includes(keyword.toLowerCase()))
+}
+
+/**
+ * Transfer amount in cents. PERCENT is taken from the original (fixed)
+ * booking's price; falls back to the flat amount when that price is unknown.
+ */
+export function computeFixTransferAmount(settings, originalPriceCents) {
+  if (settings.transfer_type !== 'PERCENT' || !settings.transfer_percent || !originalPriceCents) {
+    return settings.transfer_amount_cents
+  }
+
+  let amount = Math.round(originalPriceCents * (settings.transfer_percent / 100))
+  if (settings.min_transfer_cents != null) amount = Math.max(amount, settings.min_transfer_cents)
+  if (settings.max_transfer_cents != null) amount = Math.min(amount, settings.max_transfer_cents)
+  return amount
+}
+
+/**
+ * The customer's most recent ACCEPTED, non-fix booking before the fix booking,
+ * within auto_link_window_days. Returns bookings.id or null.
+ */
+export async function findPriorBookingForFix(settings, { organizationId, customerId, startAt, fixBookingId }) {
+  if (!settings.auto_link_enabled || !customerId || !startAt) return null
+
+  const windowStart = new Date(startAt.getTime() - settings.auto_link_window_days * 24 * 60 * 60 * 1000)
+  const rows = await prisma.$queryRaw`
+    SELECT b.id
+    FROM bookings b
+    LEFT JOIN booking_snapshots bs ON bs.booking_id = b.id
+    WHERE b.organization_id = ${organizationId}::uuid
+      AND b.customer_id = ${customerId}
+      AND b.status = 'ACCEPTED'
+      AND b.id <> ${fixBookingId}::uuid
+      AND b.start_at < ${startAt}::timestamptz
+      AND b.start_at >= ${windowStart}::timestamptz
+      AND COALESCE(bs.is_fix, false) = false
+    ORDER BY b.start_at DESC
+    LIMIT 1
+  `
+  return rows[0]?.id || null
+}
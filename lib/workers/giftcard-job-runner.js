@@ -4,6 +4,7 @@ const {
   lockNextGiftCardJob,
   completeGiftCardJob,
   failGiftCardJob,
+  renewGiftCardJobLock,
 } = require('../workflows/giftcard-job-queue')
 const {
   updateGiftCardRunStage,
@@ -20,6 +21,24 @@ const {
   logWarn,
   logError,
 } = require('../observability/logger')
+const { continueTrace } = require('../observability/tracing')
+
+// How often a running job renews its lock (must stay well under LOCK_TIMEOUT_MS)
+const LOCK_HEARTBEAT_MS = Number(process.env.QUEUE_LOCK_HEARTBEAT_MS) || 30000
+
+function startLockHeartbeat(job, workerId) {
+  const timer = setInterval(() => {
+    renewGiftCardJobLock(prisma, job.id, workerId).catch((error) => {
+      logWarn('giftcard.worker.lock_renew_failed', {
+        workerId,
+        jobId: job.id,
+        error: error?.message || String(error),
+      })
+    })
+  }, LOCK_HEARTBEAT_MS)
+  timer.unref?.()
+  return () => clearInterval(timer)
+}
 
 function buildRequestStub() {
   return {
@@ -79,53 +98,85 @@ async function runGiftCardJobOnce({
     return { processed: false }
   }
 
-  logInfo('giftcard.worker.job.start', {
-    workerId,
+  // Continue the trace of the webhook or job that enqueued this stage
+  return continueTrace(job, 'giftcard_job.run', {
+    organizationId: job.context?.organizationId || job.payload?.organizationId,
     jobId: job.id,
     stage: job.stage,
     correlationId: job.correlationId,
-    attempts: job.attempts,
-  })
-
-  try {
-    await processGiftCardJob(job, workerId)
-    await completeGiftCardJob(prisma, job.id)
-    logInfo('giftcard.worker.job.completed', {
-      workerId,
-      jobId: job.id,
-      stage: job.stage,
-      correlationId: job.correlationId,
-    })
-    return { processed: true, jobId: job.id, stage: job.stage }
-  } catch (error) {
-    logError('giftcard.worker.job.failed', {
+    eventId: job.context?.squareEventId,
+    attempt: job.attempts,
+    workerId,
+  }, async () => {
+    logInfo('giftcard.worker.job.start', {
       workerId,
       jobId: job.id,
       stage: job.stage,
       correlationId: job.correlationId,
       attempts: job.attempts,
-      error: error?.message || String(error),
     })
 
-    await markGiftCardRunError(prisma, job.correlationId, error, {
-      stage: `${job.stage}:worker-error`,
-    })
-
-    const openBreaker = job.attempts >= 3
-    if (openBreaker) {
-      logWarn('giftcard.worker.circuit_open', {
+    const stopHeartbeat = startLockHeartbeat(job, workerId)
+    try {
+      await processGiftCardJob(job, workerId)
+      const completed = await completeGiftCardJob(prisma, job.id, workerId)
+      if (!completed) {
+        logWarn('giftcard.worker.lock_lost', {
+          workerId,
+          jobId: job.id,
+          stage: job.stage,
+          correlationId: job.correlationId,
+        })
+        return { processed: true, lockLost: true, jobId: job.id, stage: job.stage }
+      }
+      logInfo('giftcard.worker.job.completed', {
         workerId,
+        jobId: job.id,
         stage: job.stage,
         correlationId: job.correlationId,
       })
-    }
+      return { processed: true, lockLost: false, jobId: job.id, stage: job.stage }
+    } catch (error) {
+      logError('giftcard.worker.job.failed', {
+        workerId,
+        jobId: job.id,
+        stage: job.stage,
+        correlationId: job.correlationId,
+        attempts: job.attempts,
+        error: error?.message || String(error),
+      })
 
-    await failGiftCardJob(prisma, job, error, {
-      delayMs: openBreaker ? Number(process.env.GIFTCARD_WORKER_BREAKER_MS || 60000) : undefined,
-    })
+      await markGiftCardRunError(prisma, job.correlationId, error, {
+        stage: `${job.stage}:worker-error`,
+      })
 
-    throw error
-  }
+      const openBreaker = job.attempts >= 3
+      if (openBreaker) {
+        logWarn('giftcard.worker.circuit_open', {
+          workerId,
+          stage: job.stage,
+          correlationId: job.correlationId,
+        })
+      }
+
+      const failed = await failGiftCardJob(prisma, job, error, {
+        delayMs: openBreaker ? Number(process.env.GIFTCARD_WORKER_BREAKER_MS || 60000) : undefined,
+        workerId,
+      })
+      if (!failed) {
+        logWarn('giftcard.worker.lock_lost', {
+          workerId,
+          jobId: job.id,
+          stage: job.stage,
+          correlationId: job.correlationId,
+        })
+      }
+
+      throw error
+    } finally {
+      stopHeartbeat()
+    }
+  })
 }
 
 async function processPaymentSave(paymentData, context, runContext) {
@@ -1,4 +1,5 @@
 import prisma from '../prisma-client.js'
+import { getFixSettings, computeFixTransferAmount } from './fix-settings.js'
 
 /**
  * Master Earnings Worker
@@ -78,7 +79,8 @@ export async function processMasterEarnings(organizationId, batchSize = 50) {
       }
     }
 
-    const ctx = { paymentsByOrderId, lineItemsByOrderId }
+    const fixSettings = await getFixSettings(organizationId)
+    const ctx = { paymentsByOrderId, lineItemsByOrderId, fixSettings }
     const concurrency = parseInt(process.env.EARNINGS_CONCURRENCY || '1', 10)
     if (concurrency > 1) {
       for (let i = 0; i < pendingSnapshots.length; i += concurrency) {
@@ -139,12 +141,13 @@ async function processSingleSnapshot(snapshot, ctx = {}) {
             calculation_base: 'SNAPSHOT_PRICE',
             price_used: basePrice, 
             rate: snapshot.commission_rate_snapshot,
+            commission_rule_id: snapshot.commission_rule_id,
             is_fix: snapshot.is_fix
           }
         })
       }
 
-      // 1.5 FIX TRANSFER ($15 cross-master penalty/compensation)
+      // 1.5 FIX TRANSFER (cross-master penalty/compensation, amount from fix_settings)
       // Only fires if snapshot was marked as fix AND has original_booking_id
       // Idempotency: skip if admin already created fix entries via API
       if (snapshot.is_fix && snapshot.original_booking_id) {
@@ -161,7 +164,8 @@ async function processSingleSnapshot(snapshot, ctx = {}) {
           })
 
           if (originalSnapshot?.technician_id && originalSnapshot.technician_id !== technicianId) {
-            const FIX_TRANSFER_AMOUNT = 1500 // $15 in cents
+            const fixSettings = ctx.fixSettings || (await getFixSettings(snapshot.organization_id))
+            const fixTransferAmount = computeFixTransferAmount(fixSettings, originalSnapshot.price_snapshot_amount)
 
             // Penalize the original master whose work needed fixing
             ledgerEntries.push({
@@ -169,12 +173,13 @@ async function processSingleSnapshot(snapshot, ctx = {}) {
               team_member_id: originalSnapshot.technician_id,
               booking_id: snapshot.booking_id,
               entry_type: 'FIX_PENALTY',
-              amount_amount: -FIX_TRANSFER_AMOUNT,
+              amount_amount: -fixTransferAmount,
               source_engine: 'MASTER_ENGINE',
               meta_json: {
                 original_booking_id: snapshot.original_booking_id,
                 fix_booking_id: snapshot.booking_id,
                 fixing_master_id: technicianId,
+                transfer_type: fixSettings.transfer_type,
                 auto_detected: true
               }
             })
@@ -185,11 +190,12 @@ async function processSingleSnapshot(snapshot, ctx = {}) {
               team_member_id: technicianId,
               booking_id: snapshot.booking_id,
               entry_type: 'FIX_COMPENSATION',
-              amount_amount: FIX_TRANSFER_AMOUNT,
+              amount_amount: fixTransferAmount,
               source_engine: 'MASTER_ENGINE',
               meta_json: {
                 original_booking_id: snapshot.original_booking_id,
                 original_master_id: originalSnapshot.technician_id,
+                transfer_type: fixSettings.transfer_type,
                 auto_detected: true
               }
             })
@@ -230,8 +236,11 @@ async function processSingleSnapshot(snapshot, ctx = {}) {
             organization_id: snapshot.organization_id,
             category: snapshot.category_snapshot,
             units_remaining: { gt: 0 },
-            status: 'ACTIVE'
-          }
+            status: 'ACTIVE',
+            OR: [{ expires_at: null }, { expires_at: { gt: booking.start_at || new Date() } }]
+          },
+          // Consume the oldest package first
+          orderBy: { purchased_at: 'asc' }
         })
 
         if (activePackage) {
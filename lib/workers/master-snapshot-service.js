@@ -1,4 +1,6 @@
 import prisma from '../prisma-client.js'
+import { resolveCommissionRate } from './commission-rules.js'
+import { getFixSettings, isFixService, findPriorBookingForFix } from './fix-settings.js'
 
 /**
  * Creates or updates a financial snapshot for a booking.
@@ -34,19 +36,15 @@ export async function upsertBookingSnapshot(bookingId, organizationId) {
 
     // 3. Determine values for snapshot
     const priceAmount = booking.service_variation?.price_amount || 0
-    const commissionRate = masterSettings?.commission_rate || 40.0
     const category = masterSettings?.category || 'MASTER'
     const duration = booking.duration_minutes || 60
 
-    // 3.5 Fix detection: service name keywords + admin override (MasterAdjustment)
-    const serviceName = (booking.service_variation?.name || '').toLowerCase()
-    const serviceNameIndicatesFix = (
-      serviceName.includes('fix') ||
-      serviceName.includes('correction') ||
-      serviceName.includes('redo') ||
-      serviceName.includes('переделка') ||
-      serviceName.includes('исправление')
-    )
+    // 3.5 Fix detection: org fix settings (keywords / variation list) + admin override (MasterAdjustment)
+    const fixSettings = await getFixSettings(organizationId)
+    const serviceNameIndicatesFix = isFixService(fixSettings, {
+      serviceName: booking.service_variation?.name,
+      squareVariationId: booking.service_variation?.square_variation_id
+    })
 
     // Check if admin already marked this as a fix via MasterAdjustment
     const existingFixAdjustment = await prisma.masterAdjustment.findFirst({
@@ -58,21 +56,67 @@ export async function upsertBookingSnapshot(bookingId, organizationId) {
     })
 
     const isFix = serviceNameIndicatesFix || !!existingFixAdjustment
-    const originalBookingId = existingFixAdjustment?.original_booking_id || null
+    let originalBookingId = existingFixAdjustment?.original_booking_id || null
 
     // 4. Upsert snapshot
     // On update: never flip is_fix back to false if already set (admin override is authoritative)
     const existingSnapshot = await prisma.bookingSnapshot.findUnique({
       where: { booking_id: booking.id },
-      select: { is_fix: true, original_booking_id: true }
+      select: {
+        is_fix: true,
+        original_booking_id: true,
+        base_processed: true,
+        commission_rate_snapshot: true,
+        commission_rule_id: true,
+        commission_detail_json: true
+      }
     })
 
+    // 3.5b Auto-link a detected fix to the customer's previous visit (fix transfer needs it)
+    if (isFix && !originalBookingId && !existingSnapshot?.original_booking_id && !existingSnapshot?.base_processed) {
+      originalBookingId = await findPriorBookingForFix(fixSettings, {
+        organizationId,
+        customerId: booking.customer_id,
+        startAt: booking.start_at,
+        fixBookingId: booking.id
+      })
+      if (originalBookingId) {
+        console.log(`[SNAPSHOT-SERVICE] 🔗 Fix booking ${bookingId} auto-linked to prior booking ${originalBookingId}`)
+      }
+    }
+
+    // 3.6 Commission rate from commission_rules (fallback: MasterSettings.commission_rate).
+    // Once the ledger has been written from this snapshot the resolved rate is frozen.
+    let commission
+    if (existingSnapshot?.base_processed) {
+      commission = {
+        rate: existingSnapshot.commission_rate_snapshot,
+        ruleId: existingSnapshot.commission_rule_id,
+        detail: existingSnapshot.commission_detail_json ?? undefined
+      }
+    } else {
+      commission = await resolveCommissionRate({
+        organizationId,
+        teamMemberId: booking.technician_id,
+        category,
+        squareVariationId: booking.service_variation?.square_variation_id || null,
+        appliesTo: 'SERVICE',
+        at: booking.start_at,
+        amountCents: priceAmount,
+        fallbackRate: masterSettings?.commission_rate || 40.0,
+        excludeBookingId: booking.id
+      })
+    }
+    const commissionRate = commission.rate
+
     await prisma.bookingSnapshot.upsert({
       where: { booking_id: booking.id },
       update: {
         status: booking.status,
         price_snapshot_amount: priceAmount,
         commission_rate_snapshot: commissionRate,
+        commission_rule_id: commission.ruleId,
+        commission_detail_json: commission.detail,
         category_snapshot: category,
         duration_minutes_snapshot: duration,
         technician_id: booking.technician_id,
@@ -89,6 +133,8 @@ export async function upsertBookingSnapshot(bookingId, organizationId) {
         status: booking.status,
         price_snapshot_amount: priceAmount,
         commission_rate_snapshot: commissionRate,
+        commission_rule_id: commission.ruleId,
+        commission_detail_json: commission.detail,
         category_snapshot: category,
         duration_minutes_snapshot: duration,
         is_fix: isFix,
@@ -0,0 +1,198 @@
+const { Client } = require('pg')
+const { randomUUID } = require('crypto')
+const { runWebhookJobOnce } = require('./webhook-job-runner')
+const { runGiftCardJobOnce } = require('./giftcard-job-runner')
+const { WEBHOOK_JOB_CHANNEL } = require('../workflows/webhook-job-queue')
+const { GIFTCARD_JOB_CHANNEL } = require('../workflows/giftcard-job-queue')
+const {
+  logInfo,
+  logWarn,
+  logError,
+} = require('../observability/logger')
+
+/**
+ * Long-running Queue Worker
+ * Drains webhook_jobs and giftcard_jobs continuously with a fixed number of
+ * concurrent slots. Enqueuers pg_notify the queue's channel so an idle slot
+ * wakes immediately; the poll interval covers missed notifications and retries
+ * whose scheduled_at has come due. Running jobs renew their lock (heartbeat in
+ * the runners), so a worker that dies mid-job has its jobs reclaimed after
+ * LOCK_TIMEOUT_MS. The hourly cron routes keep working as a fallback.
+ */
+
+const QUEUE_RUNNERS = {
+  webhook: { channel: WEBHOOK_JOB_CHANNEL, runOnce: runWebhookJobOnce },
+  giftcard: { channel: GIFTCARD_JOB_CHANNEL, runOnce: runGiftCardJobOnce },
+}
+
+const LISTENER_RECONNECT_MS = 5000
+const ERROR_BACKOFF_MS = 1000
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Starts the worker. Returns { workerId, stop({ timeoutMs }) }; stop lets
+ * in-flight jobs finish and resolves 'drained', or 'timeout' if they don't
+ * finish in time.
+ */
+function startQueueWorker({
+  queues = Object.keys(QUEUE_RUNNERS),
+  concurrency = 4,
+  pollIntervalMs = 15000,
+  // LISTEN needs a session connection; transaction-mode poolers drop notifications
+  connectionString = process.env.DIRECT_URL || process.env.DATABASE_URL,
+  workerId = `worker-${randomUUID()}`,
+} = {}) {
+  const runners = queues
+    .filter((name) => QUEUE_RUNNERS[name])
+    .map((name) => ({ name, ...QUEUE_RUNNERS[name] }))
+  if (runners.length === 0) {
+    throw new Error(`No known queues in "${queues.join(',')}" (expected webhook, giftcard)`)
+  }
+
+  let stopping = false
+  let listener = null
+  let reconnectTimer = null
+  const waiters = new Set()
+
+  function waitForWork() {
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer)
+        waiters.delete(wake)
+        resolve()
+      }
+      const timer = setTimeout(wake, pollIntervalMs)
+      waiters.add(wake)
+    })
+  }
+
+  function wakeOne() {
+    const [wake] = waiters
+    if (wake) wake()
+  }
+
+  function wakeAll() {
+    for (const wake of [...waiters]) wake()
+  }
+
+  function scheduleReconnect(client) {
+    client.end().catch(() => {})
+    if (listener === client) listener = null
+    if (stopping || reconnectTimer) return
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      connectListener()
+    }, LISTENER_RECONNECT_MS)
+  }
+
+  async function connectListener() {
+    if (stopping || !connectionString) return
+    const client = new Client({ connectionString })
+    client.on('notification', wakeOne)
+    client.on('error', (error) => {
+      logWarn('queue.worker.listener_error', { workerId, error: error?.message || String(error) })
+      scheduleReconnect(client)
+    })
+
+    try {
+      await client.connect()
+      for (const runner of runners) {
+        await client.query(`LISTEN ${runner.channel}`)
+      }
+      listener = client
+      logInfo('queue.worker.listening', { workerId, channels: runners.map((runner) => runner.channel) })
+      // Catch up on anything enqueued while we weren't listening
+      wakeAll()
+    } catch (error) {
+      logWarn('queue.worker.listener_connect_failed', { workerId, error: error?.message || String(error) })
+      scheduleReconnect(client)
+    }
+  }
+
+  async function runSlot(slot) {
+    const slotWorkerId = `${workerId}:${slot}`
+    let next = slot % runners.length
+
+    while (!stopping) {
+      let busy = false
+
+      // Round-robin across queues so a deep webhook backlog can't starve gift cards
+      for (let i = 0; i < runners.length && !stopping; i++) {
+        const runner = runners[(next + i) % runners.length]
+        try {
+          const result = await runner.runOnce({ workerId: slotWorkerId })
+          if (result.lockLost) {
+            // The job outlived LOCK_TIMEOUT_MS and was reclaimed; the other worker's run stands
+            logWarn('queue.worker.lock_lost', {
+              workerId: slotWorkerId,
+              queue: runner.name,
+              jobId: result.jobId,
+            })
+          }
+          if (result.processed) {
+            busy = true
+            next = (next + i + 1) % runners.length
+            break
+          }
+        } catch (error) {
+          // The runner already rescheduled or dead-lettered the job
+          logError('queue.worker.job_failed', {
+            workerId: slotWorkerId,
+            queue: runner.name,
+            error: error?.message || String(error),
+          })
+          await sleep(ERROR_BACKOFF_MS)
+          busy = true
+          break
+        }
+      }
+
+      if (!busy && !stopping) {
+        await waitForWork()
+      }
+    }
+  }
+
+  logInfo('queue.worker.start', {
+    workerId,
+    queues: runners.map((runner) => runner.name),
+    concurrency,
+    pollIntervalMs,
+  })
+
+  connectListener()
+  const slots = Array.from({ length: Math.max(1, concurrency) }, (_, slot) => runSlot(slot))
+  const drained = Promise.all(slots)
+
+  async function stop({ timeoutMs = 25000 } = {}) {
+    stopping = true
+    clearTimeout(reconnectTimer)
+    wakeAll()
+
+    let timer
+    const outcome = await Promise.race([
+      drained.then(() => 'drained'),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve('timeout'), timeoutMs)
+      }),
+    ])
+    clearTimeout(timer)
+
+    if (listener) {
+      await listener.end().catch(() => {})
+      listener = null
+    }
+    logInfo('queue.worker.stop', { workerId, outcome })
+    return outcome
+  }
+
+  return { workerId, stop }
+}
+
+module.exports = {
+  QUEUE_RUNNERS,
+  startQueueWorker,
+}
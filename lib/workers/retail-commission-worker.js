@@ -0,0 +1,109 @@
+import prisma from '../prisma-client.js'
+import { resolveCommissionRate } from './commission-rules.js'
+
+/**
+ * Retail Commission Worker
+ * Creates PRODUCT_COMMISSION ledger entries for retail line items on completed
+ * orders that are attributed to a master (order_line_items.technician_id).
+ *
+ * A line item counts as retail when its catalog variation is not a bookable
+ * service and it did not sell a customer package. Only organizations with
+ * active PRODUCT commission rules pay retail commission — there is no
+ * MasterSettings fallback for products.
+ */
+export async function processRetailCommissions(organizationId) {
+  const lookbackDays = parseInt(process.env.RETAIL_COMMISSION_LOOKBACK_DAYS || '35', 10)
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000)
+
+  const hasProductRules = await prisma.commissionRule.count({
+    where: { organization_id: organizationId, applies_to: 'PRODUCT', is_active: true }
+  })
+  if (!hasProductRules) return { processed: 0 }
+
+  const lineItems = await prisma.$queryRaw`
+    SELECT
+      oli.id,
+      oli.name,
+      oli.service_variation_id,
+      oli.technician_id,
+      oli.total_money_amount,
+      o.order_id,
+      COALESCE(o.closed_at, o.created_at) AS sold_at,
+      ms.category::text AS category,
+      ms.commission_rate
+    FROM order_line_items oli
+    JOIN orders o ON o.id = oli.order_id
+    LEFT JOIN master_settings ms ON ms.team_member_id = oli.technician_id
+    WHERE oli.organization_id = ${organizationId}::uuid
+      AND o.state = 'COMPLETED'
+      AND oli.technician_id IS NOT NULL
+      AND COALESCE(oli.total_money_amount, 0) > 0
+      AND COALESCE(o.closed_at, o.created_at) >= ${since}::timestamptz
+      AND oli.service_variation_id IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM service_variation sv WHERE sv.square_variation_id = oli.service_variation_id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM customer_packages cp
+        WHERE cp.organization_id = oli.organization_id
+          AND cp.square_order_id = o.order_id
+          AND cp.order_line_item_uid = COALESCE(oli.uid, oli.id)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM master_earnings_ledger mel
+        WHERE mel.organization_id = oli.organization_id
+          AND mel.entry_type = 'PRODUCT_COMMISSION'
+          AND mel.meta_json->>'line_item_id' = oli.id
+      )
+    ORDER BY sold_at ASC
+  `
+
+  let processed = 0
+  for (const item of lineItems) {
+    try {
+      const commission = await resolveCommissionRate({
+        organizationId,
+        teamMemberId: item.technician_id,
+        category: item.category,
+        squareVariationId: item.service_variation_id,
+        appliesTo: 'PRODUCT',
+        at: item.sold_at,
+        amountCents: item.total_money_amount
+      })
+      if (!commission.ruleId) continue
+
+      const amount = Math.round(item.total_money_amount * (commission.rate / 100))
+      if (amount <= 0) continue
+
+      await prisma.masterEarningsLedger.create({
+        data: {
+          organization_id: organizationId,
+          team_member_id: item.technician_id,
+          booking_id: null,
+          entry_type: 'PRODUCT_COMMISSION',
+          amount_amount: amount,
+          source_engine: 'RETAIL_ENGINE',
+          meta_json: {
+            line_item_id: item.id,
+            line_item_name: item.name,
+            order_id: item.order_id,
+            square_variation_id: item.service_variation_id,
+            price_used: item.total_money_amount,
+            sold_at: item.sold_at.toISOString(),
+            rate: commission.rate,
+            commission_rule_id: commission.ruleId,
+            commission_detail: commission.detail
+          }
+        }
+      })
+      processed++
+    } catch (error) {
+      console.error(`[RETAIL-COMMISSION] ❌ Line item ${item.id} failed:`, error.message)
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`[RETAIL-COMMISSION] ✅ Created ${processed} PRODUCT_COMMISSION entries for org ${organizationId}`)
+  }
+  return { processed }
+}
@@ -1,8 +1,57 @@
 const { PrismaClient } = require('@prisma/client')
-const { lockNextWebhookJob, completeWebhookJob, failWebhookJob } = require('../workflows/webhook-job-queue')
+const {
+  lockNextWebhookJob,
+  completeWebhookJob,
+  failWebhookJob,
+  isStaleWebhookJob,
+  skipWebhookJob,
+  renewWebhookJobLock
+} = require('../workflows/webhook-job-queue')
+const { continueTrace } = require('../observability/tracing')
 
 const prisma = new PrismaClient()
 
+// How often a running job renews its lock (must stay well under LOCK_TIMEOUT_MS)
+const LOCK_HEARTBEAT_MS = Number(process.env.QUEUE_LOCK_HEARTBEAT_MS) || 30000
+
+function startLockHeartbeat(job, workerId) {
+  const timer = setInterval(() => {
+    renewWebhookJobLock(prisma, job.id, workerId).catch((error) => {
+      console.warn(`[WEBHOOK-JOB] ⚠️ Lock renewal failed for ${job.id}:`, error.message)
+    })
+  }, LOCK_HEARTBEAT_MS)
+  timer.unref?.()
+  return () => clearInterval(timer)
+}
+
+// The lock timed out and another worker reclaimed the job; its run decides the outcome
+function warnLockLost(job, workerId) {
+  console.warn(`[WEBHOOK-JOB] ⚠️ Lost the lock on ${job.id} (${job.eventType}) before finishing; result from ${workerId} dropped`)
+}
+
+// Event type -> export of app/api/webhooks/square/webhook-processors.js
+const WEBHOOK_JOB_HANDLERS = {
+  'booking.created': 'processBookingCreated',
+  'booking.updated': 'processBookingUpdated',
+  'customer.created': 'processCustomerCreated',
+  'customer.updated': 'processCustomerUpdated',
+  'payment.updated': 'processPaymentUpdated',
+  'gift_card.activity.created': 'processGiftCardActivityCreated',
+  'gift_card.activity.updated': 'processGiftCardActivityUpdated',
+  'gift_card.customer_linked': 'processGiftCardCustomerLinked',
+  'gift_card.updated': 'processGiftCardUpdated',
+  'refund.created': 'processRefundCreated',
+  'refund.updated': 'processRefundUpdated',
+  'order.updated': 'processOrderUpdated',
+  'team_member.created': 'processTeamMemberCreated',
+  'dispute.created': 'processDisputeCreated',
+  'dispute.state.updated': 'processDisputeStateUpdated',
+  'dispute.state.changed': 'processDisputeStateChanged'
+}
+
+// Event types a webhook job can process (used by lib/sync/event-replay.js)
+const WEBHOOK_JOB_EVENT_TYPES = Object.keys(WEBHOOK_JOB_HANDLERS)
+
 /**
  * Process a single webhook job
  */
@@ -13,35 +62,14 @@ async function processWebhookJob(job) {
   
   // Import webhook processors
   const handlerModule = await import('../../app/api/webhooks/square/webhook-processors.js')
-  
-  // Map event types to handler functions
-  const handlerMap = {
-    'booking.created': handlerModule.processBookingCreated,
-    'booking.updated': handlerModule.processBookingUpdated,
-    'customer.created': handlerModule.processCustomerCreated,
-    'customer.updated': handlerModule.processCustomerUpdated,
-    'payment.updated': handlerModule.processPaymentUpdated,
-    'gift_card.activity.created': handlerModule.processGiftCardActivityCreated,
-    'gift_card.activity.updated': handlerModule.processGiftCardActivityUpdated,
-    'gift_card.customer_linked': handlerModule.processGiftCardCustomerLinked,
-    'gift_card.updated': handlerModule.processGiftCardUpdated,
-    'refund.created': handlerModule.processRefundCreated,
-    'refund.updated': handlerModule.processRefundUpdated,
-    'order.updated': handlerModule.processOrderUpdated,
-    'team_member.created': handlerModule.processTeamMemberCreated,
-    'dispute.created': handlerModule.processDisputeCreated,
-    'dispute.state.updated': handlerModule.processDisputeStateUpdated,
-    'dispute.state.changed': handlerModule.processDisputeStateChanged
-  }
-  
-  const handler = handlerMap[eventType]
+  const handler = handlerModule[WEBHOOK_JOB_HANDLERS[eventType]]
   
   if (!handler) {
     throw new Error(`Unknown webhook event type: ${eventType}`)
   }
   
-  // Call handler with payload
-  await handler(payload, eventId, job.eventCreatedAt)
+  // Call handler with payload; handlers that look up org-scoped rows take the job's organization
+  await handler(payload, eventId, job.eventCreatedAt, job.organizationId)
 }
 
 /**
@@ -53,24 +81,57 @@ async function runWebhookJobOnce({ workerId = `serverless-${require('crypto').ra
   if (!job) {
     return { processed: false }
   }
-  
-  try {
-    await processWebhookJob(job)
-    await completeWebhookJob(prisma, job.id)
-    
-    return {
-      processed: true,
-      jobId: job.id,
-      eventType: job.eventType,
-      eventId: job.eventId
+
+  // Continue the trace of the webhook delivery that enqueued the job
+  return continueTrace(job, 'webhook_job.run', {
+    organizationId: job.organizationId,
+    jobId: job.id,
+    eventType: job.eventType,
+    eventId: job.eventId,
+    attempt: job.attempts,
+    workerId
+  }, async (span) => {
+    const stopHeartbeat = startLockHeartbeat(job, workerId)
+    try {
+      if (await isStaleWebhookJob(prisma, job)) {
+        console.log(`[WEBHOOK-JOB] Skipping ${job.eventType} (event_id: ${job.eventId}): ${job.entityKey} version ${job.entityVersion} is older than one already applied`)
+        const skipped = await skipWebhookJob(prisma, job.id, `stale version ${job.entityVersion}`, workerId)
+        if (!skipped) warnLockLost(job, workerId)
+        span.setAttributes({ outcome: skipped ? 'skipped_stale' : 'lock_lost' })
+        return {
+          processed: true,
+          skipped: true,
+          lockLost: !skipped,
+          jobId: job.id,
+          eventType: job.eventType,
+          eventId: job.eventId
+        }
+      }
+
+      await processWebhookJob(job)
+      const completed = await completeWebhookJob(prisma, job.id, workerId)
+      if (!completed) warnLockLost(job, workerId)
+      span.setAttributes({ outcome: completed ? 'completed' : 'lock_lost' })
+
+      return {
+        processed: true,
+        lockLost: !completed,
+        jobId: job.id,
+        eventType: job.eventType,
+        eventId: job.eventId
+      }
+    } catch (error) {
+      const failed = await failWebhookJob(prisma, job.id, error, { workerId })
+      if (!failed) warnLockLost(job, workerId)
+      throw error
+    } finally {
+      stopHeartbeat()
     }
-  } catch (error) {
-    await failWebhookJob(prisma, job.id, error)
-    throw error
-  }
+  })
 }
 
 module.exports = {
+  WEBHOOK_JOB_EVENT_TYPES,
   runWebhookJobOnce
 }
 
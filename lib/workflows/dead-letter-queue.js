@@ -0,0 +1,339 @@
+const { Prisma } = require('@prisma/client')
+const { saveApplicationLog } = require('./application-log-queue')
+const { resolveWebhookEntity, notifyWebhookJobQueued } = require('./webhook-job-queue')
+const { notifyGiftCardJobQueued } = require('./giftcard-job-queue')
+
+/**
+ * Dead-Letter Queue
+ * webhook_jobs and giftcard_jobs that exhaust max_attempts are left in status
+ * 'error' with dead_lettered_at set. Admins list them grouped by error
+ * signature, inspect payloads, replay them (optionally with an edited payload)
+ * or discard them; every action is recorded in application_logs with
+ * log_type 'dead_letter'.
+ */
+
+const DEAD_LETTER_QUEUES = {
+  webhook: {
+    table: Prisma.raw('"webhook_jobs"'),
+    kind: Prisma.raw('"event_type"'),
+    organization: Prisma.raw('"organization_id"::text'),
+    extraFields: Prisma.raw('"event_id" AS "eventId", "event_created_at" AS "eventCreatedAt", "entity_key" AS "entityKey"'),
+    notify: notifyWebhookJobQueued
+  },
+  giftcard: {
+    table: Prisma.raw('"giftcard_jobs"'),
+    kind: Prisma.raw('"stage"'),
+    // giftcard_jobs has no organization column. enqueueGiftCardJob puts it in
+    // context; older jobs fall back to the payload's organization, location or merchant.
+    organization: Prisma.raw(`COALESCE(
+      "context"->>'organizationId',
+      "payload"->>'organizationId',
+      (SELECT l."organization_id"::text FROM "locations" l
+        WHERE l."square_location_id" = COALESCE("payload"->>'location_id', "payload"->>'locationId') LIMIT 1),
+      (SELECT o."id"::text FROM "organizations" o
+        WHERE o."square_merchant_id" = COALESCE("payload"->>'merchant_id', "payload"->>'merchantId') LIMIT 1)
+    )`),
+    extraFields: Prisma.raw('"correlation_id" AS "correlationId", "trigger_type" AS "triggerType", "context"'),
+    notify: notifyGiftCardJobQueued
+  }
+}
+
+// last_error with UUIDs, Square ids and numbers masked, so the same failure on
+// different jobs lands in one group
+const ERROR_SIGNATURE_SQL = Prisma.raw(`LEFT(
+  regexp_replace(
+    regexp_replace(
+      regexp_replace(COALESCE("last_error", 'unknown error'), '[0-9a-fA-F]{8}-[0-9a-fA-F-]{27}', '<id>', 'g'),
+      '[A-Za-z0-9_-]{20,}', '<id>', 'g'
+    ),
+    '[0-9]+', 'N', 'g'
+  ),
+  200
+)`)
+
+const DEAD_AT_SQL = Prisma.raw('COALESCE("dead_lettered_at", "updated_at")')
+
+const MAX_BULK_REPLAY = 500
+
+function resolveQueue(queue) {
+  return DEAD_LETTER_QUEUES[queue] || null
+}
+
+function buildDeadLetterWhere(queueDef, {
+  organizationId,
+  status = 'error',
+  signature = null,
+  kind = null,
+  deadAfter = null,
+  deadBefore = null,
+  jobIds = null
+}) {
+  const conditions = [
+    Prisma.sql`"status"::text = ${status}`,
+    Prisma.sql`${queueDef.organization} = ${organizationId}`
+  ]
+  if (signature) conditions.push(Prisma.sql`${ERROR_SIGNATURE_SQL} = ${signature}`)
+  if (kind) conditions.push(Prisma.sql`${queueDef.kind} = ${kind}`)
+  if (deadAfter) conditions.push(Prisma.sql`${DEAD_AT_SQL} >= ${new Date(deadAfter)}::timestamptz`)
+  if (deadBefore) conditions.push(Prisma.sql`${DEAD_AT_SQL} < ${new Date(deadBefore)}::timestamptz`)
+  if (Array.isArray(jobIds) && jobIds.length > 0) conditions.push(Prisma.sql`"id" IN (${Prisma.join(jobIds)})`)
+  return Prisma.join(conditions, ' AND ')
+}
+
+async function logDeadLetterAction(prisma, { organizationId, action, queue, jobIds, userId, details = {} }) {
+  await saveApplicationLog(prisma, {
+    organizationId,
+    logType: 'dead_letter',
+    logId: `dead-letter-${action}-${jobIds.length === 1 ? jobIds[0] : `bulk-${jobIds.length}`}-${Date.now()}`,
+    status: 'completed',
+    payload: { action, queue, jobIds, userId, ...details }
+  })
+}
+
+/**
+ * Dead jobs grouped by error signature, largest group first.
+ * Returns [{ queue, signature, count, kinds, firstDeadAt, lastDeadAt, sampleJobId, sampleError }].
+ */
+async function listDeadLetterGroups(prisma, { organizationId, queue = null }) {
+  const queues = queue ? [queue] : Object.keys(DEAD_LETTER_QUEUES)
+  const groups = []
+
+  for (const name of queues) {
+    const queueDef = resolveQueue(name)
+    if (!queueDef) continue
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        ${ERROR_SIGNATURE_SQL} AS "signature",
+        COUNT(*)::int AS "count",
+        array_agg(DISTINCT ${queueDef.kind}) AS "kinds",
+        MIN(${DEAD_AT_SQL}) AS "firstDeadAt",
+        MAX(${DEAD_AT_SQL}) AS "lastDeadAt",
+        (array_agg("id" ORDER BY ${DEAD_AT_SQL} DESC))[1] AS "sampleJobId",
+        (array_agg("last_error" ORDER BY ${DEAD_AT_SQL} DESC))[1] AS "sampleError"
+      FROM ${queueDef.table}
+      WHERE ${buildDeadLetterWhere(queueDef, { organizationId })}
+      GROUP BY 1
+    `
+    groups.push(...rows.map((row) => ({ queue: name, ...row })))
+  }
+
+  return groups.sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Dead jobs matching a filter, newest first, without payloads.
+ * filter: { signature, kind, deadAfter, deadBefore, status ('error' | 'discarded') }
+ */
+async function listDeadLetterJobs(prisma, { queue, organizationId, filter = {}, limit = 50, offset = 0 }) {
+  const queueDef = resolveQueue(queue)
+  if (!queueDef) return []
+
+  return prisma.$queryRaw`
+    SELECT
+      "id",
+      ${queueDef.kind} AS "kind",
+      "status",
+      "attempts",
+      "max_attempts" AS "maxAttempts",
+      "last_error" AS "lastError",
+      ${ERROR_SIGNATURE_SQL} AS "signature",
+      ${DEAD_AT_SQL} AS "deadLetteredAt",
+      "discarded_at" AS "discardedAt",
+      "discard_reason" AS "discardReason",
+      "created_at" AS "createdAt"
+    FROM ${queueDef.table}
+    WHERE ${buildDeadLetterWhere(queueDef, { organizationId, ...filter })}
+    ORDER BY ${DEAD_AT_SQL} DESC
+    LIMIT ${Math.min(Math.max(Number(limit) || 50, 1), 200)}
+    OFFSET ${Math.max(Number(offset) || 0, 0)}
+  `
+}
+
+/**
+ * Full job row including payload, with organizationId resolved so callers can
+ * check access. Returns null when the job does not exist.
+ */
+async function getDeadLetterJob(prisma, { queue, id }) {
+  const queueDef = resolveQueue(queue)
+  if (!queueDef) return null
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      "id",
+      ${queueDef.organization} AS "organizationId",
+      ${queueDef.kind} AS "kind",
+      ${queueDef.extraFields},
+      "status",
+      "payload",
+      "attempts",
+      "max_attempts" AS "maxAttempts",
+      "last_error" AS "lastError",
+      ${ERROR_SIGNATURE_SQL} AS "signature",
+      "dead_lettered_at" AS "deadLetteredAt",
+      "discarded_at" AS "discardedAt",
+      "discard_reason" AS "discardReason",
+      "created_at" AS "createdAt",
+      "updated_at" AS "updatedAt"
+    FROM ${queueDef.table}
+    WHERE "id" = ${id}
+  `
+  return rows?.[0] ? { queue, ...rows[0] } : null
+}
+
+/**
+ * Puts one dead job back on the queue with a fresh attempt budget. Passing
+ * payload replaces the stored payload (edit-and-replay); the original is kept
+ * in the application log.
+ * Returns { success, job } or { success: false, error }.
+ */
+async function replayDeadLetterJob(prisma, { queue, organizationId, id, payload, userId, note = null }) {
+  const job = await getDeadLetterJob(prisma, { queue, id })
+  if (!job || job.organizationId !== organizationId) return { success: false, error: 'Job not found' }
+  if (job.status !== 'error') return { success: false, error: `Job is ${job.status}, not dead-lettered` }
+
+  const queueDef = resolveQueue(queue)
+  const payloadEdited = payload !== undefined
+  const sets = [
+    Prisma.sql`"status" = 'queued'`,
+    Prisma.sql`"attempts" = 0`,
+    Prisma.sql`"scheduled_at" = NOW()`,
+    Prisma.sql`"locked_at" = NULL`,
+    Prisma.sql`"lock_owner" = NULL`,
+    Prisma.sql`"last_error" = NULL`,
+    Prisma.sql`"dead_lettered_at" = NULL`,
+    Prisma.sql`"updated_at" = NOW()`
+  ]
+  if (payloadEdited) {
+    sets.push(Prisma.sql`"payload" = ${JSON.stringify(payload)}::jsonb`)
+    if (queue === 'webhook') {
+      const { entityKey, entityVersion } = resolveWebhookEntity(job.kind, payload)
+      sets.push(Prisma.sql`"entity_key" = ${entityKey}`, Prisma.sql`"entity_version" = ${entityVersion}::bigint`)
+    }
+  }
+
+  const updated = await prisma.$executeRaw`
+    UPDATE ${queueDef.table}
+    SET ${Prisma.join(sets)}
+    WHERE "id" = ${id} AND "status" = 'error'
+  `
+  if (updated === 0) return { success: false, error: 'Job is no longer dead-lettered' }
+  await queueDef.notify(prisma, id)
+
+  await logDeadLetterAction(prisma, {
+    organizationId,
+    action: payloadEdited ? 'edit_replay' : 'replay',
+    queue,
+    jobIds: [id],
+    userId,
+    details: {
+      kind: job.kind,
+      previousError: job.lastError,
+      note,
+      ...(payloadEdited ? { previousPayload: job.payload } : {})
+    }
+  })
+
+  console.log(`♻️ Dead-lettered ${queue} job ${id} replayed by ${userId}${payloadEdited ? ' with edited payload' : ''}`)
+  return { success: true, job: await getDeadLetterJob(prisma, { queue, id }) }
+}
+
+/**
+ * Replays every dead job matching the filter (at most MAX_BULK_REPLAY).
+ * filter: { signature, kind, deadAfter, deadBefore, jobIds }; at least one is required.
+ * Returns { success, replayed, jobIds } or { success: false, error }.
+ */
+async function replayDeadLetterJobs(prisma, { queue, organizationId, filter = {}, userId, note = null, limit = MAX_BULK_REPLAY }) {
+  const queueDef = resolveQueue(queue)
+  if (!queueDef) return { success: false, error: 'Unknown queue' }
+
+  const { signature, kind, deadAfter, deadBefore, jobIds } = filter
+  if (!signature && !kind && !deadAfter && !deadBefore && !(Array.isArray(jobIds) && jobIds.length > 0)) {
+    return { success: false, error: 'Bulk replay requires at least one filter' }
+  }
+
+  const where = buildDeadLetterWhere(queueDef, { organizationId, signature, kind, deadAfter, deadBefore, jobIds })
+  const rows = await prisma.$queryRaw`
+    UPDATE ${queueDef.table}
+    SET "status" = 'queued',
+        "attempts" = 0,
+        "scheduled_at" = NOW(),
+        "locked_at" = NULL,
+        "lock_owner" = NULL,
+        "last_error" = NULL,
+        "dead_lettered_at" = NULL,
+        "updated_at" = NOW()
+    WHERE "id" IN (
+      SELECT "id" FROM ${queueDef.table}
+      WHERE ${where}
+      ORDER BY ${DEAD_AT_SQL} ASC
+      LIMIT ${Math.min(Math.max(Number(limit) || MAX_BULK_REPLAY, 1), MAX_BULK_REPLAY)}
+    )
+    RETURNING "id"
+  `
+  const replayedIds = rows.map((row) => row.id)
+
+  if (replayedIds.length > 0) {
+    // Each notification wakes one idle worker slot (lib/workers/queue-worker.js)
+    for (const jobId of replayedIds) {
+      await queueDef.notify(prisma, jobId)
+    }
+    await logDeadLetterAction(prisma, {
+      organizationId,
+      action: 'bulk_replay',
+      queue,
+      jobIds: replayedIds,
+      userId,
+      details: { filter: { signature, kind, deadAfter, deadBefore, jobIds }, note }
+    })
+  }
+
+  console.log(`♻️ ${replayedIds.length} dead-lettered ${queue} job(s) replayed by ${userId}`)
+  return { success: true, replayed: replayedIds.length, jobIds: replayedIds }
+}
+
+/**
+ * Permanently discards a dead job. It is never picked up again, including
+ * when the same event is enqueued again.
+ */
+async function discardDeadLetterJob(prisma, { queue, organizationId, id, reason, userId }) {
+  if (!reason || !reason.trim()) return { success: false, error: 'A discard reason is required' }
+
+  const job = await getDeadLetterJob(prisma, { queue, id })
+  if (!job || job.organizationId !== organizationId) return { success: false, error: 'Job not found' }
+  if (job.status !== 'error') return { success: false, error: `Job is ${job.status}, not dead-lettered` }
+
+  const queueDef = resolveQueue(queue)
+  const updated = await prisma.$executeRaw`
+    UPDATE ${queueDef.table}
+    SET "status" = 'discarded',
+        "discarded_at" = NOW(),
+        "discard_reason" = ${reason.trim()},
+        "updated_at" = NOW()
+    WHERE "id" = ${id} AND "status" = 'error'
+  `
+  if (updated === 0) return { success: false, error: 'Job is no longer dead-lettered' }
+
+  await logDeadLetterAction(prisma, {
+    organizationId,
+    action: 'discard',
+    queue,
+    jobIds: [id],
+    userId,
+    details: { kind: job.kind, reason: reason.trim(), lastError: job.lastError }
+  })
+
+  console.log(`🗑️ Dead-lettered ${queue} job ${id} discarded by ${userId}: ${reason.trim()}`)
+  return { success: true, job: await getDeadLetterJob(prisma, { queue, id }) }
+}
+
+module.exports = {
+  DEAD_LETTER_QUEUES,
+  MAX_BULK_REPLAY,
+  listDeadLetterGroups,
+  listDeadLetterJobs,
+  getDeadLetterJob,
+  replayDeadLetterJob,
+  replayDeadLetterJobs,
+  discardDeadLetterJob
+}
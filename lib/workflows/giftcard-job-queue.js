@@ -1,7 +1,13 @@
 const { Prisma } = require('@prisma/client')
 const { randomUUID } = require('crypto')
+const { currentTraceContext } = require('../observability/tracing')
 
 const AVAILABILITY_CACHE_TTL_MS = 60 * 1000
+// NOTIFY channel the long-running worker LISTENs on (lib/workers/queue-worker.js)
+const GIFTCARD_JOB_CHANNEL = 'giftcard_jobs'
+// A running job whose lock is older than this is treated as abandoned.
+// Workers renew locked_at while a job runs (renewGiftCardJobLock)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000
 let giftCardJobAvailabilityCache = {
   status: null,
   checkedAt: 0
@@ -31,6 +37,11 @@ const JOB_SELECT_FIELDS = Prisma.sql`
   "locked_at" AS "lockedAt",
   "lock_owner" AS "lockOwner",
   "last_error" AS "lastError",
+  "dead_lettered_at" AS "deadLetteredAt",
+  "started_at" AS "startedAt",
+  "completed_at" AS "completedAt",
+  "trace_id" AS "traceId",
+  "parent_span_id" AS "parentSpanId",
   "created_at" AS "createdAt",
   "updated_at" AS "updatedAt"
 `
@@ -96,6 +107,15 @@ async function isGiftCardJobAvailable(prisma, { force = false } = {}) {
   }
 }
 
+// Wake listening workers. Failures are logged only; workers also poll.
+async function notifyGiftCardJobQueued(prisma, jobId) {
+  try {
+    await prisma.$queryRaw`SELECT pg_notify(${GIFTCARD_JOB_CHANNEL}, ${jobId || ''})`
+  } catch (error) {
+    console.warn('⚠️ GiftCardJob notify failed:', error.message)
+  }
+}
+
 function computeBackoffDelay(attempts = 1) {
   const base = 5000
   const exponent = Math.max(0, attempts - 1)
@@ -110,7 +130,8 @@ async function enqueueGiftCardJob(prisma, {
   payload,
   context,
   scheduledAt,
-  maxAttempts
+  maxAttempts,
+  organizationId
 }) {
   if (!prisma || !correlationId || !stage) {
     console.warn('⚠️ enqueueGiftCardJob: missing required parameters, skipping job queue')
@@ -131,8 +152,12 @@ async function enqueueGiftCardJob(prisma, {
     const jobId = randomUUID()
     const scheduleDate = coerceDate(scheduledAt, now)
     const payloadJson = serializeJson(payload, '{}')
-    const contextJson = serializeJson(context, null)
+    // giftcard_jobs has no organization column; the dead-letter queue scopes jobs by context.organizationId
+    const jobOrganizationId = context?.organizationId || organizationId || payload?.organizationId || null
+    const contextJson = serializeJson(jobOrganizationId ? { ...context, organizationId: jobOrganizationId } : context, null)
     const maxAttemptsValue = Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : 5
+    // The runner continues this trace (lib/workers/giftcard-job-runner.js)
+    const trace = currentTraceContext()
 
     const rows = await prisma.$queryRaw`
       INSERT INTO "giftcard_jobs" (
@@ -149,6 +174,8 @@ async function enqueueGiftCardJob(prisma, {
         "locked_at",
         "lock_owner",
         "last_error",
+        "trace_id",
+        "parent_span_id",
         "created_at",
         "updated_at"
       ) VALUES (
@@ -165,13 +192,16 @@ async function enqueueGiftCardJob(prisma, {
         NULL,
         NULL,
         NULL,
+        ${trace?.traceId || null},
+        ${trace?.spanId || null},
         ${now},
         ${now}
       )
       ON CONFLICT ("correlation_id", "stage")
       DO UPDATE SET
         "trigger_type" = EXCLUDED."trigger_type",
-        "status" = 'queued',
+        -- A discarded job stays discarded when the same stage is enqueued again
+        "status" = CASE WHEN "giftcard_jobs"."status" = 'discarded' THEN "giftcard_jobs"."status" ELSE 'queued' END,
         "payload" = EXCLUDED."payload",
         "context" = EXCLUDED."context",
         "max_attempts" = EXCLUDED."max_attempts",
@@ -179,11 +209,18 @@ async function enqueueGiftCardJob(prisma, {
         "locked_at" = NULL,
         "lock_owner" = NULL,
         "last_error" = NULL,
+        "dead_lettered_at" = NULL,
+        "trace_id" = COALESCE(EXCLUDED."trace_id", "giftcard_jobs"."trace_id"),
+        "parent_span_id" = COALESCE(EXCLUDED."parent_span_id", "giftcard_jobs"."parent_span_id"),
         "updated_at" = NOW()
       RETURNING ${JOB_SELECT_FIELDS}
     `
 
-    return Array.isArray(rows) ? rows[0] ?? null : null
+    const job = Array.isArray(rows) ? rows[0] ?? null : null
+    if (job?.status === 'queued') {
+      await notifyGiftCardJobQueued(prisma, job.id)
+    }
+    return job
   } catch (error) {
     // If the table doesn't exist or column mapping issue, log and return null
     if (isMissingRelationError(error, 'giftcard_jobs')) {
@@ -215,28 +252,25 @@ async function lockNextGiftCardJob(prisma, workerId, excludeStages = []) {
 
   try {
     return await prisma.$transaction(async (tx) => {
-      const baseQuery = stageList.length > 0
-        ? tx.$queryRaw`
-          SELECT ${JOB_SELECT_FIELDS}
+      const stageFilter = stageList.length > 0
+        ? Prisma.sql`AND "stage" NOT IN (${Prisma.join(stageList)})`
+        : Prisma.empty
+      const lockTimeout = new Date(lockTimestamp.getTime() - LOCK_TIMEOUT_MS)
+
+      // Running jobs whose lock was not renewed within LOCK_TIMEOUT_MS were
+      // abandoned by a worker that died mid-job and are picked up again
+      const candidates = await tx.$queryRaw`
+        SELECT ${JOB_SELECT_FIELDS}
         FROM "giftcard_jobs"
-        WHERE "status" = 'queued'
-          AND "scheduled_at" <= NOW()
-          AND "stage" NOT IN (${Prisma.join(stageList)})
+        WHERE (
+            ("status" = 'queued' AND "scheduled_at" <= NOW())
+            OR ("status" = 'running' AND "locked_at" < ${lockTimeout})
+          )
+          ${stageFilter}
         ORDER BY "scheduled_at" ASC, "created_at" ASC
         LIMIT 1
         FOR UPDATE SKIP LOCKED
       `
-        : tx.$queryRaw`
-          SELECT ${JOB_SELECT_FIELDS}
-        FROM "giftcard_jobs"
-        WHERE "status" = 'queued'
-          AND "scheduled_at" <= NOW()
-        ORDER BY "scheduled_at" ASC, "created_at" ASC
-        LIMIT 1
-        FOR UPDATE SKIP LOCKED
-      `
-
-      const candidates = await baseQuery
 
     if (!Array.isArray(candidates) || candidates.length === 0) {
       return null
@@ -251,6 +285,7 @@ async function lockNextGiftCardJob(prisma, workerId, excludeStages = []) {
           "attempts" = "attempts" + 1,
           "locked_at" = ${lockTimestamp},
           "lock_owner" = ${effectiveWorkerId},
+          "started_at" = ${lockTimestamp},
           "last_error" = NULL,
           "updated_at" = ${lockTimestamp}
         WHERE "id" = ${job.id}
@@ -271,7 +306,40 @@ async function lockNextGiftCardJob(prisma, workerId, excludeStages = []) {
   }
 }
 
-async function completeGiftCardJob(prisma, jobId) {
+// Heartbeat: push locked_at forward while a job runs so it isn't reclaimed as
+// abandoned. Returns false once the job is no longer held by workerId.
+async function renewGiftCardJobLock(prisma, jobId, workerId) {
+  if (!jobId) return false
+
+  try {
+    const updated = await prisma.$executeRaw`
+      UPDATE "giftcard_jobs"
+      SET
+        "locked_at" = NOW(),
+        "updated_at" = NOW()
+      WHERE "id" = ${jobId}
+        AND "status" = 'running'
+        AND "lock_owner" = ${workerId}
+    `
+    return updated > 0
+  } catch (error) {
+    if (isMissingRelationError(error, 'giftcard_jobs')) {
+      return false
+    }
+    throw error
+  }
+}
+
+function requireWorkerId(workerId) {
+  if (!workerId) {
+    throw new Error('workerId is required to release a gift card job lock')
+  }
+  return workerId
+}
+
+// Completes a job the caller still holds. Returns the job row, or null when the
+// lock timed out and another worker reclaimed the job (the late result is dropped).
+async function completeGiftCardJob(prisma, jobId, workerId) {
   if (!jobId) return null
   const isAvailable = await isGiftCardJobAvailable(prisma)
   if (!isAvailable) {
@@ -283,11 +351,14 @@ async function completeGiftCardJob(prisma, jobId) {
       UPDATE "giftcard_jobs"
       SET
         "status" = 'completed',
+        "completed_at" = NOW(),
         "locked_at" = NULL,
         "lock_owner" = NULL,
         "last_error" = NULL,
         "updated_at" = NOW()
       WHERE "id" = ${jobId}
+        AND "status" = 'running'
+        AND "lock_owner" = ${requireWorkerId(workerId)}
       RETURNING ${JOB_SELECT_FIELDS}
     `
     return Array.isArray(rows) ? rows[0] ?? null : null
@@ -300,8 +371,11 @@ async function completeGiftCardJob(prisma, jobId) {
   }
 }
 
+// Reschedules or dead-letters a job the caller still holds (options.workerId).
+// Returns null when the lock was lost, like completeGiftCardJob.
 async function failGiftCardJob(prisma, job, error, options = {}) {
   if (!job?.id) return null
+  const lockOwner = requireWorkerId(options?.workerId)
 
   const isAvailable = await isGiftCardJobAvailable(prisma)
   if (!isAvailable) {
@@ -313,11 +387,6 @@ async function failGiftCardJob(prisma, job, error, options = {}) {
   const shouldRetry = attempts < maxAttempts
   const backoffDelayMs = computeBackoffDelay(attempts)
 
-  // For failed jobs (after maxAttempts), schedule retry after a longer delay
-  // Default: 24 hours, configurable via GIFTCARD_FAILED_JOB_RETRY_HOURS env var
-  const failedJobRetryHours = Number(process.env.GIFTCARD_FAILED_JOB_RETRY_HOURS) || 24
-  const failedJobRetryDelayMs = failedJobRetryHours * 60 * 60 * 1000
-
   const delayOverrideMs = Number.isFinite(options?.delayMs)
     ? Number(options.delayMs)
     : null
@@ -325,11 +394,6 @@ async function failGiftCardJob(prisma, job, error, options = {}) {
     options?.scheduledAt instanceof Date ? options.scheduledAt : null
 
   const effectiveNextRun = (() => {
-    if (!shouldRetry) {
-      // After max attempts, schedule retry after longer delay (e.g., 24 hours)
-      // This allows jobs to be retried after you fix errors
-      return new Date(Date.now() + failedJobRetryDelayMs)
-    }
     if (scheduleOverride) return scheduleOverride
     if (delayOverrideMs !== null) {
       return new Date(Date.now() + delayOverrideMs)
@@ -341,21 +405,42 @@ async function failGiftCardJob(prisma, job, error, options = {}) {
   const truncatedError = errorMessage.length > 500 ? `${errorMessage.slice(0, 500)}…` : errorMessage
 
   try {
-    // Even after maxAttempts, set status to 'queued' with future scheduled_at
-    // This allows automatic retry after the delay period
-    const rows = await prisma.$queryRaw`
-      UPDATE "giftcard_jobs"
-      SET
-        "status" = 'queued',
-        "scheduled_at" = ${effectiveNextRun},
-        "locked_at" = NULL,
-        "lock_owner" = NULL,
-        "last_error" = ${truncatedError},
-        "updated_at" = NOW()
-      WHERE "id" = ${job.id}
-      RETURNING ${JOB_SELECT_FIELDS}
-    `
-    return Array.isArray(rows) ? rows[0] ?? null : null
+    // After maxAttempts the job is dead-lettered: it stays in 'error' until an
+    // admin replays or discards it (see lib/workflows/dead-letter-queue.js)
+    const rows = shouldRetry
+      ? await prisma.$queryRaw`
+        UPDATE "giftcard_jobs"
+        SET
+          "status" = 'queued',
+          "scheduled_at" = ${effectiveNextRun},
+          "locked_at" = NULL,
+          "lock_owner" = NULL,
+          "last_error" = ${truncatedError},
+          "updated_at" = NOW()
+        WHERE "id" = ${job.id}
+          AND "status" = 'running'
+          AND "lock_owner" = ${lockOwner}
+        RETURNING ${JOB_SELECT_FIELDS}
+      `
+      : await prisma.$queryRaw`
+        UPDATE "giftcard_jobs"
+        SET
+          "status" = 'error',
+          "dead_lettered_at" = NOW(),
+          "locked_at" = NULL,
+          "lock_owner" = NULL,
+          "last_error" = ${truncatedError},
+          "updated_at" = NOW()
+        WHERE "id" = ${job.id}
+          AND "status" = 'running'
+          AND "lock_owner" = ${lockOwner}
+        RETURNING ${JOB_SELECT_FIELDS}
+      `
+    const row = Array.isArray(rows) ? rows[0] ?? null : null
+    if (row && !shouldRetry) {
+      console.warn(`⚠️ Gift card job ${job.id} (${job.stage}) dead-lettered after ${attempts} attempts: ${truncatedError}`)
+    }
+    return row
   } catch (updateError) {
     if (isMissingRelationError(updateError, 'giftcard_jobs')) {
       console.warn('⚠️ GiftCardJob table unavailable while failing job:', updateError.message)
@@ -366,8 +451,12 @@ async function failGiftCardJob(prisma, job, error, options = {}) {
 }
 
 module.exports = {
+  GIFTCARD_JOB_CHANNEL,
+  LOCK_TIMEOUT_MS,
   isGiftCardJobAvailable,
   enqueueGiftCardJob,
+  notifyGiftCardJobQueued,
+  renewGiftCardJobLock,
   lockNextGiftCardJob,
   completeGiftCardJob,
   failGiftCardJob,
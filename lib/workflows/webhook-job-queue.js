@@ -1,7 +1,13 @@
 const { Prisma } = require('@prisma/client')
 const { randomUUID } = require('crypto')
+const { currentTraceContext } = require('../observability/tracing')
 
 const AVAILABILITY_CACHE_TTL_MS = 60 * 1000
+// NOTIFY channel the long-running worker LISTENs on (lib/workers/queue-worker.js)
+const WEBHOOK_JOB_CHANNEL = 'webhook_jobs'
+// A processing job whose lock is older than this is treated as abandoned.
+// Workers renew locked_at while a job runs (renewWebhookJobLock)
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000
 let webhookJobAvailabilityCache = {
   status: null,
   checkedAt: 0
@@ -77,6 +83,75 @@ async function isWebhookJobAvailable(prisma, { force = false } = {}) {
   }
 }
 
+function toVersion(value) {
+  if (value === null || value === undefined || value === '') return null
+  const num = Number(value)
+  return Number.isFinite(num) ? Math.trunc(num) : null
+}
+
+/**
+ * Resource a webhook event applies to, so jobs for the same booking/payment/
+ * customer/order run one at a time and in event order.
+ * Returns { entityKey, entityVersion } (both null for events with no resource).
+ * entityVersion is Square's `version` where the resource has one; payments only
+ * have a version_token, so they are ordered by event time alone.
+ */
+function resolveWebhookEntity(eventType, payload) {
+  const object = payload?.object || payload || {}
+  const type = eventType || ''
+
+  if (type.startsWith('booking.')) {
+    const booking = object.booking || payload?.booking
+    return booking?.id
+      ? { entityKey: `booking:${booking.id}`, entityVersion: toVersion(booking.version) }
+      : { entityKey: null, entityVersion: null }
+  }
+  if (type.startsWith('customer.')) {
+    const customer = object.customer || payload?.customer
+    return customer?.id
+      ? { entityKey: `customer:${customer.id}`, entityVersion: toVersion(customer.version) }
+      : { entityKey: null, entityVersion: null }
+  }
+  if (type.startsWith('payment.')) {
+    const payment = object.payment || payload?.payment
+    return { entityKey: payment?.id ? `payment:${payment.id}` : null, entityVersion: null }
+  }
+  // Refunds and disputes change the payment they belong to
+  if (type.startsWith('refund.')) {
+    const refund = object.refund || payload?.refund
+    const paymentId = refund?.payment_id || refund?.paymentId
+    return { entityKey: paymentId ? `payment:${paymentId}` : null, entityVersion: null }
+  }
+  if (type.startsWith('dispute.')) {
+    const dispute = object.dispute || payload?.dispute
+    const paymentId = dispute?.payment_id || dispute?.disputed_payment?.payment_id
+    return { entityKey: paymentId ? `payment:${paymentId}` : null, entityVersion: null }
+  }
+  if (type.startsWith('order.')) {
+    const order = object.order_updated || object.order_created || object.order || payload?.order
+    const orderId = order?.order_id || order?.id
+    return orderId
+      ? { entityKey: `order:${orderId}`, entityVersion: toVersion(order.version) }
+      : { entityKey: null, entityVersion: null }
+  }
+  if (type.startsWith('gift_card.')) {
+    const giftCardId = object.gift_card_activity?.gift_card_id || object.gift_card?.id
+    return { entityKey: giftCardId ? `gift_card:${giftCardId}` : null, entityVersion: null }
+  }
+  return { entityKey: null, entityVersion: null }
+}
+
+/**
+ * Wake listening workers. Failures are logged only; workers also poll.
+ */
+async function notifyWebhookJobQueued(prisma, jobId) {
+  try {
+    await prisma.$queryRaw`SELECT pg_notify(${WEBHOOK_JOB_CHANNEL}, ${jobId || ''})`
+  } catch (error) {
+    console.warn('⚠️ WebhookJob notify failed:', error.message)
+  }
+}
+
 function computeBackoffDelay(attempts = 1) {
   const base = 5000 // 5 seconds
   const maxDelay = 300000 // 5 minutes
@@ -127,6 +202,9 @@ async function enqueueWebhookJob(prisma, {
 
     const payloadJson = serializeJson(payload, '{}')
     const maxAttemptsValue = Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : 5
+    const { entityKey, entityVersion } = resolveWebhookEntity(eventType, payload)
+    // The runner continues this trace (lib/workers/webhook-job-runner.js)
+    const trace = currentTraceContext()
 
     const rows = await prisma.$queryRaw`
       INSERT INTO "webhook_jobs" (
@@ -143,6 +221,10 @@ async function enqueueWebhookJob(prisma, {
         "locked_at",
         "lock_owner",
         "last_error",
+        "entity_key",
+        "entity_version",
+        "trace_id",
+        "parent_span_id",
         "created_at",
         "updated_at"
       ) VALUES (
@@ -159,20 +241,34 @@ async function enqueueWebhookJob(prisma, {
         NULL,
         NULL,
         ${error || null},
+        ${entityKey},
+        ${entityVersion}::bigint,
+        ${trace?.traceId || null},
+        ${trace?.spanId || null},
         ${now}::timestamptz,
         ${now}::timestamptz
       )
       ON CONFLICT ("organization_id", "event_id", "event_type")
       DO UPDATE SET
-        "status" = 'queued',
+        -- A discarded job stays discarded when Square redelivers the event
+        "status" = CASE WHEN "webhook_jobs"."status" = 'discarded' THEN "webhook_jobs"."status" ELSE 'queued' END,
         "payload" = EXCLUDED."payload",
         "scheduled_at" = EXCLUDED."scheduled_at",
         "last_error" = EXCLUDED."last_error",
+        "entity_key" = EXCLUDED."entity_key",
+        "entity_version" = EXCLUDED."entity_version",
+        "trace_id" = COALESCE(EXCLUDED."trace_id", "webhook_jobs"."trace_id"),
+        "parent_span_id" = COALESCE(EXCLUDED."parent_span_id", "webhook_jobs"."parent_span_id"),
+        "dead_lettered_at" = NULL,
         "updated_at" = NOW()
       RETURNING "id", "event_type", "event_id", "status"
     `
 
-    return Array.isArray(rows) ? rows[0] ?? null : null
+    const row = Array.isArray(rows) ? rows[0] ?? null : null
+    if (row?.status === 'queued') {
+      await notifyWebhookJobQueued(prisma, row.id)
+    }
+    return row
   } catch (error) {
     if (isMissingRelationError(error, 'webhook_jobs')) {
       console.warn('⚠️ WebhookJob table/column issue - skipping job queue:', error.message)
@@ -183,7 +279,13 @@ async function enqueueWebhookJob(prisma, {
 }
 
 /**
- * Lock and return the next webhook job to process
+ * Lock and return the next webhook job to process.
+ * A job is only eligible when no other job for the same entity is in flight and
+ * no earlier event (by event_created_at) for that entity is still queued, so
+ * per-entity events are applied one at a time and in order. The advisory lock
+ * closes the race between two workers picking sibling jobs at the same moment.
+ * Processing jobs whose lock was not renewed within LOCK_TIMEOUT_MS are picked
+ * up again.
  */
 async function lockNextWebhookJob(prisma, workerId) {
   if (!prisma) {
@@ -197,44 +299,116 @@ async function lockNextWebhookJob(prisma, workerId) {
 
   try {
     const now = new Date()
-    const lockTimeout = new Date(now.getTime() - 300000) // 5 minutes ago
+    const lockTimeout = new Date(now.getTime() - LOCK_TIMEOUT_MS)
+
+    const job = await prisma.$transaction(async (tx) => {
+      const candidates = await tx.$queryRaw`
+        SELECT 
+          j."id",
+          j."organization_id",
+          j."status",
+          j."event_type",
+          j."event_id",
+          j."event_created_at",
+          j."payload",
+          j."attempts",
+          j."max_attempts",
+          j."last_error",
+          j."entity_key",
+          j."entity_version",
+          j."trace_id",
+          j."parent_span_id"
+        FROM "webhook_jobs" j
+        WHERE (
+            (
+              j."status" = 'queued'
+              AND j."scheduled_at" <= ${now}::timestamptz
+              AND (j."locked_at" IS NULL OR j."locked_at" < ${lockTimeout}::timestamptz)
+            )
+            -- Abandoned by a worker that stopped renewing its lock
+            OR (j."status" = 'processing' AND j."locked_at" < ${lockTimeout}::timestamptz)
+          )
+          AND (
+            j."entity_key" IS NULL
+            OR NOT EXISTS (
+              SELECT 1 FROM "webhook_jobs" s
+              WHERE s."organization_id" = j."organization_id"
+                AND s."entity_key" = j."entity_key"
+                AND s."id" <> j."id"
+                AND (
+                  (s."status" = 'processing' AND s."locked_at" >= ${lockTimeout}::timestamptz)
+                  OR (
+                    s."status" = 'queued'
+                    AND (COALESCE(s."event_created_at", s."created_at"), s."created_at")
+                      < (COALESCE(j."event_created_at", j."created_at"), j."created_at")
+                  )
+                )
+            )
+          )
+        ORDER BY j."scheduled_at" ASC, j."created_at" ASC
+        LIMIT 5
+        FOR UPDATE OF j SKIP LOCKED
+      `
 
-    const jobs = await prisma.$queryRaw`
-      SELECT 
-        "id",
-        "organization_id",
-        "event_type",
-        "event_id",
-        "event_created_at",
-        "payload",
-        "attempts",
-        "max_attempts",
-        "last_error"
-      FROM "webhook_jobs"
-      WHERE "status" = 'queued'
-        AND "scheduled_at" <= ${now}::timestamptz
-        AND ("locked_at" IS NULL OR "locked_at" < ${lockTimeout}::timestamptz)
-      ORDER BY "scheduled_at" ASC, "created_at" ASC
-      LIMIT 1
-      FOR UPDATE SKIP LOCKED
-    `
+      for (const candidate of candidates || []) {
+        if (candidate.entity_key) {
+          const lockKey = `${candidate.organization_id}:${candidate.entity_key}`
+          const acquired = await tx.$queryRaw`
+            SELECT pg_try_advisory_xact_lock(hashtext(${lockKey})) AS "locked"
+          `
+          if (!acquired?.[0]?.locked) continue
+
+          // A sibling may have been locked and committed since the SELECT above
+          const inFlight = await tx.$queryRaw`
+            SELECT 1 FROM "webhook_jobs"
+            WHERE "organization_id" = ${candidate.organization_id}::uuid
+              AND "entity_key" = ${candidate.entity_key}
+              AND "id" <> ${candidate.id}
+              AND "status" = 'processing'
+              AND "locked_at" >= ${lockTimeout}::timestamptz
+            LIMIT 1
+          `
+          if (inFlight?.length > 0) continue
+        }
+
+        // A job abandoned on every attempt (e.g. it crashes the worker) is dead-lettered, not run again
+        const maxAttempts = candidate.max_attempts || 5
+        if (candidate.status === 'processing' && (candidate.attempts || 0) >= maxAttempts) {
+          const errorMessage = `Abandoned by its worker on all ${candidate.attempts} attempts`
+          await tx.$executeRaw`
+            UPDATE "webhook_jobs"
+            SET "status" = 'error',
+                "last_error" = ${errorMessage},
+                "dead_lettered_at" = ${now}::timestamptz,
+                "locked_at" = NULL,
+                "lock_owner" = NULL,
+                "updated_at" = ${now}::timestamptz
+            WHERE "id" = ${candidate.id}
+          `
+          console.warn(`⚠️ Webhook job ${candidate.id} dead-lettered: ${errorMessage}`)
+          continue
+        }
+
+        // attempts counts started runs, so a run that never reports back still uses one up
+        await tx.$executeRaw`
+          UPDATE "webhook_jobs"
+          SET "status" = 'processing',
+              "attempts" = "attempts" + 1,
+              "locked_at" = ${now}::timestamptz,
+              "lock_owner" = ${workerId},
+              "started_at" = ${now}::timestamptz,
+              "updated_at" = ${now}::timestamptz
+          WHERE "id" = ${candidate.id}
+        `
+        return { ...candidate, attempts: (candidate.attempts || 0) + 1 }
+      }
+      return null
+    })
 
-    if (!jobs || jobs.length === 0) {
+    if (!job) {
       return null
     }
 
-    const job = jobs[0]
-
-    // Lock the job
-    await prisma.$executeRaw`
-      UPDATE "webhook_jobs"
-      SET "status" = 'processing',
-          "locked_at" = ${now}::timestamptz,
-          "lock_owner" = ${workerId},
-          "updated_at" = ${now}::timestamptz
-      WHERE "id" = ${job.id}
-    `
-
     return {
       id: job.id,
       organizationId: job.organization_id,
@@ -244,7 +418,11 @@ async function lockNextWebhookJob(prisma, workerId) {
       payload: job.payload,
       attempts: job.attempts || 0,
       maxAttempts: job.max_attempts || 5,
-      lastError: job.last_error
+      lastError: job.last_error,
+      entityKey: job.entity_key,
+      entityVersion: job.entity_version !== null && job.entity_version !== undefined ? Number(job.entity_version) : null,
+      traceId: job.trace_id,
+      parentSpanId: job.parent_span_id
     }
   } catch (error) {
     if (isMissingRelationError(error, 'webhook_jobs')) {
@@ -255,104 +433,220 @@ async function lockNextWebhookJob(prisma, workerId) {
 }
 
 /**
- * Mark a webhook job as completed
+ * True when a newer version of the job's entity was already applied, i.e. a
+ * completed job for the same entity carries a higher Square `version`.
  */
-async function completeWebhookJob(prisma, jobId) {
+async function isStaleWebhookJob(prisma, job) {
+  if (!prisma || !job?.entityKey || job.entityVersion === null || job.entityVersion === undefined) {
+    return false
+  }
+
+  try {
+    const newer = await prisma.$queryRaw`
+      SELECT 1 FROM "webhook_jobs"
+      WHERE "organization_id" = ${job.organizationId}::uuid
+        AND "entity_key" = ${job.entityKey}
+        AND "id" <> ${job.id}
+        AND "status" = 'completed'
+        AND "entity_version" > ${job.entityVersion}::bigint
+      LIMIT 1
+    `
+    return newer?.length > 0
+  } catch (error) {
+    if (isMissingRelationError(error, 'webhook_jobs')) {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Mark a webhook job as completed without running it (e.g. stale version).
+ * Returns false when workerId no longer holds the job's lock.
+ */
+async function skipWebhookJob(prisma, jobId, reason, workerId) {
   if (!prisma || !jobId) {
-    return
+    return false
   }
 
   try {
-    await prisma.$executeRaw`
+    const updated = await prisma.$executeRaw`
       UPDATE "webhook_jobs"
       SET "status" = 'completed',
+          "completed_at" = NOW(),
+          "last_error" = ${`skipped: ${reason}`},
           "locked_at" = NULL,
           "lock_owner" = NULL,
           "updated_at" = NOW()
       WHERE "id" = ${jobId}
+        AND "status" = 'processing'
+        AND "lock_owner" = ${requireWorkerId(workerId)}
     `
+    return updated > 0
   } catch (error) {
     if (!isMissingRelationError(error, 'webhook_jobs')) {
       throw error
     }
+    return false
+  }
+}
+
+/**
+ * Heartbeat: push locked_at forward while a job runs so it isn't reclaimed as
+ * abandoned. Returns false once the job is no longer held by workerId.
+ */
+async function renewWebhookJobLock(prisma, jobId, workerId) {
+  if (!prisma || !jobId) {
+    return false
+  }
+
+  try {
+    const updated = await prisma.$executeRaw`
+      UPDATE "webhook_jobs"
+      SET "locked_at" = NOW(),
+          "updated_at" = NOW()
+      WHERE "id" = ${jobId}
+        AND "status" = 'processing'
+        AND "lock_owner" = ${workerId}
+    `
+    return updated > 0
+  } catch (error) {
+    if (isMissingRelationError(error, 'webhook_jobs')) {
+      return false
+    }
+    throw error
+  }
+}
+
+// complete/fail/skip only touch a job the caller still holds: once a lock times
+// out another worker may have reclaimed the job, and the first worker's late
+// result must not overwrite the second one's run.
+function requireWorkerId(workerId) {
+  if (!workerId) {
+    throw new Error('workerId is required to release a webhook job lock')
+  }
+  return workerId
+}
+
+/**
+ * Mark a webhook job as completed. Returns false when workerId no longer holds
+ * the job's lock (it was reclaimed after LOCK_TIMEOUT_MS); the caller's result
+ * is then dropped.
+ */
+async function completeWebhookJob(prisma, jobId, workerId) {
+  if (!prisma || !jobId) {
+    return false
+  }
+
+  try {
+    const updated = await prisma.$executeRaw`
+      UPDATE "webhook_jobs"
+      SET "status" = 'completed',
+          "completed_at" = NOW(),
+          "locked_at" = NULL,
+          "lock_owner" = NULL,
+          "updated_at" = NOW()
+      WHERE "id" = ${jobId}
+        AND "status" = 'processing'
+        AND "lock_owner" = ${requireWorkerId(workerId)}
+    `
+    return updated > 0
+  } catch (error) {
+    if (!isMissingRelationError(error, 'webhook_jobs')) {
+      throw error
+    }
+    return false
   }
 }
 
 /**
- * Mark a webhook job as failed and schedule retry if applicable
+ * Mark a webhook job as failed and schedule retry if applicable.
+ * Returns false when workerId no longer holds the job's lock.
  */
-async function failWebhookJob(prisma, jobId, error, { delayMs = null } = {}) {
+async function failWebhookJob(prisma, jobId, error, { delayMs = null, workerId } = {}) {
   if (!prisma || !jobId) {
-    return
+    return false
   }
+  const lockOwner = requireWorkerId(workerId)
 
   try {
     const job = await prisma.$queryRaw`
-      SELECT "attempts", "max_attempts" FROM "webhook_jobs" WHERE "id" = ${jobId}
+      SELECT "attempts", "max_attempts" FROM "webhook_jobs"
+      WHERE "id" = ${jobId}
+        AND "status" = 'processing'
+        AND "lock_owner" = ${lockOwner}
     `
 
     if (!job || job.length === 0) {
-      return
+      return false
     }
 
-    const currentAttempts = job[0].attempts || 0
+    // attempts was already counted when the job was locked
+    const attempts = job[0].attempts || 0
     const maxAttempts = job[0].max_attempts || 5
-    const shouldRetry = currentAttempts + 1 < maxAttempts
+    const shouldRetry = attempts < maxAttempts
 
-    const newAttempts = currentAttempts + 1
     const now = new Date()
     const errorMessage = error?.message || String(error) || 'Unknown error'
 
-    // For failed jobs (after maxAttempts), schedule retry after a longer delay
-    // Default: 24 hours, configurable via WEBHOOK_FAILED_JOB_RETRY_HOURS env var
-    const failedJobRetryHours = Number(process.env.WEBHOOK_FAILED_JOB_RETRY_HOURS) || 24
-    const failedJobRetryDelayMs = failedJobRetryHours * 60 * 60 * 1000
-
+    let updated
     if (shouldRetry) {
       // Calculate exponential backoff
-      const backoffDelay = delayMs || computeBackoffDelay(newAttempts)
+      const backoffDelay = delayMs || computeBackoffDelay(attempts)
       const scheduledAt = new Date(now.getTime() + backoffDelay)
 
-      await prisma.$executeRaw`
+      updated = await prisma.$executeRaw`
         UPDATE "webhook_jobs"
         SET "status" = 'queued',
-            "attempts" = ${newAttempts},
             "scheduled_at" = ${scheduledAt}::timestamptz,
             "last_error" = ${errorMessage},
             "locked_at" = NULL,
             "lock_owner" = NULL,
             "updated_at" = ${now}::timestamptz
         WHERE "id" = ${jobId}
+          AND "status" = 'processing'
+          AND "lock_owner" = ${lockOwner}
       `
     } else {
-      // Max attempts reached - mark as queued but schedule retry after longer delay (e.g., 24 hours)
-      // This allows jobs to be retried after you fix errors
-      const scheduledAt = new Date(now.getTime() + failedJobRetryDelayMs)
-
-      await prisma.$executeRaw`
+      // Max attempts reached - dead-letter the job. It stays in 'error' until an
+      // admin replays or discards it (see lib/workflows/dead-letter-queue.js)
+      updated = await prisma.$executeRaw`
         UPDATE "webhook_jobs"
-        SET "status" = 'queued',
-            "attempts" = 0,
-            "scheduled_at" = ${scheduledAt}::timestamptz,
+        SET "status" = 'error',
             "last_error" = ${errorMessage},
+            "dead_lettered_at" = ${now}::timestamptz,
             "locked_at" = NULL,
             "lock_owner" = NULL,
             "updated_at" = ${now}::timestamptz
         WHERE "id" = ${jobId}
+          AND "status" = 'processing'
+          AND "lock_owner" = ${lockOwner}
       `
+      if (updated > 0) {
+        console.warn(`⚠️ Webhook job ${jobId} dead-lettered after ${attempts} attempts: ${errorMessage}`)
+      }
     }
+    return updated > 0
   } catch (error) {
     if (!isMissingRelationError(error, 'webhook_jobs')) {
       throw error
     }
+    return false
   }
 }
 
 module.exports = {
+  WEBHOOK_JOB_CHANNEL,
+  LOCK_TIMEOUT_MS,
   enqueueWebhookJob,
+  notifyWebhookJobQueued,
+  renewWebhookJobLock,
   lockNextWebhookJob,
   completeWebhookJob,
   failWebhookJob,
+  isStaleWebhookJob,
+  skipWebhookJob,
+  resolveWebhookEntity,
   isWebhookJobAvailable
 }
 
@@ -51,7 +51,8 @@ async function main() {
       to: c.phone_number,
       customerName: c.given_name || 'there',
       referralCode: c.personal_code,
-      referralUrl: url
+      referralUrl: url,
+      organizationId: c.organization_id
     })
 
     if (result.success && !result.skipped) {
@@ -114,8 +114,8 @@ async function workLoop() {
 
       try {
         await processJob(job)
-        await completeGiftCardJob(prisma, job.id)
-        logInfo('giftcard.worker.job.completed', {
+        const completed = await completeGiftCardJob(prisma, job.id, workerId)
+        logInfo(completed ? 'giftcard.worker.job.completed' : 'giftcard.worker.lock_lost', {
           workerId,
           jobId: job.id,
           stage: job.stage,
@@ -144,7 +144,8 @@ async function workLoop() {
           })
         }
         await failGiftCardJob(prisma, job, jobError, {
-          delayMs: openBreaker ? circuitCooldownMs : undefined
+          delayMs: openBreaker ? circuitCooldownMs : undefined,
+          workerId
         })
       }
     } catch (error) {
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Long-running worker for webhook_jobs and giftcard_jobs
+ * (see lib/workers/queue-worker.js)
+ *
+ * Usage:
+ *   node scripts/queue-worker.js
+ *   QUEUE_WORKER_QUEUES=webhook QUEUE_WORKER_CONCURRENCY=8 node scripts/queue-worker.js
+ *
+ * SIGTERM/SIGINT stop picking up jobs and wait up to QUEUE_WORKER_SHUTDOWN_MS
+ * for in-flight jobs before exiting.
+ */
+
+require('dotenv').config()
+
+const prisma = require('../lib/prisma-client')
+const { startQueueWorker } = require('../lib/workers/queue-worker')
+
+const worker = startQueueWorker({
+  queues: (process.env.QUEUE_WORKER_QUEUES || 'webhook,giftcard')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  concurrency: Number(process.env.QUEUE_WORKER_CONCURRENCY) || 4,
+  pollIntervalMs: Number(process.env.QUEUE_WORKER_POLL_MS) || 15000,
+  workerId: process.env.QUEUE_WORKER_ID || undefined
+})
+
+let shuttingDown = false
+
+async function shutdown(signal) {
+  if (shuttingDown) return
+  shuttingDown = true
+  console.log(`🛑 ${signal} received - finishing in-flight jobs (${worker.workerId})`)
+
+  const outcome = await worker.stop({
+    timeoutMs: Number(process.env.QUEUE_WORKER_SHUTDOWN_MS) || 25000
+  })
+  if (outcome === 'timeout') {
+    console.warn('⚠️ Shutdown timed out; unfinished jobs will be reclaimed once their locks expire')
+  }
+
+  await prisma.$disconnect().catch(() => {})
+  process.exit(outcome === 'drained' ? 0 : 1)
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'))
+process.on('SIGTERM', () => shutdown('SIGTERM'))
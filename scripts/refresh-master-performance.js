@@ -29,7 +29,7 @@ ledger_agg AS (
     mel.team_member_id AS master_id,
     mel.organization_id,
     b.location_id,
-    SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'SERVICE_COMMISSION') AS commission_cents,
+    SUM(mel.amount_amount) FILTER (WHERE mel.entry_type IN ('SERVICE_COMMISSION', 'PRODUCT_COMMISSION')) AS commission_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'TIP') AS tips_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'DISCOUNT_ADJUSTMENT') AS discount_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type IN ('FIX_PENALTY', 'FIX_COMPENSATION')) AS fix_transfer_cents,
@@ -50,7 +50,7 @@ ledger_no_loc AS (
     mel.team_member_id AS master_id,
     mel.organization_id,
     (SELECT id FROM locations WHERE organization_id = mel.organization_id ORDER BY created_at ASC LIMIT 1) AS location_id,
-    SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'SERVICE_COMMISSION') AS commission_cents,
+    SUM(mel.amount_amount) FILTER (WHERE mel.entry_type IN ('SERVICE_COMMISSION', 'PRODUCT_COMMISSION')) AS commission_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'TIP') AS tips_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type = 'DISCOUNT_ADJUSTMENT') AS discount_cents,
     SUM(mel.amount_amount) FILTER (WHERE mel.entry_type IN ('FIX_PENALTY', 'FIX_COMPENSATION')) AS fix_transfer_cents,
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Replay missed Square webhook events into webhook_jobs
+ * (see lib/sync/event-replay.js).
+ *
+ * Dry run by default: prints what each event would change locally. Pass
+ * --apply to enqueue. Events already in webhook_jobs are skipped.
+ *
+ * Usage:
+ *   node scripts/replay-square-events.js --org <uuid> --since 2026-04-01T00:00:00Z [--until <iso>]
+ *     [--source square|logs] [--types payment.updated,booking.updated] [--max 5000] [--apply]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') })
+
+const prisma = require('../lib/prisma-client')
+const { replaySquareEvents } = require('../lib/sync/event-replay')
+
+function parseArgs() {
+  const argv = process.argv.slice(2)
+  const get = (flag) => {
+    const i = argv.indexOf(flag)
+    return i >= 0 ? argv[i + 1] : null
+  }
+  const has = (flag) => argv.includes(flag)
+  const args = {
+    org: get('--org'),
+    since: get('--since'),
+    until: get('--until') || new Date().toISOString(),
+    source: get('--source') || 'square',
+    types: get('--types') ? get('--types').split(',').map((t) => t.trim()).filter(Boolean) : null,
+    maxEvents: parseInt(get('--max') || '5000', 10),
+    dryRun: !has('--apply'),
+  }
+  if (!args.org || !/^[0-9a-f-]{36}$/i.test(args.org)) {
+    console.error('Missing or invalid --org <uuid>')
+    process.exit(1)
+  }
+  if (!args.since) {
+    console.error('Missing --since <iso timestamp>')
+    process.exit(1)
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs()
+  console.log(`🔁 Replaying ${args.source} events for ${args.org} from ${args.since} to ${args.until}${args.dryRun ? ' (dry run)' : ''}`)
+
+  const result = await replaySquareEvents({
+    organizationId: args.org,
+    source: args.source,
+    beginTime: args.since,
+    endTime: args.until,
+    eventTypes: args.types,
+    maxEvents: args.maxEvents,
+    dryRun: args.dryRun,
+    requestedBy: 'cli',
+  })
+
+  if (!result.success) {
+    console.error(`❌ ${result.error}`)
+    process.exitCode = 1
+    return
+  }
+
+  if (result.dryRun) {
+    const byAction = {}
+    for (const event of result.events) {
+      byAction[event.action] = (byAction[event.action] || 0) + 1
+      if (event.action === 'create' || event.action === 'update') {
+        const changes = event.changes.map((c) => `${c.field}: ${c.local} → ${c.incoming}`).join(', ')
+        console.log(`  ${event.action.padEnd(6)} ${event.createdAt} ${event.eventType} ${event.entityKey}${changes ? ` (${changes})` : ''}`)
+      }
+    }
+    console.log(`\nFetched ${result.fetched}, already queued ${result.alreadyQueued}, would enqueue ${result.events.length}:`, byAction)
+    console.log('Re-run with --apply to enqueue.')
+  } else {
+    for (const event of result.events.filter((e) => e.error)) {
+      console.error(`  ❌ ${event.eventType} ${event.eventId}: ${event.error}`)
+    }
+    console.log(`\n✅ Fetched ${result.fetched}, already queued ${result.alreadyQueued}, enqueued ${result.enqueued}, failed ${result.failed}`)
+  }
+  if (result.truncated) {
+    console.warn(`⚠️ Stopped at --max ${args.maxEvents} events; narrow the range or raise --max`)
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
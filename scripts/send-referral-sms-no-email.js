@@ -70,11 +70,17 @@ function generatePersonalCode(customerName, customerId) {
 async function fetchCustomers(limit) {
   return prisma.$queryRaw`
     SELECT square_customer_id, given_name, family_name, phone_number,
-           personal_code, referral_url
-    FROM square_existing_clients
+           personal_code, referral_url, organization_id::text AS organization_id
+    FROM square_existing_clients sec
     WHERE phone_number IS NOT NULL
       AND TRIM(phone_number) <> ''
       AND COALESCE(referral_sms_sent, FALSE) = FALSE
+      AND NOT EXISTS (
+        SELECT 1 FROM sms_consents sc
+        WHERE sc.organization_id = sec.organization_id
+          AND sc.status = 'opted_out'
+          AND RIGHT(regexp_replace(sc.phone, '\\D', '', 'g'), 10) = RIGHT(regexp_replace(sec.phone_number, '\\D', '', 'g'), 10)
+      )
     ORDER BY updated_at DESC
     LIMIT ${limit}
   `
@@ -168,7 +174,9 @@ async function run() {
             to: phone,
             name: customerName,
             referralUrl,
-            body: SMS_TEMPLATE
+            defaultBody: SMS_TEMPLATE,
+            customerId: customer.square_customer_id,
+            organizationId: customer.organization_id
           })
 
           if (smsResult && smsResult.sid) {
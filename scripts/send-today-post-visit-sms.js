@@ -101,7 +101,8 @@ async function main() {
       to: cust.phone_number,
       customerName: cust.given_name || 'there',
       referralCode: code,
-      referralUrl: url
+      referralUrl: url,
+      organizationId: cust.organization_id
     })
 
     if (result.success && !result.skipped) {